@@ -0,0 +1,68 @@
+// app/js/assetConfig.js
+
+// Locations of the MediaPipe runtime (JS bundle and WASM) and the hand landmark model.
+// The versions are pinned, and by default the files are served from our own copies under
+// app/vendor/ (downloaded by `node tools/fetch-assets.mjs`), so an upstream release
+// cannot change the app and it works offline and on networks that block the CDNs.
+//
+// A page can load the assets from elsewhere (e.g. a mirror) with a meta tag:
+//   <meta name="hand-measure-asset-base" content="https://assets.example.com/hand-measure/">
+// The base must contain the same layout as app/vendor/ (see `assetUrls`).
+
+// Pinned versions of the upstream assets.
+export const TASKS_VISION_VERSION = "0.10.14";
+export const HAND_LANDMARKER_MODEL_VERSION = "float16/1";
+// sha256 digest of the model at the pinned version. Null until it has been pinned: the fetch
+// then stops and prints the digest of the download, to be checked and entered here.
+export const HAND_LANDMARKER_MODEL_SHA256 = null;
+
+// Upstream locations, used by tools/fetch-assets.mjs to fill app/vendor/.
+export const UPSTREAM_TASKS_VISION_URL = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${TASKS_VISION_VERSION}`;
+export const UPSTREAM_MODEL_URL = `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/${HAND_LANDMARKER_MODEL_VERSION}/hand_landmarker.task`;
+
+// Runtime files of the tasks-vision package, relative to its root, with the sha256 digest of
+// each at the pinned version. tools/fetch-assets.mjs refuses files that do not match.
+export const TASKS_VISION_SHA256 = {
+    "vision_bundle.mjs": "e77f281f9619150d937023c355bae170e9120e3b9e43f1e23a2a7bee07197669",
+    "wasm/vision_wasm_internal.js": "9440cf0cc0cea21800e31581ec32aeedcc5fbf9df4509796bbc7d3f99e52ab9c",
+    "wasm/vision_wasm_internal.wasm": "f82a8e6c05e08a44cc9f9e7ec5f845935bcbb1b1500ebe8c2f4812fb4e2917dc",
+    "wasm/vision_wasm_nosimd_internal.js": "abe9b6fbeaf86fcb53a5edce3926c82ccb0619e18fed4d9d9ce561ee7f55e054",
+    "wasm/vision_wasm_nosimd_internal.wasm": "38b61feab2fd7934e05cbe9f68baa308978a5e3b7f85c1913bb8ae89b8ef8b97"
+};
+export const TASKS_VISION_FILES = Object.keys(TASKS_VISION_SHA256);
+
+// Default asset base: the vendored copies next to app/js/.
+export const DEFAULT_ASSET_BASE = new URL("../vendor/", import.meta.url).href;
+
+// Name of the meta tag that overrides the asset base.
+const ASSET_BASE_META_NAME = "hand-measure-asset-base";
+
+/**
+ * Works out the asset base URL from the page's meta tag, falling back to the vendored copies.
+ * Only the page itself can set it (not the URL), since the runtime bundle is executed as code.
+ * @param {Document} [doc] - The document to read the meta tag from.
+ * @returns {string} The base URL, ending with "/".
+ */
+export function resolveAssetBase(doc = globalThis.document) {
+    const meta = doc && doc.querySelector(`meta[name="${ASSET_BASE_META_NAME}"]`);
+    const content = meta && meta.getAttribute("content");
+    if (!content) {
+        return DEFAULT_ASSET_BASE;
+    }
+    const base = new URL(content, doc.baseURI).href;
+    return base.endsWith("/") ? base : `${base}/`;
+}
+
+/**
+ * URLs of the runtime bundle, the WASM directory and the model below an asset base.
+ * @param {string} base - The asset base URL (see `resolveAssetBase`).
+ * @returns {Object} `{ visionBundle, wasmDirectory, handLandmarkerModel }`.
+ */
+export function assetUrls(base) {
+    const tasksVision = `${base}tasks-vision/${TASKS_VISION_VERSION}`;
+    return {
+        visionBundle: `${tasksVision}/vision_bundle.mjs`,
+        wasmDirectory: `${tasksVision}/wasm`,
+        handLandmarkerModel: `${base}models/hand_landmarker/${HAND_LANDMARKER_MODEL_VERSION}/hand_landmarker.task`
+    };
+}
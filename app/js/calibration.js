@@ -0,0 +1,183 @@
+// app/js/calibration.js
+
+// Measurement calibration: the fitted replacement for the hand-tuned compensation factors.
+// A calibration file maps each measurement key to `measured = raw * scale + offsetMm`, where
+// `raw` is the length the engine measured in the reference object's plane. The file is
+// written by tools/fit-calibration.mjs from sessions paired with tape-measured values and
+// loaded by the app at runtime (app/data/calibration.json).
+//
+// Example:
+// {
+//   "schemaVersion": 1,
+//   "model": "scale",
+//   "createdAt": "2026-01-01T00:00:00.000Z",
+//   "dimensions": {
+//     "palmWidth": { "scale": 1.3, "offsetMm": 0 },
+//     "palmLength": { "scale": 1.0, "offsetMm": 0 }
+//   }
+// }
+// Keys missing from `dimensions` keep the engine's compensation factors.
+
+import { MEASUREMENT_KEYS } from "./sizeChart.js";
+
+// Schema version understood by this module.
+export const CALIBRATION_SCHEMA_VERSION = 1;
+
+// Fit models: "scale" fits a factor only (like the compensation factors), "linear" also an offset.
+export const CALIBRATION_MODELS = ["scale", "linear"];
+
+// Measurement keys that can be calibrated. The palm circumference is derived from the
+// calibrated palm width, so it has no calibration of its own.
+export const CALIBRATED_KEYS = MEASUREMENT_KEYS.filter(key => key !== "palmCircumference");
+
+// Location of the bundled calibration, relative to index.html.
+export const CALIBRATION_URL = "app/data/calibration.json";
+
+/**
+ * Checks whether a value is a finite number.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for finite numbers.
+ */
+function isFiniteNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Validates a calibration against the schema.
+ * @param {Object} calibration - The parsed calibration JSON.
+ * @returns {Array<string>} A list of human-readable problems; empty when the calibration is valid.
+ */
+export function validateCalibration(calibration) {
+    const errors = [];
+    if (!calibration || typeof calibration !== "object" || Array.isArray(calibration)) {
+        return ["The calibration must be a JSON object."];
+    }
+    if (calibration.schemaVersion !== CALIBRATION_SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be ${CALIBRATION_SCHEMA_VERSION}.`);
+    }
+    if (!CALIBRATION_MODELS.includes(calibration.model)) {
+        errors.push(`model must be one of ${CALIBRATION_MODELS.join(", ")}.`);
+    }
+    const dimensions = calibration.dimensions;
+    if (!dimensions || typeof dimensions !== "object" || Array.isArray(dimensions)) {
+        errors.push("dimensions must be an object.");
+        return errors;
+    }
+    for (const [key, fit] of Object.entries(dimensions)) {
+        if (!CALIBRATED_KEYS.includes(key)) {
+            errors.push(`dimensions.${key} is not a calibrated measurement key.`);
+            continue;
+        }
+        if (!fit || !isFiniteNumber(fit.scale) || fit.scale <= 0) {
+            errors.push(`dimensions.${key}.scale must be a positive number.`);
+        }
+        if (fit && fit.offsetMm !== undefined && !isFiniteNumber(fit.offsetMm)) {
+            errors.push(`dimensions.${key}.offsetMm must be a number.`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates a calibration and fills in defaults.
+ * @param {Object} calibration - The parsed calibration JSON.
+ * @returns {Object} The calibration with `offsetMm` set for every dimension.
+ * @throws {Error} If the calibration does not match the schema; the message lists every problem.
+ */
+export function normalizeCalibration(calibration) {
+    const errors = validateCalibration(calibration);
+    if (errors.length > 0) {
+        throw new Error(`Invalid calibration:\n- ${errors.join("\n- ")}`);
+    }
+    const dimensions = {};
+    for (const [key, fit] of Object.entries(calibration.dimensions)) {
+        dimensions[key] = { scale: fit.scale, offsetMm: fit.offsetMm || 0 };
+    }
+    return { ...calibration, dimensions };
+}
+
+/**
+ * Fetches, validates and normalizes a calibration.
+ * @param {string} url - URL of the calibration JSON.
+ * @returns {Promise<Object>} The normalized calibration.
+ * @throws {Error} If the calibration cannot be fetched or is invalid.
+ */
+export async function loadCalibration(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load calibration from ${url} (HTTP ${response.status}).`);
+    }
+    return normalizeCalibration(await response.json());
+}
+
+/**
+ * Fits a calibration to pairs of raw engine values and ground truth by least squares.
+ * @param {Array<Object>} pairs - `{ raw, actual }` in millimeters.
+ * @param {string} model - "scale" (through the origin) or "linear".
+ * @returns {Object|null} `{ scale, offsetMm }`, or null with too few pairs (1 for "scale",
+ *   3 for "linear") or when the raw values do not vary enough for a linear fit.
+ */
+export function fitCalibration(pairs, model) {
+    if (model === "linear") {
+        if (pairs.length < 3) {
+            return null;
+        }
+        const meanRaw = pairs.reduce((sum, p) => sum + p.raw, 0) / pairs.length;
+        const meanActual = pairs.reduce((sum, p) => sum + p.actual, 0) / pairs.length;
+        let sxy = 0;
+        let sxx = 0;
+        for (const { raw, actual } of pairs) {
+            sxy += (raw - meanRaw) * (actual - meanActual);
+            sxx += (raw - meanRaw) * (raw - meanRaw);
+        }
+        if (sxx < 1e-9) {
+            return null;
+        }
+        const scale = sxy / sxx;
+        return { scale, offsetMm: meanActual - scale * meanRaw };
+    }
+
+    const sxx = pairs.reduce((sum, p) => sum + p.raw * p.raw, 0);
+    if (pairs.length === 0 || sxx === 0) {
+        return null;
+    }
+    return { scale: pairs.reduce((sum, p) => sum + p.raw * p.actual, 0) / sxx, offsetMm: 0 };
+}
+
+/**
+ * Error metrics of predictions against ground truth.
+ * @param {Array<Object>} results - `{ predicted, actual }` in millimeters.
+ * @returns {Object|null} `{ count, biasMm, maeMm, rmseMm, maxErrorMm }` (bias is the mean signed
+ *   error, positive when the predictions are too large), or null for an empty list.
+ */
+export function errorMetrics(results) {
+    if (results.length === 0) {
+        return null;
+    }
+    const errors = results.map(r => r.predicted - r.actual);
+    return {
+        count: errors.length,
+        biasMm: errors.reduce((sum, e) => sum + e, 0) / errors.length,
+        maeMm: errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length,
+        rmseMm: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length),
+        maxErrorMm: Math.max(...errors.map(Math.abs))
+    };
+}
+
+/**
+ * Leave-one-out error metrics: each pair is predicted by a fit to all the others,
+ * which shows how well the calibration carries over to people who were not in the dataset.
+ * @param {Array<Object>} pairs - `{ raw, actual }` in millimeters.
+ * @param {string} model - "scale" or "linear".
+ * @returns {Object|null} The result of `errorMetrics`, or null if no pair could be predicted.
+ */
+export function leaveOneOutMetrics(pairs, model) {
+    const results = [];
+    pairs.forEach((pair, index) => {
+        const fit = fitCalibration(pairs.filter((_, i) => i !== index), model);
+        if (fit) {
+            results.push({ predicted: pair.raw * fit.scale + fit.offsetMm, actual: pair.actual });
+        }
+    });
+    return errorMetrics(results);
+}
@@ -0,0 +1,110 @@
+// app/js/cameraSettings.js
+
+// Camera choices of the live view: the device, the capture resolution and, on phones, the
+// front or back camera. Builds the `getUserMedia` constraints for a choice and remembers the
+// last one in localStorage, so a reload opens the same camera. The camera controls
+// themselves are in handDetection.js.
+
+// localStorage key of the remembered choice.
+export const CAMERA_PREFERENCES_KEY = "hand-measure-camera";
+
+// Selectable capture resolutions. The detectors scale every frame down (the reference object
+// is located at `CARD_DETECTION_WIDTH` in detector.js, the hand model has its own fixed input
+// size), so a higher resolution does not make the measurements more precise; it gives a
+// sharper live view and fit report snapshots, and costs time to read and scale each frame.
+export const RESOLUTIONS = {
+    "640x480": { label: "640 × 480 (fastest)", width: 640, height: 480 },
+    "1280x720": { label: "1280 × 720", width: 1280, height: 720 },
+    "1920x1080": { label: "1920 × 1080", width: 1920, height: 1080 }
+};
+export const DEFAULT_RESOLUTION = "640x480";
+
+// Selectable camera sides (the `facingMode` constraint). "any" picks the camera by device.
+export const FACING_MODES = {
+    any: { label: "Any" },
+    user: { label: "Front camera" },
+    environment: { label: "Back camera" }
+};
+
+// The choice used when nothing is remembered.
+export const DEFAULT_CAMERA_PREFERENCES = {
+    deviceId: null, // The last used camera; null for the first one listed.
+    resolution: DEFAULT_RESOLUTION, // A key of `RESOLUTIONS`.
+    facingMode: "any" // A key of `FACING_MODES`.
+};
+
+/**
+ * Fills in defaults and drops unknown values of a camera choice.
+ * @param {Object} preferences - A possibly partial or outdated choice.
+ * @returns {Object} `{ deviceId, resolution, facingMode }`.
+ */
+export function normalizeCameraPreferences(preferences) {
+    const prefs = preferences && typeof preferences === "object" ? preferences : {};
+    return {
+        deviceId: typeof prefs.deviceId === "string" && prefs.deviceId !== "" ? prefs.deviceId : DEFAULT_CAMERA_PREFERENCES.deviceId,
+        resolution: Object.prototype.hasOwnProperty.call(RESOLUTIONS, prefs.resolution) ? prefs.resolution : DEFAULT_CAMERA_PREFERENCES.resolution,
+        facingMode: Object.prototype.hasOwnProperty.call(FACING_MODES, prefs.facingMode) ? prefs.facingMode : DEFAULT_CAMERA_PREFERENCES.facingMode
+    };
+}
+
+/**
+ * Reads the remembered camera choice.
+ * @param {Storage} [storage] - Where it is kept.
+ * @returns {Object} The choice (see `normalizeCameraPreferences`); the defaults if none is stored
+ *   or storage is unavailable (e.g. blocked in private browsing).
+ */
+export function loadCameraPreferences(storage = globalThis.localStorage) {
+    try {
+        return normalizeCameraPreferences(JSON.parse(storage.getItem(CAMERA_PREFERENCES_KEY)));
+    } catch (error) {
+        return normalizeCameraPreferences(null);
+    }
+}
+
+/**
+ * Remembers a camera choice. Failing to store it is not an error; the choice is then only
+ * forgotten on reload.
+ * @param {Object} preferences - The choice.
+ * @param {Storage} [storage] - Where to keep it.
+ */
+export function saveCameraPreferences(preferences, storage = globalThis.localStorage) {
+    try {
+        storage.setItem(CAMERA_PREFERENCES_KEY, JSON.stringify(normalizeCameraPreferences(preferences)));
+    } catch (error) {
+        console.warn("Could not remember the camera choice:", error);
+    }
+}
+
+/**
+ * Picks the camera to use from the available ones.
+ * @param {Array<MediaDeviceInfo>} devices - The video input devices.
+ * @param {...(string|null)} preferredIds - Device ids in order of preference, e.g. the current and the remembered one.
+ * @returns {string|null} The first preferred id that is available, else the first device's id, or null without devices.
+ */
+export function chooseCamera(devices, ...preferredIds) {
+    for (const id of preferredIds) {
+        if (id && devices.some(device => device.deviceId === id)) {
+            return id;
+        }
+    }
+    return devices.length > 0 ? devices[0].deviceId : null;
+}
+
+/**
+ * The video constraints of a camera choice. A camera side, when chosen, takes precedence over
+ * the device, so "Back camera" keeps working when the phone lists its cameras differently.
+ * The resolution is a preference: cameras that cannot deliver it use the nearest one they support.
+ * @param {Object} preferences - `{ deviceId, resolution, facingMode }`.
+ * @returns {Object} The `video` constraints for `getUserMedia`.
+ */
+export function videoConstraints(preferences) {
+    const { deviceId, resolution, facingMode } = normalizeCameraPreferences(preferences);
+    const { width, height } = RESOLUTIONS[resolution];
+    const constraints = { width: { ideal: width }, height: { ideal: height } };
+    if (facingMode !== "any") {
+        constraints.facingMode = { ideal: facingMode };
+    } else if (deviceId) {
+        constraints.deviceId = { exact: deviceId };
+    }
+    return constraints;
+}
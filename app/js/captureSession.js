@@ -0,0 +1,223 @@
+// app/js/captureSession.js
+
+// Guided capture session: a small state machine that walks the user through
+// showing the card, placing the hand, holding still and collecting samples, and
+// finishes on its own once the statistics have converged.
+// The machine is a pure reducer (state + frame info + time -> new state) with no DOM access.
+
+// Session phases, in the order a successful session goes through them.
+export const PHASES = {
+    SHOW_CARD: "showCard",
+    PLACE_HAND: "placeHand",
+    HOLD_STILL: "holdStill",
+    COLLECTING: "collecting",
+    RESULT_READY: "resultReady",
+    TIMED_OUT: "timedOut"
+};
+
+// On-screen instructions for each phase.
+export const PHASE_INSTRUCTIONS = {
+    [PHASES.SHOW_CARD]: "Place an ID or credit card flat in front of the camera.",
+    [PHASES.PLACE_HAND]: "Lay your open hand flat next to the card, palm facing the camera.",
+    [PHASES.HOLD_STILL]: "Hold still with your fingers straight and spread...",
+    [PHASES.COLLECTING]: "Measuring – keep your hand and the card still.",
+    [PHASES.RESULT_READY]: "Done! Your result is ready.",
+    [PHASES.TIMED_OUT]: "This is taking too long. Check the lighting and press Restart to try again."
+};
+
+// Default session options.
+export const DEFAULT_SESSION_OPTIONS = {
+    minSamples: 20, // Samples required before the result may be declared converged.
+    maxSamples: 120, // The session finishes after this many samples even without convergence.
+    maxCiHalfWidthMm: 1.0, // Convergence: every confidence interval half-width must be at most this.
+    holdStillMs: 1000, // Hand and card must be visible this long before collection starts.
+    lostGraceMs: 1500, // Losing the hand or card for longer than this steps the session back.
+    // Time allowed in each phase before the session times out.
+    timeoutsMs: {
+        [PHASES.SHOW_CARD]: 60000,
+        [PHASES.PLACE_HAND]: 60000,
+        [PHASES.HOLD_STILL]: 30000,
+        [PHASES.COLLECTING]: 60000
+    }
+};
+
+/**
+ * Creates a fresh session in the first phase. Also used for the "restart" action.
+ * @param {number} now - Current time in milliseconds.
+ * @returns {Object} The initial session state.
+ */
+export function createSession(now) {
+    return {
+        phase: PHASES.SHOW_CARD,
+        phaseStartedAt: now,
+        holdStartedAt: now, // Start of the current steady pose, for the hold-still phase.
+        lostSince: null,
+        samplesCollected: 0,
+        timedOutPhase: null
+    };
+}
+
+/**
+ * Continues a session after the camera was stopped. Time spent stopped must not count against the
+ * phase timeouts: a session that was collecting keeps its samples and gets a fresh phase clock,
+ * an unfinished one in any other phase starts over, and a finished result is kept.
+ * @param {Object} state - The session state.
+ * @param {number} now - Current time in milliseconds.
+ * @returns {Object} The new state.
+ */
+export function resumeSession(state, now) {
+    if (isCollecting(state)) {
+        return { ...state, phaseStartedAt: now, lostSince: null };
+    }
+    if (state.phase === PHASES.RESULT_READY) {
+        return state;
+    }
+    return { ...createSession(now), samplesCollected: state.samplesCollected };
+}
+
+/**
+ * Whether the session is currently accepting samples into the history.
+ * @param {Object} state - The session state.
+ * @returns {boolean} True while collecting.
+ */
+export function isCollecting(state) {
+    return state.phase === PHASES.COLLECTING;
+}
+
+/**
+ * Whether the session has ended (result ready or timed out) and needs a restart.
+ * @param {Object} state - The session state.
+ * @returns {boolean} True in a terminal phase.
+ */
+export function isFinished(state) {
+    return state.phase === PHASES.RESULT_READY || state.phase === PHASES.TIMED_OUT;
+}
+
+/**
+ * Checks whether the aggregated measurements are precise enough to stop collecting.
+ * @param {Object} aggregate - The result of `aggregateMeasurements`.
+ * @param {Array<string>} keys - Measurement keys that must have converged.
+ * @param {Object} opts - Resolved session options.
+ * @returns {boolean} True when every key has a narrow enough confidence interval.
+ */
+export function hasConverged(aggregate, keys, opts) {
+    if (!aggregate) {
+        return false;
+    }
+    return keys.every(key => aggregate[key] && aggregate[key].ciHalfWidth <= opts.maxCiHalfWidthMm);
+}
+
+/**
+ * Milliseconds left before the current phase times out.
+ * @param {Object} state - The session state.
+ * @param {number} now - Current time in milliseconds.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_SESSION_OPTIONS`.
+ * @returns {number|null} Remaining time, or null for phases without a timeout.
+ */
+export function timeRemaining(state, now, options = {}) {
+    const timeouts = { ...DEFAULT_SESSION_OPTIONS.timeoutsMs, ...(options.timeoutsMs || {}) };
+    const timeout = timeouts[state.phase];
+    if (timeout === undefined) {
+        return null;
+    }
+    return Math.max(timeout - (now - state.phaseStartedAt), 0);
+}
+
+/**
+ * Returns a copy of the state moved into a new phase.
+ * @param {Object} state - The session state.
+ * @param {string} phase - The phase to enter.
+ * @param {number} now - Current time in milliseconds.
+ * @returns {Object} The new state.
+ */
+function enterPhase(state, phase, now) {
+    return { ...state, phase, phaseStartedAt: now, holdStartedAt: now, lostSince: null };
+}
+
+/**
+ * Advances the session by one processed frame.
+ * @param {Object} state - The current session state.
+ * @param {Object} frame - What the frame showed:
+ *   `{ handDetected, cardDetected, poseAccepted, sampleAdded, aggregate, keys }` where `poseAccepted`
+ *   says whether the hand passed the frame quality gates, `sampleAdded` says whether
+ *   this frame's measurement went into the history, `aggregate` is the current result of
+ *   `aggregateMeasurements` and `keys` lists the measurement keys that must converge.
+ * @param {number} now - Current time in milliseconds.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_SESSION_OPTIONS`.
+ * @returns {Object} The new session state (the input state is not modified).
+ */
+export function advanceSession(state, frame, now, options = {}) {
+    const opts = {
+        ...DEFAULT_SESSION_OPTIONS,
+        ...options,
+        timeoutsMs: { ...DEFAULT_SESSION_OPTIONS.timeoutsMs, ...(options.timeoutsMs || {}) }
+    };
+    if (isFinished(state)) {
+        return state;
+    }
+
+    let next = frame.sampleAdded ? { ...state, samplesCollected: state.samplesCollected + 1 } : state;
+    const bothVisible = frame.handDetected && frame.cardDetected;
+    const elapsed = now - next.phaseStartedAt;
+
+    // Tracks how long the required objects have been missing; null while they are visible.
+    const lostSince = bothVisible ? null : (next.lostSince === null ? now : next.lostSince);
+    const lostFor = lostSince === null ? 0 : now - lostSince;
+    next = { ...next, lostSince };
+
+    switch (next.phase) {
+        case PHASES.SHOW_CARD:
+            if (frame.cardDetected) {
+                return enterPhase(next, PHASES.PLACE_HAND, now);
+            }
+            break;
+
+        case PHASES.PLACE_HAND:
+            if (bothVisible) {
+                return enterPhase(next, PHASES.HOLD_STILL, now);
+            }
+            if (!frame.cardDetected && lostFor > opts.lostGraceMs) {
+                return enterPhase(next, PHASES.SHOW_CARD, now);
+            }
+            break;
+
+        case PHASES.HOLD_STILL:
+            // A single frame without the hand or card (e.g. a missed detection) does not lose the
+            // phase, but the hold timer starts over like for a rejected pose.
+            if (!bothVisible) {
+                if (lostFor > opts.lostGraceMs) {
+                    return enterPhase(next, PHASES.PLACE_HAND, now);
+                }
+                next = { ...next, holdStartedAt: now };
+            } else if (frame.poseAccepted === false) {
+                // A pose that fails the quality gates restarts the hold timer, but not the phase timeout.
+                next = { ...next, holdStartedAt: now };
+            } else if (now - next.holdStartedAt >= opts.holdStillMs) {
+                return enterPhase(next, PHASES.COLLECTING, now);
+            }
+            break;
+
+        case PHASES.COLLECTING:
+            if (next.samplesCollected >= opts.maxSamples
+                || (next.samplesCollected >= opts.minSamples && hasConverged(frame.aggregate, frame.keys || [], opts))) {
+                return enterPhase(next, PHASES.RESULT_READY, now);
+            }
+            if (lostFor > opts.lostGraceMs) {
+                return enterPhase(next, PHASES.PLACE_HAND, now);
+            }
+            break;
+
+        default:
+            break;
+    }
+
+    // Phase timeout. Collection that already has enough samples still produces a result.
+    const timeout = opts.timeoutsMs[next.phase];
+    if (timeout !== undefined && elapsed >= timeout) {
+        if (next.phase === PHASES.COLLECTING && next.samplesCollected >= opts.minSamples) {
+            return enterPhase(next, PHASES.RESULT_READY, now);
+        }
+        return { ...enterPhase(next, PHASES.TIMED_OUT, now), timedOutPhase: next.phase };
+    }
+    return next;
+}
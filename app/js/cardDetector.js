@@ -0,0 +1,499 @@
+// app/js/cardDetector.js
+
+// Card corner locator working directly on canvas pixel data (ImageData).
+// The pipeline is: grayscale -> blur -> Sobel edges -> connected edge components ->
+// convex hull -> quadrilateral fit -> line refinement of each side.
+// It has no DOM dependencies beyond the ImageData shape ({ data, width, height }).
+// The edge extraction steps are exported for the other reference object detectors (circleDetector.js).
+
+// Default detector options.
+export const DEFAULT_CARD_DETECTOR_OPTIONS = {
+    expectedAspectRatio: 85.60 / 53.98, // ID-1 card long side / short side.
+    aspectTolerance: 0.25, // Allowed relative deviation from the expected aspect ratio (tilt widens it).
+    minAreaFraction: 0.01, // Smallest quad area accepted, as a fraction of the frame area.
+    maxAreaFraction: 0.6, // Largest quad area accepted, as a fraction of the frame area.
+    minEdgeMagnitude: 40, // Lower bound for the Sobel magnitude threshold.
+    minRectangularity: 0.85, // Minimum ratio of quad area to the component's hull area.
+    minEdgeSupport: 0.6, // Minimum fraction of the quad perimeter lying on detected edges.
+    maxCandidates: 12 // Only the largest edge components are considered.
+};
+
+/**
+ * Converts RGBA pixel data to a grayscale luminance buffer.
+ * @param {Object} imageData - An ImageData-like object ({ data, width, height }).
+ * @returns {Float32Array} Luminance values, one per pixel.
+ */
+export function toGrayscale(imageData) {
+    const { data, width, height } = imageData;
+    const gray = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    }
+    return gray;
+}
+
+/**
+ * Applies a separable 3x3 Gaussian blur ([1 2 1] kernel) to reduce sensor noise.
+ * @param {Float32Array} src - Source buffer.
+ * @param {number} width - Buffer width.
+ * @param {number} height - Buffer height.
+ * @returns {Float32Array} The blurred buffer.
+ */
+export function blur3x3(src, width, height) {
+    const tmp = new Float32Array(src.length);
+    const out = new Float32Array(src.length);
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            const l = src[row + Math.max(x - 1, 0)];
+            const r = src[row + Math.min(x + 1, width - 1)];
+            tmp[row + x] = (l + 2 * src[row + x] + r) / 4;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        const up = Math.max(y - 1, 0) * width;
+        const down = Math.min(y + 1, height - 1) * width;
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            out[row + x] = (tmp[up + x] + 2 * tmp[row + x] + tmp[down + x]) / 4;
+        }
+    }
+    return out;
+}
+
+/**
+ * Builds a binary edge mask from the Sobel gradient magnitude.
+ * The threshold adapts to the frame (mean + 1.5 standard deviations) but never drops
+ * below `minEdgeMagnitude`, so flat frames do not turn noise into edges.
+ * @param {Float32Array} gray - Blurred grayscale buffer.
+ * @param {number} width - Buffer width.
+ * @param {number} height - Buffer height.
+ * @param {number} minEdgeMagnitude - Lower bound for the threshold.
+ * @returns {Uint8Array} 1 for edge pixels, 0 otherwise. The one-pixel border is always 0.
+ */
+export function sobelEdges(gray, width, height, minEdgeMagnitude) {
+    const magnitude = new Float32Array(gray.length);
+    let sum = 0;
+    let sumSq = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const gx = -gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1]
+                + gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1];
+            const gy = -gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1]
+                + gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1];
+            const m = Math.sqrt(gx * gx + gy * gy);
+            magnitude[i] = m;
+            sum += m;
+            sumSq += m * m;
+        }
+    }
+
+    const count = (width - 2) * (height - 2);
+    const mean = sum / count;
+    const std = Math.sqrt(Math.max(sumSq / count - mean * mean, 0));
+    const threshold = Math.max(minEdgeMagnitude, mean + 1.5 * std);
+
+    const edges = new Uint8Array(gray.length);
+    for (let i = 0; i < magnitude.length; i++) {
+        if (magnitude[i] >= threshold) {
+            edges[i] = 1;
+        }
+    }
+    return edges;
+}
+
+/**
+ * Groups edge pixels into 8-connected components.
+ * @param {Uint8Array} edges - Binary edge mask.
+ * @param {number} width - Mask width.
+ * @param {number} height - Mask height.
+ * @param {number} minPixels - Components smaller than this are dropped.
+ * @returns {Array<Array<number>>} Pixel index lists, largest component first.
+ */
+export function connectedComponents(edges, width, height, minPixels) {
+    const visited = new Uint8Array(edges.length);
+    const stack = new Int32Array(edges.length);
+    const components = [];
+
+    for (let start = 0; start < edges.length; start++) {
+        if (!edges[start] || visited[start]) {
+            continue;
+        }
+        const pixels = [];
+        let top = 0;
+        stack[top++] = start;
+        visited[start] = 1;
+        while (top > 0) {
+            const i = stack[--top];
+            pixels.push(i);
+            const x = i % width;
+            const y = (i - x) / width;
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    const n = ny * width + nx;
+                    if (edges[n] && !visited[n]) {
+                        visited[n] = 1;
+                        stack[top++] = n;
+                    }
+                }
+            }
+        }
+        if (pixels.length >= minPixels) {
+            components.push(pixels);
+        }
+    }
+
+    return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Cross product of the vectors OA and OB.
+ * @param {Object} o - Origin point.
+ * @param {Object} a - First point.
+ * @param {Object} b - Second point.
+ * @returns {number} Positive for a counter-clockwise turn (in y-up coordinates).
+ */
+function cross(o, a, b) {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+/**
+ * Absolute area of a polygon (shoelace formula).
+ * @param {Array<Object>} points - Polygon vertices in order.
+ * @returns {number} The area.
+ */
+export function polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(area) / 2;
+}
+
+/**
+ * Convex hull of a component (Andrew's monotone chain).
+ * Only the leftmost and rightmost pixel of each row can be on the hull, so the
+ * component is reduced to those before the hull is built.
+ * @param {Array<number>} pixels - Pixel indices of the component.
+ * @param {number} width - Frame width used to decode the indices.
+ * @returns {Array<Object>} Hull vertices in order.
+ */
+export function convexHull(pixels, width) {
+    const rows = new Map();
+    for (const i of pixels) {
+        const x = i % width;
+        const y = (i - x) / width;
+        const row = rows.get(y);
+        if (!row) {
+            rows.set(y, [x, x]);
+        } else {
+            if (x < row[0]) row[0] = x;
+            if (x > row[1]) row[1] = x;
+        }
+    }
+
+    const points = [];
+    for (const [y, [minX, maxX]] of rows) {
+        points.push({ x: minX, y });
+        if (maxX !== minX) {
+            points.push({ x: maxX, y });
+        }
+    }
+    points.sort((a, b) => (a.x - b.x) || (a.y - b.y));
+    if (points.length < 3) {
+        return points;
+    }
+
+    const lower = [];
+    for (const p of points) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+            lower.pop();
+        }
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = points.length - 1; i >= 0; i--) {
+        const p = points[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+            upper.pop();
+        }
+        upper.push(p);
+    }
+    upper.pop();
+    lower.pop();
+    return lower.concat(upper);
+}
+
+/**
+ * Reduces a convex polygon to four vertices by repeatedly dropping the vertex whose
+ * removal loses the least area (Visvalingam–Whyatt simplification).
+ * @param {Array<Object>} hull - Convex hull vertices in order.
+ * @returns {Array<Object>|null} Four vertices, or null if the hull has fewer than four.
+ */
+function simplifyToQuad(hull) {
+    if (hull.length < 4) {
+        return null;
+    }
+    const points = hull.slice();
+    while (points.length > 4) {
+        let minArea = Infinity;
+        let minIndex = 0;
+        for (let i = 0; i < points.length; i++) {
+            const prev = points[(i - 1 + points.length) % points.length];
+            const next = points[(i + 1) % points.length];
+            const area = Math.abs(cross(prev, points[i], next));
+            if (area < minArea) {
+                minArea = area;
+                minIndex = i;
+            }
+        }
+        points.splice(minIndex, 1);
+    }
+    return points;
+}
+
+/**
+ * Orders four corners clockwise (in image coordinates) starting from the top-left one.
+ * @param {Array<Object>} corners - Four corner points in any order.
+ * @returns {Array<Object>} The same points, ordered.
+ */
+export function orderCorners(corners) {
+    const cx = corners.reduce((sum, p) => sum + p.x, 0) / corners.length;
+    const cy = corners.reduce((sum, p) => sum + p.y, 0) / corners.length;
+    const sorted = corners.slice().sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+    let first = 0;
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].x + sorted[i].y < sorted[first].x + sorted[first].y) {
+            first = i;
+        }
+    }
+    return sorted.slice(first).concat(sorted.slice(0, first));
+}
+
+/**
+ * Euclidean distance between two points.
+ * @param {Object} a - First point.
+ * @param {Object} b - Second point.
+ * @returns {number} The distance.
+ */
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Returns the averaged side lengths of a quad: opposite sides are averaged to
+ * cancel out part of the perspective foreshortening.
+ * @param {Array<Object>} corners - Four ordered corners.
+ * @returns {Object} `{ longSide, shortSide }` in the corners' units.
+ */
+export function quadSideLengths(corners) {
+    const sides = corners.map((p, i) => distance(p, corners[(i + 1) % 4]));
+    const a = (sides[0] + sides[2]) / 2;
+    const b = (sides[1] + sides[3]) / 2;
+    return { longSide: Math.max(a, b), shortSide: Math.min(a, b) };
+}
+
+/**
+ * Fraction of points sampled along the quad outline that fall on (or next to) an edge pixel.
+ * @param {Array<Object>} corners - Four ordered corners.
+ * @param {Uint8Array} edges - Binary edge mask.
+ * @param {number} width - Mask width.
+ * @param {number} height - Mask height.
+ * @returns {number} Support between 0 and 1.
+ */
+function edgeSupport(corners, edges, width, height) {
+    let samples = 0;
+    let hits = 0;
+    for (let i = 0; i < 4; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 4];
+        const steps = Math.max(Math.ceil(distance(a, b)), 1);
+        for (let s = 0; s <= steps; s++) {
+            const x = Math.round(a.x + (b.x - a.x) * s / steps);
+            const y = Math.round(a.y + (b.y - a.y) * s / steps);
+            samples++;
+            let found = false;
+            for (let dy = -1; dy <= 1 && !found; dy++) {
+                for (let dx = -1; dx <= 1 && !found; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height && edges[ny * width + nx]) {
+                        found = true;
+                    }
+                }
+            }
+            if (found) {
+                hits++;
+            }
+        }
+    }
+    return samples > 0 ? hits / samples : 0;
+}
+
+/**
+ * Fits a line through points using principal component analysis (total least squares).
+ * @param {Array<Object>} points - Points to fit.
+ * @returns {Object|null} `{ cx, cy, dx, dy }` (centroid and unit direction), or null for too few points.
+ */
+function fitLine(points) {
+    if (points.length < 2) {
+        return null;
+    }
+    let cx = 0;
+    let cy = 0;
+    for (const p of points) {
+        cx += p.x;
+        cy += p.y;
+    }
+    cx /= points.length;
+    cy /= points.length;
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    for (const p of points) {
+        const dx = p.x - cx;
+        const dy = p.y - cy;
+        sxx += dx * dx;
+        syy += dy * dy;
+        sxy += dx * dy;
+    }
+    const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    return { cx, cy, dx: Math.cos(angle), dy: Math.sin(angle) };
+}
+
+/**
+ * Intersects two lines given as centroid + direction.
+ * @param {Object} l1 - First line.
+ * @param {Object} l2 - Second line.
+ * @returns {Object|null} The intersection point, or null if the lines are (nearly) parallel.
+ */
+function intersectLines(l1, l2) {
+    const det = l1.dx * l2.dy - l1.dy * l2.dx;
+    if (Math.abs(det) < 1e-6) {
+        return null;
+    }
+    const t = ((l2.cx - l1.cx) * l2.dy - (l2.cy - l1.cy) * l2.dx) / det;
+    return { x: l1.cx + t * l1.dx, y: l1.cy + t * l1.dy };
+}
+
+/**
+ * Refines quad corners by fitting a line to the edge pixels along each side and
+ * intersecting neighbouring lines. Corners that move implausibly far are kept as they were.
+ * @param {Array<Object>} corners - Four ordered corners from the hull fit.
+ * @param {Array<number>} pixels - Pixel indices of the component.
+ * @param {number} width - Frame width used to decode the indices.
+ * @returns {Array<Object>} Refined corners.
+ */
+function refineCorners(corners, pixels, width) {
+    const lines = [];
+    for (let i = 0; i < 4; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 4];
+        const length = distance(a, b);
+        const ux = (b.x - a.x) / length;
+        const uy = (b.y - a.y) / length;
+        const near = [];
+        for (const index of pixels) {
+            const x = index % width;
+            const y = (index - x) / width;
+            // Position along the side and distance from it.
+            const t = ((x - a.x) * ux + (y - a.y) * uy) / length;
+            const d = Math.abs((x - a.x) * uy - (y - a.y) * ux);
+            // Skip the ends of each side, where the rounded card corners bend away.
+            if (t > 0.15 && t < 0.85 && d <= 2) {
+                near.push({ x, y });
+            }
+        }
+        lines.push(fitLine(near));
+    }
+
+    return corners.map((corner, i) => {
+        const before = lines[(i + 3) % 4];
+        const after = lines[i];
+        if (!before || !after) {
+            return corner;
+        }
+        const refined = intersectLines(before, after);
+        if (!refined || distance(refined, corner) > 0.1 * Math.min(distance(corner, corners[(i + 1) % 4]), distance(corner, corners[(i + 3) % 4]))) {
+            return corner;
+        }
+        return refined;
+    });
+}
+
+/**
+ * Locates an ID card in a frame and returns its four corners.
+ * @param {Object} imageData - An ImageData-like object ({ data, width, height }).
+ * @param {Object} [options] - Partial options overriding `DEFAULT_CARD_DETECTOR_OPTIONS`.
+ * @returns {Object|null} `{ corners, score, aspectRatio }` where `corners` are normalized (0-1)
+ *   and ordered clockwise from the top-left, or null when no card-like quad was found.
+ */
+export function locateCard(imageData, options = {}) {
+    const opts = { ...DEFAULT_CARD_DETECTOR_OPTIONS, ...options };
+    const { width, height } = imageData;
+    const frameArea = width * height;
+
+    const gray = blur3x3(toGrayscale(imageData), width, height);
+    const edges = sobelEdges(gray, width, height, opts.minEdgeMagnitude);
+
+    // A card outline covering the minimum area has roughly this many edge pixels.
+    const minPixels = Math.max(Math.round(4 * Math.sqrt(opts.minAreaFraction * frameArea) * 0.5), 20);
+    const components = connectedComponents(edges, width, height, minPixels).slice(0, opts.maxCandidates);
+
+    let best = null;
+    for (const pixels of components) {
+        const hull = convexHull(pixels, width);
+        const quad = simplifyToQuad(hull);
+        if (!quad) {
+            continue;
+        }
+
+        const hullArea = polygonArea(hull);
+        const quadArea = polygonArea(quad);
+        const areaFraction = quadArea / frameArea;
+        if (hullArea <= 0 || areaFraction < opts.minAreaFraction || areaFraction > opts.maxAreaFraction) {
+            continue;
+        }
+        if (quadArea / hullArea < opts.minRectangularity) {
+            continue;
+        }
+
+        const corners = refineCorners(orderCorners(quad), pixels, width);
+        const { longSide, shortSide } = quadSideLengths(corners);
+        if (shortSide <= 0) {
+            continue;
+        }
+        const aspectRatio = longSide / shortSide;
+        const aspectError = Math.abs(aspectRatio / opts.expectedAspectRatio - 1);
+        if (aspectError > opts.aspectTolerance) {
+            continue;
+        }
+
+        const support = edgeSupport(corners, edges, width, height);
+        if (support < opts.minEdgeSupport) {
+            continue;
+        }
+
+        const score = support * (1 - aspectError / opts.aspectTolerance * 0.5);
+        if (!best || score > best.score) {
+            best = { corners, score, aspectRatio };
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    return {
+        corners: best.corners.map(p => ({ x: p.x / width, y: p.y / height })),
+        score: best.score,
+        aspectRatio: best.aspectRatio
+    };
+}
@@ -0,0 +1,235 @@
+// app/js/circleDetector.js
+
+// Locator for circular reference objects (coins) working on canvas pixel data (ImageData).
+// It shares the edge extraction of cardDetector.js; each edge component's convex hull is
+// then fitted with an ellipse (a tilted circle) from the hull's area moments, which the
+// embossing inside a coin does not disturb, and refined against the edge pixels. The
+// ellipse is reported as the four corners of its bounding rectangle along its axes, i.e.
+// the image of the square around the coin, so the measurement engine can treat it like a
+// card with equal sides.
+// It has no DOM dependencies beyond the ImageData shape ({ data, width, height }).
+
+import { toGrayscale, blur3x3, sobelEdges, connectedComponents, convexHull, orderCorners } from "./cardDetector.js";
+
+// Default detector options.
+export const DEFAULT_CIRCLE_DETECTOR_OPTIONS = {
+    minAreaFraction: 0.002, // Smallest ellipse area accepted, as a fraction of the frame area.
+    maxAreaFraction: 0.2, // Largest ellipse area accepted, as a fraction of the frame area.
+    minAxisRatio: 0.6, // Smallest minor/major axis ratio accepted (a strongly tilted coin is unreliable).
+    minEdgeMagnitude: 40, // Lower bound for the Sobel magnitude threshold.
+    minCircularity: 0.9, // Minimum ratio of hull area to fitted ellipse area (and vice versa).
+    minEdgeSupport: 0.6, // Minimum fraction of the ellipse outline lying on detected edges.
+    maxCandidates: 12 // Only the largest edge components are considered.
+};
+
+/**
+ * Fits an ellipse to a convex polygon with the same area moments (centroid and covariance).
+ * @param {Array<Object>} hull - Polygon vertices in order.
+ * @returns {Object|null} `{ cx, cy, a, b, angle, area }` with semi-axes `a >= b` and the major axis
+ *   angle in radians, or null for a degenerate polygon.
+ */
+function fitEllipseToPolygon(hull) {
+    let area = 0;
+    let sx = 0;
+    let sy = 0;
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    for (let i = 0; i < hull.length; i++) {
+        const p = hull[i];
+        const q = hull[(i + 1) % hull.length];
+        const c = p.x * q.y - q.x * p.y;
+        area += c;
+        sx += (p.x + q.x) * c;
+        sy += (p.y + q.y) * c;
+        sxx += (p.x * p.x + p.x * q.x + q.x * q.x) * c;
+        syy += (p.y * p.y + p.y * q.y + q.y * q.y) * c;
+        sxy += (p.x * q.y + 2 * p.x * p.y + 2 * q.x * q.y + q.x * p.y) * c;
+    }
+    area /= 2;
+    if (Math.abs(area) < 1e-9) {
+        return null;
+    }
+    const cx = sx / (6 * area);
+    const cy = sy / (6 * area);
+    // Central second moments per unit area.
+    const cxx = sxx / (12 * area) - cx * cx;
+    const cyy = syy / (12 * area) - cy * cy;
+    const cxy = sxy / (24 * area) - cx * cy;
+
+    // For a filled ellipse the covariance eigenvalues are a²/4 and b²/4.
+    const mean = (cxx + cyy) / 2;
+    const spread = Math.sqrt(((cxx - cyy) / 2) ** 2 + cxy * cxy);
+    const major = mean + spread;
+    const minor = mean - spread;
+    if (minor <= 0) {
+        return null;
+    }
+    return {
+        cx,
+        cy,
+        a: 2 * Math.sqrt(major),
+        b: 2 * Math.sqrt(minor),
+        angle: Math.atan2(2 * cxy, cxx - cyy) / 2,
+        area: Math.abs(area)
+    };
+}
+
+/**
+ * Scales an ellipse fitted to the convex hull so that it runs through the middle of the edge band.
+ * The hull follows the outer side of the edges, which makes a small coin noticeably too large.
+ * @param {Object} ellipse - The ellipse fitted to the hull.
+ * @param {Array<number>} pixels - Pixel indices of the component.
+ * @param {number} width - Frame width used to decode the indices.
+ * @returns {Object} The refined ellipse (unchanged if too few edge pixels lie near the outline).
+ */
+function refineEllipse(ellipse, pixels, width) {
+    const { cx, cy, a, b, angle } = ellipse;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    let sum = 0;
+    let count = 0;
+    for (const index of pixels) {
+        const x = index % width;
+        const y = (index - x) / width;
+        const u = (x - cx) * cos + (y - cy) * sin;
+        const v = -(x - cx) * sin + (y - cy) * cos;
+        // Normalized radius: 1 on the fitted ellipse. Embossing inside the coin is ignored.
+        const r = Math.hypot(u / a, v / b);
+        if (r > 0.8 && r < 1.2) {
+            sum += r;
+            count++;
+        }
+    }
+    if (count < 8) {
+        return ellipse;
+    }
+    const scale = sum / count;
+    return { ...ellipse, a: a * scale, b: b * scale };
+}
+
+/**
+ * Fraction of points sampled along the ellipse outline that fall on (or next to) an edge pixel.
+ * @param {Object} ellipse - The fitted ellipse.
+ * @param {Uint8Array} edges - Binary edge mask.
+ * @param {number} width - Mask width.
+ * @param {number} height - Mask height.
+ * @returns {number} Support between 0 and 1.
+ */
+function ellipseSupport(ellipse, edges, width, height) {
+    const { cx, cy, a, b, angle } = ellipse;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const samples = Math.max(Math.ceil(2 * Math.PI * a), 16);
+    let hits = 0;
+    for (let s = 0; s < samples; s++) {
+        const t = (2 * Math.PI * s) / samples;
+        const ex = a * Math.cos(t);
+        const ey = b * Math.sin(t);
+        const x = Math.round(cx + ex * cos - ey * sin);
+        const y = Math.round(cy + ex * sin + ey * cos);
+        let found = false;
+        for (let dy = -1; dy <= 1 && !found; dy++) {
+            for (let dx = -1; dx <= 1 && !found; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && nx < width && ny >= 0 && ny < height && edges[ny * width + nx]) {
+                    found = true;
+                }
+            }
+        }
+        if (found) {
+            hits++;
+        }
+    }
+    return hits / samples;
+}
+
+/**
+ * Corners of an ellipse's bounding rectangle along its axes.
+ * @param {Object} ellipse - The fitted ellipse.
+ * @returns {Array<Object>} Four corners, ordered clockwise from the top-left.
+ */
+function boundingCorners(ellipse) {
+    const { cx, cy, a, b, angle } = ellipse;
+    const ux = Math.cos(angle);
+    const uy = Math.sin(angle);
+    const corners = [[1, 1], [1, -1], [-1, -1], [-1, 1]].map(([i, j]) => ({
+        x: cx + i * a * ux - j * b * uy,
+        y: cy + i * a * uy + j * b * ux
+    }));
+    return orderCorners(corners);
+}
+
+/**
+ * Locates a coin (or any circular object) in a frame.
+ * @param {Object} imageData - An ImageData-like object ({ data, width, height }).
+ * @param {Object} [options] - Partial options overriding `DEFAULT_CIRCLE_DETECTOR_OPTIONS`.
+ * @returns {Object|null} `{ corners, score, aspectRatio, ellipse }` where `corners` are the normalized
+ *   (0-1) corners of the square around the coin as seen in the frame, ordered clockwise from the
+ *   top-left, `aspectRatio` is major/minor axis and `ellipse` is `{ cx, cy, a, b, angle }` in pixels
+ *   of the analysed frame, or null when no coin-like ellipse was found.
+ */
+export function locateCircle(imageData, options = {}) {
+    const opts = { ...DEFAULT_CIRCLE_DETECTOR_OPTIONS, ...options };
+    const { width, height } = imageData;
+    const frameArea = width * height;
+
+    const gray = blur3x3(toGrayscale(imageData), width, height);
+    const edges = sobelEdges(gray, width, height, opts.minEdgeMagnitude);
+
+    // A circle covering the minimum area has roughly this many edge pixels on its outline.
+    const minPixels = Math.max(Math.round(2 * Math.sqrt(Math.PI * opts.minAreaFraction * frameArea) * 0.5), 12);
+    const components = connectedComponents(edges, width, height, minPixels).slice(0, opts.maxCandidates);
+
+    let best = null;
+    for (const pixels of components) {
+        const hull = convexHull(pixels, width);
+        if (hull.length < 5) {
+            continue;
+        }
+        const hullEllipse = fitEllipseToPolygon(hull);
+        if (!hullEllipse) {
+            continue;
+        }
+
+        const ellipseArea = Math.PI * hullEllipse.a * hullEllipse.b;
+        const areaFraction = ellipseArea / frameArea;
+        if (areaFraction < opts.minAreaFraction || areaFraction > opts.maxAreaFraction) {
+            continue;
+        }
+        const axisRatio = hullEllipse.b / hullEllipse.a;
+        if (axisRatio < opts.minAxisRatio) {
+            continue;
+        }
+        // A hull that is not elliptical (e.g. a card corner) fills its moment ellipse poorly.
+        const circularity = Math.min(hullEllipse.area / ellipseArea, ellipseArea / hullEllipse.area);
+        if (circularity < opts.minCircularity) {
+            continue;
+        }
+
+        const ellipse = refineEllipse(hullEllipse, pixels, width);
+
+        const support = ellipseSupport(ellipse, edges, width, height);
+        if (support < opts.minEdgeSupport) {
+            continue;
+        }
+
+        const score = support * circularity;
+        if (!best || score > best.score) {
+            best = { ellipse, score, aspectRatio: 1 / axisRatio };
+        }
+    }
+
+    if (!best) {
+        return null;
+    }
+
+    const { cx, cy, a, b, angle } = best.ellipse;
+    return {
+        corners: boundingCorners(best.ellipse).map(p => ({ x: p.x / width, y: p.y / height })),
+        score: best.score,
+        aspectRatio: best.aspectRatio,
+        ellipse: { cx, cy, a, b, angle }
+    };
+}
@@ -0,0 +1,52 @@
+// app/js/detector.js
+
+// Hand and card detection on one frame. The same detector runs inside the inference
+// worker (inferenceWorker.js) and, when workers are unavailable, on the main thread.
+
+import { createHandLandmarker } from "./models.js";
+import { detectReferenceObject, getReferenceObject } from "./referenceObjects.js";
+import { readFramePixels } from "./framePixels.js";
+
+// Frames are downscaled to this width before the card locator runs on them.
+export const CARD_DETECTION_WIDTH = 320;
+
+/**
+ * Creates a detector with its own VIDEO mode HandLandmarker.
+ * @param {Object} [options] - `{ assetBase, onProgress }`: the asset base URL (see assetConfig.js)
+ *   and a callback for the model loading stages (see `createHandLandmarker`).
+ * @returns {Promise<Object>} `{ delegate, detect(frame, width, height, timestamp, referenceObjectId), close() }`
+ *   where `detect` returns `{ handResults, cardResult, timings }` for an ImageBitmap, video or canvas,
+ *   `cardResult` is the reference object (see referenceObjects.js) or null, and `timings` holds the
+ *   time each model took in milliseconds: `{ handMs, referenceMs }`.
+ */
+export async function createDetector(options = {}) {
+  let delegate = null;
+  const onProgress = progress => {
+    if (progress.stage === "ready") {
+      delegate = progress.delegate;
+    }
+    if (options.onProgress) {
+      options.onProgress(progress);
+    }
+  };
+  const handLandmarker = await createHandLandmarker("VIDEO", onProgress, { assetBase: options.assetBase });
+
+  // Canvas the card locator reads pixels from; off-screen in a worker.
+  const pixelCanvas = typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(1, 1) : null;
+
+  return {
+    delegate,
+    detect(frame, width, height, timestamp, referenceObjectId = null) {
+      const startedAt = performance.now();
+      const handResults = handLandmarker.detectForVideo(frame, timestamp);
+      const handDoneAt = performance.now();
+      const pixels = readFramePixels(frame, width, height, CARD_DETECTION_WIDTH, pixelCanvas);
+      const cardResult = detectReferenceObject(pixels, getReferenceObject(referenceObjectId));
+      const timings = { handMs: handDoneAt - startedAt, referenceMs: performance.now() - handDoneAt };
+      return { handResults, cardResult, timings };
+    },
+    close() {
+      handLandmarker.close();
+    }
+  };
+}
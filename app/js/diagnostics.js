@@ -0,0 +1,86 @@
+// app/js/diagnostics.js
+
+// Figures shown by the diagnostics panel (diagnosticsPanel.js): the render frame rate, the
+// inference time of each model, and what was detected in the latest frame. Like
+// frameScheduler.js this is a pure reducer: each function returns a new state.
+
+import { handednessOf, resolveEngineConfig } from "./measurementEngine.js";
+
+// Default diagnostics options.
+export const DEFAULT_DIAGNOSTICS_OPTIONS = {
+    fpsWindowMs: 1000, // The frame rate is counted over this much recent time.
+    smoothing: 0.2 // Weight of a new sample in the moving averages of the timings.
+};
+
+/**
+ * Creates a diagnostics state.
+ * @returns {Object} `{ renderTimes, fps, timings, detections }` where `timings` holds the averaged
+ *   `{ handMs, referenceMs, latencyMs }` and `detections` the result of `describeDetections`.
+ */
+export function createDiagnostics() {
+    return {
+        renderTimes: [],
+        fps: null,
+        timings: { handMs: null, referenceMs: null, latencyMs: null },
+        detections: null
+    };
+}
+
+/**
+ * Records a rendered frame and updates the frame rate.
+ * @param {Object} state - The diagnostics state.
+ * @param {number} now - Time of the frame in milliseconds.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_DIAGNOSTICS_OPTIONS`.
+ * @returns {Object} The new state.
+ */
+export function recordRender(state, now, options = {}) {
+    const opts = { ...DEFAULT_DIAGNOSTICS_OPTIONS, ...options };
+    const renderTimes = [...state.renderTimes.filter(time => now - time <= opts.fpsWindowMs), now];
+    const span = renderTimes[renderTimes.length - 1] - renderTimes[0];
+    const fps = renderTimes.length > 1 && span > 0 ? (renderTimes.length - 1) * 1000 / span : null;
+    return { ...state, renderTimes, fps };
+}
+
+/**
+ * Records the timings and results of a detected frame.
+ * @param {Object} state - The diagnostics state.
+ * @param {Object} timings - `{ handMs, referenceMs, latencyMs }`; missing values leave the averages unchanged.
+ * @param {Object} detections - The result of `describeDetections` for the frame.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_DIAGNOSTICS_OPTIONS`.
+ * @returns {Object} The new state.
+ */
+export function recordInference(state, timings, detections, options = {}) {
+    const opts = { ...DEFAULT_DIAGNOSTICS_OPTIONS, ...options };
+    const averaged = { ...state.timings };
+    for (const key of Object.keys(averaged)) {
+        const sample = timings[key];
+        if (Number.isFinite(sample)) {
+            averaged[key] = averaged[key] === null ? sample : averaged[key] + (sample - averaged[key]) * opts.smoothing;
+        }
+    }
+    return { ...state, timings: averaged, detections };
+}
+
+/**
+ * Summarizes what the detectors found in a frame.
+ * @param {Object|null} handResults - The results object from the HandLandmarker model.
+ * @param {Object|null} cardResult - The reference object located in the frame, or null.
+ * @param {number|null} pixelPerMm - The frame's scale from the measurement engine, or null.
+ * @param {Object} [config] - Partial engine configuration, for the handedness labels.
+ * @returns {Object} `{ hands, reference, pixelPerMm }` where `hands` lists `{ label, score }` for every
+ *   detected hand (label as seen by the user, null if unknown) and `reference` is `{ id, score }` or null.
+ */
+export function describeDetections(handResults, cardResult, pixelPerMm, config = {}) {
+    const resolved = resolveEngineConfig(config);
+    const count = handResults && handResults.landmarks ? handResults.landmarks.length : 0;
+    const hands = [];
+    for (let i = 0; i < count; i++) {
+        const handedness = handednessOf(handResults, i, resolved);
+        hands.push(handedness ? { label: handedness.label, score: handedness.score } : { label: null, score: null });
+    }
+    return {
+        hands,
+        reference: cardResult ? { id: cardResult.referenceObjectId || null, score: Number.isFinite(cardResult.score) ? cardResult.score : null } : null,
+        pixelPerMm
+    };
+}
@@ -0,0 +1,227 @@
+// app/js/diagnosticsPanel.js
+
+// Diagnostics panel for debugging a wrong size: the camera in use, the render frame rate, the
+// inference time of each model, the detection and handedness scores and the current scale of the live camera.
+// Its "Record frames" action saves the raw detector output of every detected frame as JSON
+// (see frameRecording.js), which can be run through the measurement engine offline.
+//
+// The "Diagnostics" button toggles the panel; `?diagnostics` in the page URL shows it from the start.
+// The live loop (handDetection.js) reports its frames here; while the panel is hidden and
+// nothing is recorded, that costs nothing.
+
+import { createDiagnostics, recordRender, recordInference, describeDetections } from "./diagnostics.js";
+import { createRecording, recordFrame, MAX_RECORDED_FRAMES } from "./frameRecording.js";
+import { currentEngineConfig } from "./measurement.js";
+import { downloadText } from "./exporters.js";
+
+// The figures change every frame; the panel is re-rendered at most this often.
+const PANEL_RENDER_INTERVAL_MS = 250;
+
+let diagnostics = createDiagnostics();
+let visible = false;
+let lastRenderAt = -Infinity;
+let inferenceSetup = null; // `{ mode, delegate }` of the inference client, once loaded.
+let cameraSetup = null; // `{ label, width, height }` of the open camera, or null.
+let recording = null; // The recording in progress (see frameRecording.js), or null.
+let recordingStartedAt = null; // Frame time of the recording's start, in milliseconds.
+
+// Panel elements.
+let container;
+let toggleButton;
+let recordButton;
+let fields = {}; // Field name -> element showing its value.
+
+/**
+ * Formats a number with a unit, or a dash when it is unknown.
+ * @param {number|null} value - The value.
+ * @param {string} unit - The unit, e.g. "ms".
+ * @param {number} [digits] - Decimal places.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value, unit, digits = 1) {
+  return Number.isFinite(value) ? `${value.toFixed(digits)} ${unit}` : "–";
+}
+
+/**
+ * Formats a detection score (0-1).
+ * @param {number|null} score - The score.
+ * @returns {string} The score with two decimals, or a dash when it is unknown.
+ */
+function formatScore(score) {
+  return Number.isFinite(score) ? score.toFixed(2) : "–";
+}
+
+/**
+ * Builds the panel into its container.
+ */
+function createPanel() {
+  container.innerHTML = "";
+  const card = document.createElement("div");
+  card.className = "card card-body small";
+
+  const list = document.createElement("dl");
+  list.className = "row mb-2";
+  for (const [name, label] of [
+    ["camera", "Camera"],
+    ["fps", "Render rate"],
+    ["inference", "Inference"],
+    ["hands", "Hands"],
+    ["reference", "Reference object"],
+    ["scale", "Scale"]
+  ]) {
+    const term = document.createElement("dt");
+    term.className = "col-5 col-sm-4";
+    term.innerText = label;
+    const value = document.createElement("dd");
+    value.className = "col-7 col-sm-8 mb-1 font-monospace";
+    list.append(term, value);
+    fields[name] = value;
+  }
+  card.appendChild(list);
+
+  const actions = document.createElement("div");
+  actions.className = "d-flex align-items-center gap-2";
+  recordButton = document.createElement("button");
+  recordButton.className = "btn btn-sm btn-outline-danger";
+  recordButton.addEventListener("click", () => (recording ? stopRecording() : startRecording()));
+  fields.recording = document.createElement("span");
+  fields.recording.className = "text-muted";
+  actions.append(recordButton, fields.recording);
+  card.appendChild(actions);
+
+  container.appendChild(card);
+  renderPanel();
+}
+
+/**
+ * Shows the current figures.
+ */
+function renderPanel() {
+  const { fps, timings, detections } = diagnostics;
+  fields.camera.innerText = cameraSetup ? `${cameraSetup.label || "unnamed"}, ${cameraSetup.width} × ${cameraSetup.height}` : "–";
+  fields.fps.innerText = formatValue(fps, "fps");
+
+  const where = inferenceSetup ? ` (${inferenceSetup.delegate || "?"}, ${inferenceSetup.mode === "worker" ? "worker" : "main thread"})` : "";
+  fields.inference.innerText = `hand ${formatValue(timings.handMs, "ms")}, reference ${formatValue(timings.referenceMs, "ms")}, `
+    + `round trip ${formatValue(timings.latencyMs, "ms")}${where}`;
+
+  if (!detections) {
+    fields.hands.innerText = "–";
+    fields.reference.innerText = "–";
+    fields.scale.innerText = "–";
+  } else {
+    fields.hands.innerText = detections.hands.length === 0
+      ? "none"
+      : detections.hands.map(({ label, score }) => `${label || "unknown"} ${formatScore(score)}`).join(", ");
+    fields.reference.innerText = detections.reference
+      ? `${detections.reference.id || "found"}, score ${formatScore(detections.reference.score)}`
+      : "not found";
+    fields.scale.innerText = formatValue(detections.pixelPerMm, "px/mm", 2);
+  }
+
+  recordButton.innerText = recording ? "Stop and save" : "Record frames";
+  fields.recording.innerText = recording ? `${recording.frames.length} / ${MAX_RECORDED_FRAMES} frames` : "";
+}
+
+/**
+ * Shows or hides the panel.
+ * @param {boolean} show - True to show it.
+ */
+function setVisible(show) {
+  visible = show;
+  container.classList.toggle("d-none", !show);
+  toggleButton.classList.toggle("active", show);
+  if (show) {
+    // Start counting afresh; frames rendered while hidden were not counted.
+    diagnostics = { ...createDiagnostics(), timings: diagnostics.timings };
+    renderPanel();
+  }
+}
+
+/**
+ * Starts recording the detected frames.
+ */
+function startRecording() {
+  recording = createRecording(currentEngineConfig());
+  recordingStartedAt = null;
+  renderPanel();
+}
+
+/**
+ * Stops recording and offers the frames as a JSON download.
+ */
+function stopRecording() {
+  const finished = recording;
+  recording = null;
+  renderPanel();
+  if (finished.frames.length === 0) {
+    return;
+  }
+  const time = finished.recordedAt.slice(0, 19).replace(/:/g, "-");
+  downloadText(`hand-measure-frames-${time}.json`, JSON.stringify(finished), "application/json");
+}
+
+/**
+ * Reports how the detectors run, once they are loaded.
+ * @param {Object} setup - `{ mode, delegate }` of the inference client (see inferenceClient.js).
+ */
+export function reportInferenceSetup({ mode, delegate }) {
+  inferenceSetup = { mode, delegate };
+}
+
+/**
+ * Reports the camera the live view opened, and the resolution it delivers.
+ * @param {Object} setup - `{ label, width, height }` of the camera's video track.
+ */
+export function reportCameraSetup({ label, width, height }) {
+  cameraSetup = { label, width, height };
+  if (visible) {
+    renderPanel();
+  }
+}
+
+/**
+ * Reports a frame drawn by the live loop, for the render rate.
+ * @param {number} now - Time of the frame in milliseconds.
+ */
+export function reportRenderedFrame(now) {
+  if (!visible) {
+    return;
+  }
+  diagnostics = recordRender(diagnostics, now);
+  if (now - lastRenderAt >= PANEL_RENDER_INTERVAL_MS) {
+    lastRenderAt = now;
+    renderPanel();
+  }
+}
+
+/**
+ * Reports a detected frame of the live loop: records it while recording, and updates the figures.
+ * @param {Object} frame - `{ timestamp, width, height, targetHand, handResults, cardResult, timings, pixelPerMm }`
+ *   where `timings` is `{ handMs, referenceMs, latencyMs }` and `targetHand` the hand being measured.
+ */
+export function reportDetectedFrame({ timestamp, width, height, targetHand, handResults, cardResult, timings, pixelPerMm }) {
+  if (recording) {
+    if (recordingStartedAt === null) {
+      recordingStartedAt = timestamp;
+    }
+    if (!recordFrame(recording, { t: timestamp - recordingStartedAt, width, height, targetHand, handResults, cardResult, timings })) {
+      // Full: save what was recorded.
+      stopRecording();
+    }
+  }
+  if (visible) {
+    diagnostics = recordInference(diagnostics, timings, describeDetections(handResults, cardResult, pixelPerMm));
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  container = document.getElementById("diagnosticsPanel");
+  toggleButton = document.getElementById("diagnosticsToggle");
+  if (!container || !toggleButton) {
+    return;
+  }
+  createPanel();
+  toggleButton.addEventListener("click", () => setVisible(!visible));
+  setVisible(new URLSearchParams(window.location.search).has("diagnostics"));
+});
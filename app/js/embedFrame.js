@@ -0,0 +1,191 @@
+// app/js/embedFrame.js
+
+// Iframe side of the embed protocol (see embedProtocol.js), used by embed.html.
+// Accepts configuration and commands from an allow-listed parent page, applies them to the
+// page's <hand-measure> element and reports the element's progress and result back.
+
+import "./handMeasureElement.js";
+import {
+    createMessage,
+    validateMessage,
+    isProtocolMessage,
+    isOriginAllowed,
+    toEmbedResult,
+    PARENT_MESSAGE_TYPES,
+    PROTOCOL_VERSION
+} from "./embedProtocol.js";
+import { DEFAULT_SESSION_OPTIONS } from "./captureSession.js";
+
+// Partner origins allowed to embed the measurer and receive its results.
+const ALLOWED_ORIGINS_URL = new URL("../data/embed-allowed-origins.json", import.meta.url).href;
+
+// Resolves to the allow-list; messages wait for it so that none are lost while it loads.
+let allowedOriginsPromise = Promise.resolve([]);
+// Origin of the parent page that messages are sent to (null until it is known and allowed).
+let parentOrigin = null;
+let element;
+// Last reported progress, so that progress is only sent when something changed.
+let lastProgressKey = null;
+
+/**
+ * Loads the allow-list of parent origins.
+ * @returns {Promise<Array<string>>} The allowed origins (empty if the list cannot be loaded).
+ */
+async function loadAllowedOrigins() {
+    try {
+        const response = await fetch(ALLOWED_ORIGINS_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const { origins } = await response.json();
+        return Array.isArray(origins) ? origins.filter(origin => typeof origin === "string") : [];
+    } catch (error) {
+        console.error("Could not load the embed origin allow-list:", error);
+        return [];
+    }
+}
+
+/**
+ * The origin of the embedding page as reported by the browser, if available.
+ * @returns {string|null} The origin, or null.
+ */
+function embeddingOrigin() {
+    if (window.location.ancestorOrigins && window.location.ancestorOrigins.length > 0) {
+        return window.location.ancestorOrigins[0];
+    }
+    try {
+        return document.referrer ? new URL(document.referrer).origin : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sends a protocol message to the parent page, if its origin is known and allowed.
+ * @param {string} type - The message type.
+ * @param {Object} payload - The payload.
+ * @param {string} [targetOrigin] - Origin to send to; defaults to the parent origin.
+ */
+function postToParent(type, payload, targetOrigin = parentOrigin) {
+    if (!targetOrigin) {
+        return;
+    }
+    window.parent.postMessage(createMessage(type, payload), targetOrigin);
+}
+
+/**
+ * Applies a `configure` payload to the <hand-measure> element.
+ * @param {Object} config - The validated payload.
+ */
+function applyConfiguration(config) {
+    if (config.sizeChart !== undefined) {
+        element.setAttribute("size-chart", config.sizeChart);
+    }
+    if (config.product !== undefined) {
+        element.removeAttribute("size-chart");
+        element.setAttribute("product", config.product);
+    }
+    if (config.locale !== undefined) {
+        element.setAttribute("locale", config.locale);
+        document.documentElement.lang = config.locale;
+    }
+    if (config.hand !== undefined) {
+        element.setAttribute("hand", config.hand);
+    }
+    if (config.theme !== undefined) {
+        if (config.theme.mode !== undefined) {
+            element.setAttribute("theme", config.theme.mode);
+            document.body.classList.toggle("dark", config.theme.mode === "dark");
+        }
+        if (config.theme.accentColor !== undefined) {
+            element.style.setProperty("--hm-accent", config.theme.accentColor);
+        }
+    }
+}
+
+/**
+ * Handles a message posted to the iframe.
+ * @param {MessageEvent} event - The message event.
+ */
+async function handleMessage(event) {
+    // Only the embedding page may control the measurer, and only from an allowed origin.
+    if (event.source !== window.parent || !isProtocolMessage(event.data)) {
+        return;
+    }
+    if (!isOriginAllowed(event.origin, await allowedOriginsPromise)) {
+        console.warn(`Ignoring embed message from origin ${event.origin}, which is not allow-listed.`);
+        return;
+    }
+
+    const errors = validateMessage(event.data, "toFrame");
+    if (errors.length > 0) {
+        postToParent("error", { code: "invalidMessage", message: errors.join(" ") }, event.origin);
+        return;
+    }
+
+    if (parentOrigin === null) {
+        // The browser did not tell us who embedded us; the first valid message from an allowed origin does.
+        parentOrigin = event.origin;
+        postToParent("ready", { version: PROTOCOL_VERSION, types: PARENT_MESSAGE_TYPES });
+    }
+
+    switch (event.data.type) {
+        case "configure":
+            applyConfiguration(event.data.payload);
+            break;
+        case "start":
+            element.start();
+            break;
+        case "stop":
+            element.stop();
+            break;
+        case "reset":
+            element.reset();
+            lastProgressKey = null;
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Forwards the element's events to the parent page.
+ */
+function forwardElementEvents() {
+    element.addEventListener("measurementupdate", event => {
+        const { hand, phase, samplesCollected } = event.detail;
+        const key = `${hand}:${phase}:${samplesCollected}`;
+        if (key === lastProgressKey) {
+            return;
+        }
+        lastProgressKey = key;
+        postToParent("progress", { hand, phase, samplesCollected, minSamples: DEFAULT_SESSION_OPTIONS.minSamples });
+    });
+    element.addEventListener("resultready", event => {
+        postToParent("result", { results: toEmbedResult(event.detail.results) });
+    });
+    element.addEventListener("error", event => {
+        if (event.target !== element) {
+            return;
+        }
+        postToParent("error", { code: event.detail.code, message: event.detail.message });
+    });
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+    element = document.querySelector("hand-measure");
+    if (!element || window.parent === window) {
+        // Not embedded: the page works on its own without the protocol.
+        return;
+    }
+    forwardElementEvents();
+
+    allowedOriginsPromise = loadAllowedOrigins();
+    window.addEventListener("message", handleMessage);
+
+    const origin = embeddingOrigin();
+    if (origin && isOriginAllowed(origin, await allowedOriginsPromise) && parentOrigin === null) {
+        parentOrigin = origin;
+        postToParent("ready", { version: PROTOCOL_VERSION, types: PARENT_MESSAGE_TYPES });
+    }
+});
@@ -0,0 +1,238 @@
+// app/js/embedProtocol.js
+
+// Versioned postMessage protocol between a partner page (the parent) and the measurer
+// running in an iframe (embed.html).
+//
+// Every message is an envelope `{ protocol, version, type, payload }`:
+//
+//   Parent -> iframe
+//     configure  { sizeChart?, product?, locale?, hand?, theme? }  Applies settings; may be sent again at any time.
+//     start      {}                                                 Starts the camera.
+//     stop       {}                                                 Stops the camera.
+//     reset      {}                                                 Discards samples and starts over.
+//
+//   Iframe -> parent
+//     ready      { version, types }                                 Sent once the iframe listens for messages.
+//     progress   { hand, phase, samplesCollected, minSamples }      Sent when the session phase or sample count changes.
+//     result     { results }                                        Final sizes per hand (see `toEmbedResult`).
+//     error      { code, message }                                  Camera, model, size chart or protocol failure.
+//
+// The module has no DOM access, so both sides (and tools) can use it.
+
+import { summarizeResults } from "./exporters.js";
+
+// Identifies our messages among everything else posted to a window.
+export const PROTOCOL_NAME = "madglove-hand-measure";
+// Bumped on incompatible changes; a receiver rejects envelopes with another version.
+export const PROTOCOL_VERSION = 1;
+
+// Message types by direction.
+export const PARENT_MESSAGE_TYPES = ["configure", "start", "stop", "reset"];
+export const FRAME_MESSAGE_TYPES = ["ready", "progress", "result", "error"];
+
+// Values accepted in a `configure` payload.
+const HAND_VALUES = ["right", "left", "both"];
+const THEME_MODES = ["light", "dark"];
+
+/**
+ * Checks whether a value is a plain object.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for non-null, non-array objects.
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validates the payload of a `configure` message.
+ * @param {Object} payload - The payload.
+ * @returns {Array<string>} Problems found.
+ */
+function validateConfigurePayload(payload) {
+    const errors = [];
+    const known = ["sizeChart", "product", "locale", "hand", "theme"];
+    for (const key of Object.keys(payload)) {
+        if (!known.includes(key)) {
+            errors.push(`configure: unknown field "${key}".`);
+        }
+    }
+    if (payload.sizeChart !== undefined) {
+        if (typeof payload.sizeChart !== "string" || !/^https:\/\/|^\/(?!\/)/.test(payload.sizeChart)) {
+            errors.push("configure: sizeChart must be an https URL or a path starting with /.");
+        }
+    }
+    if (payload.product !== undefined && (typeof payload.product !== "string" || !/^[a-z0-9-]+$/.test(payload.product))) {
+        errors.push("configure: product must be a product id (lowercase letters, digits and -).");
+    }
+    if (payload.locale !== undefined && (typeof payload.locale !== "string" || !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(payload.locale))) {
+        errors.push("configure: locale must be a language tag such as \"de\" or \"en-GB\".");
+    }
+    if (payload.hand !== undefined && !HAND_VALUES.includes(payload.hand)) {
+        errors.push(`configure: hand must be one of ${HAND_VALUES.join(", ")}.`);
+    }
+    if (payload.theme !== undefined) {
+        const theme = payload.theme;
+        if (!isPlainObject(theme)) {
+            errors.push("configure: theme must be an object.");
+        } else {
+            if (theme.mode !== undefined && !THEME_MODES.includes(theme.mode)) {
+                errors.push(`configure: theme.mode must be one of ${THEME_MODES.join(", ")}.`);
+            }
+            if (theme.accentColor !== undefined && (typeof theme.accentColor !== "string" || !/^#[0-9a-fA-F]{6}$/.test(theme.accentColor))) {
+                errors.push("configure: theme.accentColor must be a #rrggbb colour.");
+            }
+            for (const key of Object.keys(theme)) {
+                if (key !== "mode" && key !== "accentColor") {
+                    errors.push(`configure: unknown theme field "${key}".`);
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Validates the payload of a message sent by the iframe.
+ * @param {string} type - The message type.
+ * @param {Object} payload - The payload.
+ * @returns {Array<string>} Problems found.
+ */
+function validateFramePayload(type, payload) {
+    const errors = [];
+    switch (type) {
+        case "ready":
+            if (payload.version !== PROTOCOL_VERSION) {
+                errors.push("ready: version must match the protocol version.");
+            }
+            if (!Array.isArray(payload.types)) {
+                errors.push("ready: types must be an array.");
+            }
+            break;
+        case "progress":
+            if (typeof payload.hand !== "string" || typeof payload.phase !== "string") {
+                errors.push("progress: hand and phase must be strings.");
+            }
+            if (!Number.isInteger(payload.samplesCollected) || !Number.isInteger(payload.minSamples)) {
+                errors.push("progress: samplesCollected and minSamples must be integers.");
+            }
+            break;
+        case "result":
+            if (!isPlainObject(payload.results)) {
+                errors.push("result: results must be an object keyed by hand.");
+            }
+            break;
+        case "error":
+            if (typeof payload.code !== "string" || typeof payload.message !== "string") {
+                errors.push("error: code and message must be strings.");
+            }
+            break;
+        default:
+            break;
+    }
+    return errors;
+}
+
+/**
+ * Validates a received message against the protocol.
+ * @param {*} data - The `data` of a MessageEvent.
+ * @param {string} direction - "toFrame" for messages the iframe receives, "toParent" for the parent.
+ * @returns {Array<string>} A list of human-readable problems; empty when the message is valid.
+ */
+export function validateMessage(data, direction) {
+    if (!isPlainObject(data)) {
+        return ["Message must be an object."];
+    }
+    if (data.protocol !== PROTOCOL_NAME) {
+        return [`protocol must be "${PROTOCOL_NAME}".`];
+    }
+    if (data.version !== PROTOCOL_VERSION) {
+        return [`Unsupported protocol version ${JSON.stringify(data.version)}; expected ${PROTOCOL_VERSION}.`];
+    }
+    const types = direction === "toFrame" ? PARENT_MESSAGE_TYPES : FRAME_MESSAGE_TYPES;
+    if (!types.includes(data.type)) {
+        return [`type must be one of ${types.join(", ")}.`];
+    }
+    if (!isPlainObject(data.payload)) {
+        return ["payload must be an object."];
+    }
+    if (direction === "toFrame") {
+        return data.type === "configure" ? validateConfigurePayload(data.payload) : [];
+    }
+    return validateFramePayload(data.type, data.payload);
+}
+
+/**
+ * Whether a message claims to belong to this protocol, valid or not.
+ * Used to ignore unrelated messages silently while still reporting broken ones.
+ * @param {*} data - The `data` of a MessageEvent.
+ * @returns {boolean} True if the envelope names this protocol.
+ */
+export function isProtocolMessage(data) {
+    return isPlainObject(data) && data.protocol === PROTOCOL_NAME;
+}
+
+/**
+ * Builds a protocol message.
+ * @param {string} type - The message type.
+ * @param {Object} [payload] - The payload.
+ * @returns {Object} The envelope.
+ */
+export function createMessage(type, payload = {}) {
+    return { protocol: PROTOCOL_NAME, version: PROTOCOL_VERSION, type, payload };
+}
+
+/**
+ * Checks an origin against an allow-list. Entries are exact origins ("https://shop.example.com")
+ * or a wildcard for subdomains ("https://*.example.com", which does not match example.com itself).
+ * @param {string} origin - The origin to check, e.g. `event.origin`.
+ * @param {Array<string>} allowList - Allowed origins.
+ * @returns {boolean} True if the origin is allowed.
+ */
+export function isOriginAllowed(origin, allowList) {
+    if (typeof origin !== "string" || origin === "null") {
+        return false;
+    }
+    return allowList.some(entry => {
+        if (entry === origin) {
+            return true;
+        }
+        const wildcard = /^(https?):\/\/\*\.([^/*]+)$/.exec(entry);
+        if (!wildcard) {
+            return false;
+        }
+        const [, scheme, domain] = wildcard;
+        const prefix = `${scheme}://`;
+        if (!origin.startsWith(prefix) || !origin.endsWith(`.${domain}`)) {
+            return false;
+        }
+        // Only subdomain labels may precede the domain, not a path, port or anything else.
+        const subdomain = origin.slice(prefix.length, origin.length - domain.length - 1);
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(subdomain);
+    });
+}
+
+/**
+ * Builds the payload of the `result` message from the per-hand results: the summary of the
+ * JSON export (see `summarizeResults`) with each measurement cut down to what partners need.
+ * @param {Object} results - Per hand: `{ aggregate, recommendation }`.
+ * @returns {Object} Per hand: `{ size, confidence, betweenSizes, measurements }` with sizes as `{ id, label }`
+ *   and measurements as `{ [key]: { mm, ciHalfWidth, sampleCount } }`.
+ */
+export function toEmbedResult(results) {
+    const embedResult = {};
+    for (const [hand, summary] of Object.entries(summarizeResults(results))) {
+        const { size, confidence, betweenSizes } = summary;
+        const measurements = {};
+        for (const [key, column] of Object.entries(summary.measurements || {})) {
+            if (isPlainObject(column) && Number.isFinite(column.mm)) {
+                measurements[key] = {
+                    mm: column.mm,
+                    ciHalfWidth: Number.isFinite(column.ciHalfWidth) ? column.ciHalfWidth : null,
+                    sampleCount: column.sampleCount
+                };
+            }
+        }
+        embedResult[hand] = { size, confidence, betweenSizes, measurements };
+    }
+    return embedResult;
+}
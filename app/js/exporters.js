@@ -0,0 +1,214 @@
+// app/js/exporters.js
+
+// Export of the measurement history and results: the full per-frame history as CSV or
+// JSON, and a printable one-page fit report. The builders return plain strings and have
+// no DOM access; `downloadText` and `printFitReport` hand them to the browser.
+
+import { MEASUREMENT_LABELS } from "./sizeChart.js";
+
+// Version of the JSON export format, bumped when its structure changes.
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Column names of a set of history entries: every key that occurs in any entry, in first-seen order.
+ * @param {Array<Object>} entries - History entries.
+ * @returns {Array<string>} The column names.
+ */
+export function historyColumns(entries) {
+    const columns = [];
+    for (const entry of entries) {
+        for (const key of Object.keys(entry)) {
+            if (!columns.includes(key)) {
+                columns.push(key);
+            }
+        }
+    }
+    return columns;
+}
+
+/**
+ * Formats one CSV field, quoting it when it contains a separator, quote or line break.
+ * Missing values become empty fields; numbers keep their full precision.
+ * @param {*} value - The value.
+ * @returns {string} The CSV field.
+ */
+function csvField(value) {
+    if (value === null || value === undefined || (typeof value === "number" && !Number.isFinite(value))) {
+        return "";
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts history entries to CSV with a header row.
+ * @param {Array<Object>} entries - History entries (oldest first).
+ * @returns {string} The CSV text.
+ */
+export function historyToCsv(entries) {
+    const columns = historyColumns(entries);
+    const lines = [columns.map(csvField).join(",")];
+    for (const entry of entries) {
+        lines.push(columns.map(column => csvField(entry[column])).join(","));
+    }
+    return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Converts the history and the current results to a JSON document.
+ * @param {Array<Object>} entries - History entries (oldest first).
+ * @param {Object} results - Per hand ("Left"/"Right"): `{ aggregate, recommendation }` (hands without data omitted).
+ * @param {Object|null} sizeChart - The normalized size chart in use.
+ * @param {Date} [exportedAt] - Time of the export.
+ * @param {Object|null} [calibration] - The correction applied to each measurement key (see
+ *   `effectiveCalibration`), so the raw lengths can be recovered when fitting a new calibration.
+ * @returns {string} The JSON text.
+ */
+export function historyToJson(entries, results, sizeChart, exportedAt = new Date(), calibration = null) {
+    return JSON.stringify({
+        formatVersion: EXPORT_FORMAT_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        sizeChart: sizeChart ? { productId: sizeChart.productId, productName: sizeChart.productName || null } : null,
+        calibration,
+        results: summarizeResults(results),
+        samples: entries
+    }, (key, value) => (typeof value === "number" && !Number.isFinite(value) ? null : value), 2);
+}
+
+/**
+ * Reduces the per-hand results to plain data (size ids and labels instead of chart objects).
+ * @param {Object} results - Per hand: `{ aggregate, recommendation }`.
+ * @returns {Object} Per hand: `{ measurements, size, confidence, betweenSizes, reason }`.
+ */
+export function summarizeResults(results) {
+    const summary = {};
+    for (const [hand, { aggregate, recommendation }] of Object.entries(results)) {
+        const sizeName = size => (size ? { id: size.id, label: size.label } : null);
+        summary[hand] = {
+            measurements: aggregate,
+            size: recommendation ? sizeName(recommendation.size) : null,
+            confidence: recommendation ? recommendation.confidence : null,
+            betweenSizes: recommendation && recommendation.betweenSizes ? recommendation.betweenSizes.map(sizeName) : null,
+            reason: recommendation ? recommendation.reason : null
+        };
+    }
+    return summary;
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {*} value - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds the HTML of the one-page fit report.
+ * @param {Object} report - `{ results, snapshots, sizeChart, createdAt }` where `results` is keyed by
+ *   hand as for `historyToJson` and `snapshots` maps hands to image data URLs of their best frame.
+ * @returns {string} A complete HTML document.
+ */
+export function buildFitReportHtml({ results, snapshots = {}, sizeChart = null, createdAt = new Date() }) {
+    const product = sizeChart ? escapeHtml(sizeChart.productName || sizeChart.productId) : "No size chart";
+    const sections = Object.entries(results).map(([hand, { aggregate, recommendation }]) => {
+        const rows = Object.entries(MEASUREMENT_LABELS)
+            .filter(([key]) => aggregate && aggregate[key])
+            .map(([key, label]) => {
+                const column = aggregate[key];
+                const interval = Number.isFinite(column.ciHalfWidth) ? ` ± ${column.ciHalfWidth.toFixed(1)}` : "";
+                return `<tr><th>${escapeHtml(label)}</th><td>${column.mm.toFixed(1)}${interval} mm</td><td>${escapeHtml(column.size)}</td><td>${column.sampleCount}</td></tr>`;
+            })
+            .join("");
+        let size = "Not available";
+        if (recommendation) {
+            size = `${escapeHtml(recommendation.size.label)} (${Math.round(recommendation.confidence * 100)}% confidence)`;
+            if (recommendation.betweenSizes) {
+                const [smaller, larger] = recommendation.betweenSizes;
+                size += ` – between ${escapeHtml(smaller.label)} and ${escapeHtml(larger.label)}`;
+            }
+        }
+        const snapshot = snapshots[hand] ? `<img src="${snapshots[hand]}" alt="Best frame of the ${hand.toLowerCase()} hand">` : "";
+        return `
+<section>
+  <h2>${hand} hand</h2>
+  <p class="size">Recommended size: ${size}</p>
+  ${recommendation ? `<p class="reason">${escapeHtml(recommendation.reason)}</p>` : ""}
+  <table>
+    <tr><th>Measurement</th><th>Median</th><th>Size</th><th>Samples</th></tr>
+    ${rows}
+  </table>
+  ${snapshot}
+</section>`;
+    }).join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Fit report – ${product}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font-family: sans-serif; color: #222; }
+  h1 { font-size: 20pt; margin: 0 0 4pt; }
+  h2 { font-size: 14pt; margin: 12pt 0 4pt; }
+  .meta, .reason { color: #666; font-size: 9pt; }
+  .size { font-size: 13pt; font-weight: bold; }
+  section { break-inside: avoid; }
+  table { border-collapse: collapse; margin-bottom: 6pt; }
+  th, td { border: 1px solid #ccc; padding: 2pt 6pt; text-align: left; font-size: 10pt; }
+  img { max-width: 100%; max-height: 90mm; }
+</style>
+</head>
+<body>
+<h1>Madglove Assist – Fit report</h1>
+<p class="meta">${product} · ${escapeHtml(createdAt.toISOString())}</p>
+${sections || "<p>No measurements captured.</p>"}
+</body>
+</html>`;
+}
+
+/**
+ * Offers text to the user as a file download.
+ * @param {string} filename - Suggested file name.
+ * @param {string} text - File contents.
+ * @param {string} mimeType - MIME type of the contents.
+ */
+export function downloadText(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the download a moment to start before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Opens the fit report in a new window and shows the print dialog.
+ * @param {string} html - The report built by `buildFitReportHtml`.
+ * @returns {boolean} False if the window could not be opened (e.g. blocked as a popup).
+ */
+export function printFitReport(html) {
+    const reportWindow = window.open("", "_blank");
+    if (!reportWindow) {
+        return false;
+    }
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+    // Print once the snapshot images have loaded.
+    if (reportWindow.document.readyState === "complete") {
+        reportWindow.print();
+    } else {
+        reportWindow.addEventListener("load", () => reportWindow.print(), { once: true });
+    }
+    return true;
+}
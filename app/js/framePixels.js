@@ -0,0 +1,32 @@
+// app/js/framePixels.js
+
+// Reads pixels from a video, image or canvas so the card locator can run on them.
+// Frames are downscaled on a shared off-screen canvas to keep the JS edge detection fast.
+
+let frameCanvas;
+
+/**
+ * Draws a frame source, downscaled to at most `maxWidth` pixels wide, and returns its pixels.
+ * The aspect ratio is kept so normalized coordinates found in the pixels map back onto the source.
+ * @param {CanvasImageSource} source - A video element, image, ImageBitmap or canvas.
+ * @param {number} sourceWidth - Width of the source in pixels.
+ * @param {number} sourceHeight - Height of the source in pixels.
+ * @param {number} maxWidth - Maximum width of the returned pixel data.
+ * @param {HTMLCanvasElement} [canvas] - Canvas to draw on instead of the shared one
+ *   (the <hand-measure> element gives each instance its own).
+ * @returns {ImageData} The (downscaled) frame pixels.
+ */
+export function readFramePixels(source, sourceWidth, sourceHeight, maxWidth, canvas = null) {
+  if (!canvas && !frameCanvas) {
+    frameCanvas = document.createElement("canvas");
+  }
+  const target = canvas || frameCanvas;
+  const ctx = target.getContext("2d", { willReadFrequently: true });
+
+  const scale = Math.min(maxWidth / sourceWidth, 1);
+  target.width = Math.round(sourceWidth * scale);
+  target.height = Math.round(sourceHeight * scale);
+  ctx.drawImage(source, 0, 0, target.width, target.height);
+
+  return ctx.getImageData(0, 0, target.width, target.height);
+}
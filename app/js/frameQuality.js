@@ -0,0 +1,241 @@
+// app/js/frameQuality.js
+
+// Per-frame quality gates for the hand pose.
+// A frame only counts toward the result when the palm faces the camera, lies flat,
+// the fingers are extended and the hand is not moving. Rejected frames carry reason
+// codes so the UI can tell the user what to correct.
+//
+// MediaPipe landmarks are normalized: x and y are fractions of the frame, and z is depth
+// relative to the wrist on roughly the same scale as x. All checks below are ratios, so
+// they do not depend on how large the hand appears in the frame.
+
+// Reason codes for rejected frames.
+export const QUALITY_REASONS = {
+    NO_HAND: "noHand",
+    WRONG_HAND: "wrongHand",
+    UNKNOWN_HAND: "unknownHand",
+    PALM_NOT_FACING: "palmNotFacing",
+    BACK_OF_HAND: "backOfHand",
+    PALM_NOT_FLAT: "palmNotFlat",
+    FINGERS_NOT_EXTENDED: "fingersNotExtended",
+    HAND_MOVING: "handMoving",
+    REFERENCE_TOO_SMALL: "referenceTooSmall"
+};
+
+// User-facing hints for each reason code.
+export const QUALITY_REASON_MESSAGES = {
+    [QUALITY_REASONS.NO_HAND]: "No hand detected.",
+    [QUALITY_REASONS.WRONG_HAND]: "That is the other hand – show the hand being measured.",
+    [QUALITY_REASONS.UNKNOWN_HAND]: "Cannot tell which hand this is – show your whole hand.",
+    [QUALITY_REASONS.PALM_NOT_FACING]: "Turn your palm towards the camera.",
+    [QUALITY_REASONS.BACK_OF_HAND]: "Turn your hand over so that the palm faces the camera.",
+    [QUALITY_REASONS.PALM_NOT_FLAT]: "Lay your hand flat.",
+    [QUALITY_REASONS.FINGERS_NOT_EXTENDED]: "Straighten your fingers.",
+    [QUALITY_REASONS.HAND_MOVING]: "Hold your hand still.",
+    [QUALITY_REASONS.REFERENCE_TOO_SMALL]: "Move closer to the camera – the coin is too small in the picture to measure precisely."
+};
+
+// Default quality thresholds.
+export const DEFAULT_QUALITY_OPTIONS = {
+    maxPalmTiltDegrees: 30, // Maximum angle between the palm normal and the camera axis.
+    maxPalmDepthDeviation: 0.12, // Maximum out-of-plane deviation of palm landmarks, relative to palm width.
+    minFingerStraightness: 0.9, // Minimum ratio of MCP-to-tip distance over the summed finger segments.
+    maxMotion: 0.04 // Maximum mean landmark displacement between processed frames, relative to palm width.
+};
+
+// Finger chains from MCP (or thumb CMC) to tip.
+const FINGER_CHAINS = [
+    [1, 2, 3, 4], // Thumb
+    [5, 6, 7, 8], // Index finger
+    [9, 10, 11, 12], // Middle finger
+    [13, 14, 15, 16], // Ring finger
+    [17, 18, 19, 20] // Pinky finger
+];
+
+// Landmarks that span the palm: wrist and the four finger MCPs.
+const PALM_POINTS = [0, 5, 9, 13, 17];
+
+/**
+ * Difference of two 3D points (a missing z counts as 0).
+ * @param {Object} a - First point.
+ * @param {Object} b - Second point.
+ * @returns {Object} The vector a - b.
+ */
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+}
+
+/**
+ * Cross product of two 3D vectors.
+ * @param {Object} a - First vector.
+ * @param {Object} b - Second vector.
+ * @returns {Object} The vector a x b.
+ */
+function crossProduct(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+/**
+ * Dot product of two 3D vectors.
+ * @param {Object} a - First vector.
+ * @param {Object} b - Second vector.
+ * @returns {number} The dot product.
+ */
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+/**
+ * Length of a 3D vector.
+ * @param {Object} a - The vector.
+ * @returns {number} Its length.
+ */
+function length(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+/**
+ * Angle in degrees between the palm's normal and the camera axis.
+ * The palm plane is spanned by the wrist (0), index MCP (5) and pinky MCP (17).
+ * @param {Array<Object>} landmarks - The 21 hand landmarks.
+ * @returns {number} The tilt angle; 0 means the palm faces the camera squarely.
+ */
+export function palmTiltDegrees(landmarks) {
+    const normal = crossProduct(subtract(landmarks[5], landmarks[0]), subtract(landmarks[17], landmarks[0]));
+    const magnitude = length(normal);
+    if (magnitude === 0) {
+        return 90;
+    }
+    return Math.acos(Math.min(Math.abs(normal.z) / magnitude, 1)) * 180 / Math.PI;
+}
+
+/**
+ * Whether the camera sees the palm rather than the back of the hand.
+ * Seen from the palm side, the wrist, index MCP and pinky MCP (0 -> 5 -> 17) run counter-clockwise
+ * in the image for a right hand and clockwise for a left hand. Seen from the back, or in a
+ * mirrored image, the winding flips.
+ * @param {Array<Object>} landmarks - The 21 hand landmarks.
+ * @param {string} handedness - The hand as seen by the user, "Left" or "Right".
+ * @param {boolean} [mirrored] - Whether the image is mirrored (selfie view).
+ * @returns {boolean|null} True if the palm faces the camera, or null if the hand is seen edge-on.
+ */
+export function isPalmFacing(landmarks, handedness, mirrored = false) {
+    const normal = crossProduct(subtract(landmarks[5], landmarks[0]), subtract(landmarks[17], landmarks[0]));
+    if (normal.z === 0) {
+        return null;
+    }
+    // x and y grow to the right and down, so a counter-clockwise winding has a negative z.
+    const counterClockwise = normal.z < 0;
+    return counterClockwise === ((handedness === "Right") !== mirrored);
+}
+
+/**
+ * Largest distance of a palm landmark from the palm plane, relative to the palm width.
+ * A cupped or bent hand lifts the middle and ring MCPs out of the wrist/index/pinky plane.
+ * @param {Array<Object>} landmarks - The 21 hand landmarks.
+ * @returns {number} The relative deviation (0 for a perfectly flat palm).
+ */
+export function palmDepthDeviation(landmarks) {
+    const origin = landmarks[0];
+    const normal = crossProduct(subtract(landmarks[5], origin), subtract(landmarks[17], origin));
+    const magnitude = length(normal);
+    const palmWidth = length(subtract(landmarks[17], landmarks[5]));
+    if (magnitude === 0 || palmWidth === 0) {
+        return Infinity;
+    }
+    let maxDeviation = 0;
+    for (const index of PALM_POINTS) {
+        const deviation = Math.abs(dot(subtract(landmarks[index], origin), normal)) / magnitude;
+        maxDeviation = Math.max(maxDeviation, deviation);
+    }
+    return maxDeviation / palmWidth;
+}
+
+/**
+ * Straightness of the least straight finger: 1 means fully extended.
+ * @param {Array<Object>} landmarks - The 21 hand landmarks.
+ * @returns {number} The minimum straightness ratio over all fingers.
+ */
+export function minFingerStraightness(landmarks) {
+    let minimum = 1;
+    for (const chain of FINGER_CHAINS) {
+        let pathLength = 0;
+        for (let i = 1; i < chain.length; i++) {
+            pathLength += length(subtract(landmarks[chain[i]], landmarks[chain[i - 1]]));
+        }
+        const direct = length(subtract(landmarks[chain[chain.length - 1]], landmarks[chain[0]]));
+        if (pathLength > 0) {
+            minimum = Math.min(minimum, direct / pathLength);
+        }
+    }
+    return minimum;
+}
+
+/**
+ * Mean 2D landmark displacement between two frames, relative to the palm width.
+ * @param {Array<Object>} landmarks - The current landmarks.
+ * @param {Array<Object>|null} previousLandmarks - The landmarks of the previous processed frame.
+ * @returns {number} The relative motion (0 when there is no previous frame).
+ */
+export function landmarkMotion(landmarks, previousLandmarks) {
+    if (!previousLandmarks || previousLandmarks.length !== landmarks.length) {
+        return 0;
+    }
+    const palmWidth = Math.hypot(landmarks[17].x - landmarks[5].x, landmarks[17].y - landmarks[5].y);
+    if (palmWidth === 0) {
+        return Infinity;
+    }
+    let total = 0;
+    for (let i = 0; i < landmarks.length; i++) {
+        total += Math.hypot(landmarks[i].x - previousLandmarks[i].x, landmarks[i].y - previousLandmarks[i].y);
+    }
+    return total / landmarks.length / palmWidth;
+}
+
+/**
+ * Evaluates whether a frame's hand pose is good enough to measure.
+ * @param {Array<Object>|null} landmarks - The 21 landmarks of the measured hand, or null.
+ * @param {Array<Object>|null} previousLandmarks - The same hand's landmarks in the previous processed frame.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_QUALITY_OPTIONS`.
+ * @param {Object|null} [hand] - `{ handedness, mirrored }`: the hand as seen by the user and whether the
+ *   image is mirrored, to tell the palm from the back of the hand (see `isPalmFacing`); null skips that check.
+ * @returns {Object} `{ accepted, reasons, metrics }` where `reasons` lists `QUALITY_REASONS` codes
+ *   (empty when accepted) and `metrics` holds the measured values behind each check.
+ */
+export function evaluateFrameQuality(landmarks, previousLandmarks, options = {}, hand = null) {
+    const opts = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+    if (!landmarks || landmarks.length < 21) {
+        return { accepted: false, reasons: [QUALITY_REASONS.NO_HAND], metrics: null };
+    }
+
+    const metrics = {
+        palmTiltDegrees: palmTiltDegrees(landmarks),
+        palmFacing: hand ? isPalmFacing(landmarks, hand.handedness, hand.mirrored) : null,
+        palmDepthDeviation: palmDepthDeviation(landmarks),
+        fingerStraightness: minFingerStraightness(landmarks),
+        motion: landmarkMotion(landmarks, previousLandmarks)
+    };
+
+    const reasons = [];
+    // The tilt ignores which side of the hand faces the camera; a flat hand may still show its back.
+    if (metrics.palmTiltDegrees > opts.maxPalmTiltDegrees) {
+        reasons.push(QUALITY_REASONS.PALM_NOT_FACING);
+    } else if (metrics.palmFacing === false) {
+        reasons.push(QUALITY_REASONS.BACK_OF_HAND);
+    }
+    if (metrics.palmDepthDeviation > opts.maxPalmDepthDeviation) {
+        reasons.push(QUALITY_REASONS.PALM_NOT_FLAT);
+    }
+    if (metrics.fingerStraightness < opts.minFingerStraightness) {
+        reasons.push(QUALITY_REASONS.FINGERS_NOT_EXTENDED);
+    }
+    if (metrics.motion > opts.maxMotion) {
+        reasons.push(QUALITY_REASONS.HAND_MOVING);
+    }
+
+    return { accepted: reasons.length === 0, reasons, metrics };
+}
@@ -0,0 +1,185 @@
+// app/js/frameRecording.js
+
+// Recordings of the raw detector output of the live camera, made with the diagnostics panel
+// (diagnosticsPanel.js) when a customer's measurement has to be debugged. A recording holds
+// everything the measurement engine needs to reproduce the session offline, without the
+// camera or MediaPipe: `replayRecording` runs it through `computeFrameMeasurement` again,
+// in the browser or in Node (see tools/replay-recording.mjs).
+//
+// Format (JSON):
+// {
+//   "format": "hand-measure-frames",
+//   "formatVersion": 1,
+//   "recordedAt": "2026-01-01T00:00:00.000Z",
+//   "engineConfig": { "cardLongSideMm": 85.6, "cardShortSideMm": 53.98, "calibration": null, "sizeChart": { ... } },
+//   "frames": [
+//     {
+//       "t": 0,                  Milliseconds since recording started.
+//       "width": 640, "height": 480,
+//       "targetHand": "Right",  The hand being measured (null for any hand).
+//       "handResults": { "landmarks": [[{ "x", "y", "z" }, ...]], "handedness": [[{ "categoryName", "score" }]] },
+//       "cardResult": { "corners": [{ "x", "y" }, ...], "score", "referenceObjectId", ... } or null,
+//       "timings": { "handMs", "referenceMs", "latencyMs" }
+//     }
+//   ]
+// }
+// `engineConfig` is the partial engine configuration (see `DEFAULT_ENGINE_CONFIG`) the app used;
+// only the frames' target hand changes during a session. MediaPipe's world landmarks are not
+// recorded, since the engine does not use them.
+
+import { computeFrameMeasurement, aggregateMeasurements, HANDS } from "./measurementEngine.js";
+
+// Identifies a frame recording and its version, bumped when the structure changes.
+export const RECORDING_FORMAT = "hand-measure-frames";
+export const RECORDING_FORMAT_VERSION = 1;
+
+// Recording stops after this many frames (about a minute at 30 detections per second),
+// which keeps the file at a few megabytes.
+export const MAX_RECORDED_FRAMES = 2000;
+
+/**
+ * Copies the parts of MediaPipe hand results the engine reads into plain JSON objects.
+ * @param {Object|null} handResults - The results object from the HandLandmarker model.
+ * @returns {Object} `{ landmarks, handedness }`.
+ */
+export function toPlainHandResults(handResults) {
+    const handedness = handResults ? handResults.handedness || handResults.handednesses || [] : [];
+    return {
+        landmarks: handResults && handResults.landmarks
+            ? handResults.landmarks.map(hand => hand.map(({ x, y, z }) => ({ x, y, z })))
+            : [],
+        handedness: handedness.map(categories => categories.map(({ categoryName, score }) => ({ categoryName, score })))
+    };
+}
+
+/**
+ * Starts an empty recording.
+ * @param {Object} engineConfig - The partial engine configuration in use.
+ * @param {Date} [now] - Time the recording starts.
+ * @returns {Object} The recording.
+ */
+export function createRecording(engineConfig, now = new Date()) {
+    // The target hand is recorded per frame.
+    const { targetHand, ...config } = engineConfig;
+    return {
+        format: RECORDING_FORMAT,
+        formatVersion: RECORDING_FORMAT_VERSION,
+        recordedAt: now.toISOString(),
+        engineConfig: config,
+        frames: []
+    };
+}
+
+/**
+ * Adds a detected frame to a recording (in place, the recording can grow long).
+ * @param {Object} recording - The recording.
+ * @param {Object} frame - `{ t, width, height, targetHand, handResults, cardResult, timings }` where
+ *   `t` is the frame time in milliseconds since recording started.
+ * @returns {boolean} False if the recording is full and the frame was not added.
+ */
+export function recordFrame(recording, { t, width, height, targetHand = null, handResults, cardResult, timings = null }) {
+    if (recording.frames.length >= MAX_RECORDED_FRAMES) {
+        return false;
+    }
+    recording.frames.push({
+        t: Math.round(t * 10) / 10,
+        width,
+        height,
+        targetHand,
+        handResults: toPlainHandResults(handResults),
+        cardResult: cardResult ? JSON.parse(JSON.stringify(cardResult)) : null,
+        timings
+    });
+    return true;
+}
+
+/**
+ * Validates a recording.
+ * @param {Object} recording - The parsed recording JSON.
+ * @returns {Array<string>} A list of human-readable problems; empty when the recording is valid.
+ */
+export function validateRecording(recording) {
+    const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+    if (!isObject(recording) || recording.format !== RECORDING_FORMAT) {
+        return [`Not a frame recording (format must be "${RECORDING_FORMAT}").`];
+    }
+    const errors = [];
+    if (recording.formatVersion !== RECORDING_FORMAT_VERSION) {
+        errors.push(`Unsupported recording version ${recording.formatVersion} (expected ${RECORDING_FORMAT_VERSION}).`);
+    }
+    if (!isObject(recording.engineConfig)) {
+        errors.push("engineConfig must be an object.");
+    }
+    if (!Array.isArray(recording.frames)) {
+        errors.push("frames must be an array.");
+        return errors;
+    }
+    recording.frames.forEach((frame, i) => {
+        if (!isObject(frame) || !Number.isFinite(frame.t) || !(frame.width > 0) || !(frame.height > 0)) {
+            errors.push(`frames[${i}] needs a time and a positive width and height.`);
+        } else if (!isObject(frame.handResults) || !Array.isArray(frame.handResults.landmarks)) {
+            errors.push(`frames[${i}].handResults.landmarks must be an array.`);
+        } else if (frame.targetHand !== null && !HANDS.includes(frame.targetHand)) {
+            errors.push(`frames[${i}].targetHand must be "Left", "Right" or null.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Restores the open band ends of a recorded size chart. JSON has no Infinity, so the open ends
+ * of the normalized chart (see `normalizeSizeChart`) were saved as null.
+ * @param {Object|null} chart - The recorded size chart.
+ * @returns {Object|null} The chart with null band ends as -Infinity and Infinity.
+ */
+function restoreSizeChart(chart) {
+    if (!chart || !Array.isArray(chart.sizes)) {
+        return chart;
+    }
+    return {
+        ...chart,
+        sizes: chart.sizes.map(size => {
+            const bands = {};
+            for (const [key, band] of Object.entries(size.bands || {})) {
+                bands[key] = { min: band.min === null ? -Infinity : band.min, max: band.max === null ? Infinity : band.max };
+            }
+            return { ...size, bands };
+        })
+    };
+}
+
+/**
+ * Runs a recording through the measurement engine, as the live camera did.
+ * @param {Object} recording - A valid recording.
+ * @param {Object} [config] - Partial engine configuration overriding the recorded one, e.g. to try
+ *   another calibration on the same frames.
+ * @returns {Object} `{ frames, samples, aggregates }`: the engine's result for every frame, the
+ *   accepted measurements per hand, and their aggregate per hand (see `aggregateMeasurements`).
+ *   Unlike the app, every accepted frame counts: the capture session's phases are not replayed.
+ */
+export function replayRecording(recording, config = {}) {
+    const engineConfig = { ...recording.engineConfig, sizeChart: restoreSizeChart(recording.engineConfig.sizeChart || null), ...config };
+    const frames = [];
+    const samples = { Left: [], Right: [] };
+    let previousLandmarks = null;
+    let previousTarget;
+    for (const recorded of recording.frames) {
+        // The stillness check starts over when the app moves on to the other hand.
+        if (recorded.targetHand !== previousTarget) {
+            previousLandmarks = null;
+            previousTarget = recorded.targetHand;
+        }
+        const frame = computeFrameMeasurement(recorded.handResults, recorded.cardResult, recorded.width, recorded.height,
+            { ...engineConfig, targetHand: recorded.targetHand }, previousLandmarks);
+        previousLandmarks = frame.hand ? frame.hand.landmarks : null;
+        if (frame.measurement) {
+            samples[frame.measurement.handedness].push(frame.measurement);
+        }
+        frames.push(frame);
+    }
+    const aggregates = {};
+    for (const hand of HANDS) {
+        aggregates[hand] = samples[hand].length > 0 ? aggregateMeasurements(samples[hand], engineConfig) : null;
+    }
+    return { frames, samples, aggregates };
+}
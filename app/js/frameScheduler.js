@@ -0,0 +1,94 @@
+// app/js/frameScheduler.js
+
+// Adaptive frame skipping for the live camera loop. Instead of a fixed skip interval, the
+// scheduler tracks how long inference takes and how often new video frames arrive, and
+// only sends every n-th frame to the detectors, with n chosen so that inference keeps up
+// with the camera on slow machines and runs on every frame on fast ones.
+// Like captureSession.js this is a pure reducer: each function returns a new state.
+
+// Default scheduler options.
+export const DEFAULT_FRAME_SCHEDULER_OPTIONS = {
+    minSkipInterval: 1, // Process every frame when inference is fast enough.
+    maxSkipInterval: 8, // Never skip more than this many frames, however slow inference is.
+    initialSkipInterval: 2, // Used until the first latency has been measured.
+    targetLoad: 0.8, // Fraction of the time between processed frames that inference may take.
+    smoothing: 0.2 // Weight of a new sample in the exponential moving averages.
+};
+
+/**
+ * Creates a scheduler state.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_FRAME_SCHEDULER_OPTIONS`.
+ * @returns {Object} `{ frameCount, skipInterval, latencyMs, frameIntervalMs, lastFrameAt }`.
+ */
+export function createFrameScheduler(options = {}) {
+    const opts = { ...DEFAULT_FRAME_SCHEDULER_OPTIONS, ...options };
+    return {
+        frameCount: 0,
+        skipInterval: opts.initialSkipInterval,
+        latencyMs: null,
+        frameIntervalMs: null,
+        lastFrameAt: null
+    };
+}
+
+/**
+ * Exponential moving average update.
+ * @param {number|null} average - The current average, or null before the first sample.
+ * @param {number} sample - The new sample.
+ * @param {number} smoothing - Weight of the new sample.
+ * @returns {number} The new average.
+ */
+function movingAverage(average, sample, smoothing) {
+    return average === null ? sample : average + (sample - average) * smoothing;
+}
+
+/**
+ * Picks the skip interval for the measured latency and frame interval.
+ * @param {Object} state - The scheduler state.
+ * @param {Object} opts - Resolved options.
+ * @returns {number} The skip interval.
+ */
+function skipIntervalFor(state, opts) {
+    if (state.latencyMs === null || state.frameIntervalMs === null || state.frameIntervalMs <= 0) {
+        return state.skipInterval;
+    }
+    const needed = Math.ceil(state.latencyMs / (state.frameIntervalMs * opts.targetLoad));
+    return Math.min(Math.max(needed, opts.minSkipInterval), opts.maxSkipInterval);
+}
+
+/**
+ * Records the arrival of a new video frame.
+ * @param {Object} state - The scheduler state.
+ * @param {number} now - Arrival time in milliseconds.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_FRAME_SCHEDULER_OPTIONS`.
+ * @returns {Object} The new state.
+ */
+export function advanceFrame(state, now, options = {}) {
+    const opts = { ...DEFAULT_FRAME_SCHEDULER_OPTIONS, ...options };
+    const frameIntervalMs = state.lastFrameAt === null
+        ? state.frameIntervalMs
+        : movingAverage(state.frameIntervalMs, now - state.lastFrameAt, opts.smoothing);
+    return { ...state, frameCount: state.frameCount + 1, frameIntervalMs, lastFrameAt: now };
+}
+
+/**
+ * Whether the current frame should be sent to the detectors.
+ * @param {Object} state - The scheduler state (after `advanceFrame`).
+ * @returns {boolean} True for every `skipInterval`-th frame.
+ */
+export function shouldProcessFrame(state) {
+    return state.frameCount % state.skipInterval === 0;
+}
+
+/**
+ * Records how long inference on a frame took and adapts the skip interval.
+ * @param {Object} state - The scheduler state.
+ * @param {number} latencyMs - Time from sending the frame to receiving its result.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_FRAME_SCHEDULER_OPTIONS`.
+ * @returns {Object} The new state.
+ */
+export function recordLatency(state, latencyMs, options = {}) {
+    const opts = { ...DEFAULT_FRAME_SCHEDULER_OPTIONS, ...options };
+    const next = { ...state, latencyMs: movingAverage(state.latencyMs, latencyMs, opts.smoothing) };
+    return { ...next, skipInterval: skipIntervalFor(next, opts) };
+}
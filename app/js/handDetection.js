@@ -1,85 +1,102 @@
 // app/js/handDetection.js
 
-import {
-  HandLandmarker,
-  FilesetResolver,
-  ObjectDetector
-} from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest";
-
 // Import the measurement update function from the new file
-import { updateMeasurementDisplays } from "./measurement.js";
-
-// Hand connections for drawing landmarks on the canvas.
-const HAND_CONNECTIONS = [
-  [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
-  [0, 5], [5, 6], [6, 7], [7, 8], // Index finger
-  [5, 9], [9, 10], [10, 11], [11, 12], // Middle finger
-  [9, 13], [13, 14], [14, 15], [15, 16], // Ring finger
-  [13, 17], [17, 18], [18, 19], [19, 20], // Pinky finger
-  [0, 17] // Palm base connection
-];
-
-// Global variables for MediaPipe models and application state.
-let handLandmarker;
-let objectDetector;
-let runningMode = "VIDEO"; // Set MediaPipe running mode to video for continuous detection.
+import { updateMeasurementDisplays, currentReferenceObject, currentHand } from "./measurement.js";
+import { displayMessageBox } from "./messageBox.js";
+import { createInferenceClient } from "./inferenceClient.js";
+import { drawDetections, drawMeasurementOverlay, overlayView } from "./overlay.js";
+import { renderModelStatus } from "./modelStatus.js";
+import { createFrameScheduler, advanceFrame, shouldProcessFrame, recordLatency } from "./frameScheduler.js";
+import { reportInferenceSetup, reportCameraSetup, reportRenderedFrame, reportDetectedFrame } from "./diagnosticsPanel.js";
+import {
+  RESOLUTIONS,
+  FACING_MODES,
+  loadCameraPreferences,
+  saveCameraPreferences,
+  chooseCamera,
+  videoConstraints
+} from "./cameraSettings.js";
+
+// Global variables for the detectors and application state.
+let inference; // Runs hand and card detection, in a worker when possible (see inferenceClient.js).
+let inferenceInFlight = false; // True while a frame is being detected; frames arriving meanwhile are only drawn.
 let enableCamButton; // Reference to the main "Enable/Disable Camera" button.
 let cameraSelect; // Reference to the camera selection dropdown.
+let resolutionSelect; // Reference to the resolution dropdown.
+let facingModeSelect; // Reference to the front/back camera dropdown, shown when there are several cameras.
+let cameraControlsReady = false; // True once the model is loaded; until then the camera controls stay disabled.
 let webcamRunning = false; // Boolean to track if the webcam is active.
 let video; // Reference to the video HTML element.
 let canvasElement; // Reference to the canvas HTML element.
 let canvasCtx; // 2D rendering context of the canvas.
 let lastVideoTime = -1; // Stores the last video timestamp to prevent redundant processing.
 let handResults = undefined; // Stores the latest hand detection results.
-let objectResults = undefined; // Stores the latest object detection results.
+let cardResult = null; // Stores the latest card detection result (normalized corners), or null.
+let measuredFrame = null; // The measurement engine's result for the latest detected frame, drawn by the overlay.
 let currentStream; // Stores the current MediaStream from the webcam.
-let selectedDeviceId; // Stores the device ID of the currently selected camera.
+let animationFrame = null; // Id of the scheduled `predictWebcam` call.
+// The selected camera, resolution and camera side, remembered across reloads (see cameraSettings.js).
+let cameraPreferences = loadCameraPreferences();
 
-// Variables to track last detected states for console output, preventing spam.
-let lastHandDetectedState = false;
-let lastCellPhoneDetectedState = false;
+// User-facing explanations of `getUserMedia` failures, by error name.
+const CAMERA_ERROR_MESSAGES = {
+  NotAllowedError: "Camera access was denied. Please allow camera access for this page in the browser settings.",
+  NotFoundError: "No camera was found. Please connect a camera.",
+  NotReadableError: "The camera is in use by another application. Please close it and try again.",
+  OverconstrainedError: "The selected camera is not available. Please select another camera."
+};
 
-// Global variable for frame skipping to optimize performance.
-let frameCount = 0;
-const frameSkipInterval = 2; // Process every 2nd frame (adjust for more/less smooth detection).
+// Frame skipping adapts to how long inference takes (see frameScheduler.js).
+let frameScheduler = createFrameScheduler();
 
 /**
- * Initializes the MediaPipe HandLandmarker and ObjectDetector models.
+ * Loads the hand and card detectors, reporting each loading stage in the status alert.
  * This function is asynchronous as model loading can take time.
+ * @returns {Promise<boolean>} True if the model loaded.
  */
 async function initModels() {
-  // Resolve the necessary WASM files for MediaPipe tasks.
-  const vision = await FilesetResolver.forVisionTasks(
-    "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm"
-  );
-
-  // Initialize HandLandmarker with specified options.
-  handLandmarker = await HandLandmarker.createFromOptions(vision, {
-    baseOptions: {
-      modelAssetPath: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-      delegate: "GPU" // Use GPU for faster inference if available.
-    },
-    runningMode: runningMode, // Set to "VIDEO" for live stream processing.
-    numHands: 1, // Detects a maximum of 1 hand.
-    minDetectionConfidence: 0.7, // Minimum confidence score for a hand detection to be considered valid.
-    minTrackingConfidence: 0.7   // Minimum confidence score for hand tracking to be considered valid.
-  });
+  const status = document.getElementById("modelStatus");
+  try {
+    if (inference) {
+      inference.close();
+    }
+    inference = await createInferenceClient(progress => renderModelStatus(status, progress));
+    reportInferenceSetup(inference);
+    return true;
+  } catch (error) {
+    console.error("Error loading the hand tracking model:", error);
+    renderModelStatus(status, { stage: "failed", error });
+    return false;
+  }
+}
 
-  // Initialize ObjectDetector with specified options.
-  objectDetector = await ObjectDetector.createFromOptions(vision, {
-    baseOptions: {
-      modelAssetPath: `https://storage.googleapis.com/mediapipe-tasks/object_detector/efficientdet_lite0_uint8.tflite` // Model for object detection.
-    },
-    runningMode: runningMode, // Set to "VIDEO" for live stream processing.
-    scoreThreshold: 0.5, // Minimum confidence score for an object detection to be considered valid.
-    categoryAllowlist: ["cell phone"] // Only detect "cell phone" category.
-  });
+/**
+ * Enables the camera controls once the model is ready: lists the cameras and starts the default one.
+ */
+async function startWhenModelsReady() {
+  // Populate the list of available camera devices.
+  cameraControlsReady = true;
+  await populateCameraList();
+
+  // Automatically enable the camera on page load if devices are found.
+  // This will use the camera selected by populateCameraList (the remembered one if it is still there).
+  if (!cameraSelect.disabled) {
+    await setupCamera();
+  } else {
+    // If no cameras are found on load, update button state and display an error message.
+    webcamRunning = false;
+    enableCamButton.innerText = "Enable Camera";
+  }
 }
 
 /**
- * Populates the cameraSelect dropdown with available video input devices.
+ * Populates the cameraSelect dropdown with available video input devices and selects the
+ * current (or remembered) camera if it is still connected. Called on start, whenever a camera
+ * is connected or disconnected, and once camera access is granted: before that, browsers hide
+ * the camera names and some also their ids.
+ * @param {boolean} [reportMissing] - Show a message if no camera is found.
  */
-async function populateCameraList() {
+async function populateCameraList(reportMissing = true) {
   try {
     const devices = await navigator.mediaDevices.enumerateDevices();
     const videoDevices = devices.filter(device => device.kind === "videoinput");
@@ -91,8 +108,11 @@ async function populateCameraList() {
         option.text = "No cameras found";
         cameraSelect.appendChild(option);
         cameraSelect.disabled = true; // Disable dropdown if no cameras.
-        enableCamButton.disabled = true; // Disable enable button.
-        displayMessageBox("No camera devices found. Please connect a camera.");
+        // The button stays enabled while a camera runs, so it can be turned off.
+        enableCamButton.disabled = !webcamRunning;
+        if (reportMissing) {
+          displayMessageBox("No camera devices found. Please connect a camera.");
+        }
         return;
     }
 
@@ -106,11 +126,17 @@ async function populateCameraList() {
       cameraSelect.appendChild(option);
     });
 
-    // Set the initial selected device to the first one found.
-    if (videoDevices.length > 0) {
-      selectedDeviceId = videoDevices[0].deviceId;
-      cameraSelect.value = selectedDeviceId; // Ensure the dropdown reflects the selection.
+    // Keep the selected camera if it is still there, else fall back to the first one. Without
+    // ids (no permission yet) the remembered id is kept and tried when the camera starts.
+    const deviceId = chooseCamera(videoDevices, cameraPreferences.deviceId);
+    if (deviceId) {
+      cameraPreferences = { ...cameraPreferences, deviceId };
+      cameraSelect.value = deviceId; // Ensure the dropdown reflects the selection.
     }
+
+    // Phones have a front and a back camera; let the user pick the side rather than guess the device.
+    const supportsFacingMode = Boolean(navigator.mediaDevices.getSupportedConstraints().facingMode);
+    facingModeSelect.parentElement.classList.toggle("d-none", !(supportsFacingMode && videoDevices.length > 1));
   } catch (error) {
     console.error("Error enumerating media devices:", error);
     displayMessageBox("Error accessing camera devices. Please check permissions.");
@@ -120,60 +146,113 @@ async function populateCameraList() {
   }
 }
 
+/**
+ * Fills a dropdown with the options of a registry (see cameraSettings.js).
+ * @param {HTMLSelectElement} select - The dropdown.
+ * @param {Object} options - Value -> `{ label }`.
+ * @param {string} value - The selected value.
+ */
+function fillSelect(select, options, value) {
+  for (const [key, { label }] of Object.entries(options)) {
+    const option = document.createElement("option");
+    option.value = key;
+    option.text = label;
+    select.appendChild(option);
+  }
+  select.value = value;
+}
+
+/**
+ * Opens the camera stream for the current camera choice. If the remembered camera is no
+ * longer connected, any camera is opened instead.
+ * @returns {Promise<MediaStream>} The stream.
+ * @throws {DOMException} If no camera can be opened (see `CAMERA_ERROR_MESSAGES`).
+ */
+async function openCameraStream() {
+  try {
+    return await navigator.mediaDevices.getUserMedia({ video: videoConstraints(cameraPreferences) });
+  } catch (error) {
+    const missingDevice = error.name === "OverconstrainedError" || error.name === "NotFoundError";
+    if (!missingDevice || !cameraPreferences.deviceId || cameraPreferences.facingMode !== "any") {
+      throw error;
+    }
+    console.warn("The selected camera is not available, opening another one:", error);
+    cameraPreferences = { ...cameraPreferences, deviceId: null };
+    return navigator.mediaDevices.getUserMedia({ video: videoConstraints(cameraPreferences) });
+  }
+}
+
+/**
+ * Stops the live view when its camera track ends without the app stopping it, e.g. because
+ * the camera was unplugged, taken over by another application or access was revoked.
+ * @param {MediaStreamTrack} track - The track that ended.
+ */
+function handleTrackEnded(track) {
+  // Tracks stopped by the app do not fire "ended", but a stream being replaced may still be listening.
+  if (!currentStream || !currentStream.getTracks().includes(track)) {
+    return;
+  }
+  console.warn(`The camera "${track.label}" stopped.`);
+  stopCamera();
+  displayMessageBox("The camera stopped. It may have been disconnected or taken over by another application. Reconnect it or select another camera, then enable it again.");
+  populateCameraList(false);
+}
+
 /**
  * Sets up the camera stream using `getUserMedia` and starts the prediction loop.
- * It uses the device ID from `selectedDeviceId`.
+ * It opens the camera, resolution and side in `cameraPreferences` and remembers them once the camera runs.
  */
 async function setupCamera() {
   // Stop any existing camera stream.
   if (currentStream) {
     currentStream.getTracks().forEach(track => track.stop());
+    currentStream = undefined;
   }
+  // Stop the prediction loop of the previous stream; it restarts once the new one delivers frames.
+  window.cancelAnimationFrame(animationFrame);
 
   // Get references to video and canvas elements.
   video = document.getElementById("webcam");
   canvasElement = document.getElementById("output_canvas");
   canvasCtx = canvasElement.getContext("2d");
 
-  // If no device is selected, display an error and exit.
-  if (!selectedDeviceId) {
-    console.error("No camera selected.");
-    displayMessageBox("Please select a camera from the dropdown.");
-    webcamRunning = false;
-    enableCamButton.innerText = "Enable Camera";
-    video.style.display = "none";
-    canvasElement.style.display = "none";
-    return;
-  }
-
-  // Define video constraints for `getUserMedia`.
-  const constraints = {
-    video: {
-      deviceId: { exact: selectedDeviceId }, // Use the exact device ID for the selected camera.
-      width: { ideal: 640 }, // Request ideal width for performance.
-      height: { ideal: 480 } // Request ideal height for performance.
-    }
-  };
-
   try {
     // Request access to the user's media devices.
-    currentStream = await navigator.mediaDevices.getUserMedia(constraints);
+    currentStream = await openCameraStream();
     video.srcObject = currentStream; // Set the video source to the obtained stream.
 
+    // Remember the camera that was actually opened (a camera side or the fallback may pick another one).
+    const track = currentStream.getVideoTracks()[0];
+    track.addEventListener("ended", () => handleTrackEnded(track));
+    const settings = track.getSettings();
+    if (settings.deviceId) {
+      cameraPreferences = { ...cameraPreferences, deviceId: settings.deviceId };
+    }
+    saveCameraPreferences(cameraPreferences);
+    reportCameraSetup({ label: track.label, width: settings.width, height: settings.height });
+
     // Add an event listener to start prediction once video metadata is loaded.
     // `once: true` ensures the listener is called only once.
     video.addEventListener("loadeddata", predictWebcam, { once: true });
 
-    // Show video and canvas elements.
+    // Show video and canvas elements, with the canvas overlaid on the video (sized by its classes,
+    // which the photo and replay modes override).
     video.style.display = "block";
+    canvasElement.classList.add("position-absolute");
+    canvasElement.style.width = "";
+    canvasElement.style.height = "";
     canvasElement.style.display = "block";
 
     webcamRunning = true; // Update webcam running state.
     enableCamButton.innerText = "Disable Camera"; // Update the main button text.
+
+    // Access is granted now, so the list can show the camera names.
+    await populateCameraList(false);
   } catch (error) {
     // Handle errors during camera access.
     console.error("Error accessing camera:", error);
-    const errorMessage = "Could not access the camera. Please ensure it's connected and permissions are granted.";
+    const errorMessage = CAMERA_ERROR_MESSAGES[error.name]
+      || "Could not access the camera. Please ensure it's connected and permissions are granted.";
     displayMessageBox(errorMessage); // Display a user-friendly error message.
 
     // Reset application state if camera access fails.
@@ -185,50 +264,30 @@ async function setupCamera() {
 }
 
 /**
- * Performs hand and object detection on the video feed and updates the canvas.
+ * Sends video frames to the detectors (see `detectFrame`) and draws the latest results on the canvas.
  * This function is called repeatedly via `requestAnimationFrame`.
  */
 async function predictWebcam() {
-  // Set canvas dimensions to match the video feed.
-  canvasElement.style.width = `${video.videoWidth}px`;
-  canvasElement.style.height = `${video.videoHeight}px`;
-  canvasElement.width = video.videoWidth;
-  canvasElement.height = video.videoHeight;
+  // A frame may still be scheduled after the camera was stopped (e.g. by the photo upload mode).
+  if (!webcamRunning) {
+    return;
+  }
+
+  // Match the canvas resolution to the video feed. Its displayed size follows the video, which
+  // may be scaled to fit the page; the overlay adapts its line widths and text to that scale.
+  if (canvasElement.width !== video.videoWidth || canvasElement.height !== video.videoHeight) {
+    canvasElement.width = video.videoWidth;
+    canvasElement.height = video.videoHeight;
+  }
 
   // Only process a new frame if the video time has changed.
   if (lastVideoTime !== video.currentTime) {
     lastVideoTime = video.currentTime;
 
-    frameCount++;
-    // Only run detection models on a subset of frames for performance optimization.
-    if (frameCount % frameSkipInterval === 0) {
-        // Perform hand and object detection.
-        handResults = handLandmarker.detectForVideo(video, performance.now());
-        objectResults = objectDetector.detectForVideo(video, performance.now());
-
-        // --- Console Output Logic ---
-        const handCurrentlyDetected = handResults && handResults.landmarks && handResults.landmarks.length > 0;
-        const cellPhoneCurrentlyDetected = objectResults && objectResults.detections && objectResults.detections.length > 0;
-
-        // Log "Hand detected" only when a hand first appears or disappears.
-        if (handCurrentlyDetected && !lastHandDetectedState) {
-            console.log("Hand detected");
-        } else if (!handCurrentlyDetected && lastHandDetectedState) {
-            console.log("Hand not detected");
-        }
-        lastHandDetectedState = handCurrentlyDetected; // Update state for next frame.
-
-        // Log "Cell phone detected" only when a cell phone first appears or disappears.
-        if (cellPhoneCurrentlyDetected && !lastCellPhoneDetectedState) {
-            console.log("Cell phone detected");
-        } else if (!cellPhoneCurrentlyDetected && lastCellPhoneDetectedState) {
-            console.log("Cell phone not detected");
-        }
-        lastCellPhoneDetectedState = cellPhoneCurrentlyDetected; // Update state for next frame.
-        // --- End Console Output Logic ---
-
-        // Call the measurement update function from `measurement.js` to display results.
-        updateMeasurementDisplays(handResults, objectResults, canvasElement.width, canvasElement.height);
+    frameScheduler = advanceFrame(frameScheduler, performance.now());
+    // Only send a subset of frames to the detectors, and never more than one at a time.
+    if (!inferenceInFlight && shouldProcessFrame(frameScheduler)) {
+      detectFrame(canvasElement.width, canvasElement.height);
     }
   }
 
@@ -236,81 +295,65 @@ async function predictWebcam() {
   canvasCtx.save();
   canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
 
-  // Draw hand landmarks on the canvas.
-  if (handResults && handResults.landmarks && handResults.landmarks.length > 0) {
-    for (const landmarks of handResults.landmarks) {
-      drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, {
-        color: "lime",
-        lineWidth: 2,
-      });
-
-      drawLandmarks(canvasCtx, landmarks, {
-        color: "red",
-        lineWidth: 3,
-      });
-    }
-  }
-
-  // Draw object detection results (bounding boxes and labels for "cell phone")
-  if (objectResults && objectResults.detections && objectResults.detections.length > 0) {
-    for (const detection of objectResults.detections) {
-      const bbox = detection.boundingBox;
-      const categories = detection.categories;
-
-      // Draw bounding box.
-      canvasCtx.strokeStyle = "blue";
-      canvasCtx.lineWidth = 2;
-      canvasCtx.strokeRect(bbox.originX, bbox.originY, bbox.width, bbox.height);
-
-      // Draw label (category name and confidence score).
-      if (categories && categories.length > 0) {
-        const category = categories[0];
-        // Changed the label text from category.categoryName to "Card"
-        const label = `Card (${(category.score * 100).toFixed(1)}%)`;
-        canvasCtx.fillStyle = "blue";
-        canvasCtx.font = "16px Arial";
-        // Position the text slightly above the bounding box.
-        canvasCtx.fillText(label, bbox.originX, bbox.originY > 10 ? bbox.originY - 5 : 10);
-      }
-    }
-  }
+  // Draw the hand skeletons and the card outline, then the dimension lines (or the placement guide).
+  const view = overlayView(canvasElement);
+  drawDetections(canvasCtx, handResults, cardResult, view);
+  drawMeasurementOverlay(canvasCtx, measuredFrame, { referenceObject: currentReferenceObject(), hand: currentHand(), view });
 
   canvasCtx.restore(); // Restore canvas state.
+  reportRenderedFrame(performance.now());
 
   // Continue the prediction loop if webcam is still running.
   if (webcamRunning) {
-    window.requestAnimationFrame(predictWebcam);
+    animationFrame = window.requestAnimationFrame(predictWebcam);
   }
 }
 
 /**
- * Displays a custom message box to the user.
- * @param {string} message - The message to display.
+ * Sends the current video frame to the detectors and, once the results arrive, updates the
+ * measurements. The results are drawn by `predictWebcam` on every frame until newer ones arrive.
+ * @param {number} width - Width of the frame in pixels.
+ * @param {number} height - Height of the frame in pixels.
  */
-function displayMessageBox(message) {
-    const messageBox = document.createElement('div');
-    messageBox.style.cssText = `
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        background-color: #f8d7da;
-        color: #721c24;
-        border: 1px solid #f5c6cb;
-        padding: 15px;
-        border-radius: 5px;
-        z-index: 1000;
-        font-family: sans-serif;
-        box-shadow: 0 4px 8px rgba(0,0,0,0.2);
-    `;
-    messageBox.textContent = message;
-    document.body.appendChild(messageBox);
-    // Remove the message box after 5 seconds.
-    setTimeout(() => {
-        if (document.body.contains(messageBox)) { // Check if element still exists before attempting to remove
-            document.body.removeChild(messageBox);
-        }
-    }, 5000);
+async function detectFrame(width, height) {
+  inferenceInFlight = true;
+  const sentAt = performance.now();
+  let frame;
+  try {
+    frame = await createImageBitmap(video);
+    const results = await inference.detect(frame, width, height, sentAt, currentReferenceObject().id);
+    const latencyMs = performance.now() - sentAt;
+    frameScheduler = recordLatency(frameScheduler, latencyMs);
+    // The camera may have been stopped while the frame was being detected.
+    if (!webcamRunning) {
+      return;
+    }
+    handResults = results.handResults;
+    cardResult = results.cardResult;
+
+    // Call the measurement update function from `measurement.js` to display results.
+    // The frame the results belong to is passed for the report snapshot, not the live video.
+    // The hand is read first: once it is measured, the update moves on to the next one.
+    const targetHand = currentHand();
+    measuredFrame = updateMeasurementDisplays(handResults, cardResult, width, height, sentAt, frame);
+    reportDetectedFrame({
+      timestamp: sentAt,
+      width,
+      height,
+      targetHand,
+      handResults,
+      cardResult,
+      timings: { ...results.timings, latencyMs },
+      pixelPerMm: measuredFrame.pixelPerMm
+    });
+  } catch (error) {
+    console.error("Error detecting the video frame:", error);
+  } finally {
+    if (frame) {
+      frame.close();
+    }
+    inferenceInFlight = false;
+  }
 }
 
 // Event listener for when the DOM is fully loaded.
@@ -318,97 +361,100 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Get references to the main UI elements.
   enableCamButton = document.getElementById("enableCam");
   cameraSelect = document.getElementById("cameraSelect"); // Get reference to camera select dropdown.
-
-  // Initialize MediaPipe models.
-  await initModels();
-  // Populate the list of available camera devices.
-  await populateCameraList();
-
-  // Set up event listener for camera selection changes.
-  cameraSelect.addEventListener("change", async () => {
-    selectedDeviceId = cameraSelect.value; // Update selected device ID.
+  resolutionSelect = document.getElementById("resolutionSelect");
+  facingModeSelect = document.getElementById("facingModeSelect");
+  fillSelect(resolutionSelect, RESOLUTIONS, cameraPreferences.resolution);
+  fillSelect(facingModeSelect, FACING_MODES, cameraPreferences.facingMode);
+
+  /**
+   * Applies a changed camera choice: remembers it and, if the camera is running, reopens it.
+   * @param {Object} change - The changed fields of `cameraPreferences`.
+   */
+  const changeCamera = async change => {
+    cameraPreferences = { ...cameraPreferences, ...change };
+    saveCameraPreferences(cameraPreferences);
     if (webcamRunning) {
-      // If camera is already running, switch to the newly selected camera.
       await setupCamera();
     }
+  };
+
+  // The camera controls start out disabled (see index.html); `populateCameraList` enables them once the model is ready.
+  // Set up event listener for camera selection changes. Picking a camera by name overrides the camera side.
+  cameraSelect.addEventListener("change", async () => {
+    facingModeSelect.value = "any";
+    await changeCamera({ deviceId: cameraSelect.value || null, facingMode: "any" });
   });
+  resolutionSelect.addEventListener("change", () => changeCamera({ resolution: resolutionSelect.value }));
+  facingModeSelect.addEventListener("change", () => changeCamera({ facingMode: facingModeSelect.value }));
+
+  // Refresh the list when a camera is connected or disconnected. Without `mediaDevices` (pages
+  // not served over HTTPS), `populateCameraList` reports that the cameras cannot be listed.
+  if (navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener("devicechange", () => {
+      if (cameraControlsReady) {
+        populateCameraList(false);
+      }
+    });
+  }
 
-  // Automatically enable the camera on page load if devices are found.
-  // This will use the default selected camera from populateCameraList.
-  if (cameraSelect.options.length > 0 && cameraSelect.value !== "") {
-    await setupCamera();
-  } else {
-    // If no cameras are found on load, update button state and display an error message.
-    webcamRunning = false;
-    enableCamButton.innerText = "Enable Camera";
+  // After a failed load, the status alert offers to try again.
+  const retryButton = document.getElementById("modelRetry");
+  if (retryButton) {
+    retryButton.addEventListener("click", async () => {
+      retryButton.disabled = true;
+      if (await initModels()) {
+        await startWhenModelsReady();
+      }
+      retryButton.disabled = false;
+    });
   }
 
   // Event listener for the main "Enable/Disable Camera" button.
   enableCamButton.addEventListener("click", async () => {
     if (!webcamRunning) {
       // If camera is currently off, try to enable it.
-      if (!selectedDeviceId) {
-        // If no camera is selected, try to repopulate the list in case devices were connected.
+      if (cameraSelect.disabled) {
+        // If no camera is listed, try to repopulate the list in case devices were connected.
         await populateCameraList();
-        if (!selectedDeviceId) {
-          displayMessageBox("No camera selected or found. Cannot enable camera.");
+        if (cameraSelect.disabled) {
           return;
         }
       }
       await setupCamera(); // Setup and start the camera.
     } else {
       // If camera is currently on, disable it.
-      webcamRunning = false;
-      enableCamButton.innerText = "Enable Camera";
-      if (currentStream) {
-        currentStream.getTracks().forEach(track => track.stop()); // Stop all tracks in the stream.
-      }
-      video.style.display = "none"; // Hide video element.
-      canvasElement.style.display = "none"; // Hide canvas element.
-
-      // Reset detection states and frame counter when camera is disabled.
-      lastHandDetectedState = false;
-      lastCellPhoneDetectedState = false;
-      frameCount = 0;
+      stopCamera();
     }
   });
-});
 
-// === DRAW FUNCTIONS ===
-/**
- * Draws landmarks (points) on the canvas.
- * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
- * @param {Array<Object>} landmarks - An array of landmark objects, each with x, y coordinates.
- * @param {Object} options - Drawing options (color, lineWidth).
- */
-function drawLandmarks(ctx, landmarks, options = {}) {
-  const { color = 'red', lineWidth = 3 } = options;
-  ctx.fillStyle = color;
-  for (const landmark of landmarks) {
-    ctx.beginPath();
-    // Draw a circle for each landmark.
-    ctx.arc(landmark.x * canvasElement.width, landmark.y * canvasElement.height, lineWidth, 0, 2 * Math.PI);
-    ctx.fill();
+  // Initialize MediaPipe models. Without them the camera is of no use.
+  if (await initModels()) {
+    await startWhenModelsReady();
   }
-}
+});
 
 /**
- * Draws connectors (lines) between specified landmarks on the canvas.
- * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
- * @param {Array<Object>} landmarks - An array of landmark objects.
- * @param {Array<Array<number>>} connections - An array of [startIdx, endIdx] pairs defining connections.
- * @param {Object} options - Drawing options (color, lineWidth).
+ * Stops the camera stream and the prediction loop and hides the video and canvas.
+ * Also used by the photo upload mode, which takes over the canvas.
  */
-function drawConnectors(ctx, landmarks, connections, options = {}) {
-  const { color = 'lime', lineWidth = 2 } = options;
-  ctx.strokeStyle = color;
-  ctx.lineWidth = lineWidth;
-  for (const [startIdx, endIdx] of connections) {
-    const start = landmarks[startIdx];
-    const end = landmarks[endIdx];
-    ctx.beginPath();
-    ctx.moveTo(start.x * canvasElement.width, start.y * canvasElement.height);
-    ctx.lineTo(end.x * canvasElement.width, end.y * canvasElement.height);
-    ctx.stroke();
+export function stopCamera() {
+  webcamRunning = false;
+  if (enableCamButton) {
+    enableCamButton.innerText = "Enable Camera";
+  }
+  if (currentStream) {
+    currentStream.getTracks().forEach(track => track.stop()); // Stop all tracks in the stream.
+    currentStream = undefined;
   }
+  if (video) {
+    video.style.display = "none"; // Hide video element.
+  }
+  if (canvasElement) {
+    canvasElement.style.display = "none"; // Hide canvas element.
+  }
+
+  // Reset the frame counter when camera is disabled.
+  // The measured inference latency is kept, it does not depend on the camera.
+  measuredFrame = null;
+  frameScheduler = { ...frameScheduler, frameCount: 0, lastFrameAt: null };
 }
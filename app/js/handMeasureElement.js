@@ -0,0 +1,519 @@
+// app/js/handMeasureElement.js
+
+// <hand-measure>: the camera and measurement flow packaged as a custom element, so shop
+// pages can embed it. Everything an instance needs (model, stream, session, history) lives
+// on the instance, so several elements on one page do not interfere with each other.
+//
+// Usage:
+//   <script type="module" src="app/js/handMeasureElement.js"></script>
+//   <hand-measure product="madglove-assist" locale="de" hand="both"></hand-measure>
+//
+// Attributes:
+//   product    - Id of a bundled size chart (default "madglove-assist").
+//   size-chart - URL of a size chart JSON; takes precedence over `product`.
+//   locale     - Language of the texts and number format (default: the page's language).
+//   hand       - "right" (default), "left" or "both".
+//   autostart  - Start the camera as soon as the element is attached.
+//   theme      - "light" (default) or "dark". The accent colour is the `--hm-accent` CSS property.
+//
+// Events (all bubble and cross the shadow boundary):
+//   measurementupdate - After every processed frame.
+//                       detail: { hand, phase, samplesCollected, measurement, quality, aggregate, recommendation }
+//   resultready       - When every selected hand has a result. detail: { results } keyed by hand
+//   error             - When the camera, model or size chart fails. detail: { code, message, error }
+//
+// Methods: start(), stop(), reset().
+
+import { createDetector } from "./detector.js";
+import { createFrameScheduler, advanceFrame, shouldProcessFrame, recordLatency } from "./frameScheduler.js";
+import { drawDetections, drawMeasurementOverlay, overlayView } from "./overlay.js";
+import { DEFAULT_REFERENCE_OBJECT_ID, getReferenceObject, referenceEngineConfig } from "./referenceObjects.js";
+import { computeFrameMeasurement, aggregateMeasurements, MEASUREMENT_COLUMNS } from "./measurementEngine.js";
+import { loadSizeChart, productSizeChartUrl, DEFAULT_PRODUCT_ID } from "./sizeChart.js";
+import { recommendSize } from "./recommendation.js";
+import { DEFAULT_STATISTICS_OPTIONS, pushToRollingWindow } from "./statistics.js";
+import { PHASES, DEFAULT_SESSION_OPTIONS, createSession, resumeSession, advanceSession, isCollecting } from "./captureSession.js";
+import { resolveLocale, translate } from "./locales.js";
+import { loadCalibration } from "./calibration.js";
+
+// Bundled size charts and calibration, relative to this module so the element works from any page.
+const SIZE_CHART_DIRECTORY = new URL("../data/size-charts", import.meta.url).href;
+const CALIBRATION_URL = new URL("../data/calibration.json", import.meta.url).href;
+
+// The calibration is shared by every element on the page and loaded once (null if there is none).
+let calibration = null;
+let calibrationPromise = null;
+
+/**
+ * Loads the bundled calibration once. Without it the engine's compensation factors apply.
+ * @returns {Promise<void>}
+ */
+function loadBundledCalibration() {
+  if (!calibrationPromise) {
+    calibrationPromise = loadCalibration(CALIBRATION_URL)
+      .then(loaded => {
+        calibration = loaded;
+      })
+      .catch(error => console.warn("No calibration loaded, using the default compensation factors:", error));
+  }
+  return calibrationPromise;
+}
+
+// Hands measured by each value of the `hand` attribute, in order.
+const HAND_MODES = {
+  right: ["Right"],
+  left: ["Left"],
+  both: ["Right", "Left"]
+};
+
+// The element's texts ask for an ID card, so it measures with that (see referenceObjects.js).
+const REFERENCE_OBJECT = getReferenceObject(DEFAULT_REFERENCE_OBJECT_ID);
+
+const TEMPLATE = `
+<style>
+  :host {
+    --hm-accent: #0d6efd;
+    --hm-background: transparent;
+    --hm-text: inherit;
+    display: block;
+    font-family: inherit;
+    color: var(--hm-text);
+    background: var(--hm-background);
+  }
+  :host([theme="dark"]) { --hm-background: #212529; --hm-text: #f8f9fa; }
+  :host([hidden]) { display: none; }
+  .stage { position: relative; background: #000; aspect-ratio: 4 / 3; }
+  video, canvas { position: absolute; inset: 0; width: 100%; height: 100%; object-fit: contain; }
+  .instruction { margin: 0.5em 0; padding: 0.5em 0.75em; border-radius: 4px; background: #cff4fc; color: #055160; }
+  .instruction.done { background: #d1e7dd; color: #0f5132; }
+  .instruction.failed { background: #f8d7da; color: #842029; }
+  .quality { margin: 0 0 0.5em; color: #842029; min-height: 1.2em; }
+  .error { margin: 0 0 0.5em; padding: 0.5em 0.75em; border-radius: 4px; background: #f8d7da; color: #842029; }
+  progress { width: 100%; accent-color: var(--hm-accent); }
+  .results { display: flex; flex-wrap: wrap; gap: 1em; }
+  .results section { flex: 1 1 12em; }
+  .results h4 { margin: 0.5em 0 0.25em; }
+  .results p { margin: 0.1em 0; }
+  .actions { display: flex; gap: 0.5em; margin-top: 0.5em; }
+  button { padding: 0.4em 1em; border: 1px solid var(--hm-accent); border-radius: 4px; background: var(--hm-accent); color: #fff; cursor: pointer; }
+  button[data-action="reset"] { background: transparent; color: var(--hm-accent); }
+</style>
+<div class="stage" part="stage">
+  <video playsinline muted></video>
+  <canvas></canvas>
+</div>
+<p class="instruction" part="instruction"></p>
+<p class="quality" part="quality"></p>
+<p class="error" part="error" hidden></p>
+<progress max="100" value="0" part="progress"></progress>
+<div class="results" part="results"></div>
+<div class="actions" part="actions">
+  <button type="button" data-action="toggle"></button>
+  <button type="button" data-action="reset"></button>
+</div>
+`;
+
+export class HandMeasureElement extends HTMLElement {
+  static get observedAttributes() {
+    return ["product", "size-chart", "locale", "hand"];
+  }
+
+  // Detection state.
+  #detectorPromise = null;
+  #stream = null;
+  #running = false;
+  #loopId = 0; // Incremented on every start and stop, so that a start or loop overtaken by them gives up.
+  #starting = null; // The start in progress, which overlapping calls of `start()` share.
+  #frameScheduler = createFrameScheduler(); // Frame skipping adapts to the inference time (see frameScheduler.js).
+  #lastVideoTime = -1;
+  #handResults = undefined;
+  #cardResult = null;
+  #frame = null; // The measurement engine's result for the latest detected frame, drawn by the overlay.
+
+  // Measurement state.
+  #sizeChart = null;
+  #sizeChartPromise = null;
+  #session = createSession(performance.now());
+  #handIndex = 0;
+  #history = { Left: [], Right: [] };
+  #previousLandmarks = null;
+  #resultDispatched = false;
+
+  // Shadow DOM elements.
+  #video;
+  #canvas;
+  #canvasCtx;
+  #instruction;
+  #quality;
+  #error;
+  #progress;
+  #results;
+  #toggleButton;
+  #resetButton;
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: "open" });
+    root.innerHTML = TEMPLATE;
+    this.#video = root.querySelector("video");
+    this.#canvas = root.querySelector("canvas");
+    this.#canvasCtx = this.#canvas.getContext("2d");
+    this.#instruction = root.querySelector(".instruction");
+    this.#quality = root.querySelector(".quality");
+    this.#error = root.querySelector(".error");
+    this.#progress = root.querySelector("progress");
+    this.#results = root.querySelector(".results");
+    this.#toggleButton = root.querySelector('[data-action="toggle"]');
+    this.#resetButton = root.querySelector('[data-action="reset"]');
+
+    // While starting, the button already stops, e.g. when the user gives up on the permission prompt.
+    this.#toggleButton.addEventListener("click", () => (this.#running || this.#starting ? this.stop() : this.start()));
+    this.#resetButton.addEventListener("click", () => this.reset());
+  }
+
+  connectedCallback() {
+    this.#render();
+    if (this.hasAttribute("autostart")) {
+      this.start();
+    }
+  }
+
+  disconnectedCallback() {
+    this.stop();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) {
+      return;
+    }
+    if (name === "product" || name === "size-chart") {
+      // Load the new chart on the next start (or right away if running).
+      this.#sizeChart = null;
+      this.#sizeChartPromise = null;
+      if (this.#running) {
+        this.#loadSizeChart();
+      }
+    }
+    if (name === "hand") {
+      this.reset();
+    }
+    this.#render();
+  }
+
+  /** The resolved locale of the texts. */
+  get locale() {
+    return resolveLocale(this.getAttribute("locale") || document.documentElement.lang);
+  }
+
+  /** The hands measured, in order. */
+  get hands() {
+    return HAND_MODES[this.getAttribute("hand")] || HAND_MODES.right;
+  }
+
+  /** Whether the camera is running. */
+  get running() {
+    return this.#running;
+  }
+
+  /**
+   * Loads the model and size chart (once) and starts the camera and measuring.
+   * @returns {Promise<boolean>} True if the camera started.
+   */
+  start() {
+    if (this.#running) {
+      return Promise.resolve(true);
+    }
+    if (!this.#starting) {
+      const starting = this.#start().finally(() => {
+        if (this.#starting === starting) {
+          this.#starting = null;
+          this.#render();
+        }
+      });
+      this.#starting = starting;
+      this.#render();
+    }
+    return this.#starting;
+  }
+
+  /**
+   * Stops the camera. Collected samples are kept until `reset()`.
+   */
+  stop() {
+    // A start still waiting for the model or the permission prompt gives up.
+    this.#loopId++;
+    this.#starting = null;
+    this.#running = false;
+    this.#stopStream();
+    this.#render();
+  }
+
+  async #start() {
+    const loopId = ++this.#loopId;
+    this.#error.hidden = true;
+    this.#loadSizeChart();
+    loadBundledCalibration();
+
+    let detector;
+    try {
+      detector = await this.#getDetector();
+    } catch (error) {
+      if (loopId === this.#loopId) {
+        this.#fail("model", error);
+      }
+      return false;
+    }
+    if (loopId !== this.#loopId) {
+      return false;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: { width: { ideal: 640 }, height: { ideal: 480 } }
+      });
+    } catch (error) {
+      if (loopId === this.#loopId) {
+        this.#fail("camera", error);
+      }
+      return false;
+    }
+    // The element may have been stopped or removed while waiting for permission.
+    if (loopId !== this.#loopId || !this.isConnected) {
+      stream.getTracks().forEach(track => track.stop());
+      return false;
+    }
+
+    this.#stream = stream;
+    this.#video.srcObject = stream;
+    this.#running = true;
+    // Loading the model, the permission prompt and the time stopped do not count against the phase timeouts.
+    this.#session = resumeSession(this.#session, performance.now());
+    this.#video.addEventListener("loadeddata", () => this.#predict(detector, loopId), { once: true });
+    this.#render();
+    return true;
+  }
+
+  /**
+   * Discards all samples and starts a new session with the first hand.
+   */
+  reset() {
+    this.#session = createSession(performance.now());
+    this.#handIndex = 0;
+    this.#history = { Left: [], Right: [] };
+    this.#previousLandmarks = null;
+    this.#resultDispatched = false;
+    this.#render();
+  }
+
+  #stopStream() {
+    if (this.#stream) {
+      this.#stream.getTracks().forEach(track => track.stop());
+      this.#stream = null;
+    }
+    this.#video.srcObject = null;
+    this.#lastVideoTime = -1;
+    this.#frame = null;
+    // The measured inference time is kept, it does not depend on the camera.
+    this.#frameScheduler = { ...this.#frameScheduler, frameCount: 0, lastFrameAt: null };
+  }
+
+  #getDetector() {
+    if (!this.#detectorPromise) {
+      this.#detectorPromise = createDetector().catch(error => {
+        this.#detectorPromise = null;
+        throw error;
+      });
+    }
+    return this.#detectorPromise;
+  }
+
+  #loadSizeChart() {
+    if (this.#sizeChartPromise) {
+      return this.#sizeChartPromise;
+    }
+    this.#sizeChartPromise = (async () => {
+      try {
+        const url = this.getAttribute("size-chart")
+          || productSizeChartUrl(this.getAttribute("product") || DEFAULT_PRODUCT_ID, SIZE_CHART_DIRECTORY);
+        this.#sizeChart = await loadSizeChart(url);
+        this.#render();
+      } catch (error) {
+        // Measuring still works without a chart; only the sizes are missing.
+        this.#fail("sizeChart", error);
+      }
+    })();
+    return this.#sizeChartPromise;
+  }
+
+  #fail(code, error) {
+    console.error(`<hand-measure> ${code} error:`, error);
+    const message = translate(this.locale, `error.${code}`);
+    this.#error.textContent = message;
+    this.#error.hidden = false;
+    this.dispatchEvent(new CustomEvent("error", { bubbles: true, composed: true, detail: { code, message, error } }));
+  }
+
+  #predict(detector, loopId) {
+    if (!this.#running || loopId !== this.#loopId) {
+      return;
+    }
+    const width = this.#video.videoWidth;
+    const height = this.#video.videoHeight;
+    if (this.#canvas.width !== width || this.#canvas.height !== height) {
+      this.#canvas.width = width;
+      this.#canvas.height = height;
+    }
+
+    if (this.#lastVideoTime !== this.#video.currentTime) {
+      this.#lastVideoTime = this.#video.currentTime;
+      this.#frameScheduler = advanceFrame(this.#frameScheduler, performance.now());
+      if (shouldProcessFrame(this.#frameScheduler)) {
+        const sentAt = performance.now();
+        const { handResults, cardResult } = detector.detect(this.#video, width, height, sentAt, REFERENCE_OBJECT.id);
+        this.#frameScheduler = recordLatency(this.#frameScheduler, performance.now() - sentAt);
+        this.#handResults = handResults;
+        this.#cardResult = cardResult;
+        this.#processFrame(width, height, performance.now());
+      }
+    }
+
+    this.#canvasCtx.clearRect(0, 0, width, height);
+    // The canvas is scaled to fit the element, so the overlay sizes its lines and text for that.
+    const view = overlayView(this.#canvas);
+    drawDetections(this.#canvasCtx, this.#handResults, this.#cardResult, view);
+    drawMeasurementOverlay(this.#canvasCtx, this.#frame, {
+      referenceObject: REFERENCE_OBJECT,
+      hand: this.hands[this.#handIndex],
+      view
+    });
+    window.requestAnimationFrame(() => this.#predict(detector, loopId));
+  }
+
+  #processFrame(width, height, now) {
+    const hand = this.hands[this.#handIndex];
+    const sizeChart = this.#sizeChart;
+    const frame = computeFrameMeasurement(this.#handResults, this.#cardResult, width, height, { sizeChart, targetHand: hand, calibration, ...referenceEngineConfig(REFERENCE_OBJECT) }, this.#previousLandmarks);
+    this.#previousLandmarks = frame.hand ? frame.hand.landmarks : null;
+    this.#frame = frame;
+
+    const history = this.#history[hand];
+    const sampleAdded = frame.measurement !== null && isCollecting(this.#session);
+    if (sampleAdded) {
+      pushToRollingWindow(history, { timestamp: new Date().toISOString(), ...frame.measurement }, DEFAULT_STATISTICS_OPTIONS.windowSize);
+    }
+    const aggregate = history.length > 0 ? aggregateMeasurements(history, { sizeChart }) : null;
+    const recommendation = recommendSize(aggregate, sizeChart);
+
+    this.#session = advanceSession(this.#session, {
+      handDetected: frame.hand !== null,
+      cardDetected: frame.card !== null,
+      poseAccepted: frame.quality.accepted,
+      sampleAdded,
+      aggregate,
+      keys: sizeChart ? sizeChart.measurements : Object.keys(MEASUREMENT_COLUMNS)
+    }, now);
+
+    this.dispatchEvent(new CustomEvent("measurementupdate", {
+      bubbles: true,
+      composed: true,
+      detail: {
+        hand,
+        phase: this.#session.phase,
+        samplesCollected: this.#session.samplesCollected,
+        measurement: frame.measurement,
+        quality: frame.quality,
+        aggregate,
+        recommendation
+      }
+    }));
+
+    if (this.#session.phase === PHASES.RESULT_READY) {
+      if (this.#handIndex < this.hands.length - 1) {
+        this.#handIndex++;
+        this.#session = createSession(now);
+        this.#previousLandmarks = null;
+      } else if (!this.#resultDispatched) {
+        this.#resultDispatched = true;
+        this.dispatchEvent(new CustomEvent("resultready", { bubbles: true, composed: true, detail: { results: this.#currentResults() } }));
+      }
+    }
+
+    this.#renderQuality(frame.quality);
+    this.#render();
+  }
+
+  #currentResults() {
+    const results = {};
+    for (const hand of this.hands) {
+      const aggregate = this.#history[hand].length > 0 ? aggregateMeasurements(this.#history[hand], { sizeChart: this.#sizeChart }) : null;
+      results[hand] = { aggregate, recommendation: recommendSize(aggregate, this.#sizeChart) };
+    }
+    return results;
+  }
+
+  #renderQuality(quality) {
+    this.#quality.textContent = quality.accepted
+      ? ""
+      : quality.reasons.map(reason => translate(this.locale, `quality.${reason}`)).join(" ");
+  }
+
+  #render() {
+    const locale = this.locale;
+    const phase = this.#session.phase;
+    const hand = this.hands[this.#handIndex];
+
+    const instruction = translate(locale, `phase.${phase}`);
+    this.#instruction.textContent = phase === PHASES.RESULT_READY
+      ? instruction
+      : `${translate(locale, `hand.${hand}`)} – ${instruction}`;
+    this.#instruction.className = `instruction${phase === PHASES.RESULT_READY ? " done" : phase === PHASES.TIMED_OUT ? " failed" : ""}`;
+
+    this.#progress.value = phase === PHASES.RESULT_READY
+      ? 100
+      : Math.min(this.#session.samplesCollected / DEFAULT_SESSION_OPTIONS.minSamples, 1) * 100;
+
+    this.#toggleButton.textContent = translate(locale, this.#running || this.#starting ? "action.stop" : "action.start");
+    this.#resetButton.textContent = translate(locale, "action.reset");
+    this.#renderResults(locale);
+  }
+
+  #renderResults(locale) {
+    const number = new Intl.NumberFormat(locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    const results = this.#currentResults();
+    this.#results.replaceChildren(...this.hands.map(hand => {
+      const { aggregate, recommendation } = results[hand];
+      const section = document.createElement("section");
+      const heading = document.createElement("h4");
+      heading.textContent = translate(locale, `hand.${hand}`);
+      section.appendChild(heading);
+
+      for (const key of Object.keys(MEASUREMENT_COLUMNS)) {
+        const line = document.createElement("p");
+        const column = aggregate && aggregate[key];
+        line.textContent = `${translate(locale, `label.${key}`)}: ${column ? `${number.format(column.mm)} mm` : "–"}`;
+        section.appendChild(line);
+      }
+
+      const size = document.createElement("p");
+      let sizeText = translate(locale, "label.notAvailable");
+      if (recommendation) {
+        const details = [translate(locale, "label.confidence", { percent: Math.round(recommendation.confidence * 100) })];
+        if (recommendation.betweenSizes) {
+          const [smaller, larger] = recommendation.betweenSizes;
+          details.unshift(translate(locale, "label.between", { smaller: smaller.label, larger: larger.label }));
+        }
+        sizeText = `${recommendation.size.label} (${details.join(", ")})`;
+      }
+      const strong = document.createElement("strong");
+      strong.textContent = `${translate(locale, "label.size")}: ${sizeText}`;
+      size.appendChild(strong);
+      section.appendChild(size);
+      return section;
+    }));
+  }
+}
+
+if (!customElements.get("hand-measure")) {
+  customElements.define("hand-measure", HandMeasureElement);
+}
@@ -0,0 +1,136 @@
+// app/js/homography.js
+
+// Planar homography helpers.
+// A homography maps points from one plane to another through a 3x3 matrix; here it is
+// used to map image pixels onto the card's metric plane so that distances come out in millimeters.
+
+/**
+ * Solves a square linear system with Gaussian elimination and partial pivoting.
+ * @param {Array<Array<number>>} a - Coefficient matrix (modified in place).
+ * @param {Array<number>} b - Right-hand side (modified in place).
+ * @returns {Array<number>|null} The solution vector, or null if the system is singular.
+ */
+function solveLinearSystem(a, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+        // Pick the row with the largest pivot to keep the elimination stable.
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) {
+            return null;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k < n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+            b[row] -= factor * b[col];
+        }
+    }
+
+    // Back substitution.
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * x[k];
+        }
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+/**
+ * Whether three of four points are (nearly) collinear, which leaves no unique homography.
+ * @param {Array<Object>} points - Four points `{ x, y }`.
+ * @returns {boolean} True if some three of them lie on one line.
+ */
+function hasCollinearTriple(points) {
+    const size = Math.max(...points.map(p => Math.hypot(p.x - points[0].x, p.y - points[0].y)));
+    for (let skip = 0; skip < 4; skip++) {
+        const [a, b, c] = points.filter((_, i) => i !== skip);
+        const area = Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+        if (area <= 1e-9 * size * size) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Computes the homography that maps four source points onto four destination points.
+ * @param {Array<Object>} src - Four source points `{ x, y }` (e.g. card corners in pixels).
+ * @param {Array<Object>} dst - Four destination points `{ x, y }` (e.g. card corners in mm).
+ * @returns {Array<number>|null} The 3x3 matrix as a row-major array of 9 numbers (h33 = 1),
+ *   or null if the points are degenerate (three of them collinear).
+ */
+export function solveHomography(src, dst) {
+    if (src.length !== 4 || dst.length !== 4) {
+        throw new Error("solveHomography needs exactly four point correspondences.");
+    }
+    if (hasCollinearTriple(src) || hasCollinearTriple(dst)) {
+        return null;
+    }
+
+    // Each correspondence contributes two rows of the 8x8 direct linear transform system.
+    const a = [];
+    const b = [];
+    for (let i = 0; i < 4; i++) {
+        const { x, y } = src[i];
+        const { x: u, y: v } = dst[i];
+        a.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        b.push(u);
+        a.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        b.push(v);
+    }
+
+    const h = solveLinearSystem(a, b);
+    if (!h || h.some(value => !Number.isFinite(value))) {
+        return null;
+    }
+    return [...h, 1];
+}
+
+/**
+ * Maps a point through a homography.
+ * @param {Array<number>} h - Row-major 3x3 homography matrix.
+ * @param {Object} point - The point `{ x, y }` to map.
+ * @returns {Object} The mapped point `{ x, y }`.
+ */
+export function applyHomography(h, point) {
+    const w = h[6] * point.x + h[7] * point.y + h[8];
+    return {
+        x: (h[0] * point.x + h[1] * point.y + h[2]) / w,
+        y: (h[3] * point.x + h[4] * point.y + h[5]) / w
+    };
+}
+
+/**
+ * Builds the homography from a card's pixel corners to its metric plane.
+ * The first side of the ordered quad is matched to the card's long or short edge,
+ * whichever it is closer to, so the card may appear in portrait or landscape.
+ * @param {Array<Object>} corners - Four ordered card corners in pixels.
+ * @param {number} longSideMm - Real length of the card's long side.
+ * @param {number} shortSideMm - Real length of the card's short side.
+ * @returns {Array<number>|null} The pixel-to-millimeter homography, or null if degenerate.
+ */
+export function cardPlaneHomography(corners, longSideMm, shortSideMm) {
+    const side = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+    const firstPair = side(corners[0], corners[1]) + side(corners[2], corners[3]);
+    const secondPair = side(corners[1], corners[2]) + side(corners[3], corners[0]);
+    const [w, h] = firstPair >= secondPair ? [longSideMm, shortSideMm] : [shortSideMm, longSideMm];
+
+    return solveHomography(corners, [
+        { x: 0, y: 0 },
+        { x: w, y: 0 },
+        { x: w, y: h },
+        { x: 0, y: h }
+    ]);
+}
@@ -0,0 +1,142 @@
+// app/js/inferenceClient.js
+
+// Main thread side of the inference worker (see inferenceProtocol.js for the messages).
+// Sends frames to the worker and resolves each with its detection results. When module
+// workers or OffscreenCanvas are unavailable, or the worker fails to start, the same
+// detector runs on the main thread behind the same interface.
+
+import { resolveAssetBase } from "./assetConfig.js";
+import { createDetector } from "./detector.js";
+import { WORKER_MESSAGE_TYPES, MAIN_MESSAGE_TYPES } from "./inferenceProtocol.js";
+
+/**
+ * Whether the browser can run the detectors in a module worker.
+ * @returns {boolean} True if workers, OffscreenCanvas and ImageBitmaps are available.
+ */
+function supportsInferenceWorker() {
+  return typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined" && typeof createImageBitmap !== "undefined";
+}
+
+/**
+ * Starts the inference worker and waits until its detectors are loaded.
+ * @param {string} assetBase - The asset base URL, which the worker cannot read from the page.
+ * @param {Function} onProgress - Receives the model loading stages.
+ * @returns {Promise<Object>} The client (see `createInferenceClient`).
+ * @throws {Error} If the worker fails to load or its detectors cannot be loaded.
+ */
+function startWorker(assetBase, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./inferenceWorker.js", import.meta.url), { type: "module" });
+    const pending = new Map(); // Frame id -> { resolve, reject } of the waiting `detect` call.
+    let nextId = 1;
+    let ready = false;
+
+    // Rejects every waiting call, and the start itself while the worker is still loading.
+    const fail = error => {
+      for (const request of pending.values()) {
+        request.reject(error);
+      }
+      pending.clear();
+      if (!ready) {
+        worker.terminate();
+        reject(error);
+      }
+    };
+
+    const client = {
+      mode: "worker",
+      delegate: null,
+      detect(frame, width, height, timestamp, referenceObjectId = null) {
+        const id = nextId++;
+        return new Promise((resolveFrame, rejectFrame) => {
+          pending.set(id, { resolve: resolveFrame, reject: rejectFrame });
+          // The frame is not in a transfer list, so the worker gets a copy and the caller
+          // keeps the original (e.g. for the fit report snapshot).
+          worker.postMessage({ type: WORKER_MESSAGE_TYPES.FRAME, id, frame, width, height, timestamp, referenceObjectId });
+        });
+      },
+      close() {
+        worker.postMessage({ type: WORKER_MESSAGE_TYPES.CLOSE });
+        worker.terminate();
+        fail(new Error("The inference worker was closed."));
+      }
+    };
+
+    worker.addEventListener("message", ({ data }) => {
+      switch (data.type) {
+        case MAIN_MESSAGE_TYPES.PROGRESS:
+          onProgress(data.progress);
+          break;
+        case MAIN_MESSAGE_TYPES.READY:
+          ready = true;
+          client.delegate = data.delegate;
+          resolve(client);
+          break;
+        case MAIN_MESSAGE_TYPES.RESULT:
+        case MAIN_MESSAGE_TYPES.ERROR: {
+          if (data.id === null) {
+            fail(new Error(data.message));
+            break;
+          }
+          const request = pending.get(data.id);
+          if (request) {
+            pending.delete(data.id);
+            if (data.type === MAIN_MESSAGE_TYPES.RESULT) {
+              request.resolve({ handResults: data.handResults, cardResult: data.cardResult, inferenceMs: data.inferenceMs, timings: data.timings });
+            } else {
+              request.reject(new Error(data.message));
+            }
+          }
+          break;
+        }
+      }
+    });
+    worker.addEventListener("error", event => {
+      event.preventDefault();
+      fail(new Error(event.message || "The inference worker could not be loaded."));
+    });
+
+    worker.postMessage({ type: WORKER_MESSAGE_TYPES.INIT, assetBase });
+  });
+}
+
+/**
+ * Loads the detector on the main thread, behind the same interface as the worker.
+ * @param {string} assetBase - The asset base URL.
+ * @param {Function} onProgress - Receives the model loading stages.
+ * @returns {Promise<Object>} The client (see `createInferenceClient`).
+ */
+async function startOnMainThread(assetBase, onProgress) {
+  const detector = await createDetector({ assetBase, onProgress });
+  return {
+    mode: "main",
+    delegate: detector.delegate,
+    detect: async (frame, width, height, timestamp, referenceObjectId = null) => {
+      const startedAt = performance.now();
+      const { handResults, cardResult, timings } = detector.detect(frame, width, height, timestamp, referenceObjectId);
+      return { handResults, cardResult, inferenceMs: performance.now() - startedAt, timings };
+    },
+    close: () => detector.close()
+  };
+}
+
+/**
+ * Creates the hand and card detectors, in a worker when the browser supports it.
+ * @param {Function} [onProgress] - Receives the model loading stages (see `createHandLandmarker`).
+ * @returns {Promise<Object>} `{ mode, delegate, detect(frame, width, height, timestamp, referenceObjectId), close() }`
+ *   where `mode` is "worker" or "main" and `detect` resolves to `{ handResults, cardResult, inferenceMs, timings }`
+ *   (`timings`: the time of each model, see `createDetector`).
+ *   Only one frame should be in flight at a time.
+ * @throws {Error} If the detectors cannot be loaded.
+ */
+export async function createInferenceClient(onProgress = () => {}) {
+  const assetBase = resolveAssetBase();
+  if (supportsInferenceWorker()) {
+    try {
+      return await startWorker(assetBase, onProgress);
+    } catch (error) {
+      console.warn("Inference worker unavailable, running detection on the main thread:", error);
+    }
+  }
+  return startOnMainThread(assetBase, onProgress);
+}
@@ -0,0 +1,102 @@
+// app/js/inferenceProtocol.js
+
+// Message contract between the main thread and the inference worker (inferenceWorker.js).
+// The main thread only captures frames and draws; the worker owns the detectors.
+//
+// Main thread -> worker:
+//   { type: "init", assetBase }                             Load the detectors.
+//   { type: "frame", id, frame, width, height, timestamp, referenceObjectId }
+//                                                           Detect on an ImageBitmap.
+//   { type: "close" }                                       Release the detectors.
+// Worker -> main thread:
+//   { type: "progress", progress }                          A model loading stage (see models.js).
+//   { type: "ready", delegate }                             The detectors are loaded.
+//   { type: "result", id, handResults, cardResult, inferenceMs, timings }
+//                                                           `timings`: per model, see detector.js.
+//   { type: "error", id, message }                          `id` is null for init errors.
+//
+// The handler is independent of the worker global and of MediaPipe: it is given a detector
+// factory and a post function, so it can be driven with a mock detector.
+
+// Message types sent to the worker.
+export const WORKER_MESSAGE_TYPES = {
+    INIT: "init",
+    FRAME: "frame",
+    CLOSE: "close"
+};
+
+// Message types sent back to the main thread.
+export const MAIN_MESSAGE_TYPES = {
+    PROGRESS: "progress",
+    READY: "ready",
+    RESULT: "result",
+    ERROR: "error"
+};
+
+/**
+ * Makes a loading stage safe to post: errors become their message.
+ * @param {Object} progress - A stage reported by `createHandLandmarker`.
+ * @returns {Object} The stage without Error objects.
+ */
+export function serializeProgress(progress) {
+    if (!progress.error) {
+        return progress;
+    }
+    return { ...progress, error: String(progress.error.message || progress.error) };
+}
+
+/**
+ * Creates the worker side of the contract.
+ * @param {Function} createDetector - Async factory `(options) => detector` where the detector has
+ *   `delegate`, `detect(frame, width, height, timestamp, referenceObjectId)` returning
+ *   `{ handResults, cardResult, timings }` and `close()`. `options` holds `assetBase` and an `onProgress` callback.
+ * @param {Function} post - Sends a message to the main thread.
+ * @param {Function} [now] - Clock in milliseconds, used to time inference.
+ * @returns {Function} Async handler for each message received from the main thread.
+ */
+export function createInferenceHandler(createDetector, post, now = () => performance.now()) {
+    let detector = null;
+
+    return async function handleMessage(message) {
+        switch (message && message.type) {
+            case WORKER_MESSAGE_TYPES.INIT:
+                try {
+                    detector = await createDetector({
+                        assetBase: message.assetBase,
+                        onProgress: progress => post({ type: MAIN_MESSAGE_TYPES.PROGRESS, progress: serializeProgress(progress) })
+                    });
+                    post({ type: MAIN_MESSAGE_TYPES.READY, delegate: detector.delegate });
+                } catch (error) {
+                    post({ type: MAIN_MESSAGE_TYPES.ERROR, id: null, message: String(error.message || error) });
+                }
+                break;
+            case WORKER_MESSAGE_TYPES.FRAME: {
+                const { id, frame, width, height, timestamp, referenceObjectId } = message;
+                try {
+                    if (!detector) {
+                        throw new Error("The detectors are not loaded.");
+                    }
+                    const startedAt = now();
+                    const { handResults, cardResult, timings = null } = detector.detect(frame, width, height, timestamp, referenceObjectId);
+                    post({ type: MAIN_MESSAGE_TYPES.RESULT, id, handResults, cardResult, inferenceMs: now() - startedAt, timings });
+                } catch (error) {
+                    post({ type: MAIN_MESSAGE_TYPES.ERROR, id, message: String(error.message || error) });
+                } finally {
+                    // The frame was transferred or copied to this side, so it is ours to release.
+                    if (frame && typeof frame.close === "function") {
+                        frame.close();
+                    }
+                }
+                break;
+            }
+            case WORKER_MESSAGE_TYPES.CLOSE:
+                if (detector) {
+                    detector.close();
+                    detector = null;
+                }
+                break;
+            default:
+                post({ type: MAIN_MESSAGE_TYPES.ERROR, id: null, message: `Unknown message type: ${message && message.type}` });
+        }
+    };
+}
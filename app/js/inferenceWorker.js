@@ -0,0 +1,11 @@
+// app/js/inferenceWorker.js
+
+// Module worker running hand and card detection off the main thread.
+// See inferenceProtocol.js for the messages it understands.
+
+import { createDetector } from "./detector.js";
+import { createInferenceHandler } from "./inferenceProtocol.js";
+
+const handleMessage = createInferenceHandler(createDetector, message => self.postMessage(message));
+
+self.addEventListener("message", event => handleMessage(event.data));
@@ -0,0 +1,116 @@
+// app/js/locales.js
+
+// User-facing strings of the embeddable <hand-measure> element, per locale.
+// English reuses the texts of the standalone page; other locales translate the same keys.
+
+import { PHASES, PHASE_INSTRUCTIONS } from "./captureSession.js";
+import { QUALITY_REASONS, QUALITY_REASON_MESSAGES } from "./frameQuality.js";
+
+// Locale used when the requested one is not available.
+export const DEFAULT_LOCALE = "en";
+
+// Messages per language. `{name}` placeholders are filled in by `translate`.
+export const MESSAGES = {
+    en: {
+        ...prefixKeys("phase.", PHASE_INSTRUCTIONS),
+        ...prefixKeys("quality.", QUALITY_REASON_MESSAGES),
+        "hand.Left": "Left hand",
+        "hand.Right": "Right hand",
+        "label.palmWidth": "Palm width",
+        "label.palmLength": "Palm length",
+        "label.handLength": "Hand length",
+        "label.palmCircumference": "Palm circumference (estimated)",
+        "label.thumbLength": "Thumb length",
+        "label.indexFingerLength": "Index finger length",
+        "label.middleFingerLength": "Middle finger length",
+        "label.ringFingerLength": "Ring finger length",
+        "label.littleFingerLength": "Little finger length",
+        "label.size": "Recommended size",
+        "label.notAvailable": "Not available yet",
+        "label.confidence": "{percent}% confidence",
+        "label.between": "between {smaller} and {larger}",
+        "action.start": "Start",
+        "action.stop": "Stop",
+        "action.reset": "Restart",
+        "error.camera": "Could not access the camera. Please ensure it's connected and permissions are granted.",
+        "error.model": "Could not load the hand tracking model.",
+        "error.sizeChart": "Could not load the size chart. Sizes cannot be estimated."
+    },
+    de: {
+        [`phase.${PHASES.SHOW_CARD}`]: "Lege eine Ausweis- oder Kreditkarte flach vor die Kamera.",
+        [`phase.${PHASES.PLACE_HAND}`]: "Lege deine offene Hand flach neben die Karte, Handfläche zur Kamera.",
+        [`phase.${PHASES.HOLD_STILL}`]: "Halte still, die Finger gestreckt und gespreizt...",
+        [`phase.${PHASES.COLLECTING}`]: "Messung läuft – Hand und Karte ruhig halten.",
+        [`phase.${PHASES.RESULT_READY}`]: "Fertig! Dein Ergebnis liegt vor.",
+        [`phase.${PHASES.TIMED_OUT}`]: "Das dauert zu lange. Prüfe die Beleuchtung und starte neu.",
+        [`quality.${QUALITY_REASONS.NO_HAND}`]: "Keine Hand erkannt.",
+        [`quality.${QUALITY_REASONS.WRONG_HAND}`]: "Das ist die andere Hand – zeige die Hand, die gemessen wird.",
+        [`quality.${QUALITY_REASONS.UNKNOWN_HAND}`]: "Es ist nicht zu erkennen, welche Hand das ist – zeige die ganze Hand.",
+        [`quality.${QUALITY_REASONS.PALM_NOT_FACING}`]: "Drehe die Handfläche zur Kamera.",
+        [`quality.${QUALITY_REASONS.BACK_OF_HAND}`]: "Drehe die Hand um, sodass die Handfläche zur Kamera zeigt.",
+        [`quality.${QUALITY_REASONS.PALM_NOT_FLAT}`]: "Lege die Hand flach hin.",
+        [`quality.${QUALITY_REASONS.FINGERS_NOT_EXTENDED}`]: "Strecke die Finger.",
+        [`quality.${QUALITY_REASONS.HAND_MOVING}`]: "Halte die Hand still.",
+        [`quality.${QUALITY_REASONS.REFERENCE_TOO_SMALL}`]: "Gehe näher an die Kamera – die Münze ist im Bild zu klein für eine genaue Messung.",
+        "hand.Left": "Linke Hand",
+        "hand.Right": "Rechte Hand",
+        "label.palmWidth": "Handbreite",
+        "label.palmLength": "Mittelhandlänge",
+        "label.handLength": "Handlänge",
+        "label.palmCircumference": "Handumfang (geschätzt)",
+        "label.thumbLength": "Daumenlänge",
+        "label.indexFingerLength": "Zeigefingerlänge",
+        "label.middleFingerLength": "Mittelfingerlänge",
+        "label.ringFingerLength": "Ringfingerlänge",
+        "label.littleFingerLength": "Kleinfingerlänge",
+        "label.size": "Empfohlene Größe",
+        "label.notAvailable": "Noch nicht verfügbar",
+        "label.confidence": "{percent} % Sicherheit",
+        "label.between": "zwischen {smaller} und {larger}",
+        "action.start": "Starten",
+        "action.stop": "Stoppen",
+        "action.reset": "Neu starten",
+        "error.camera": "Kein Zugriff auf die Kamera. Bitte prüfe, ob sie angeschlossen und freigegeben ist.",
+        "error.model": "Das Handerkennungsmodell konnte nicht geladen werden.",
+        "error.sizeChart": "Die Größentabelle konnte nicht geladen werden. Größen können nicht bestimmt werden."
+    }
+};
+
+/**
+ * Copies an object with a prefix added to each key.
+ * @param {string} prefix - The prefix.
+ * @param {Object} object - The source object.
+ * @returns {Object} The prefixed copy.
+ */
+function prefixKeys(prefix, object) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [`${prefix}${key}`, value]));
+}
+
+/**
+ * Picks the best available locale for a BCP 47 tag, e.g. "de-AT" -> "de".
+ * @param {string|null} tag - The requested locale.
+ * @returns {string} A key of `MESSAGES`.
+ */
+export function resolveLocale(tag) {
+    if (!tag) {
+        return DEFAULT_LOCALE;
+    }
+    const normalized = tag.toLowerCase();
+    if (MESSAGES[normalized]) {
+        return normalized;
+    }
+    const language = normalized.split("-")[0];
+    return MESSAGES[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Looks up a message, falling back to English, and fills in its placeholders.
+ * @param {string} locale - A key of `MESSAGES` (see `resolveLocale`).
+ * @param {string} key - The message key.
+ * @param {Object} [params] - Values for the `{name}` placeholders.
+ * @returns {string} The message (the key itself if no locale has it).
+ */
+export function translate(locale, key, params = {}) {
+    const template = (MESSAGES[locale] && MESSAGES[locale][key]) || MESSAGES[DEFAULT_LOCALE][key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
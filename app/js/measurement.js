@@ -1,30 +1,102 @@
 // app/js/measurement.js
 
-// Global variables to hold references to the display elements for current estimated hand measurements.
-let currentPalmWidthDisplay;
-let currentPalmLengthDisplay;
+import { computeFrameMeasurement, aggregateMeasurements, effectiveCalibration, MEASUREMENT_COLUMNS, HANDS } from "./measurementEngine.js";
+import { loadSizeChart, resolveSizeChartUrl, MEASUREMENT_LABELS } from "./sizeChart.js";
+import { recommendSize } from "./recommendation.js";
+import { DEFAULT_STATISTICS_OPTIONS, pushToRollingWindow } from "./statistics.js";
+import { displayMessageBox } from "./messageBox.js";
+import { QUALITY_REASON_MESSAGES } from "./frameQuality.js";
+import { historyToCsv, historyToJson, summarizeResults, buildFitReportHtml, downloadText, printFitReport } from "./exporters.js";
+import { renderSnapshot } from "./overlay.js";
+import { loadCalibration, CALIBRATION_URL } from "./calibration.js";
+import { REFERENCE_OBJECTS, DEFAULT_REFERENCE_OBJECT_ID, getReferenceObject, referenceEngineConfig } from "./referenceObjects.js";
+import { resolveSubmissionEndpoint, createSubmissionClient } from "./submissionClient.js";
+import {
+    PHASES,
+    PHASE_INSTRUCTIONS,
+    DEFAULT_SESSION_OPTIONS,
+    createSession,
+    advanceSession,
+    isCollecting,
+    timeRemaining
+} from "./captureSession.js";
+
+// Display elements for each hand's current estimated measurements and size recommendation,
+// keyed by hand ("Left"/"Right"): { palmWidth, palmLength, dimensions, recommendation, reason }.
+const handDisplays = {};
+// Measurement keys listed below the palm width and length, in display order.
+const DETAIL_MEASUREMENT_KEYS = Object.keys(MEASUREMENT_COLUMNS).filter(key => key !== "palmWidth" && key !== "palmLength");
+
+// Selectable measuring modes and the hands each one measures, in order.
+const HAND_MODES = {
+    right: { label: "Right hand", hands: ["Right"] },
+    left: { label: "Left hand", hands: ["Left"] },
+    both: { label: "Both hands (right, then left)", hands: ["Right", "Left"] }
+};
+let handMode = "right"; // The selected key of `HAND_MODES`.
+let currentHandIndex = 0; // Index into the selected mode's hands of the hand being measured.
+let handModeSelect; // Reference to the hand selection dropdown.
+
+// The object giving the measurements their scale (see referenceObjects.js), picked in the UI
+// or preset with `?reference=<id>`.
+let referenceObject = getReferenceObject(new URLSearchParams(window.location.search).get("reference") || DEFAULT_REFERENCE_OBJECT_ID);
+let referenceSelect; // Reference to the reference object dropdown.
 
 // Global variable for the container that will display the historical measurements.
 let measurementHistoryContainer;
-// Array to store historical measurement data, including pixel, mm, and estimated sizes.
-let measurementHistory = [];
-
-// Define the real-world dimensions of a standard credit card in millimeters.
-// These values are used as a reference to convert pixel measurements to millimeters.
-const ACTUAL_CARD_LONG_SIDE_MM = 85.60;
-const ACTUAL_CARD_SHORT_SIDE_MM = 53.98;
-
-// --- Adjustable Compensation Factors ---
-// These factors are applied to the landmark-based millimeter measurements
-// to better estimate the actual physiological hand dimensions.
-// Adjust these values as needed for more accurate results.
-const PALM_WIDTH_COMPENSATION_FACTOR = 1.30; // Adds 30% to the palm width (Landmark 5 to 17 distance)
-const PALM_LENGTH_COMPENSATION_FACTOR = 1.00; // No compensation for palm length (Landmark 0 to 9 distance) by default
-
-// This factor is applied to the detected card dimensions in pixels.
-// Use a value less than 1.0 (e.g., 0.90 for a 10% reduction) if the detected bounding box
-// is typically larger than the actual card due to borders or detection inaccuracies.
-const CARD_DIMENSION_COMPENSATION_FACTOR = 0.90; // Reduces card dimensions by 10% by default
+// Historical measurement data per hand, including pixel, mm, and estimated sizes.
+// Only the most recent `windowSize` entries of each hand are kept (see statistics.js).
+let measurementHistory = { Left: [], Right: [] };
+// Every sample of both hands since the session was (re)started, oldest first. Unlike
+// `measurementHistory` it is not limited to the rolling window; the exports are built from it.
+let sampleLog = [];
+// Identifies the session since the last (re)start; submissions of it derive their idempotency
+// key from it, so submitting the same results twice stores them once.
+let sessionId = crypto.randomUUID();
+// Per hand, the sample closest to the current medians with a snapshot of its frame and
+// overlay for the fit report: { entry, snapshot } or null.
+let bestFrames = { Left: null, Right: null };
+
+// The normalized size chart used to classify every measurement (null until loaded).
+let sizeChart = null;
+// The fitted calibration (see calibration.js); null until loaded, or when there is none,
+// in which case the engine's compensation factors apply.
+let calibration = null;
+// Element showing which product's size chart is in use.
+let sizeChartDisplay;
+
+// The guided capture session state for the hand being measured (see captureSession.js).
+// Created on the first processed frame, so that loading the model and the camera permission
+// prompt do not count against the first phase's timeout; null until then.
+let captureSession = null;
+// Display elements for the capture session: instructions, progress and the restart action.
+let sessionInstructionDisplay;
+let sessionProgressBar;
+let restartSessionButton;
+
+// Landmarks of the previous processed frame, used by the stillness check.
+let previousLandmarks = null;
+// Display element listing why the current frame's pose is rejected (if it is).
+let qualityDisplay;
+
+// The live loop can add several samples per second; re-rendering the history table for each
+// makes the page stutter on slow machines, so it is re-rendered at most this often.
+const HISTORY_RENDER_INTERVAL_MS = 500;
+let historyRenderTimer = null;
+
+// Sends the results to the endpoint configured by the page (see submissionClient.js); null
+// when the page configures none, in which case the submit action is not shown.
+let submissionClient = null;
+// Element showing the state of the submission queue.
+let submissionStatusDisplay;
+
+/**
+ * The hand currently being measured, e.g. for the placement guide of the live views.
+ * @returns {string} "Left" or "Right".
+ */
+export function currentHand() {
+    return HAND_MODES[handMode].hands[currentHandIndex];
+}
 
 /**
  * Dynamically creates and appends the measurement display elements to the main content area.
@@ -39,6 +111,83 @@ function createMeasurementDisplayElements() {
         return;
     }
 
+    // Create the capture session panel: instructions, progress bar and restart button.
+    const sessionContainer = document.createElement("div");
+    sessionContainer.className = "mt-4";
+
+    // Dropdown choosing the reference object. Samples measured against another object are discarded.
+    const referenceLabel = document.createElement("label");
+    referenceLabel.htmlFor = "referenceSelect";
+    referenceLabel.className = "form-label";
+    referenceLabel.innerText = "Reference object:";
+    sessionContainer.appendChild(referenceLabel);
+
+    referenceSelect = document.createElement("select");
+    referenceSelect.id = "referenceSelect";
+    referenceSelect.className = "form-select mb-2";
+    for (const object of Object.values(REFERENCE_OBJECTS)) {
+        const option = document.createElement("option");
+        option.value = object.id;
+        option.text = object.label;
+        referenceSelect.appendChild(option);
+    }
+    referenceSelect.value = referenceObject.id;
+    referenceSelect.addEventListener("change", () => {
+        referenceObject = getReferenceObject(referenceSelect.value);
+        restartCaptureSession();
+    });
+    sessionContainer.appendChild(referenceSelect);
+
+    // Dropdown choosing which hand(s) to measure.
+    const handModeLabel = document.createElement("label");
+    handModeLabel.htmlFor = "handModeSelect";
+    handModeLabel.className = "form-label";
+    handModeLabel.innerText = "Measure:";
+    sessionContainer.appendChild(handModeLabel);
+
+    handModeSelect = document.createElement("select");
+    handModeSelect.id = "handModeSelect";
+    handModeSelect.className = "form-select mb-2";
+    for (const [value, mode] of Object.entries(HAND_MODES)) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.text = mode.label;
+        handModeSelect.appendChild(option);
+    }
+    handModeSelect.value = handMode;
+    handModeSelect.addEventListener("change", () => {
+        handMode = handModeSelect.value;
+        restartCaptureSession();
+    });
+    sessionContainer.appendChild(handModeSelect);
+
+    sessionInstructionDisplay = document.createElement("div");
+    sessionInstructionDisplay.id = "sessionInstructionDisplay";
+    sessionInstructionDisplay.className = "alert alert-info mb-2";
+    sessionContainer.appendChild(sessionInstructionDisplay);
+
+    qualityDisplay = document.createElement("p");
+    qualityDisplay.id = "qualityDisplay";
+    qualityDisplay.className = "mb-2";
+    sessionContainer.appendChild(qualityDisplay);
+
+    const progress = document.createElement("div");
+    progress.className = "progress mb-2";
+    sessionProgressBar = document.createElement("div");
+    sessionProgressBar.className = "progress-bar";
+    sessionProgressBar.setAttribute("role", "progressbar");
+    progress.appendChild(sessionProgressBar);
+    sessionContainer.appendChild(progress);
+
+    restartSessionButton = document.createElement("button");
+    restartSessionButton.id = "restartSession";
+    restartSessionButton.className = "btn btn-outline-secondary";
+    restartSessionButton.innerText = "Restart";
+    restartSessionButton.addEventListener("click", () => restartCaptureSession());
+    sessionContainer.appendChild(restartSessionButton);
+
+    mainContent.appendChild(sessionContainer);
+
     // Create a container for the current estimated hand measurements.
     const measurementContainer = document.createElement("div");
     measurementContainer.className = "mt-4"; // Apply Bootstrap margin-top for spacing.
@@ -48,17 +197,19 @@ function createMeasurementDisplayElements() {
     heading.innerText = "Estimated Hand Measurements:";
     measurementContainer.appendChild(heading);
 
-    // Create and append display elements for 'Estimated Palm Width'.
-    currentPalmWidthDisplay = document.createElement("p");
-    currentPalmWidthDisplay.id = "currentPalmWidthDisplay";
-    currentPalmWidthDisplay.innerText = "Palm Width: Not detected"; // Initial state
-    measurementContainer.appendChild(currentPalmWidthDisplay);
-
-    // Create and append display elements for 'Estimated Palm Length'.
-    currentPalmLengthDisplay = document.createElement("p");
-    currentPalmLengthDisplay.id = "currentPalmLengthDisplay";
-    currentPalmLengthDisplay.innerText = "Palm Length: Not detected"; // Initial state
-    measurementContainer.appendChild(currentPalmLengthDisplay);
+    // Show which size chart the sizes refer to.
+    sizeChartDisplay = document.createElement("p");
+    sizeChartDisplay.className = "text-muted";
+    sizeChartDisplay.innerText = "Size chart: loading...";
+    measurementContainer.appendChild(sizeChartDisplay);
+
+    // Show the two hands side by side.
+    const handsRow = document.createElement("div");
+    handsRow.className = "row";
+    for (const hand of ["Right", "Left"]) {
+        handsRow.appendChild(createHandDisplay(hand));
+    }
+    measurementContainer.appendChild(handsRow);
 
     // Append the current measurement container to the main content.
     mainContent.appendChild(measurementContainer);
@@ -72,12 +223,85 @@ function createMeasurementDisplayElements() {
     // Append the history container to the main content.
     mainContent.appendChild(measurementHistoryContainer);
 
-    // Render the initial (empty) measurement history table.
+    // Export actions for the full history and the fit report.
+    const exportContainer = document.createElement("div");
+    exportContainer.className = "mt-2 mb-4 d-flex gap-2";
+    for (const [label, action] of [["Export CSV", exportCsv], ["Export JSON", exportJson], ["Print Fit Report", printReport]]) {
+        const button = document.createElement("button");
+        button.className = "btn btn-outline-primary";
+        button.innerText = label;
+        button.addEventListener("click", action);
+        exportContainer.appendChild(button);
+    }
+    const submissionEndpoint = resolveSubmissionEndpoint(document);
+    if (submissionEndpoint) {
+        const submitButton = document.createElement("button");
+        submitButton.className = "btn btn-primary";
+        submitButton.innerText = "Submit Results";
+        submitButton.addEventListener("click", submitResults);
+        exportContainer.appendChild(submitButton);
+        submissionStatusDisplay = document.createElement("span");
+        submissionStatusDisplay.className = "align-self-center text-muted";
+        exportContainer.appendChild(submissionStatusDisplay);
+        submissionClient = createSubmissionClient(submissionEndpoint, { onChange: renderSubmissionStatus });
+        renderSubmissionStatus({ pending: submissionClient.pendingCount(), lastError: null });
+    }
+    mainContent.appendChild(exportContainer);
+
+    // Render the initial (empty) measurement history table and session panel.
     renderMeasurementHistory();
+    renderCaptureSession(performance.now());
+}
+
+/**
+ * Creates the measurement and recommendation display column for one hand.
+ * @param {string} hand - "Left" or "Right".
+ * @returns {HTMLElement} The column element.
+ */
+function createHandDisplay(hand) {
+    const column = document.createElement("div");
+    column.className = "col-12 col-md-6";
+
+    const heading = document.createElement("h4");
+    heading.innerText = `${hand} Hand`;
+    column.appendChild(heading);
+
+    // Create and append display elements for 'Estimated Palm Width'.
+    const palmWidth = document.createElement("p");
+    palmWidth.id = `palmWidthDisplay${hand}`;
+    palmWidth.innerText = "Palm Width: Not detected"; // Initial state
+    column.appendChild(palmWidth);
+
+    // Create and append display elements for 'Estimated Palm Length'.
+    const palmLength = document.createElement("p");
+    palmLength.id = `palmLengthDisplay${hand}`;
+    palmLength.innerText = "Palm Length: Not detected"; // Initial state
+    column.appendChild(palmLength);
+
+    // The further hand dimensions (hand length, circumference, finger lengths), filled in by `renderAggregate`.
+    const dimensions = document.createElement("ul");
+    dimensions.id = `handDimensionsDisplay${hand}`;
+    dimensions.className = "list-unstyled small text-muted";
+    column.appendChild(dimensions);
+
+    // Create and append display elements for the combined size recommendation.
+    const recommendation = document.createElement("p");
+    recommendation.id = `recommendationDisplay${hand}`;
+    recommendation.className = "fs-4 fw-bold";
+    recommendation.innerText = "Recommended Size: Not available yet"; // Initial state
+    column.appendChild(recommendation);
+
+    const reason = document.createElement("p");
+    reason.id = `recommendationReasonDisplay${hand}`;
+    reason.className = "text-muted";
+    column.appendChild(reason);
+
+    handDisplays[hand] = { palmWidth, palmLength, dimensions, recommendation, reason };
+    return column;
 }
 
 /**
- * Renders the measurement history in a table format within the dedicated history container.
+ * Renders the measurement history of each hand in a table format within the dedicated history container.
  * This function is called whenever new measurements are added to `measurementHistory`.
  */
 function renderMeasurementHistory() {
@@ -85,19 +309,54 @@ function renderMeasurementHistory() {
     measurementHistoryContainer.innerHTML = '<h3>Measurement History:</h3>';
 
     // If no measurements have been captured yet, display a message.
-    if (measurementHistory.length === 0) {
+    if (HANDS.every(hand => measurementHistory[hand].length === 0)) {
         const noData = document.createElement("p");
         noData.innerText = "No measurements captured yet when both hand and card were detected.";
         measurementHistoryContainer.appendChild(noData);
         return;
     }
 
+    for (const hand of ["Right", "Left"]) {
+        if (measurementHistory[hand].length > 0) {
+            const heading = document.createElement("h4");
+            heading.innerText = `${hand} Hand`;
+            measurementHistoryContainer.appendChild(heading);
+            // The table is wider than the page on small screens; it scrolls sideways.
+            const scroller = document.createElement("div");
+            scroller.className = "table-responsive";
+            scroller.appendChild(createHistoryTable(measurementHistory[hand]));
+            measurementHistoryContainer.appendChild(scroller);
+        }
+    }
+}
+
+/**
+ * Re-renders the history table after `HISTORY_RENDER_INTERVAL_MS`, unless a re-render is already pending.
+ */
+function scheduleHistoryRender() {
+    if (historyRenderTimer !== null) {
+        return;
+    }
+    historyRenderTimer = setTimeout(() => {
+        historyRenderTimer = null;
+        renderMeasurementHistory();
+    }, HISTORY_RENDER_INTERVAL_MS);
+}
+
+/**
+ * Builds the history table for one hand.
+ * @param {Array<Object>} history - The hand's measurement history entries.
+ * @returns {HTMLTableElement} The table element.
+ */
+function createHistoryTable(history) {
+
     // Create a new table element for the history.
     const table = document.createElement("table");
     // Apply Bootstrap classes for styling the table.
     table.className = "table table-striped table-bordered";
 
     // Create the table header with card dimensions first, then hand dimensions.
+    // The columns after the palm width and length follow `MEASUREMENT_COLUMNS`.
     const thead = document.createElement("thead");
     thead.innerHTML = `
         <tr>
@@ -110,6 +369,7 @@ function renderMeasurementHistory() {
             <th>Dist 0 to 9 (px)</th>
             <th>Dist 0 to 9 (mm)</th>
             <th>Estimated Palm Length</th>
+            ${DETAIL_MEASUREMENT_KEYS.map(key => `<th>${MEASUREMENT_LABELS[key]} (mm)</th>`).join("")}
         </tr>
     `;
     table.appendChild(thead);
@@ -117,10 +377,10 @@ function renderMeasurementHistory() {
     // Create the table body.
     const tbody = document.createElement("tbody");
     // Iterate over a reversed copy of the history array to show newest first.
-    [...measurementHistory].reverse().forEach(measurement => {
+    [...history].reverse().forEach(measurement => {
         const row = document.createElement("tr"); // Create a new table row for each measurement.
         row.innerHTML = `
-            <td>${measurement.timestamp}</td>
+            <td>${new Date(measurement.timestamp).toLocaleTimeString()}</td>
             <td>${measurement.cardLongSide.toFixed(2)}</td>
             <td>${measurement.cardShortSide.toFixed(2)}</td>
             <td>${measurement.dist5to17.toFixed(2)}</td>
@@ -129,213 +389,481 @@ function renderMeasurementHistory() {
             <td>${measurement.dist0to9.toFixed(2)}</td>
             <td>${measurement.dist0to9_mm ? measurement.dist0to9_mm.toFixed(2) : 'N/A'}</td>
             <td>${measurement.estimatedPalmLength || 'N/A'}</td>
+            ${DETAIL_MEASUREMENT_KEYS.map(key => {
+                const mm = measurement[MEASUREMENT_COLUMNS[key]];
+                return `<td>${mm ? mm.toFixed(2) : 'N/A'}</td>`;
+            }).join("")}
         `;
         tbody.appendChild(row); // Append the row to the table body.
     });
     table.appendChild(tbody); // Append the table body to the table.
-    measurementHistoryContainer.appendChild(table); // Append the completed table to the history container.
+    return table;
 }
 
 
+/**
+ * Formats an aggregated measurement as "median ± half-width mm (size)" with its sample count.
+ * @param {Object} column - One dimension of the result of `aggregateMeasurements`.
+ * @returns {string} The formatted text.
+ */
+function formatAggregate(column) {
+    // A single sample has no spread, so no interval can be given yet.
+    const interval = Number.isFinite(column.ciHalfWidth) ? ` ± ${column.ciHalfWidth.toFixed(1)}` : "";
+    const outliers = column.rejectedCount > 0 ? `, ${column.rejectedCount} outliers rejected` : "";
+    return `${column.mm.toFixed(1)}${interval} mm (${column.size}) – ${column.sampleCount} samples${outliers}`;
+}
+
+/**
+ * Shows the combined size recommendation, its confidence and the reason behind it for one hand.
+ * @param {string} hand - "Left" or "Right".
+ * @param {Object|null} recommendation - The result of `recommendSize`, or null if there is none yet.
+ */
+function renderRecommendation(hand, recommendation) {
+    const { recommendation: recommendationDisplay, reason: recommendationReasonDisplay } = handDisplays[hand];
+    if (!recommendation) {
+        recommendationDisplay.innerText = "Recommended Size: Not available yet";
+        recommendationReasonDisplay.innerText = "";
+        return;
+    }
+
+    const confidence = `${Math.round(recommendation.confidence * 100)}% confidence`;
+    if (recommendation.betweenSizes) {
+        const [smaller, larger] = recommendation.betweenSizes;
+        recommendationDisplay.innerText = `Recommended Size: ${recommendation.size.label} (between ${smaller.label} and ${larger.label}, ${confidence})`;
+    } else {
+        recommendationDisplay.innerText = `Recommended Size: ${recommendation.size.label} (${confidence})`;
+    }
+    recommendationReasonDisplay.innerText = recommendation.reason;
+}
+
+/**
+ * The measurement engine configuration for the current settings.
+ * @param {string|null} targetHand - The hand to measure, or null for any hand.
+ * @returns {Object} Partial engine configuration (see `DEFAULT_ENGINE_CONFIG`).
+ */
+function engineConfig(targetHand) {
+    return { sizeChart, targetHand, calibration, ...referenceEngineConfig(referenceObject) };
+}
+
+/**
+ * The measurement engine configuration the live camera measures with, e.g. for a frame recording.
+ * @returns {Object} Partial engine configuration (see `DEFAULT_ENGINE_CONFIG`).
+ */
+export function currentEngineConfig() {
+    return engineConfig(currentHand());
+}
+
+/**
+ * The reference object selected by the user.
+ * The live camera, photo upload and replay modes look for this object in their frames.
+ * @returns {Object} The registry entry (see referenceObjects.js).
+ */
+export function currentReferenceObject() {
+    return referenceObject;
+}
+
 /**
  * Updates the displayed current measurement values and captures historical data
- * based on hand and object detection results for each frame.
+ * based on hand and card detection results for each frame.
  * This function is called by the `handDetection.js` script.
  * @param {Object} handResults - The results object from the HandLandmarker model.
- * @param {Object} objectResults - The results object from the ObjectDetector model.
+ * @param {Object} cardResult - The card corners located by `cardDetector.js`, or null.
  * @param {number} canvasWidth - The current width of the canvas in pixels.
  * @param {number} canvasHeight - The current height of the canvas in pixels.
+ * @param {number} [now] - Time of the frame in milliseconds. Replays pass the frame's media time
+ *   so the capture session behaves the same on every run.
+ * @param {CanvasImageSource} [frameSource] - The frame itself (video element), used for the report snapshot.
+ * @returns {Object} The engine's frame result, for the measurement overlay.
  */
-export function updateMeasurementDisplays(handResults, objectResults, canvasWidth, canvasHeight) {
-    let currentHandMeasurements = null; // Stores pixel measurements for the hand in the current frame.
-    let currentCardMeasurements = null; // Stores pixel measurements for the card in the current frame.
-    let pixelPerMm = null; // Stores the calculated ratio of pixels per millimeter.
-
-    // --- Hand Measurements ---
-    // Check if hand landmarks are currently detected.
-    const handCurrentlyDetected = handResults && handResults.landmarks && handResults.landmarks.length > 0;
-    if (handCurrentlyDetected) {
-        // Get the first detected hand's landmarks.
-        const landmarks = handResults.landmarks[0];
-
-        // Ensure enough landmarks are available for the calculations (at least up to landmark 17).
-        if (landmarks && landmarks.length >= 18) {
-            // Get the coordinates for Landmark 5 (base of index finger) and Landmark 17 (base of pinky finger).
-            const landmark5 = landmarks[5];
-            const landmark17 = landmarks[17];
-
-            // Convert normalized landmark coordinates (0-1) to pixel coordinates.
-            const landmark5X_px = landmark5.x * canvasWidth;
-            const landmark5Y_px = landmark5.y * canvasHeight;
-            const landmark17X_px = landmark17.x * canvasWidth;
-            const landmark17Y_px = landmark17.y * canvasHeight;
-
-            // Calculate the Euclidean distance between Landmark 5 and 17 in pixels.
-            const distance5To17 = Math.sqrt(
-                Math.pow(landmark17X_px - landmark5X_px, 2) +
-                Math.pow(landmark17Y_px - landmark5Y_px, 2)
-            );
-
-            // Get the coordinates for Landmark 0 (wrist) and Landmark 9 (base of middle finger).
-            const landmark0 = landmarks[0];
-            const landmark9 = landmarks[9];
-
-            // Convert normalized landmark coordinates to pixel coordinates.
-            const landmark0X_px = landmark0.x * canvasWidth;
-            const landmark0Y_px = landmark0.y * canvasHeight;
-            const landmark9X_px = landmark9.x * canvasWidth;
-            const landmark9Y_px = landmark9.y * canvasHeight;
-
-            // Calculate the Euclidean distance between Landmark 0 and 9 in pixels.
-            const distance0To9 = Math.sqrt(
-                Math.pow(landmark9X_px - landmark0X_px, 2) +
-                Math.pow(landmark9Y_px - landmark0Y_px, 2)
-            );
-
-            // Store the current hand measurements in pixels.
-            currentHandMeasurements = {
-                dist5to17: distance5To17,
-                dist0to9: distance0To9
-            };
-        }
+export function updateMeasurementDisplays(handResults, cardResult, canvasWidth, canvasHeight, now = performance.now(), frameSource = null) {
+    const hand = currentHand();
+    // Run the pure measurement engine on this frame, looking only at the hand being measured.
+    const frame = computeFrameMeasurement(handResults, cardResult, canvasWidth, canvasHeight, engineConfig(hand), previousLandmarks);
+    previousLandmarks = frame.hand ? frame.hand.landmarks : null;
+
+    // --- Capture and Save Measurements to History ---
+    // The engine only returns a measurement when both hand and card are detected in the current frame
+    // and the pose passed the quality gates; it is only kept while the capture session is collecting.
+    const history = measurementHistory[hand];
+    if (!captureSession) {
+        captureSession = createSession(now);
     }
+    const sampleAdded = frame.measurement !== null && isCollecting(captureSession);
+    const entry = sampleAdded ? recordSample(frame.measurement) : null;
 
-    // --- Card (Cell Phone) Measurements ---
-    // Check if any objects (assumed to be cards/cell phones) are detected.
-    const cellPhoneCurrentlyDetected = objectResults && objectResults.detections && objectResults.detections.length > 0;
-    if (cellPhoneCurrentlyDetected) {
-        // Get the bounding box of the first detected object (assuming only one card).
-        const bbox = objectResults.detections[0].boundingBox;
+    const aggregate = history.length > 0 ? aggregateMeasurements(history, { sizeChart }) : null;
+    if (entry) {
+        updateBestFrame(hand, entry, aggregate, () => frameSource && renderSnapshot(frameSource, canvasWidth, canvasHeight, handResults, cardResult));
+    }
 
-        // Extract width and height of the bounding box in pixels.
-        let width_px = bbox.width;
-        let height_px = bbox.height;
+    // Let the capture session react to this frame (phase changes, convergence, timeouts).
+    captureSession = advanceSession(captureSession, {
+        handDetected: frame.hand !== null,
+        cardDetected: frame.card !== null,
+        poseAccepted: frame.quality.accepted,
+        sampleAdded,
+        aggregate,
+        keys: sizeChart ? sizeChart.measurements : Object.keys(MEASUREMENT_COLUMNS)
+    }, now);
+
+    // Once this hand is done, move on to the next hand of the selected mode (if any).
+    if (captureSession.phase === PHASES.RESULT_READY && currentHandIndex < HAND_MODES[handMode].hands.length - 1) {
+        currentHandIndex++;
+        captureSession = createSession(now);
+        previousLandmarks = null;
+    }
 
-        // Apply the card dimension compensation factor to adjust for borders/detection inaccuracies.
-        width_px *= CARD_DIMENSION_COMPENSATION_FACTOR;
-        height_px *= CARD_DIMENSION_COMPENSATION_FACTOR;
+    renderAggregate(hand, aggregate);
+    renderQuality(frame.quality);
+    renderCaptureSession(now);
+    // Re-render the history table to display the newly added entry (if any).
+    if (sampleAdded) {
+        scheduleHistoryRender();
+    }
+    return frame;
+}
 
-        // Determine the longer and shorter sides of the detected card after compensation.
-        const longerSide = Math.max(width_px, height_px);
-        const shorterSide = Math.min(width_px, height_px);
+/**
+ * Measures a single still image (photo upload mode).
+ * Any detected hand is measured; an accepted measurement is added to that hand's history
+ * without going through the capture session, which only applies to the live camera.
+ * @param {Object} handResults - The results object from the HandLandmarker model (IMAGE mode).
+ * @param {Object} cardResult - The card corners located by `cardDetector.js`, or null.
+ * @param {number} imageWidth - Width of the image in pixels.
+ * @param {number} imageHeight - Height of the image in pixels.
+ * @param {CanvasImageSource} [image] - The image itself, used for the report snapshot.
+ * @returns {Object} The engine's frame result, so the caller can explain a rejected photo.
+ */
+export function measureStillImage(handResults, cardResult, imageWidth, imageHeight, image = null) {
+    // A photo has no previous frame, so the stillness check always passes.
+    const frame = computeFrameMeasurement(handResults, cardResult, imageWidth, imageHeight, engineConfig(null), null);
+    renderQuality(frame.quality);
+    if (frame.measurement === null) {
+        return frame;
+    }
+
+    const hand = frame.measurement.handedness;
+    const entry = recordSample(frame.measurement);
+    const aggregate = aggregateMeasurements(measurementHistory[hand], { sizeChart });
+    updateBestFrame(hand, entry, aggregate, () => image && renderSnapshot(image, imageWidth, imageHeight, handResults, cardResult));
 
-        // Store the current card measurements in pixels.
-        currentCardMeasurements = {
-            cardLongSide: longerSide,
-            cardShortSide: shorterSide
-        };
+    renderAggregate(hand, aggregate);
+    renderMeasurementHistory();
+    return frame;
+}
 
-        // Calculate the pixel per millimeter ratio using the detected longer side of the card
-        // and its known actual length. This ratio is crucial for converting other pixel measurements to mm.
-        if (longerSide > 0) { // Avoid division by zero.
-            pixelPerMm = longerSide / ACTUAL_CARD_LONG_SIDE_MM;
+/**
+ * Timestamps a measurement and adds it to its hand's rolling history and to the sample log.
+ * @param {Object} measurement - The engine's measurement entry for the frame.
+ * @returns {Object} The recorded history entry.
+ */
+function recordSample(measurement) {
+    const entry = { timestamp: new Date().toISOString(), referenceObject: referenceObject.id, ...measurement };
+    pushToRollingWindow(measurementHistory[measurement.handedness], entry, DEFAULT_STATISTICS_OPTIONS.windowSize);
+    sampleLog.push(entry);
+    return entry;
+}
+
+/**
+ * Distance of a sample from the aggregated medians, summed over the measured dimensions.
+ * @param {Object} entry - A history entry.
+ * @param {Object} aggregate - The result of `aggregateMeasurements`.
+ * @returns {number} The distance in millimeters (lower is more typical).
+ */
+function distanceFromMedians(entry, aggregate) {
+    let distance = 0;
+    for (const [key, column] of Object.entries(MEASUREMENT_COLUMNS)) {
+        if (aggregate[key] && Number.isFinite(entry[column])) {
+            distance += Math.abs(entry[column] - aggregate[key].mm);
         }
     }
+    return distance;
+}
 
-    // --- Capture and Save Measurements to History ---
-    // Only capture and save data if both hand and card are detected in the current frame.
-    if (currentHandMeasurements && currentCardMeasurements) {
-        let dist5to17_mm = null;
-        let dist0to9_mm = null;
-        let estimatedPalmWidth = 'N/A'; // Initialize to 'N/A'
-        let estimatedPalmLength = 'N/A'; // Initialize to 'N/A'
-
-        // Perform conversions to millimeters and estimate hand sizes only if a valid pixelPerMm ratio is available.
-        if (pixelPerMm !== null && pixelPerMm > 0) {
-            // Convert hand distances from pixels to raw millimeters.
-            const rawDist5to17_mm = currentHandMeasurements.dist5to17 / pixelPerMm;
-            const rawDist0to9_mm = currentHandMeasurements.dist0to9 / pixelPerMm;
-
-            // Apply compensation factors to the raw millimeter measurements.
-            dist5to17_mm = rawDist5to17_mm * PALM_WIDTH_COMPENSATION_FACTOR;
-            dist0to9_mm = rawDist0to9_mm * PALM_LENGTH_COMPENSATION_FACTOR;
-
-            // --- Estimate Palm Width ---
-            // Classify palm width based on the compensated (Landmark 5 to 17) distance in millimeters.
-            if (dist5to17_mm < 80) {
-                estimatedPalmWidth = "Small";
-            } else if (dist5to17_mm >= 80 && dist5to17_mm < 90) {
-                estimatedPalmWidth = "Medium";
-            } else { // dist5to17_mm >= 90
-                estimatedPalmWidth = "Large";
-            }
-
-            // --- Estimate Palm Length ---
-            // Classify palm length based on the compensated (Landmark 0 to 9) distance in millimeters.
-            if (dist0to9_mm < 80) {
-                estimatedPalmLength = "Small";
-            } else if (dist0to9_mm >= 80 && dist0to9_mm < 100) {
-                estimatedPalmLength = "Medium";
-            } else { // dist0to9_mm >= 100
-                estimatedPalmLength = "Large";
-            }
+/**
+ * Keeps the new sample as the hand's best frame if it is closer to the medians than the current one.
+ * The snapshot is only rendered when the sample wins, since copying a frame is not free.
+ * @param {string} hand - "Left" or "Right".
+ * @param {Object} entry - The new history entry.
+ * @param {Object} aggregate - The hand's aggregate including the new entry.
+ * @param {Function} takeSnapshot - Returns a canvas with the frame and overlay, or null without a frame.
+ */
+function updateBestFrame(hand, entry, aggregate, takeSnapshot) {
+    const best = bestFrames[hand];
+    if (best && distanceFromMedians(best.entry, aggregate) <= distanceFromMedians(entry, aggregate)) {
+        return;
+    }
+    const snapshot = takeSnapshot();
+    // Without a frame to show, keep an earlier snapshot rather than losing it.
+    if (!snapshot && best && best.snapshot) {
+        return;
+    }
+    bestFrames[hand] = { entry, snapshot };
+}
+
+/**
+ * Collects the current aggregate and recommendation of every hand that has samples.
+ * @returns {Object} Per hand: `{ aggregate, recommendation }`.
+ */
+function currentResults() {
+    const results = {};
+    for (const hand of ["Right", "Left"]) {
+        if (measurementHistory[hand].length > 0) {
+            const aggregate = aggregateMeasurements(measurementHistory[hand], { sizeChart });
+            results[hand] = { aggregate, recommendation: recommendSize(aggregate, sizeChart) };
         }
+    }
+    return results;
+}
+
+/**
+ * The current session for saving to a profile (see sessionBundle.js): the settings it was
+ * measured with, the results per hand and every sample since the session started.
+ * @returns {Object|null} `{ settings, results, samples }`, or null when nothing was measured yet.
+ */
+export function currentSessionData() {
+    if (sampleLog.length === 0) {
+        return null;
+    }
+    return {
+        settings: {
+            productId: sizeChart ? sizeChart.productId : null,
+            productName: sizeChart ? sizeChart.productName || null : null,
+            referenceObjectId: referenceObject.id,
+            handMode,
+            calibration: effectiveCalibration({ calibration })
+        },
+        results: summarizeResults(currentResults()),
+        samples: [...sampleLog]
+    };
+}
+
+/**
+ * File name for an export, e.g. "hand-measure-2024-05-01T10-20-30.csv".
+ * @param {string} extension - The file extension.
+ * @returns {string} The file name.
+ */
+function exportFilename(extension) {
+    return `hand-measure-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.${extension}`;
+}
+
+/**
+ * Downloads every sample since the session started as CSV.
+ */
+function exportCsv() {
+    if (sampleLog.length === 0) {
+        displayMessageBox("There are no measurements to export yet.");
+        return;
+    }
+    downloadText(exportFilename("csv"), historyToCsv(sampleLog), "text/csv");
+}
 
-        // Get the current timestamp for the historical record.
-        const timestamp = new Date().toLocaleTimeString(); // You could use toLocaleString() for date and time.
-
-        // Push the complete set of measurements (pixel, mm, and estimated sizes) to the history array.
-        measurementHistory.push({
-            timestamp: timestamp,
-            dist5to17: currentHandMeasurements.dist5to17,
-            dist5to17_mm: dist5to17_mm,
-            estimatedPalmWidth: estimatedPalmWidth,
-            dist0to9: currentHandMeasurements.dist0to9,
-            dist0to9_mm: dist0to9_mm,
-            estimatedPalmLength: estimatedPalmLength,
-            cardLongSide: currentCardMeasurements.cardLongSide,
-            cardShortSide: currentCardMeasurements.cardShortSide
-        });
-    }
-
-    // --- Always Update Top Display based on History ---
-    // This ensures the top display persists with the last calculated average,
-    // even if no new hand/card is detected in the current frame.
-    if (measurementHistory.length > 0) {
-        const validPalmWidths = measurementHistory.filter(m => m.dist5to17_mm !== null).map(m => m.dist5to17_mm);
-        const validPalmLengths = measurementHistory.filter(m => m.dist0to9_mm !== null).map(m => m.dist0to9_mm);
-
-        let avgPalmWidth_mm = null;
-        let avgPalmLength_mm = null;
-        let avgEstimatedPalmWidth = 'N/A';
-        let avgEstimatedPalmLength = 'N/A';
-
-        if (validPalmWidths.length > 0) {
-            avgPalmWidth_mm = validPalmWidths.reduce((sum, val) => sum + val, 0) / validPalmWidths.length;
-            if (avgPalmWidth_mm < 80) {
-                avgEstimatedPalmWidth = "Small";
-            } else if (avgPalmWidth_mm >= 80 && avgPalmWidth_mm < 90) {
-                avgEstimatedPalmWidth = "Medium";
-            } else {
-                avgEstimatedPalmWidth = "Large";
-            }
-            currentPalmWidthDisplay.innerText = `Palm Width: ${avgPalmWidth_mm.toFixed(2)} mm (${avgEstimatedPalmWidth})`;
-        } else {
-            currentPalmWidthDisplay.innerText = "Palm Width: N/A (No valid measurements)";
+/**
+ * Downloads every sample since the session started, with the current results, as JSON.
+ */
+function exportJson() {
+    if (sampleLog.length === 0) {
+        displayMessageBox("There are no measurements to export yet.");
+        return;
+    }
+    downloadText(exportFilename("json"), historyToJson(sampleLog, currentResults(), sizeChart, new Date(), effectiveCalibration({ calibration })), "application/json");
+}
+
+/**
+ * Opens the printable fit report with the final measurements, sizes and best-frame snapshots.
+ */
+function printReport() {
+    const results = currentResults();
+    if (Object.keys(results).length === 0) {
+        displayMessageBox("There are no measurements to report yet.");
+        return;
+    }
+    const snapshots = {};
+    for (const hand of Object.keys(results)) {
+        if (bestFrames[hand] && bestFrames[hand].snapshot) {
+            snapshots[hand] = bestFrames[hand].snapshot.toDataURL("image/jpeg", 0.85);
         }
+    }
+    if (!printFitReport(buildFitReportHtml({ results, snapshots, sizeChart }))) {
+        displayMessageBox("Could not open the report. Please allow pop-ups for this page.");
+    }
+}
 
-        if (validPalmLengths.length > 0) {
-            avgPalmLength_mm = validPalmLengths.reduce((sum, val) => sum + val, 0) / validPalmLengths.length;
-            if (avgPalmLength_mm < 80) {
-                avgEstimatedPalmLength = "Small";
-            } else if (avgPalmLength_mm >= 80 && avgPalmLength_mm < 100) {
-                avgEstimatedPalmLength = "Medium";
-            } else {
-                avgEstimatedPalmLength = "Large";
-            }
-            currentPalmLengthDisplay.innerText = `Palm Length: ${avgPalmLength_mm.toFixed(2)} mm (${avgEstimatedPalmLength})`;
-        } else {
-            currentPalmLengthDisplay.innerText = "Palm Length: N/A (No valid measurements)";
+/**
+ * Sends the current results to the configured endpoint. Without a connection they are
+ * queued and sent later, also after a reload.
+ */
+async function submitResults() {
+    const session = currentSessionData();
+    if (!session || Object.keys(session.results).length === 0) {
+        displayMessageBox("There are no measurements to submit yet.");
+        return;
+    }
+    try {
+        // More samples since an earlier submit make different results, and a new submission.
+        const { status, message } = await submissionClient.submit(session, `${sessionId}-${session.samples.length}`);
+        if (status === "rejected") {
+            displayMessageBox(`The results were not accepted: ${message}`);
+        } else if (status === "sent") {
+            submissionStatusDisplay.innerText = "Results submitted.";
         }
+    } catch (error) {
+        console.error("Error submitting results:", error);
+        displayMessageBox("Could not submit the results.");
+    }
+}
+
+/**
+ * Shows the state of the submission queue next to the submit action.
+ * @param {Object} status - `{ pending, lastError }` from the submission client.
+ */
+function renderSubmissionStatus({ pending, lastError }) {
+    if (pending === 0) {
+        submissionStatusDisplay.innerText = "";
     } else {
-        // If measurement history is empty, reset the top display to "Not detected".
-        currentPalmWidthDisplay.innerText = "Palm Width: Not detected";
-        currentPalmLengthDisplay.innerText = "Palm Length: Not detected";
+        const waiting = `${pending} submission${pending === 1 ? "" : "s"} waiting to be sent`;
+        submissionStatusDisplay.innerText = lastError ? `${waiting}. ${lastError}` : `${waiting}.`;
     }
+}
 
-    // Re-render the history table to display the newly added entry (if any).
+/**
+ * Updates one hand's display from its aggregated history.
+ * This ensures the display persists with the last calculated median,
+ * even if no new hand/card is detected in the current frame.
+ * @param {string} hand - "Left" or "Right".
+ * @param {Object|null} aggregate - The result of `aggregateMeasurements`, or null for an empty history.
+ */
+function renderAggregate(hand, aggregate) {
+    const { palmWidth, palmLength, dimensions } = handDisplays[hand];
+    if (!aggregate) {
+        // If measurement history is empty, reset the display to "Not detected".
+        palmWidth.innerText = "Palm Width: Not detected";
+        palmLength.innerText = "Palm Length: Not detected";
+        dimensions.replaceChildren();
+        renderRecommendation(hand, null);
+        return;
+    }
+
+    if (aggregate.palmWidth) {
+        palmWidth.innerText = `Palm Width: ${formatAggregate(aggregate.palmWidth)}`;
+    } else {
+        palmWidth.innerText = "Palm Width: N/A (No valid measurements)";
+    }
+
+    if (aggregate.palmLength) {
+        palmLength.innerText = `Palm Length: ${formatAggregate(aggregate.palmLength)}`;
+    } else {
+        palmLength.innerText = "Palm Length: N/A (No valid measurements)";
+    }
+
+    dimensions.replaceChildren(...DETAIL_MEASUREMENT_KEYS.filter(key => aggregate[key]).map(key => {
+        const item = document.createElement("li");
+        const column = aggregate[key];
+        // The size is only shown when the size chart uses this measurement.
+        const size = column.size !== "N/A" ? ` (${column.size})` : "";
+        item.innerText = `${MEASUREMENT_LABELS[key]}: ${column.mm.toFixed(1)} mm${size}`;
+        return item;
+    }));
+
+    renderRecommendation(hand, recommendSize(aggregate, sizeChart));
+}
+
+/**
+ * Shows the live pose quality verdict so the user can correct their pose.
+ * @param {Object} quality - The result of `evaluateFrameQuality` for the current frame.
+ */
+function renderQuality(quality) {
+    if (quality.accepted) {
+        qualityDisplay.innerText = "Hand pose: OK";
+        qualityDisplay.className = "mb-2 text-success";
+    } else {
+        qualityDisplay.innerText = `Hand pose: ${quality.reasons.map(reason => QUALITY_REASON_MESSAGES[reason]).join(" ")}`;
+        qualityDisplay.className = "mb-2 text-danger";
+    }
+}
+
+/**
+ * Shows the capture session's instructions, progress and remaining time.
+ * @param {number} now - Current time in milliseconds.
+ */
+function renderCaptureSession(now) {
+    // Before the first frame, show the session as it will start.
+    const session = captureSession || createSession(now);
+    const phase = session.phase;
+    // The first step names the selected reference object.
+    const instruction = phase === PHASES.SHOW_CARD ? referenceObject.instruction : PHASE_INSTRUCTIONS[phase];
+    // Prefix the instruction with the hand being measured, unless the whole session is done.
+    let text = phase === PHASES.RESULT_READY
+        ? instruction
+        : `${currentHand()} hand – ${instruction}`;
+    const remaining = timeRemaining(session, now);
+    if (remaining !== null && phase !== PHASES.HOLD_STILL) {
+        text += ` (${Math.ceil(remaining / 1000)} s left)`;
+    }
+    sessionInstructionDisplay.innerText = text;
+
+    // Pick the alert colour from the phase: green when done, red when timed out.
+    const variant = phase === PHASES.RESULT_READY ? "success" : phase === PHASES.TIMED_OUT ? "danger" : "info";
+    sessionInstructionDisplay.className = `alert alert-${variant} mb-2`;
+
+    // Progress counts samples towards the minimum needed for a result.
+    const percent = phase === PHASES.RESULT_READY
+        ? 100
+        : Math.min(session.samplesCollected / DEFAULT_SESSION_OPTIONS.minSamples, 1) * 100;
+    sessionProgressBar.style.width = `${percent}%`;
+    sessionProgressBar.setAttribute("aria-valuenow", String(Math.round(percent)));
+}
+
+/**
+ * Discards the collected samples of both hands and starts a new capture session
+ * from the first phase with the first hand of the selected mode. The session's clock starts
+ * with the next processed frame.
+ * @param {number} [now] - Current time in milliseconds (the replay mode passes its media time).
+ */
+export function restartCaptureSession(now = performance.now()) {
+    captureSession = null;
+    currentHandIndex = 0;
+    measurementHistory = { Left: [], Right: [] };
+    sampleLog = [];
+    sessionId = crypto.randomUUID();
+    bestFrames = { Left: null, Right: null };
+    previousLandmarks = null;
+    for (const hand of HANDS) {
+        renderAggregate(hand, null);
+    }
     renderMeasurementHistory();
+    renderCaptureSession(now);
+}
+
+/**
+ * Loads the size chart named by the page URL (`?product=` or `?sizeChart=`).
+ * Measurements keep working without a chart; sizes are then shown as "N/A".
+ */
+async function initSizeChart() {
+    try {
+        sizeChart = await loadSizeChart(resolveSizeChartUrl(window.location.search));
+        sizeChartDisplay.innerText = `Size chart: ${sizeChart.productName || sizeChart.productId}`;
+    } catch (error) {
+        console.error("Error loading size chart:", error);
+        sizeChartDisplay.innerText = "Size chart: not available";
+        displayMessageBox("Could not load the size chart. Sizes cannot be estimated.");
+    }
+}
+
+/**
+ * Loads the fitted calibration. Without one the engine's compensation factors are used,
+ * so a missing file is not an error the user needs to see.
+ */
+async function initCalibration() {
+    try {
+        calibration = await loadCalibration(CALIBRATION_URL);
+    } catch (error) {
+        console.warn("No calibration loaded, using the default compensation factors:", error);
+    }
 }
 
-// Automatically create the measurement display elements when the DOM is fully loaded.
-document.addEventListener("DOMContentLoaded", createMeasurementDisplayElements);
+// Automatically create the measurement display elements and load the size chart and calibration when the DOM is fully loaded.
+document.addEventListener("DOMContentLoaded", async () => {
+    createMeasurementDisplayElements();
+    await Promise.all([initSizeChart(), initCalibration()]);
+});
@@ -0,0 +1,480 @@
+// app/js/measurementEngine.js
+
+import { quadSideLengths } from "./cardDetector.js";
+import { applyHomography, cardPlaneHomography } from "./homography.js";
+import { classifyMeasurement } from "./sizeChart.js";
+import { DEFAULT_STATISTICS_OPTIONS, summarize } from "./statistics.js";
+import { DEFAULT_QUALITY_OPTIONS, QUALITY_REASONS, evaluateFrameQuality } from "./frameQuality.js";
+
+// Pure, DOM-free measurement engine.
+// Everything in this module works on plain data (detector results in, plain objects out)
+// so it can run in the browser as well as under Node for offline regression checks.
+
+// Default engine configuration.
+// Real-world reference sizes are in millimeters; the compensation factors mirror the
+// hand-tuned values that used to live as constants in measurement.js.
+export const DEFAULT_ENGINE_CONFIG = {
+    // Size of the reference object, by default a standard ID-1 (credit card) card.
+    // See referenceObjects.js for the other objects (`referenceEngineConfig`).
+    cardLongSideMm: 85.60,
+    cardShortSideMm: 53.98,
+    palmWidthCompensation: 1.30, // Adds 30% to the palm width (Landmark 5 to 17 distance).
+    palmLengthCompensation: 1.00, // No compensation for palm length (Landmark 0 to 9 distance).
+    handLengthCompensation: 1.00, // No compensation for hand length (Landmark 0 to 12 distance).
+    fingerLengthCompensation: 1.00, // No compensation for the finger lengths (MCP joint to tip).
+    // The palm circumference is estimated from the (compensated) palm width, modelling the palm
+    // at the knuckles as an ellipse whose thickness is this fraction of its width.
+    palmThicknessRatio: 0.50,
+    // Fitted calibration (see calibration.js). Replaces the compensation factors of the keys it covers.
+    calibration: null,
+    // Map landmarks into the card plane through a homography instead of assuming
+    // the camera looks straight down. Falls back to a plain pixel scale when disabled.
+    perspectiveCorrection: true,
+    // Normalized size chart (see sizeChart.js) used to classify measurements.
+    // Without a chart, measurements are still computed but sizes are reported as "N/A".
+    sizeChart: null,
+    // Outlier rejection and confidence interval options used by the aggregator (see statistics.js).
+    statistics: DEFAULT_STATISTICS_OPTIONS,
+    // Only frames passing the pose quality gates produce a measurement (see frameQuality.js).
+    qualityGates: true,
+    quality: DEFAULT_QUALITY_OPTIONS,
+    // Which hand to measure ("Left" or "Right"); null measures the first detected hand.
+    targetHand: null,
+    // MediaPipe labels handedness assuming a mirrored (selfie) image. The webcam frames are
+    // not mirrored, so the labels are swapped unless this is set.
+    mirroredInput: false
+};
+
+// Hand labels used for tagging samples.
+export const HANDS = ["Left", "Right"];
+
+// History columns holding the millimeter value for each size chart measurement key.
+export const MEASUREMENT_COLUMNS = {
+    palmWidth: "dist5to17_mm",
+    palmLength: "dist0to9_mm",
+    handLength: "dist0to12_mm",
+    palmCircumference: "palmCircumference_mm",
+    thumbLength: "thumbLength_mm",
+    indexFingerLength: "indexFingerLength_mm",
+    middleFingerLength: "middleFingerLength_mm",
+    ringFingerLength: "ringFingerLength_mm",
+    littleFingerLength: "littleFingerLength_mm"
+};
+
+// Engine configuration key of the compensation factor for each directly measured key.
+// The palm circumference is derived from the palm width and has no factor of its own.
+export const COMPENSATION_FACTORS = {
+    palmWidth: "palmWidthCompensation",
+    palmLength: "palmLengthCompensation",
+    handLength: "handLengthCompensation",
+    thumbLength: "fingerLengthCompensation",
+    indexFingerLength: "fingerLengthCompensation",
+    middleFingerLength: "fingerLengthCompensation",
+    ringFingerLength: "fingerLengthCompensation",
+    littleFingerLength: "fingerLengthCompensation"
+};
+
+// Landmarks of each finger from its MCP joint to the tip (the thumb's MCP joint is landmark 2).
+// A finger's length is measured along these joints, so a slightly bent finger is not measured short.
+export const FINGER_LANDMARKS = {
+    thumbLength: [2, 3, 4],
+    indexFingerLength: [5, 6, 7, 8],
+    middleFingerLength: [9, 10, 11, 12],
+    ringFingerLength: [13, 14, 15, 16],
+    littleFingerLength: [17, 18, 19, 20]
+};
+
+/**
+ * Merges a partial engine configuration over the defaults.
+ * @param {Object} [config] - Partial configuration overriding `DEFAULT_ENGINE_CONFIG`.
+ * @returns {Object} A complete engine configuration.
+ */
+export function resolveEngineConfig(config = {}) {
+    return {
+        ...DEFAULT_ENGINE_CONFIG,
+        ...config,
+        statistics: { ...DEFAULT_ENGINE_CONFIG.statistics, ...(config.statistics || {}) },
+        quality: { ...DEFAULT_ENGINE_CONFIG.quality, ...(config.quality || {}) }
+    };
+}
+
+/**
+ * The correction applied to a raw length: the fitted calibration if it covers the key,
+ * otherwise the key's compensation factor.
+ * @param {string} key - A key of `COMPENSATION_FACTORS`.
+ * @param {Object} config - A resolved engine configuration.
+ * @returns {Object} `{ scale, offsetMm }`.
+ */
+function correctionFor(key, config) {
+    const fit = config.calibration && config.calibration.dimensions[key];
+    return fit ? { scale: fit.scale, offsetMm: fit.offsetMm || 0 } : { scale: config[COMPENSATION_FACTORS[key]], offsetMm: 0 };
+}
+
+/**
+ * The correction applied to every directly measured key, e.g. for recording it with an export
+ * so that tools/fit-calibration.mjs can recover the raw lengths.
+ * @param {Object} [config] - Partial engine configuration (see `DEFAULT_ENGINE_CONFIG`).
+ * @returns {Object} Measurement key -> `{ scale, offsetMm }`.
+ */
+export function effectiveCalibration(config) {
+    const resolved = resolveEngineConfig(config);
+    const corrections = {};
+    for (const key of Object.keys(COMPENSATION_FACTORS)) {
+        corrections[key] = correctionFor(key, resolved);
+    }
+    return corrections;
+}
+
+/**
+ * Applies the calibration (or compensation factor) of a key to a raw length.
+ * @param {string} key - A key of `COMPENSATION_FACTORS`.
+ * @param {number} rawMm - The length measured in the reference object's plane.
+ * @param {Object} config - A resolved engine configuration.
+ * @returns {number} The corrected length in millimeters.
+ */
+function correctLength(key, rawMm, config) {
+    const { scale, offsetMm } = correctionFor(key, config);
+    return rawMm * scale + offsetMm;
+}
+
+/**
+ * Returns the size label for a measurement, or "N/A" when it cannot be classified.
+ * @param {Object|null} sizeChart - A normalized size chart.
+ * @param {string} key - The measurement key (e.g. "palmWidth").
+ * @param {number|null} valueMm - The measured value in millimeters.
+ * @returns {string} The size label.
+ */
+export function sizeLabel(sizeChart, key, valueMm) {
+    const size = classifyMeasurement(sizeChart, key, valueMm);
+    return size ? size.label : "N/A";
+}
+
+// Number of landmarks MediaPipe reports per hand; all of them are measured.
+const LANDMARK_COUNT = 21;
+
+/**
+ * Euclidean distance between two points.
+ * @param {Object} a - First point with x, y coordinates.
+ * @param {Object} b - Second point with x, y coordinates.
+ * @returns {number} The distance, in the points' units.
+ */
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Measures the lengths of a hand from its landmark points, in the points' units.
+ * @param {Object} points - Landmark index -> `{ x, y }`.
+ * @returns {Object} `{ dist5to17, dist0to9, dist0to12 }` (palm width, palm length and hand length)
+ *   and one entry per key of `FINGER_LANDMARKS`.
+ */
+function handLengths(points) {
+    const lengths = {
+        dist5to17: distance(points[5], points[17]),
+        dist0to9: distance(points[0], points[9]),
+        dist0to12: distance(points[0], points[12])
+    };
+    for (const [key, chain] of Object.entries(FINGER_LANDMARKS)) {
+        let length = 0;
+        for (let i = 1; i < chain.length; i++) {
+            length += distance(points[chain[i - 1]], points[chain[i]]);
+        }
+        lengths[key] = length;
+    }
+    return lengths;
+}
+
+/**
+ * Estimates the palm circumference at the knuckles from the palm width.
+ * The cross-section is modelled as an ellipse (Ramanujan's perimeter approximation).
+ * @param {number} palmWidthMm - The palm width in millimeters.
+ * @param {number} thicknessRatio - Palm thickness as a fraction of the palm width.
+ * @returns {number} The estimated circumference in millimeters.
+ */
+export function estimatePalmCircumference(palmWidthMm, thicknessRatio) {
+    const a = palmWidthMm / 2;
+    const b = (palmWidthMm * thicknessRatio) / 2;
+    return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
+
+/**
+ * Returns the handedness of a detected hand as seen by the user.
+ * @param {Object} handResults - The results object from the HandLandmarker model.
+ * @param {number} index - Index of the hand within the results.
+ * @param {Object} config - A resolved engine configuration.
+ * @returns {Object|null} `{ label, score }` with label "Left" or "Right", or null if unknown.
+ */
+export function handednessOf(handResults, index, config) {
+    // Older MediaPipe releases call the field `handednesses`.
+    const handedness = handResults.handedness || handResults.handednesses;
+    const category = handedness && handedness[index] && handedness[index][0];
+    if (!category || !HANDS.includes(category.categoryName)) {
+        return null;
+    }
+    let label = category.categoryName;
+    if (!config.mirroredInput) {
+        label = label === "Left" ? "Right" : "Left";
+    }
+    return { label, score: category.score };
+}
+
+/**
+ * Measures the target hand (or the first detected hand) in pixels.
+ * @param {Object} handResults - The results object from the HandLandmarker model.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @param {Object} [config] - Partial engine configuration; `targetHand` selects the hand.
+ * @returns {Object|null} `{ dist5to17, dist0to9, dist0to12, ...fingerLengths, points, landmarks, handedness,
+ *   handednessScore }` in pixels (see `handLengths`), where `points` maps the landmark indices to pixel
+ *   coordinates and `landmarks` are the raw normalized landmarks, or null if no usable hand was found.
+ */
+export function measureHand(handResults, width, height, config) {
+    const resolved = resolveEngineConfig(config);
+    if (!handResults || !handResults.landmarks || handResults.landmarks.length === 0) {
+        return null;
+    }
+
+    // Pick the first hand matching the target handedness (any hand when no target is set).
+    let index = 0;
+    let handedness = handednessOf(handResults, 0, resolved);
+    if (resolved.targetHand) {
+        index = handResults.landmarks.findIndex((_, i) => {
+            const candidate = handednessOf(handResults, i, resolved);
+            return candidate !== null && candidate.label === resolved.targetHand;
+        });
+        if (index === -1) {
+            return null;
+        }
+        handedness = handednessOf(handResults, index, resolved);
+    }
+
+    const landmarks = handResults.landmarks[index];
+    // All 21 landmarks are needed for the measurements and the pose quality checks.
+    if (!landmarks || landmarks.length < LANDMARK_COUNT) {
+        return null;
+    }
+
+    // Convert normalized landmark coordinates (0-1) to pixel coordinates.
+    const points = {};
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        points[i] = { x: landmarks[i].x * width, y: landmarks[i].y * height };
+    }
+
+    return {
+        ...handLengths(points),
+        points,
+        landmarks,
+        handedness: handedness ? handedness.label : null,
+        handednessScore: handedness ? handedness.score : null
+    };
+}
+
+/**
+ * Measures the detected card in pixels from its four corners.
+ * @param {Object} cardResult - The result of `locateCard` (normalized corners), or null.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @returns {Object|null} `{ cardLongSide, cardShortSide, corners }` in pixels, or null if no card was found.
+ */
+export function measureCard(cardResult, width, height) {
+    if (!cardResult || !cardResult.corners || cardResult.corners.length !== 4) {
+        return null;
+    }
+
+    // Convert the normalized corners to pixel coordinates before measuring the sides.
+    const corners = cardResult.corners.map(c => ({ x: c.x * width, y: c.y * height }));
+    const { longSide, shortSide } = quadSideLengths(corners);
+
+    return {
+        cardLongSide: longSide,
+        cardShortSide: shortSide,
+        corners
+    };
+}
+
+/**
+ * Maps the hand landmarks into the card's metric plane.
+ * @param {Object} hand - Pixel hand measurements from `measureHand`.
+ * @param {Object} card - Pixel card measurements from `measureCard`.
+ * @param {Object} config - A resolved engine configuration.
+ * @returns {Object|null} Landmark index -> `{ x, y }` in millimeters, or null if the card quad is degenerate.
+ */
+export function rectifyHand(hand, card, config) {
+    const h = cardPlaneHomography(card.corners, config.cardLongSideMm, config.cardShortSideMm);
+    if (!h) {
+        return null;
+    }
+    const rectified = {};
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        rectified[i] = applyHomography(h, hand.points[i]);
+    }
+    return rectified;
+}
+
+/**
+ * Computes all measurements for a single frame.
+ * @param {Object} handResults - The results object from the HandLandmarker model.
+ * @param {Object} cardResult - The result of `detectReferenceObject` for this frame, or null; one marked
+ *   `tooSmall` is not used for the scale.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @param {Object} [config] - Partial engine configuration (see `DEFAULT_ENGINE_CONFIG`).
+ * @param {Array<Object>|null} [previousLandmarks] - The hand's landmarks in the previous processed
+ *   frame, used by the stillness check.
+ * @returns {Object} `{ hand, card, pixelPerMm, quality, rectified, dimensions, measurement }`. `quality` is
+ *   the result of `evaluateFrameQuality`. `rectified` holds the hand landmarks mapped into the card plane (mm)
+ *   when perspective correction was applied. `dimensions` maps each column of `MEASUREMENT_COLUMNS` to the
+ *   corrected length in millimeters whenever both hand and card were found, even if the pose was rejected.
+ *   `measurement` is the history entry for this frame (without a timestamp) and is null unless both hand
+ *   and card were found, the hand's handedness is known and the pose passed the quality gates.
+ */
+export function computeFrameMeasurement(handResults, cardResult, width, height, config, previousLandmarks = null) {
+    const resolved = resolveEngineConfig(config);
+    const hand = measureHand(handResults, width, height, resolved);
+    // A coin too small in the analysed frame would give an imprecise scale (see referenceObjects.js).
+    const referenceTooSmall = Boolean(cardResult && cardResult.tooSmall);
+    const card = referenceTooSmall ? null : measureCard(cardResult, width, height);
+    const side = hand && hand.handedness ? { handedness: hand.handedness, mirrored: resolved.mirroredInput } : null;
+    let quality = resolved.qualityGates
+        ? evaluateFrameQuality(hand ? hand.landmarks : null, previousLandmarks, resolved.quality, side)
+        : { accepted: hand !== null, reasons: [], metrics: null };
+    // A hand is visible, just not the one being measured.
+    if (!hand && resolved.targetHand && handResults && handResults.landmarks && handResults.landmarks.length > 0) {
+        quality = { accepted: false, reasons: [QUALITY_REASONS.WRONG_HAND], metrics: null };
+    }
+    // Samples are kept per hand, so a hand without a handedness label cannot be measured.
+    if (hand && !hand.handedness) {
+        quality = { accepted: false, reasons: [QUALITY_REASONS.UNKNOWN_HAND], metrics: quality.metrics };
+    }
+    if (referenceTooSmall) {
+        quality = { accepted: false, reasons: [...quality.reasons, QUALITY_REASONS.REFERENCE_TOO_SMALL], metrics: quality.metrics };
+    }
+
+    // Pixels per millimeter from the reference object's sides and their known real lengths.
+    // Averaging both sides halves the effect of an error in either.
+    let pixelPerMm = null;
+    if (card && card.cardLongSide > 0 && card.cardShortSide > 0) {
+        pixelPerMm = (card.cardLongSide / resolved.cardLongSideMm + card.cardShortSide / resolved.cardShortSideMm) / 2;
+    }
+
+    // Nothing can be measured unless both hand and card are visible.
+    if (!hand || !card) {
+        return { hand, card, pixelPerMm, quality, rectified: null, dimensions: null, measurement: null };
+    }
+
+    const rectified = resolved.perspectiveCorrection ? rectifyHand(hand, card, resolved) : null;
+
+    // Distances in the card plane are already in millimeters; pixel distances are converted
+    // with the card's scale. Only the calibration (or compensation factors) remains to be applied.
+    let lengthsMm = null;
+    if (rectified) {
+        lengthsMm = handLengths(rectified);
+    } else if (pixelPerMm !== null) {
+        lengthsMm = {};
+        for (const [key, value] of Object.entries(handLengths(hand.points))) {
+            lengthsMm[key] = value / pixelPerMm;
+        }
+    }
+
+    const dimensions = {
+        dist5to17_mm: null,
+        dist0to9_mm: null,
+        dist0to12_mm: null,
+        palmCircumference_mm: null
+    };
+    for (const key of Object.keys(FINGER_LANDMARKS)) {
+        dimensions[MEASUREMENT_COLUMNS[key]] = null;
+    }
+    let estimatedPalmWidth = "N/A";
+    let estimatedPalmLength = "N/A";
+
+    if (lengthsMm) {
+        dimensions.dist5to17_mm = correctLength("palmWidth", lengthsMm.dist5to17, resolved);
+        dimensions.dist0to9_mm = correctLength("palmLength", lengthsMm.dist0to9, resolved);
+        dimensions.dist0to12_mm = correctLength("handLength", lengthsMm.dist0to12, resolved);
+        dimensions.palmCircumference_mm = estimatePalmCircumference(dimensions.dist5to17_mm, resolved.palmThicknessRatio);
+        for (const key of Object.keys(FINGER_LANDMARKS)) {
+            dimensions[MEASUREMENT_COLUMNS[key]] = correctLength(key, lengthsMm[key], resolved);
+        }
+        estimatedPalmWidth = sizeLabel(resolved.sizeChart, "palmWidth", dimensions.dist5to17_mm);
+        estimatedPalmLength = sizeLabel(resolved.sizeChart, "palmLength", dimensions.dist0to9_mm);
+    }
+
+    // The lengths are still reported for a rejected pose (e.g. for the overlay), but a history
+    // entry is only produced when the pose passed the quality gates.
+    if (!quality.accepted) {
+        return { hand, card, pixelPerMm, quality, rectified, dimensions, measurement: null };
+    }
+
+    return {
+        hand,
+        card,
+        pixelPerMm,
+        quality,
+        rectified,
+        dimensions,
+        measurement: {
+            handedness: hand.handedness,
+            dist5to17: hand.dist5to17,
+            dist5to17_mm: dimensions.dist5to17_mm,
+            estimatedPalmWidth,
+            dist0to9: hand.dist0to9,
+            dist0to9_mm: dimensions.dist0to9_mm,
+            estimatedPalmLength,
+            dist0to12: hand.dist0to12,
+            dist0to12_mm: dimensions.dist0to12_mm,
+            palmCircumference_mm: dimensions.palmCircumference_mm,
+            thumbLength_mm: dimensions.thumbLength_mm,
+            indexFingerLength_mm: dimensions.indexFingerLength_mm,
+            middleFingerLength_mm: dimensions.middleFingerLength_mm,
+            ringFingerLength_mm: dimensions.ringFingerLength_mm,
+            littleFingerLength_mm: dimensions.littleFingerLength_mm,
+            cardLongSide: card.cardLongSide,
+            cardShortSide: card.cardShortSide
+        }
+    };
+}
+
+/**
+ * Summarizes one measurement column of the history (median after outlier rejection) and classifies it.
+ * @param {Array<Object>} history - Measurement history entries.
+ * @param {string} key - The measurement key to aggregate (e.g. "palmWidth").
+ * @param {Object} config - A resolved engine configuration.
+ * @returns {Object|null} `{ mm, std, mad, ciLow, ciHigh, ciHalfWidth, size, sampleCount, rejectedCount }`
+ *   where `mm` is the median of the kept samples, or null if there are no valid values.
+ */
+function aggregateColumn(history, key, config) {
+    const column = MEASUREMENT_COLUMNS[key];
+    const values = history.filter(m => m[column] !== null && m[column] !== undefined).map(m => m[column]);
+    const summary = summarize(values, config.statistics);
+    if (!summary) {
+        return null;
+    }
+    return {
+        mm: summary.median,
+        std: summary.std,
+        mad: summary.mad,
+        ciLow: summary.ciLow,
+        ciHigh: summary.ciHigh,
+        ciHalfWidth: summary.ciHalfWidth,
+        size: sizeLabel(config.sizeChart, key, summary.median),
+        sampleCount: summary.count,
+        rejectedCount: summary.rejectedCount
+    };
+}
+
+/**
+ * Aggregates a measurement history into headline values for every hand dimension.
+ * @param {Array<Object>} history - Measurement history entries as produced by `computeFrameMeasurement`.
+ * @param {Object} [config] - Partial engine configuration (see `DEFAULT_ENGINE_CONFIG`).
+ * @returns {Object} `{ sampleCount, palmWidth, palmLength, ... }` with one entry per key of
+ *   `MEASUREMENT_COLUMNS`, each the result of `aggregateColumn` or null when no valid measurement exists.
+ */
+export function aggregateMeasurements(history, config) {
+    const resolved = resolveEngineConfig(config);
+    const aggregate = { sampleCount: history.length };
+    for (const key of Object.keys(MEASUREMENT_COLUMNS)) {
+        aggregate[key] = aggregateColumn(history, key, resolved);
+    }
+    return aggregate;
+}
@@ -0,0 +1,31 @@
+// app/js/messageBox.js
+
+/**
+ * Displays a custom message box to the user.
+ * @param {string} message - The message to display.
+ */
+export function displayMessageBox(message) {
+    const messageBox = document.createElement('div');
+    messageBox.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background-color: #f8d7da;
+        color: #721c24;
+        border: 1px solid #f5c6cb;
+        padding: 15px;
+        border-radius: 5px;
+        z-index: 1000;
+        font-family: sans-serif;
+        box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+    `;
+    messageBox.textContent = message;
+    document.body.appendChild(messageBox);
+    // Remove the message box after 5 seconds.
+    setTimeout(() => {
+        if (document.body.contains(messageBox)) { // Check if element still exists before attempting to remove
+            document.body.removeChild(messageBox);
+        }
+    }, 5000);
+}
@@ -0,0 +1,80 @@
+// app/js/modelStatus.js
+
+// Status component for loading the hand tracking model: turns the stages reported by
+// `createHandLandmarker` into a message, colour and progress value, and renders them into
+// the status alert of the page (#modelStatus in index.html).
+
+/**
+ * Describes a loading stage for the user.
+ * @param {Object} progress - A stage reported by `createHandLandmarker`, or `{ stage: "failed", error }`.
+ * @returns {Object} `{ text, variant, percent }` where `variant` is a Bootstrap alert variant,
+ *   `percent` is null when there is no meaningful progress value and `text` is null when
+ *   nothing needs to be shown.
+ */
+export function describeModelProgress(progress) {
+    switch (progress.stage) {
+        case "runtime":
+            return { text: "Loading hand tracking runtime...", variant: "info", percent: null };
+        case "model": {
+            const { loaded, total } = progress;
+            const percent = total ? Math.min(loaded / total, 1) * 100 : null;
+            const downloaded = `${(loaded / 1e6).toFixed(1)} MB${total ? ` of ${(total / 1e6).toFixed(1)} MB` : ""}`;
+            return { text: `Downloading hand tracking model (${downloaded})...`, variant: "info", percent };
+        }
+        case "retry":
+            return {
+                text: `Loading failed (attempt ${progress.attempt} of ${progress.maxAttempts}). Retrying in ${Math.ceil(progress.delayMs / 1000)} s...`,
+                variant: "warning",
+                percent: null
+            };
+        case "init":
+            return { text: `Starting hand tracking (${progress.delegate})...`, variant: "info", percent: 100 };
+        case "fallback":
+            return { text: "GPU acceleration is not available. Switching to the CPU...", variant: "warning", percent: 100 };
+        case "ready":
+            // On the CPU detection is noticeably slower, so the user is told why.
+            return progress.delegate === "CPU"
+                ? { text: "Hand tracking is running on the CPU, so detection may be slower.", variant: "secondary", percent: null }
+                : { text: null, variant: "success", percent: null };
+        case "failed":
+            return {
+                text: "Could not load the hand tracking model. Check your connection and try again.",
+                variant: "danger",
+                percent: null
+            };
+        default:
+            return { text: null, variant: "info", percent: null };
+    }
+}
+
+/**
+ * Renders a loading stage into a status alert. The alert contains a `.model-status-text`
+ * element, a `.progress` bar and optionally a `.model-status-retry` button, which is only
+ * shown once loading has failed.
+ * @param {HTMLElement|null} container - The status alert element.
+ * @param {Object} progress - The stage (see `describeModelProgress`).
+ */
+export function renderModelStatus(container, progress) {
+    if (!container) {
+        return;
+    }
+    const { text, variant, percent } = describeModelProgress(progress);
+    if (text === null) {
+        container.classList.add("d-none");
+        return;
+    }
+    container.className = `alert alert-${variant}`;
+    container.querySelector(".model-status-text").innerText = text;
+
+    const bar = container.querySelector(".progress-bar");
+    bar.parentElement.classList.toggle("d-none", percent === null);
+    if (percent !== null) {
+        bar.style.width = `${percent}%`;
+        bar.setAttribute("aria-valuenow", String(Math.round(percent)));
+    }
+
+    const retryButton = container.querySelector(".model-status-retry");
+    if (retryButton) {
+        retryButton.classList.toggle("d-none", progress.stage !== "failed");
+    }
+}
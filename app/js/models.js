@@ -0,0 +1,196 @@
+// app/js/models.js
+
+import { resolveAssetBase, assetUrls } from "./assetConfig.js";
+
+// Retry settings for loading the runtime and model.
+export const DEFAULT_MODEL_LOAD_OPTIONS = {
+  maxAttempts: 3, // Attempts before giving up.
+  retryDelayMs: 1000, // Wait before the first retry.
+  retryBackoffFactor: 2, // Each further retry waits this much longer.
+  assetBase: null // Asset base URL; null reads it from the page (see `resolveAssetBase`).
+};
+
+// The runtime bundle, WASM fileset and model file are loaded once and shared by every model instance.
+let runtimePromise;
+let modelPromise;
+
+/**
+ * Loads the tasks-vision bundle and resolves its WASM files (once per page).
+ * @param {number} [attempt] - The loading attempt. Browsers remember a failed module import,
+ *   so retries import the bundle under a distinct URL.
+ * @param {string} [base] - The asset base URL.
+ * @returns {Promise<Object>} `{ HandLandmarker, vision }` where `vision` is the WASM fileset.
+ */
+function loadRuntime(attempt = 1, base = resolveAssetBase()) {
+  if (!runtimePromise) {
+    const urls = assetUrls(base);
+    const bundleUrl = attempt > 1 ? `${urls.visionBundle}?attempt=${attempt}` : urls.visionBundle;
+    runtimePromise = (async () => {
+      const { HandLandmarker, FilesetResolver } = await import(bundleUrl);
+      const vision = await FilesetResolver.forVisionTasks(urls.wasmDirectory);
+      return { HandLandmarker, vision };
+    })().catch(error => {
+      // Allow a later call to try again.
+      runtimePromise = undefined;
+      throw error;
+    });
+  }
+  return runtimePromise;
+}
+
+/**
+ * Downloads the hand landmark model, reporting progress as it arrives (once per page).
+ * @param {Function} onProgress - Called with `{ loaded, total }` in bytes (`total` is null if unknown).
+ * @param {string} [base] - The asset base URL.
+ * @returns {Promise<Uint8Array>} The model file.
+ */
+function loadModelFile(onProgress, base = resolveAssetBase()) {
+  if (!modelPromise) {
+    const url = assetUrls(base).handLandmarkerModel;
+    modelPromise = fetchWithProgress(url, onProgress).catch(error => {
+      modelPromise = undefined;
+      throw error;
+    });
+  }
+  return modelPromise;
+}
+
+/**
+ * Fetches a binary file and reports the download progress.
+ * @param {string} url - The file URL.
+ * @param {Function} onProgress - Called with `{ loaded, total }` in bytes.
+ * @returns {Promise<Uint8Array>} The file contents.
+ * @throws {Error} If the file cannot be fetched.
+ */
+async function fetchWithProgress(url, onProgress) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load ${url} (HTTP ${response.status}).`);
+  }
+  const total = Number(response.headers.get("Content-Length")) || null;
+  if (!response.body) {
+    const buffer = new Uint8Array(await response.arrayBuffer());
+    onProgress({ loaded: buffer.length, total: buffer.length });
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    onProgress({ loaded, total });
+  }
+
+  const buffer = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return buffer;
+}
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs a loading step, retrying it with exponential backoff when it fails.
+ * @param {Function} load - Async function performing the step; receives the attempt number (from 1).
+ * @param {Object} opts - Resolved `DEFAULT_MODEL_LOAD_OPTIONS`.
+ * @param {Function} onProgress - Receives a "retry" stage before each new attempt.
+ * @returns {Promise<*>} The step's result.
+ * @throws {Error} The last error once all attempts have failed.
+ */
+async function withRetry(load, opts, onProgress) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await load(attempt);
+    } catch (error) {
+      if (attempt >= opts.maxAttempts) {
+        throw error;
+      }
+      const delayMs = opts.retryDelayMs * opts.retryBackoffFactor ** (attempt - 1);
+      console.warn(`Loading hand tracking failed (attempt ${attempt} of ${opts.maxAttempts}), retrying in ${delayMs} ms:`, error);
+      onProgress({ stage: "retry", attempt, maxAttempts: opts.maxAttempts, delayMs, error });
+      await delay(delayMs);
+    }
+  }
+}
+
+/**
+ * Whether the browser can create a WebGL2 context, which the GPU delegate needs.
+ * @returns {boolean} True if WebGL2 is available.
+ */
+export function isWebGl2Available() {
+  try {
+    const canvas = typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(1, 1) : document.createElement("canvas");
+    return canvas.getContext("webgl2") !== null;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Creates a HandLandmarker for the given running mode.
+ * The runtime and model downloads are retried with backoff. The GPU delegate is tried first
+ * and the CPU delegate is used when WebGL2 is unavailable or the GPU setup fails.
+ * @param {string} runningMode - "VIDEO" for live streams or "IMAGE" for still images.
+ * @param {Function} [onProgress] - Called with `{ stage, ... }` for each loading stage:
+ *   "runtime" (JS and WASM), "model" (download, with `loaded` and `total` bytes), "retry"
+ *   (`attempt`, `maxAttempts`, `delayMs`, `error`), "init" (`delegate`), "fallback"
+ *   (`delegate` switched to, `error`) and "ready" (`delegate`).
+ * @param {Object} [options] - Partial options overriding `DEFAULT_MODEL_LOAD_OPTIONS`. A worker
+ *   has no page to read the asset base from, so it is passed in as `assetBase`.
+ * @returns {Promise<HandLandmarker>} The initialized model.
+ * @throws {Error} If the model cannot be loaded with either delegate.
+ */
+export async function createHandLandmarker(runningMode, onProgress = () => {}, options = {}) {
+  const opts = { ...DEFAULT_MODEL_LOAD_OPTIONS, ...options };
+  const base = opts.assetBase || resolveAssetBase();
+  const { HandLandmarker, vision, model } = await withRetry(async attempt => {
+    onProgress({ stage: "runtime" });
+    const runtime = await loadRuntime(attempt, base);
+    const modelFile = await loadModelFile(progress => onProgress({ stage: "model", ...progress }), base);
+    return { ...runtime, model: modelFile };
+  }, opts, onProgress);
+
+  const delegates = isWebGl2Available() ? ["GPU", "CPU"] : ["CPU"];
+  let lastError;
+  for (const delegate of delegates) {
+    onProgress({ stage: "init", delegate });
+    try {
+      const landmarker = await HandLandmarker.createFromOptions(vision, {
+        baseOptions: {
+          // The runtime may take ownership of the buffer, so each instance gets its own copy.
+          modelAssetBuffer: model.slice(),
+          delegate
+        },
+        runningMode: runningMode,
+        numHands: 2, // Detects up to 2 hands so the hand being measured can be picked by handedness.
+        minDetectionConfidence: 0.7, // Minimum confidence score for a hand detection to be considered valid.
+        minTrackingConfidence: 0.7   // Minimum confidence score for hand tracking to be considered valid.
+      });
+      onProgress({ stage: "ready", delegate });
+      return landmarker;
+    } catch (error) {
+      lastError = error;
+      if (delegate === "GPU") {
+        console.warn("GPU delegate failed, falling back to CPU:", error);
+        onProgress({ stage: "fallback", delegate: "CPU", error });
+      }
+    }
+  }
+  throw lastError;
+}
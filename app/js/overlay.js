@@ -0,0 +1,520 @@
+// app/js/overlay.js
+
+// Canvas overlay drawing shared by the live camera, photo upload and replay views.
+// All functions take normalized (0-1) coordinates and scale them to the context's canvas.
+// Drawing happens in the canvas's own pixels, but line widths and text are sized in CSS pixels
+// and text is flipped back when the canvas is shown mirrored, so the overlay reads the same
+// however the page scales or mirrors the canvas (see `overlayView`).
+
+import { getReferenceObject } from "./referenceObjects.js";
+import { MEASUREMENT_COLUMNS, FINGER_LANDMARKS } from "./measurementEngine.js";
+
+// Hand connections for drawing landmarks on the canvas.
+export const HAND_CONNECTIONS = [
+  [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
+  [0, 5], [5, 6], [6, 7], [7, 8], // Index finger
+  [5, 9], [9, 10], [10, 11], [11, 12], // Middle finger
+  [9, 13], [13, 14], [14, 15], [15, 16], // Ring finger
+  [13, 17], [17, 18], [18, 19], [19, 20], // Pinky finger
+  [0, 17] // Palm base connection
+];
+
+// How the canvas is displayed: `scale` is canvas pixels per CSS pixel and `mirrored` is true
+// when the page flips the canvas horizontally (e.g. a selfie view). Used when there is no page
+// to look at, such as an offscreen snapshot.
+export const DEFAULT_VIEW = { scale: 1, mirrored: false };
+
+// States of a frame shown by the measurement overlay.
+export const OVERLAY_STATES = {
+  SEARCHING: "searching", // The hand or the reference object is not visible.
+  REJECTED: "rejected", // Both are visible, but the pose failed a quality check.
+  MEASURING: "measuring" // Both are visible and the frame passed the quality checks.
+};
+
+// Colour of the dimension lines and frame border for each state.
+export const OVERLAY_COLORS = {
+  [OVERLAY_STATES.SEARCHING]: "#ffffff",
+  [OVERLAY_STATES.REJECTED]: "#ff9f1a",
+  [OVERLAY_STATES.MEASURING]: "#2ecc71"
+};
+
+// Segments drawn as dimension lines: the history column holding the length, the landmarks
+// at its ends and the landmark the line is moved away from so it does not cover the hand.
+// Finger lengths are measured along the joints; their line runs from the MCP joint to the
+// tip with the label beyond the tip.
+export const DIMENSION_SPANS = [
+  { column: MEASUREMENT_COLUMNS.palmWidth, from: 5, to: 17, awayFrom: 0 },
+  { column: MEASUREMENT_COLUMNS.palmLength, from: 0, to: 9, awayFrom: 17 },
+  { column: MEASUREMENT_COLUMNS.handLength, from: 0, to: 12, awayFrom: 5 },
+  ...Object.entries(FINGER_LANDMARKS).map(([key, chain]) => ({
+    column: MEASUREMENT_COLUMNS[key],
+    from: chain[0],
+    to: chain[chain.length - 1],
+    awayFrom: null
+  }))
+];
+
+// Open right hand used by the placement guide, in millimeters with the wrist at the origin,
+// the fingers pointing up and the palm facing the camera (thumb on the right of an unmirrored
+// frame). The left hand is its mirror image.
+const GUIDE_HAND_MM = [
+  { x: 0, y: 0 },
+  { x: 22, y: -20 }, { x: 38, y: -42 }, { x: 50, y: -62 }, { x: 60, y: -80 },
+  { x: 22, y: -90 }, { x: 26, y: -125 }, { x: 28, y: -148 }, { x: 30, y: -168 },
+  { x: 2, y: -95 }, { x: 2, y: -133 }, { x: 2, y: -158 }, { x: 2, y: -180 },
+  { x: -18, y: -90 }, { x: -21, y: -124 }, { x: -23, y: -147 }, { x: -25, y: -165 },
+  { x: -35, y: -80 }, { x: -41, y: -105 }, { x: -45, y: -121 }, { x: -48, y: -137 }
+];
+// Landmarks outlining the palm of the guide hand.
+const GUIDE_PALM = [0, 1, 2, 5, 9, 13, 17];
+// Finger thickness of the guide hand and its gap to the reference object, in millimeters.
+const GUIDE_FINGER_WIDTH_MM = 18;
+const GUIDE_GAP_MM = 25;
+// Fraction of the frame the guide may cover.
+const GUIDE_FRAME_FILL = 0.85;
+
+// The placement guide is drawn once per layout and reused (see `guideImage`).
+let guideCache = null;
+
+/**
+ * Finds how the page displays a canvas, so the overlay can keep its lines and text readable.
+ * The canvas and its ancestors are checked for transforms that mirror it (such as `scaleX(-1)`).
+ * @param {HTMLCanvasElement} canvas - The canvas being drawn on.
+ * @returns {Object} `{ scale, mirrored }` (see `DEFAULT_VIEW`).
+ */
+export function overlayView(canvas) {
+  const rect = canvas.getBoundingClientRect();
+  // With `object-fit: contain` the content is scaled by the smaller ratio; otherwise both are equal.
+  const scale = rect.width > 0 && rect.height > 0 ? Math.max(canvas.width / rect.width, canvas.height / rect.height) : 1;
+  let mirrored = false;
+  for (let element = canvas; element; element = element.parentElement) {
+    const transform = getComputedStyle(element).transform;
+    if (transform && transform !== "none") {
+      const m = new DOMMatrixReadOnly(transform);
+      // A negative determinant flips the element; a rotation by 180 degrees does not.
+      if (m.a * m.d - m.b * m.c < 0) {
+        mirrored = !mirrored;
+      }
+    }
+  }
+  return { scale, mirrored };
+}
+
+/**
+ * Draws text centered on a point, upright and of the same on-screen size however the canvas is displayed.
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {string} text - The text.
+ * @param {number} x - Center x in canvas pixels.
+ * @param {number} y - Center y in canvas pixels.
+ * @param {Object} view - How the canvas is displayed (see `overlayView`).
+ * @param {Object} options - Drawing options (color, background, fontSize in CSS pixels).
+ */
+export function drawLabel(ctx, text, x, y, view, options = {}) {
+  const { color = "white", background = null, fontSize = 14 } = options;
+  ctx.save();
+  ctx.translate(x, y);
+  // Undo the page's mirroring so the text reads left to right.
+  ctx.scale(view.mirrored ? -view.scale : view.scale, view.scale);
+  ctx.font = `${fontSize}px Arial`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  if (background) {
+    const padding = fontSize * 0.3;
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = background;
+    ctx.fillRect(-textWidth / 2 - padding, -fontSize / 2 - padding, textWidth + 2 * padding, fontSize + 2 * padding);
+  }
+  ctx.fillStyle = color;
+  ctx.fillText(text, 0, 0);
+  ctx.restore();
+}
+
+/**
+ * Draws landmarks (points) on the canvas.
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {Array<Object>} landmarks - An array of landmark objects, each with x, y coordinates.
+ * @param {Object} options - Drawing options (color, lineWidth in CSS pixels, view).
+ */
+export function drawLandmarks(ctx, landmarks, options = {}) {
+  const { color = 'red', lineWidth = 3, view = DEFAULT_VIEW } = options;
+  ctx.fillStyle = color;
+  for (const landmark of landmarks) {
+    ctx.beginPath();
+    // Draw a circle for each landmark.
+    ctx.arc(landmark.x * ctx.canvas.width, landmark.y * ctx.canvas.height, lineWidth * view.scale, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+}
+
+/**
+ * Draws connectors (lines) between specified landmarks on the canvas.
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {Array<Object>} landmarks - An array of landmark objects.
+ * @param {Array<Array<number>>} connections - An array of [startIdx, endIdx] pairs defining connections.
+ * @param {Object} options - Drawing options (color, lineWidth in CSS pixels, view).
+ */
+export function drawConnectors(ctx, landmarks, connections, options = {}) {
+  const { color = 'lime', lineWidth = 2, view = DEFAULT_VIEW } = options;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth * view.scale;
+  for (const [startIdx, endIdx] of connections) {
+    const start = landmarks[startIdx];
+    const end = landmarks[endIdx];
+    ctx.beginPath();
+    ctx.moveTo(start.x * ctx.canvas.width, start.y * ctx.canvas.height);
+    ctx.lineTo(end.x * ctx.canvas.width, end.y * ctx.canvas.height);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Draws the detected card (or other reference object) as a closed quadrilateral with a score label.
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {Object} card - The card result with four normalized corners and a score.
+ * @param {Object} options - Drawing options (color, lineWidth in CSS pixels, view).
+ */
+export function drawCardOutline(ctx, card, options = {}) {
+  const { color = 'blue', lineWidth = 2, view = DEFAULT_VIEW } = options;
+  const points = card.corners.map(c => ({ x: c.x * ctx.canvas.width, y: c.y * ctx.canvas.height }));
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth * view.scale;
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) {
+    ctx.lineTo(points[i].x, points[i].y);
+  }
+  ctx.closePath();
+  ctx.stroke();
+
+  // Position the label slightly above the top edge, centered on the object.
+  const name = card.referenceObjectId ? getReferenceObject(card.referenceObjectId).shortLabel : "Card";
+  const label = `${name} (${(card.score * 100).toFixed(1)}%)`;
+  const top = Math.min(...points.map(p => p.y));
+  const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  drawLabel(ctx, label, centerX, Math.max(top - 12 * view.scale, 10 * view.scale), view, { color, fontSize: 16 });
+}
+
+/**
+ * Draws every detected hand skeleton and the detected card onto the canvas.
+ * The canvas is not cleared first, so this can be drawn over a photo.
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {Object} handResults - The results object from the HandLandmarker model.
+ * @param {Object|null} cardResult - The card result with normalized corners, or null.
+ * @param {Object} [view] - How the canvas is displayed (see `overlayView`).
+ */
+export function drawDetections(ctx, handResults, cardResult, view = DEFAULT_VIEW) {
+  // Draw hand landmarks on the canvas.
+  if (handResults && handResults.landmarks && handResults.landmarks.length > 0) {
+    for (const landmarks of handResults.landmarks) {
+      drawConnectors(ctx, landmarks, HAND_CONNECTIONS, {
+        color: "lime",
+        lineWidth: 2,
+        view
+      });
+
+      drawLandmarks(ctx, landmarks, {
+        color: "red",
+        lineWidth: 3,
+        view
+      });
+    }
+  }
+
+  // Draw the detected card outline and its confidence score.
+  if (cardResult) {
+    drawCardOutline(ctx, cardResult, { color: "blue", lineWidth: 2, view });
+  }
+}
+
+/**
+ * Classifies a frame for the measurement overlay.
+ * @param {Object|null} frame - The result of `computeFrameMeasurement`, or null before the first frame.
+ * @returns {string} One of `OVERLAY_STATES`.
+ */
+export function overlayState(frame) {
+  if (!frame || !frame.hand || !frame.card) {
+    return OVERLAY_STATES.SEARCHING;
+  }
+  return frame.quality.accepted ? OVERLAY_STATES.MEASURING : OVERLAY_STATES.REJECTED;
+}
+
+/**
+ * Lays out the dimension lines of a measured hand.
+ * @param {Array<Object>} landmarks - The hand's normalized landmarks.
+ * @param {Object} dimensions - History column -> length in millimeters (see `computeFrameMeasurement`).
+ * @param {number} width - Canvas width in pixels.
+ * @param {number} height - Canvas height in pixels.
+ * @param {number} offset - Distance between a segment and its dimension line, in canvas pixels.
+ * @returns {Array<Object>} `{ column, from, to, start, end, label, text }` per span with a length:
+ *   `from`/`to` are the landmarks, `start`/`end` the ends of the dimension line and `label`
+ *   the center of its text, all in canvas pixels.
+ */
+export function layoutDimensionLines(landmarks, dimensions, width, height, offset) {
+  const lines = [];
+  for (const span of DIMENSION_SPANS) {
+    const lengthMm = dimensions[span.column];
+    if (!Number.isFinite(lengthMm)) {
+      continue;
+    }
+    const from = { x: landmarks[span.from].x * width, y: landmarks[span.from].y * height };
+    const to = { x: landmarks[span.to].x * width, y: landmarks[span.to].y * height };
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    if (length < 1) {
+      continue;
+    }
+    const ux = (to.x - from.x) / length;
+    const uy = (to.y - from.y) / length;
+    const text = `${Math.round(lengthMm)} mm`;
+
+    if (span.awayFrom === null) {
+      // Along the finger, with the label past the tip.
+      lines.push({ column: span.column, from, to, start: from, end: to, label: { x: to.x + ux * offset * 1.5, y: to.y + uy * offset * 1.5 }, text });
+      continue;
+    }
+
+    // Move the line to the side of the segment facing away from the `awayFrom` landmark.
+    const away = { x: landmarks[span.awayFrom].x * width, y: landmarks[span.awayFrom].y * height };
+    let nx = -uy;
+    let ny = ux;
+    if (nx * (away.x - from.x) + ny * (away.y - from.y) > 0) {
+      nx = -nx;
+      ny = -ny;
+    }
+    const start = { x: from.x + nx * offset, y: from.y + ny * offset };
+    const end = { x: to.x + nx * offset, y: to.y + ny * offset };
+    lines.push({ column: span.column, from, to, start, end, label: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 }, text });
+  }
+  return lines;
+}
+
+/**
+ * Draws one dimension line: extension lines from the landmarks, the line with end ticks and its label.
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {Object} line - An entry of `layoutDimensionLines`.
+ * @param {string} color - Line and text colour.
+ * @param {Object} view - How the canvas is displayed (see `overlayView`).
+ */
+function drawDimensionLine(ctx, line, color, view) {
+  const { from, to, start, end } = line;
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  const tick = 5 * view.scale;
+  const tx = (-(end.y - start.y) / length) * tick;
+  const ty = ((end.x - start.x) / length) * tick;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = view.scale;
+  ctx.setLineDash([3 * view.scale, 3 * view.scale]);
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(start.x, start.y);
+  ctx.moveTo(to.x, to.y);
+  ctx.lineTo(end.x, end.y);
+  ctx.stroke();
+
+  ctx.setLineDash([]);
+  ctx.lineWidth = 2 * view.scale;
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  ctx.lineTo(end.x, end.y);
+  ctx.moveTo(start.x - tx, start.y - ty);
+  ctx.lineTo(start.x + tx, start.y + ty);
+  ctx.moveTo(end.x - tx, end.y - ty);
+  ctx.lineTo(end.x + tx, end.y + ty);
+  ctx.stroke();
+
+  drawLabel(ctx, line.text, line.label.x, line.label.y, view, { color, background: "rgba(0, 0, 0, 0.6)", fontSize: 13 });
+}
+
+/**
+ * Lays out the placement guide: the open hand and the reference object next to it, on the
+ * little finger side, at a common scale fitted to the frame.
+ * @param {number} width - Canvas width in pixels.
+ * @param {number} height - Canvas height in pixels.
+ * @param {Object} referenceObject - The reference object entry (see referenceObjects.js).
+ * @param {string|null} hand - The hand being measured ("Left" or "Right"); null shows a right hand.
+ * @returns {Object} `{ hand, fingerWidth, object }` in canvas pixels: the 21 guide landmarks, the finger
+ *   thickness and the object as `{ shape, cx, cy, width, height }` (upright, long side vertical).
+ */
+export function layoutPlacementGuide(width, height, referenceObject, hand) {
+  const side = hand === "Left" ? -1 : 1;
+  const handMm = GUIDE_HAND_MM.map(p => ({ x: p.x * side, y: p.y }));
+  const radius = GUIDE_FINGER_WIDTH_MM / 2;
+  const xs = handMm.map(p => p.x);
+  const ys = handMm.map(p => p.y);
+  const handBox = {
+    left: Math.min(...xs) - radius,
+    right: Math.max(...xs) + radius,
+    top: Math.min(...ys) - radius,
+    bottom: Math.max(...ys) + radius
+  };
+
+  const objectWidth = referenceObject.shortSideMm;
+  const objectHeight = referenceObject.longSideMm;
+  // The little finger is on the left of a right hand, so the object goes there.
+  const objectCx = side > 0 ? handBox.left - GUIDE_GAP_MM - objectWidth / 2 : handBox.right + GUIDE_GAP_MM + objectWidth / 2;
+  const objectCy = (handBox.top + handBox.bottom) / 2;
+
+  const left = Math.min(handBox.left, objectCx - objectWidth / 2);
+  const right = Math.max(handBox.right, objectCx + objectWidth / 2);
+  const top = Math.min(handBox.top, objectCy - objectHeight / 2);
+  const bottom = Math.max(handBox.bottom, objectCy + objectHeight / 2);
+  const pxPerMm = GUIDE_FRAME_FILL * Math.min(width / (right - left), height / (bottom - top));
+  // Center the whole arrangement in the frame.
+  const toCanvas = p => ({
+    x: width / 2 + (p.x - (left + right) / 2) * pxPerMm,
+    y: height / 2 + (p.y - (top + bottom) / 2) * pxPerMm
+  });
+
+  const center = toCanvas({ x: objectCx, y: objectCy });
+  return {
+    hand: handMm.map(toCanvas),
+    fingerWidth: GUIDE_FINGER_WIDTH_MM * pxPerMm,
+    object: {
+      shape: referenceObject.shape,
+      cx: center.x,
+      cy: center.y,
+      width: objectWidth * pxPerMm,
+      height: objectHeight * pxPerMm
+    }
+  };
+}
+
+/**
+ * Paints the guide hand's silhouette opaquely: fingers as round strokes, the palm as a polygon.
+ * @param {CanvasRenderingContext2D} ctx - The context to paint on.
+ * @param {Array<Object>} points - The guide landmarks in canvas pixels.
+ * @param {number} fingerWidth - Finger thickness in canvas pixels.
+ */
+function paintGuideHand(ctx, points, fingerWidth) {
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.lineWidth = fingerWidth;
+  ctx.beginPath();
+  for (const [a, b] of HAND_CONNECTIONS) {
+    ctx.moveTo(points[a].x, points[a].y);
+    ctx.lineTo(points[b].x, points[b].y);
+  }
+  ctx.stroke();
+  ctx.beginPath();
+  GUIDE_PALM.forEach((index, i) => (i === 0 ? ctx.moveTo(points[index].x, points[index].y) : ctx.lineTo(points[index].x, points[index].y)));
+  ctx.closePath();
+  ctx.stroke();
+  ctx.fill();
+}
+
+/**
+ * Renders the placement guide into its own canvas, so the hand's outline can be cut out of
+ * its silhouette without touching what is already on the overlay.
+ * @param {number} width - Canvas width in pixels.
+ * @param {number} height - Canvas height in pixels.
+ * @param {Object} referenceObject - The reference object entry (see referenceObjects.js).
+ * @param {string|null} hand - The hand being measured.
+ * @param {number} scale - Canvas pixels per CSS pixel.
+ * @returns {HTMLCanvasElement} The guide image, cached until the layout changes.
+ */
+function guideImage(width, height, referenceObject, hand, scale) {
+  const key = `${width}x${height}:${referenceObject.id}:${hand}:${scale.toFixed(2)}`;
+  if (guideCache && guideCache.key === key) {
+    return guideCache.canvas;
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const layout = layoutPlacementGuide(width, height, referenceObject, hand);
+  const outline = 2 * scale;
+
+  // Hand: the silhouette grown by the outline width, minus the silhouette itself, leaves the
+  // outline; the silhouette is then painted behind it once, translucently.
+  const silhouette = document.createElement("canvas");
+  silhouette.width = width;
+  silhouette.height = height;
+  const silhouetteCtx = silhouette.getContext("2d");
+  silhouetteCtx.fillStyle = silhouetteCtx.strokeStyle = "white";
+  paintGuideHand(silhouetteCtx, layout.hand, layout.fingerWidth);
+  ctx.fillStyle = ctx.strokeStyle = "white";
+  paintGuideHand(ctx, layout.hand, layout.fingerWidth + 2 * outline);
+  ctx.globalCompositeOperation = "destination-out";
+  ctx.drawImage(silhouette, 0, 0);
+  ctx.globalCompositeOperation = "destination-over";
+  ctx.globalAlpha = 0.2;
+  ctx.drawImage(silhouette, 0, 0);
+  ctx.globalCompositeOperation = "source-over";
+  ctx.globalAlpha = 1;
+
+  // Reference object: a dashed outline over a translucent fill.
+  const { shape, cx, cy, width: objectWidth, height: objectHeight } = layout.object;
+  ctx.beginPath();
+  if (shape === "circle") {
+    ctx.arc(cx, cy, objectWidth / 2, 0, 2 * Math.PI);
+  } else {
+    ctx.rect(cx - objectWidth / 2, cy - objectHeight / 2, objectWidth, objectHeight);
+  }
+  ctx.fillStyle = "rgba(255, 255, 255, 0.2)";
+  ctx.fill();
+  ctx.strokeStyle = "white";
+  ctx.lineWidth = outline;
+  ctx.setLineDash([8 * scale, 6 * scale]);
+  ctx.stroke();
+
+  guideCache = { key, canvas };
+  return canvas;
+}
+
+/**
+ * Draws the measurement overlay for a frame: a coloured border for its state, the placement guide
+ * while the hand or reference object is missing, and dimension lines with live millimeter
+ * labels once both are visible. Draw it after `drawDetections`.
+ * @param {CanvasRenderingContext2D} ctx - The 2D rendering context of the canvas.
+ * @param {Object|null} frame - The result of `computeFrameMeasurement`, or null before the first frame.
+ * @param {Object} options - `{ referenceObject, hand, guide, view }`: the reference object entry and
+ *   hand being measured (for the guide), whether to show the guide (default true) and how the canvas
+ *   is displayed (see `overlayView`).
+ */
+export function drawMeasurementOverlay(ctx, frame, options = {}) {
+  const { referenceObject = null, hand = null, guide = true, view = DEFAULT_VIEW } = options;
+  const { width, height } = ctx.canvas;
+  const state = overlayState(frame);
+  const color = OVERLAY_COLORS[state];
+
+  ctx.save();
+  if (state === OVERLAY_STATES.SEARCHING) {
+    if (guide && referenceObject && width > 0 && height > 0) {
+      ctx.globalAlpha = 0.8;
+      ctx.drawImage(guideImage(width, height, referenceObject, hand, view.scale), 0, 0);
+      ctx.globalAlpha = 1;
+    }
+  } else if (frame.dimensions) {
+    for (const line of layoutDimensionLines(frame.hand.landmarks, frame.dimensions, width, height, 18 * view.scale)) {
+      drawDimensionLine(ctx, line, color, view);
+    }
+  }
+
+  // The border shows at a glance whether the current frame is being measured.
+  const border = 4 * view.scale;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = border;
+  ctx.setLineDash([]);
+  ctx.strokeRect(border / 2, border / 2, width - border, height - border);
+  ctx.restore();
+}
+
+/**
+ * Copies a frame with its detections drawn on top into a new canvas, e.g. for a report snapshot.
+ * @param {CanvasImageSource} source - The video, image or canvas holding the frame.
+ * @param {number} width - Width of the frame in pixels.
+ * @param {number} height - Height of the frame in pixels.
+ * @param {Object} handResults - The results object from the HandLandmarker model.
+ * @param {Object|null} cardResult - The card result with normalized corners, or null.
+ * @returns {HTMLCanvasElement} The snapshot canvas.
+ */
+export function renderSnapshot(source, width, height, handResults, cardResult) {
+  const snapshot = document.createElement("canvas");
+  snapshot.width = width;
+  snapshot.height = height;
+  const ctx = snapshot.getContext("2d");
+  ctx.drawImage(source, 0, 0, width, height);
+  drawDetections(ctx, handResults, cardResult);
+  return snapshot;
+}
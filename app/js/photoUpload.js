@@ -0,0 +1,150 @@
+// app/js/photoUpload.js
+
+// Photo upload mode: measures the hand and card from a single still image instead of the
+// live camera. The photo runs through the same card locator and measurement engine, using
+// a HandLandmarker in IMAGE mode.
+
+import { createHandLandmarker } from "./models.js";
+import { readFramePixels } from "./framePixels.js";
+import { drawDetections, drawMeasurementOverlay, overlayView } from "./overlay.js";
+import { displayMessageBox } from "./messageBox.js";
+import { stopCamera } from "./handDetection.js";
+import { measureStillImage, currentReferenceObject } from "./measurement.js";
+import { detectReferenceObject } from "./referenceObjects.js";
+import { QUALITY_REASON_MESSAGES } from "./frameQuality.js";
+
+// Photos are downscaled to this width before detection; phone photos are often 4000 px wide.
+const MAX_PHOTO_WIDTH = 1280;
+// The card locator runs on a smaller copy; a still photo can afford more pixels than a video frame.
+const CARD_DETECTION_WIDTH = 640;
+
+// HandLandmarker in IMAGE mode, created on the first upload.
+let imageLandmarkerPromise;
+
+/**
+ * Returns the IMAGE mode HandLandmarker, creating it on first use.
+ * @returns {Promise<Object>} The HandLandmarker.
+ */
+function getImageLandmarker() {
+  if (!imageLandmarkerPromise) {
+    imageLandmarkerPromise = createHandLandmarker("IMAGE").catch(error => {
+      // Allow a later upload to try again.
+      imageLandmarkerPromise = undefined;
+      throw error;
+    });
+  }
+  return imageLandmarkerPromise;
+}
+
+/**
+ * Decodes an image file, applying its EXIF orientation and downscaling it to `MAX_PHOTO_WIDTH`.
+ * @param {File} file - The uploaded image file.
+ * @returns {Promise<ImageBitmap>} The decoded, upright image.
+ */
+async function decodePhoto(file) {
+  // Phone photos are usually stored sideways with an EXIF orientation tag.
+  const original = await createImageBitmap(file, { imageOrientation: "from-image" });
+  if (original.width <= MAX_PHOTO_WIDTH) {
+    return original;
+  }
+  const scale = MAX_PHOTO_WIDTH / original.width;
+  const resized = await createImageBitmap(original, {
+    resizeWidth: MAX_PHOTO_WIDTH,
+    resizeHeight: Math.round(original.height * scale),
+    resizeQuality: "high"
+  });
+  original.close();
+  return resized;
+}
+
+/**
+ * Explains why a photo did not produce a measurement.
+ * @param {Object} frame - The result of `measureStillImage`.
+ * @returns {string|null} A message for the user, or null when the photo was measured.
+ */
+function describeRejectedPhoto(frame) {
+  if (frame.measurement !== null) {
+    return null;
+  }
+  if (!frame.hand && !frame.card) {
+    return "No hand or card found in the photo. Take a photo from above showing your open hand next to the card.";
+  }
+  if (!frame.hand) {
+    return "No hand found in the photo. Make sure your whole hand is visible, palm facing the camera.";
+  }
+  if (!frame.card) {
+    return "No card found in the photo. Place the card flat next to your hand with all four corners visible.";
+  }
+  const hints = frame.quality.reasons.map(reason => QUALITY_REASON_MESSAGES[reason]).join(" ");
+  return `The hand pose in this photo cannot be measured. ${hints}`;
+}
+
+/**
+ * Measures an uploaded photo and draws the detections on the output canvas.
+ * @param {File} file - The uploaded image file.
+ */
+async function measurePhoto(file) {
+  // The photo takes over the canvas, so the live camera is switched off first.
+  stopCamera();
+
+  const canvasElement = document.getElementById("output_canvas");
+  const canvasCtx = canvasElement.getContext("2d");
+
+  let bitmap;
+  try {
+    bitmap = await decodePhoto(file);
+  } catch (error) {
+    console.error("Error decoding photo:", error);
+    displayMessageBox("Could not read this image. Please upload a JPEG or PNG photo.");
+    return;
+  }
+
+  try {
+    const handLandmarker = await getImageLandmarker();
+
+    // Show the photo itself: the canvas is no longer overlaid on the (hidden) video.
+    canvasElement.width = bitmap.width;
+    canvasElement.height = bitmap.height;
+    canvasElement.classList.remove("position-absolute");
+    canvasElement.style.width = "100%";
+    canvasElement.style.height = "auto";
+    canvasElement.style.display = "block";
+    canvasCtx.drawImage(bitmap, 0, 0);
+
+    const handResults = handLandmarker.detect(bitmap);
+    const cardResult = detectReferenceObject(readFramePixels(bitmap, bitmap.width, bitmap.height, CARD_DETECTION_WIDTH), currentReferenceObject());
+    const frame = measureStillImage(handResults, cardResult, bitmap.width, bitmap.height, bitmap);
+    // The placement guide is only useful while the user can still move the hand.
+    const view = overlayView(canvasElement);
+    drawDetections(canvasCtx, handResults, cardResult, view);
+    drawMeasurementOverlay(canvasCtx, frame, { guide: false, view });
+    const message = describeRejectedPhoto(frame);
+    if (message) {
+      displayMessageBox(message);
+    }
+  } catch (error) {
+    console.error("Error measuring photo:", error);
+    displayMessageBox("Could not measure the photo. Please try again.");
+  } finally {
+    bitmap.close();
+  }
+}
+
+// Wire up the upload button and the hidden file input when the DOM is fully loaded.
+document.addEventListener("DOMContentLoaded", () => {
+  const uploadButton = document.getElementById("uploadPhoto");
+  const photoInput = document.getElementById("photoInput");
+  if (!uploadButton || !photoInput) {
+    return;
+  }
+
+  uploadButton.addEventListener("click", () => photoInput.click());
+  photoInput.addEventListener("change", async () => {
+    const file = photoInput.files[0];
+    // Reset so that choosing the same file again still triggers a measurement.
+    photoInput.value = "";
+    if (file) {
+      await measurePhoto(file);
+    }
+  });
+});
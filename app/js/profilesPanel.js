@@ -0,0 +1,441 @@
+// app/js/profilesPanel.js
+
+// "Saved sessions" panel: named profiles whose measurement sessions are kept in the browser
+// (see sessionStore.js). The current session can be saved to the selected profile, and past
+// sessions can be listed, compared, deleted, and exported or imported as a JSON bundle.
+
+import { currentSessionData } from "./measurement.js";
+import { createProfile, createSessionRecord, compareSessions } from "./sessionBundle.js";
+import { openSessionStore, requestPersistentStorage } from "./sessionStore.js";
+import { MEASUREMENT_LABELS } from "./sizeChart.js";
+import { getReferenceObject } from "./referenceObjects.js";
+import { downloadText } from "./exporters.js";
+import { displayMessageBox } from "./messageBox.js";
+import { HANDS } from "./measurementEngine.js";
+
+let store = null; // The opened session store, or null if the browser cannot store sessions.
+let profiles = []; // All profiles, by name.
+let sessions = []; // Sessions of the selected profile, newest first.
+let selectedProfileId = null;
+
+// Panel elements.
+let panel;
+let profileSelect;
+let deleteProfileButton;
+let newProfileForm;
+let newProfileInput;
+let saveSessionButton;
+let sessionList;
+let compareButton;
+let comparisonContainer;
+let statusDisplay;
+
+/**
+ * Creates a button.
+ * @param {string} label - Button text.
+ * @param {string} className - Its classes, e.g. "btn btn-outline-primary".
+ * @param {Function} [action] - Click handler.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createButton(label, className, action = null) {
+  const button = document.createElement("button");
+  button.className = className;
+  button.innerText = label;
+  if (action) {
+    button.addEventListener("click", action);
+  }
+  return button;
+}
+
+/**
+ * Shows a short confirmation below the panel's buttons.
+ * @param {string} message - The message.
+ */
+function showStatus(message) {
+  statusDisplay.innerText = message;
+}
+
+/**
+ * Formats a stored time for display.
+ * @param {string} iso - An ISO date.
+ * @returns {string} The local date and time.
+ */
+function formatTime(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+/**
+ * Creates the panel and appends it to the main content area.
+ * @returns {boolean} False if the page has no main content area.
+ */
+function createPanel() {
+  const mainContent = document.getElementById("main-content");
+  if (!mainContent) {
+    console.error("Main content area not found to append the saved sessions panel.");
+    return false;
+  }
+
+  panel = document.createElement("div");
+  panel.className = "mt-4 mb-4";
+  const heading = document.createElement("h3");
+  heading.innerText = "Saved Sessions:";
+  panel.appendChild(heading);
+  const note = document.createElement("p");
+  note.className = "text-muted small";
+  note.innerText = "Sessions are stored in this browser only. Use Export to keep a copy or move them to another device.";
+  panel.appendChild(note);
+
+  // Profile selection and management.
+  const profileRow = document.createElement("div");
+  profileRow.className = "d-flex gap-2 mb-2";
+  profileSelect = document.createElement("select");
+  profileSelect.id = "profileSelect";
+  profileSelect.className = "form-select";
+  profileSelect.addEventListener("change", () => selectProfile(profileSelect.value || null));
+  profileRow.appendChild(profileSelect);
+  profileRow.appendChild(createButton("New profile", "btn btn-outline-secondary", () => {
+    newProfileForm.classList.remove("d-none");
+    newProfileInput.focus();
+  }));
+  deleteProfileButton = createButton("Delete profile", "btn btn-outline-danger", deleteSelectedProfile);
+  profileRow.appendChild(deleteProfileButton);
+  panel.appendChild(profileRow);
+
+  newProfileForm = document.createElement("form");
+  newProfileForm.className = "input-group mb-2 d-none";
+  newProfileInput = document.createElement("input");
+  newProfileInput.className = "form-control";
+  newProfileInput.placeholder = "Name, e.g. of the person being measured";
+  newProfileForm.appendChild(newProfileInput);
+  const createProfileButton = createButton("Create", "btn btn-primary");
+  createProfileButton.type = "submit";
+  newProfileForm.appendChild(createProfileButton);
+  newProfileForm.addEventListener("submit", event => {
+    event.preventDefault();
+    addProfile(newProfileInput.value);
+  });
+  panel.appendChild(newProfileForm);
+
+  // Session actions.
+  const actionRow = document.createElement("div");
+  actionRow.className = "d-flex gap-2 mb-2";
+  saveSessionButton = createButton("Save current session", "btn btn-primary", saveCurrentSession);
+  actionRow.appendChild(saveSessionButton);
+  actionRow.appendChild(createButton("Export", "btn btn-outline-primary", exportAll));
+  const importInput = document.createElement("input");
+  importInput.type = "file";
+  importInput.accept = "application/json,.json";
+  importInput.className = "d-none";
+  importInput.addEventListener("change", async () => {
+    const file = importInput.files[0];
+    // Reset so that choosing the same file again imports it again.
+    importInput.value = "";
+    if (file) {
+      await importFile(file);
+    }
+  });
+  actionRow.appendChild(importInput);
+  actionRow.appendChild(createButton("Import", "btn btn-outline-primary", () => importInput.click()));
+  panel.appendChild(actionRow);
+
+  statusDisplay = document.createElement("p");
+  statusDisplay.className = "text-muted small mb-2";
+  panel.appendChild(statusDisplay);
+
+  sessionList = document.createElement("div");
+  panel.appendChild(sessionList);
+  compareButton = createButton("Compare selected", "btn btn-outline-secondary mb-2", renderComparison);
+  panel.appendChild(compareButton);
+  comparisonContainer = document.createElement("div");
+  panel.appendChild(comparisonContainer);
+
+  mainContent.appendChild(panel);
+  return true;
+}
+
+/**
+ * Enables or disables the controls that need a store or a selected profile.
+ */
+function updateControls() {
+  const hasProfile = store !== null && selectedProfileId !== null;
+  profileSelect.disabled = store === null || profiles.length === 0;
+  deleteProfileButton.disabled = !hasProfile;
+  saveSessionButton.disabled = !hasProfile;
+  compareButton.disabled = sessions.length < 2;
+}
+
+/**
+ * Fills the profile dropdown, keeping the selection if the profile still exists.
+ */
+function renderProfiles() {
+  profileSelect.innerHTML = "";
+  if (profiles.length === 0) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.text = "No profiles yet";
+    profileSelect.appendChild(option);
+  }
+  for (const profile of profiles) {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.text = profile.name;
+    profileSelect.appendChild(option);
+  }
+  profileSelect.value = selectedProfileId || "";
+}
+
+/**
+ * Lists the selected profile's sessions with a checkbox for comparing and a delete button.
+ */
+function renderSessions() {
+  sessionList.innerHTML = "";
+  comparisonContainer.innerHTML = "";
+  if (!selectedProfileId) {
+    updateControls();
+    return;
+  }
+  if (sessions.length === 0) {
+    const empty = document.createElement("p");
+    empty.innerText = "No saved sessions for this profile.";
+    sessionList.appendChild(empty);
+    updateControls();
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "table table-striped table-bordered table-sm";
+  const headerRow = table.createTHead().insertRow();
+  for (const title of ["", "Date", "Product", "Reference", "Right", "Left", "Samples", ""]) {
+    const th = document.createElement("th");
+    th.innerText = title;
+    headerRow.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const session of sessions) {
+    const row = body.insertRow();
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "form-check-input";
+    checkbox.value = session.id;
+    checkbox.checked = true;
+    row.insertCell().appendChild(checkbox);
+    const sizeOf = hand => {
+      const result = session.results[hand];
+      return result && result.size ? result.size.label : "–";
+    };
+    const referenceId = session.settings.referenceObjectId;
+    for (const text of [
+      formatTime(session.createdAt),
+      session.settings.productName || session.settings.productId || "–",
+      referenceId ? getReferenceObject(referenceId).shortLabel : "–",
+      sizeOf("Right"),
+      sizeOf("Left"),
+      String(session.samples.length)
+    ]) {
+      row.insertCell().innerText = text;
+    }
+    row.insertCell().appendChild(createButton("Delete", "btn btn-sm btn-outline-danger", () => deleteSession(session)));
+  }
+  sessionList.appendChild(table);
+  updateControls();
+}
+
+/**
+ * Shows, per hand, the medians of the checked sessions side by side with their change since the earliest.
+ */
+function renderComparison() {
+  comparisonContainer.innerHTML = "";
+  const checked = [...sessionList.querySelectorAll("input[type=checkbox]:checked")].map(box => box.value);
+  const selected = sessions.filter(session => checked.includes(session.id));
+  if (selected.length < 2) {
+    displayMessageBox("Select at least two sessions to compare.");
+    return;
+  }
+
+  for (const hand of HANDS) {
+    const { keys, rows } = compareSessions(selected, hand);
+    if (rows.length === 0) {
+      continue;
+    }
+    const title = document.createElement("h4");
+    title.innerText = `${hand} hand`;
+    comparisonContainer.appendChild(title);
+
+    const table = document.createElement("table");
+    table.className = "table table-bordered table-sm";
+    const headerRow = table.createTHead().insertRow();
+    for (const text of ["Date", "Size", ...keys.map(key => MEASUREMENT_LABELS[key])]) {
+      const th = document.createElement("th");
+      th.innerText = text;
+      headerRow.appendChild(th);
+    }
+    const body = table.createTBody();
+    rows.forEach((row, index) => {
+      const tr = body.insertRow();
+      tr.insertCell().innerText = formatTime(row.createdAt);
+      tr.insertCell().innerText = row.size || "–";
+      for (const key of keys) {
+        const value = row.values[key];
+        const change = row.changes[key];
+        // The change is relative to the earliest session, so the first row has none.
+        const changeText = index > 0 && change !== null ? ` (${change >= 0 ? "+" : ""}${change.toFixed(1)})` : "";
+        tr.insertCell().innerText = value !== null ? `${value.toFixed(1)} mm${changeText}` : "–";
+      }
+    });
+    comparisonContainer.appendChild(table);
+  }
+}
+
+/**
+ * Reloads the profiles and the selected profile's sessions from the store.
+ */
+async function refresh() {
+  profiles = await store.listProfiles();
+  if (!profiles.some(profile => profile.id === selectedProfileId)) {
+    selectedProfileId = profiles.length > 0 ? profiles[0].id : null;
+  }
+  sessions = selectedProfileId ? await store.listSessions(selectedProfileId) : [];
+  renderProfiles();
+  renderSessions();
+}
+
+/**
+ * Switches to another profile.
+ * @param {string|null} profileId - The profile.
+ */
+async function selectProfile(profileId) {
+  selectedProfileId = profileId;
+  await refresh();
+}
+
+/**
+ * Creates a profile and selects it.
+ * @param {string} name - The profile name.
+ */
+async function addProfile(name) {
+  let profile;
+  try {
+    profile = createProfile(name);
+  } catch (error) {
+    displayMessageBox(error.message);
+    return;
+  }
+  try {
+    await store.saveProfile(profile);
+  } catch (error) {
+    console.error("Error saving profile:", error);
+    displayMessageBox("Could not save the profile.");
+    return;
+  }
+  newProfileInput.value = "";
+  newProfileForm.classList.add("d-none");
+  await selectProfile(profile.id);
+}
+
+/**
+ * Deletes the selected profile and its sessions after confirmation.
+ */
+async function deleteSelectedProfile() {
+  const profile = profiles.find(p => p.id === selectedProfileId);
+  if (!profile || !window.confirm(`Delete the profile "${profile.name}" and all of its sessions?`)) {
+    return;
+  }
+  try {
+    await store.deleteProfile(profile.id);
+  } catch (error) {
+    console.error("Error deleting profile:", error);
+    displayMessageBox("Could not delete the profile.");
+    return;
+  }
+  showStatus(`Deleted the profile "${profile.name}".`);
+  await refresh();
+}
+
+/**
+ * Saves the current measurements as a session of the selected profile.
+ */
+async function saveCurrentSession() {
+  const data = currentSessionData();
+  if (!data) {
+    displayMessageBox("There are no measurements to save yet.");
+    return;
+  }
+  try {
+    await store.saveSession(createSessionRecord(selectedProfileId, data));
+    // Saved results should not be evicted when the browser runs low on space.
+    requestPersistentStorage();
+  } catch (error) {
+    console.error("Error saving session:", error);
+    displayMessageBox("Could not save the session. The browser may be out of storage space.");
+    return;
+  }
+  showStatus("Session saved.");
+  await refresh();
+}
+
+/**
+ * Deletes a session after confirmation.
+ * @param {Object} session - The session.
+ */
+async function deleteSession(session) {
+  if (!window.confirm(`Delete the session of ${formatTime(session.createdAt)}?`)) {
+    return;
+  }
+  try {
+    await store.deleteSession(session.id);
+  } catch (error) {
+    console.error("Error deleting session:", error);
+    displayMessageBox("Could not delete the session.");
+    return;
+  }
+  await refresh();
+}
+
+/**
+ * Downloads all profiles and sessions as a bundle.
+ */
+async function exportAll() {
+  const bundle = await store.exportBundle();
+  if (bundle.profiles.length === 0) {
+    displayMessageBox("There are no profiles to export yet.");
+    return;
+  }
+  const filename = `hand-measure-sessions-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.json`;
+  downloadText(filename, JSON.stringify(bundle, null, 2), "application/json");
+}
+
+/**
+ * Imports a bundle file chosen by the user.
+ * @param {File} file - The bundle file.
+ */
+async function importFile(file) {
+  let counts;
+  try {
+    counts = await store.importBundle(JSON.parse(await file.text()));
+  } catch (error) {
+    console.error("Error importing sessions:", error);
+    displayMessageBox(error instanceof SyntaxError ? "This file is not valid JSON." : error.message);
+    return;
+  }
+  showStatus(`Imported ${counts.sessions} session(s) of ${counts.profiles} profile(s).`);
+  await refresh();
+}
+
+// Create the panel and open the store when the DOM is fully loaded.
+document.addEventListener("DOMContentLoaded", async () => {
+  if (!createPanel()) {
+    return;
+  }
+  try {
+    store = await openSessionStore();
+  } catch (error) {
+    console.error("Error opening the session store:", error);
+    showStatus("Saved sessions are not available in this browser.");
+    for (const button of panel.querySelectorAll("button")) {
+      button.disabled = true;
+    }
+    updateControls();
+    return;
+  }
+  await refresh();
+});
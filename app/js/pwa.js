@@ -0,0 +1,15 @@
+// app/js/pwa.js
+
+// Registers the service worker (sw.js) that makes the app installable and usable offline.
+
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", async () => {
+    try {
+      // sw.js lives in the site root so that its scope covers the whole app.
+      await navigator.serviceWorker.register(new URL("../../sw.js", import.meta.url));
+    } catch (error) {
+      // The app still works online without it.
+      console.warn("Service worker registration failed:", error);
+    }
+  });
+}
@@ -0,0 +1,157 @@
+// app/js/recommendation.js
+
+// Turns the aggregated measurements into a single glove size recommendation.
+// Each measurement is treated as a normal distribution around its aggregated value; the
+// recommendation is the largest size any measurement calls for (a glove that is too small
+// in one dimension does not fit), and the confidence is the probability that the deciding
+// measurements really fall inside that size's band.
+
+import { classifyMeasurement, MEASUREMENT_LABELS } from "./sizeChart.js";
+
+// Default recommendation options.
+export const DEFAULT_RECOMMENDATION_OPTIONS = {
+    measurementErrorMm: 2.0, // Systematic error floor added to the statistical spread.
+    betweenSizesMarginMm: 2.0, // Values closer than this to a band edge count as "between sizes".
+    minSamples: 10 // Below this sample count the confidence is scaled down proportionally.
+};
+
+/**
+ * Standard normal cumulative distribution function (Abramowitz & Stegun 7.1.26).
+ * @param {number} z - The z score.
+ * @returns {number} P(Z <= z).
+ */
+function normalCdf(z) {
+    if (z === Infinity) return 1;
+    if (z === -Infinity) return 0;
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+        * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Formats a millimeter value for the reason text.
+ * @param {number} mm - The value in millimeters.
+ * @returns {string} The formatted value.
+ */
+function formatMm(mm) {
+    return `${mm.toFixed(1)} mm`;
+}
+
+/**
+ * Analyses one aggregated measurement against the size chart.
+ * @param {Object} chart - A normalized size chart.
+ * @param {string} key - The measurement key.
+ * @param {Object} aggregate - `{ mm, std, sampleCount }` for the key.
+ * @param {Object} opts - Resolved recommendation options.
+ * @returns {Object|null} Per-measurement analysis, or null if the value cannot be classified.
+ */
+function analyseMeasurement(chart, key, aggregate, opts) {
+    const size = classifyMeasurement(chart, key, aggregate.mm);
+    if (!size) {
+        return null;
+    }
+    const index = chart.sizes.indexOf(size);
+    const band = size.bands[key];
+
+    // Combine the standard error of the mean with the systematic error floor.
+    const standardError = aggregate.sampleCount > 1 ? (aggregate.std || 0) / Math.sqrt(aggregate.sampleCount) : 0;
+    const sigma = Math.sqrt(standardError * standardError + opts.measurementErrorMm * opts.measurementErrorMm);
+    const bandProbability = normalCdf((band.max - aggregate.mm) / sigma) - normalCdf((band.min - aggregate.mm) / sigma);
+
+    // Nearest band edge and the size on the other side of it.
+    const toLower = aggregate.mm - band.min;
+    const toUpper = band.max - aggregate.mm;
+    const nearUpper = toUpper <= toLower;
+    const edgeDistanceMm = Math.min(toLower, toUpper);
+    const neighbour = chart.sizes[nearUpper ? index + 1 : index - 1] || null;
+
+    return {
+        key,
+        mm: aggregate.mm,
+        size,
+        index,
+        bandProbability,
+        edgeDistanceMm,
+        neighbour
+    };
+}
+
+/**
+ * Recommends one glove size from the aggregated measurements.
+ * @param {Object} aggregate - Aggregated measurements keyed by measurement key (e.g. the result of
+ *   `aggregateMeasurements`); each entry is `{ mm, std, sampleCount }` or null.
+ * @param {Object} chart - A normalized size chart.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_RECOMMENDATION_OPTIONS`.
+ * @returns {Object|null} `{ size, confidence, betweenSizes, reason, measurements }`, or null when
+ *   there is no chart or none of the chart's measurements are available yet. `betweenSizes` is
+ *   `[smaller, larger]` when the user sits between two sizes, otherwise null.
+ */
+export function recommendSize(aggregate, chart, options = {}) {
+    if (!chart || !aggregate) {
+        return null;
+    }
+    const opts = { ...DEFAULT_RECOMMENDATION_OPTIONS, ...options };
+
+    const analyses = chart.measurements
+        .filter(key => aggregate[key])
+        .map(key => analyseMeasurement(chart, key, aggregate[key], opts))
+        .filter(analysis => analysis !== null);
+    if (analyses.length === 0) {
+        return null;
+    }
+
+    // The largest size any measurement calls for decides the recommendation.
+    const topIndex = Math.max(...analyses.map(a => a.index));
+    const size = chart.sizes[topIndex];
+    const deciding = analyses.filter(a => a.index === topIndex);
+    const others = analyses.filter(a => a.index !== topIndex);
+
+    // Confidence: every deciding measurement must really be in the band, scaled by how many samples we have.
+    const sampleCount = Math.min(...chart.measurements.filter(key => aggregate[key]).map(key => aggregate[key].sampleCount));
+    const sampleFactor = Math.min(sampleCount / opts.minSamples, 1);
+    const confidence = deciding.reduce((product, a) => product * a.bandProbability, 1) * sampleFactor;
+
+    // Between sizes: the measurements disagree, or a deciding one sits right on a band edge.
+    let betweenSizes = null;
+    let reason;
+    const edgeCase = deciding.find(a => a.neighbour && a.edgeDistanceMm < opts.betweenSizesMarginMm);
+    if (others.length > 0) {
+        const lowest = others.reduce((min, a) => (a.index < min.index ? a : min));
+        betweenSizes = [lowest.size, size];
+        reason = `${MEASUREMENT_LABELS[deciding[0].key]} (${formatMm(deciding[0].mm)}) calls for ${size.label}, `
+            + `while ${MEASUREMENT_LABELS[lowest.key].toLowerCase()} (${formatMm(lowest.mm)}) fits ${lowest.size.label}. `
+            + `We recommend the larger size.`;
+    } else if (edgeCase) {
+        const pair = chart.sizes.indexOf(edgeCase.neighbour) > topIndex
+            ? [size, edgeCase.neighbour]
+            : [edgeCase.neighbour, size];
+        betweenSizes = pair;
+        reason = `${MEASUREMENT_LABELS[edgeCase.key]} (${formatMm(edgeCase.mm)}) is within `
+            + `${formatMm(edgeCase.edgeDistanceMm)} of the ${pair[0].label}/${pair[1].label} boundary.`;
+    } else if (analyses.length > 1) {
+        const listed = analyses.map((a, i) => {
+            const label = i === 0 ? MEASUREMENT_LABELS[a.key] : MEASUREMENT_LABELS[a.key].toLowerCase();
+            return `${label} (${formatMm(a.mm)})`;
+        });
+        reason = `${listed.join(" and ")} ${analyses.length === 2 ? "both" : "all"} fall in ${size.label}.`;
+    } else {
+        reason = `${MEASUREMENT_LABELS[deciding[0].key]} (${formatMm(deciding[0].mm)}) falls in ${size.label}.`;
+    }
+    if (sampleFactor < 1) {
+        reason += ` Only ${sampleCount} of ${opts.minSamples} recommended samples collected.`;
+    }
+
+    return {
+        size,
+        confidence,
+        betweenSizes,
+        reason,
+        measurements: Object.fromEntries(analyses.map(a => [a.key, {
+            mm: a.mm,
+            size: a.size,
+            bandProbability: a.bandProbability,
+            edgeDistanceMm: a.edgeDistanceMm
+        }]))
+    };
+}
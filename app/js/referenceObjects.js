@@ -0,0 +1,158 @@
+// app/js/referenceObjects.js
+
+// Registry of the reference objects that give the measurements their scale. Each entry
+// has its known size, the detector that finds it in a frame and that detector's
+// plausibility limits (expected aspect ratio, size in the frame), so the user can measure
+// with whatever they have at hand.
+//
+// Detectors return the object as four normalized corners (see `locateCard`), which the
+// measurement engine maps onto a `longSideMm` x `shortSideMm` rectangle. Coins are reported
+// as the square around them, so their sides both equal the diameter.
+
+import { locateCard } from "./cardDetector.js";
+import { locateCircle } from "./circleDetector.js";
+
+// The circle detector places a coin's outline to about one pixel of the analysed frame
+// (`CARD_DETECTION_WIDTH` in detector.js), and an error of e pixels in a diameter of d pixels
+// is an error of e / d in the scale and so in every length. Coins are only used once they
+// span enough pixels to keep that within the budget; smaller ones are reported as too small,
+// so the user is told to move closer.
+const COIN_OUTLINE_ERROR_PX = 1;
+const MAX_COIN_SCALE_ERROR = 0.03;
+export const MIN_COIN_DIAMETER_PX = Math.ceil(COIN_OUTLINE_ERROR_PX / MAX_COIN_SCALE_ERROR);
+
+// Reference objects by id. `shape` picks the detector ("rectangle" or "circle"),
+// `detectorOptions` override its defaults, `minDiameterPx` (circles) is the smallest diameter
+// in pixels of the analysed frame that gives a precise enough scale, and `instruction`
+// replaces the first capture step.
+export const REFERENCE_OBJECTS = {
+    "id1-card": {
+        id: "id1-card",
+        label: "ID or credit card",
+        shortLabel: "Card",
+        shape: "rectangle",
+        longSideMm: 85.60, // ISO/IEC 7810 ID-1.
+        shortSideMm: 53.98,
+        detectorOptions: {},
+        instruction: "Place an ID or credit card flat in front of the camera."
+    },
+    "a4-sheet": {
+        id: "a4-sheet",
+        label: "A4 sheet of paper",
+        shortLabel: "A4",
+        shape: "rectangle",
+        longSideMm: 297,
+        shortSideMm: 210,
+        // A sheet fills much more of the frame than a card; A4 and Letter differ by 9% in aspect ratio.
+        detectorOptions: { aspectTolerance: 0.08, minAreaFraction: 0.05, maxAreaFraction: 0.9 },
+        instruction: "Lay a blank A4 sheet flat in front of the camera, fully in view."
+    },
+    "letter-sheet": {
+        id: "letter-sheet",
+        label: "US Letter sheet of paper",
+        shortLabel: "Letter",
+        shape: "rectangle",
+        longSideMm: 279.4,
+        shortSideMm: 215.9,
+        detectorOptions: { aspectTolerance: 0.08, minAreaFraction: 0.05, maxAreaFraction: 0.9 },
+        instruction: "Lay a blank Letter sheet flat in front of the camera, fully in view."
+    },
+    "calibration-marker": {
+        id: "calibration-marker",
+        label: "Printed calibration marker",
+        shortLabel: "Marker",
+        shape: "rectangle",
+        // The black square of app/data/calibration-marker.svg, printed at 100% scale.
+        longSideMm: 60,
+        shortSideMm: 60,
+        detectorOptions: { aspectTolerance: 0.2, minAreaFraction: 0.005 },
+        instruction: "Place the printed calibration marker flat in front of the camera."
+    },
+    "coin-eur-1": {
+        id: "coin-eur-1",
+        label: "1 euro coin",
+        shortLabel: "1 €",
+        shape: "circle",
+        longSideMm: 23.25,
+        shortSideMm: 23.25,
+        detectorOptions: {},
+        minDiameterPx: MIN_COIN_DIAMETER_PX,
+        instruction: "Place a 1 euro coin flat in front of the camera, close to your hand."
+    },
+    "coin-eur-2": {
+        id: "coin-eur-2",
+        label: "2 euro coin",
+        shortLabel: "2 €",
+        shape: "circle",
+        longSideMm: 25.75,
+        shortSideMm: 25.75,
+        detectorOptions: {},
+        minDiameterPx: MIN_COIN_DIAMETER_PX,
+        instruction: "Place a 2 euro coin flat in front of the camera, close to your hand."
+    },
+    "coin-usd-quarter": {
+        id: "coin-usd-quarter",
+        label: "US quarter",
+        shortLabel: "25¢",
+        shape: "circle",
+        longSideMm: 24.26,
+        shortSideMm: 24.26,
+        detectorOptions: {},
+        minDiameterPx: MIN_COIN_DIAMETER_PX,
+        instruction: "Place a US quarter flat in front of the camera, close to your hand."
+    },
+    "coin-gbp-1": {
+        id: "coin-gbp-1",
+        label: "1 pound coin",
+        shortLabel: "£1",
+        shape: "circle",
+        longSideMm: 23.43,
+        shortSideMm: 23.43,
+        detectorOptions: {},
+        minDiameterPx: MIN_COIN_DIAMETER_PX,
+        instruction: "Place a 1 pound coin flat in front of the camera, close to your hand."
+    }
+};
+
+// Reference object used unless the user picks another one.
+export const DEFAULT_REFERENCE_OBJECT_ID = "id1-card";
+
+/**
+ * Looks up a reference object.
+ * @param {string|null} id - The reference object id.
+ * @returns {Object} The registry entry, or the default object for an unknown id.
+ */
+export function getReferenceObject(id) {
+    return REFERENCE_OBJECTS[id] || REFERENCE_OBJECTS[DEFAULT_REFERENCE_OBJECT_ID];
+}
+
+/**
+ * Locates a reference object in a frame with the detector for its shape.
+ * @param {Object} imageData - An ImageData-like object ({ data, width, height }).
+ * @param {Object} object - A registry entry (see `REFERENCE_OBJECTS`).
+ * @returns {Object|null} The detector's result (`{ corners, score, aspectRatio, ... }`) with the
+ *   `referenceObjectId` added, or null when the object was not found. `tooSmall` is set for a
+ *   coin below its `minDiameterPx`, which the measurement engine does not use.
+ */
+export function detectReferenceObject(imageData, object) {
+    const result = object.shape === "circle"
+        ? locateCircle(imageData, object.detectorOptions)
+        : locateCard(imageData, { expectedAspectRatio: object.longSideMm / object.shortSideMm, ...object.detectorOptions });
+    if (!result) {
+        return null;
+    }
+    // A tilted coin shows its true diameter along the ellipse's major axis.
+    if (object.minDiameterPx !== undefined && 2 * result.ellipse.a < object.minDiameterPx) {
+        return { ...result, referenceObjectId: object.id, tooSmall: true };
+    }
+    return { ...result, referenceObjectId: object.id };
+}
+
+/**
+ * The measurement engine configuration for a reference object (see `DEFAULT_ENGINE_CONFIG`).
+ * @param {Object} object - A registry entry.
+ * @returns {Object} `{ cardLongSideMm, cardShortSideMm }`.
+ */
+export function referenceEngineConfig(object) {
+    return { cardLongSideMm: object.longSideMm, cardShortSideMm: object.shortSideMm };
+}
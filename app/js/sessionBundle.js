@@ -0,0 +1,242 @@
+// app/js/sessionBundle.js
+
+// Saved profiles and measurement sessions: record creation, validation, the JSON bundle
+// used to move them between devices, and the comparison of a profile's sessions.
+// Storage is done by sessionStore.js; this module only works on plain objects.
+//
+// A profile is a person (or any named group of sessions):
+//   { id, name, createdAt }
+// A session is one completed measurement of a profile:
+//   { id, profileId, createdAt, settings, results, samples }
+// where `settings` records what the session was measured with ({ productId, productName,
+// referenceObjectId, handMode, calibration }), `results` is the per hand summary written to
+// JSON exports (aggregates and recommendation) and `samples` the raw history entries.
+//
+// Bundle:
+// {
+//   "format": "hand-measure-sessions",
+//   "formatVersion": 1,
+//   "exportedAt": "2026-01-01T00:00:00.000Z",
+//   "profiles": [ ... ],
+//   "sessions": [ ... ]
+// }
+
+import { MEASUREMENT_KEYS } from "./sizeChart.js";
+
+// Identifies a session bundle, and the version of its structure.
+export const BUNDLE_FORMAT = "hand-measure-sessions";
+export const BUNDLE_FORMAT_VERSION = 1;
+
+// Longest accepted profile name.
+export const MAX_PROFILE_NAME_LENGTH = 100;
+
+/**
+ * Creates a random identifier for a profile or session.
+ * @returns {string} A UUID.
+ */
+function randomId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Checks whether a value is a non-empty string.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for non-empty strings.
+ */
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * Checks whether a value is a plain object (not null or an array).
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for objects.
+ */
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Creates a profile.
+ * @param {string} name - Name of the profile, e.g. the person being measured.
+ * @param {Date} [now] - Creation time.
+ * @returns {Object} The profile.
+ * @throws {Error} If the name is empty or too long.
+ */
+export function createProfile(name, now = new Date()) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (trimmed === "") {
+        throw new Error("Please enter a name for the profile.");
+    }
+    if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+        throw new Error(`Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters long.`);
+    }
+    return { id: randomId(), name: trimmed, createdAt: now.toISOString() };
+}
+
+/**
+ * Creates a session record of a profile.
+ * @param {string} profileId - The profile the session belongs to.
+ * @param {Object} session - `{ settings, results, samples }` (see the module comment).
+ * @param {Date} [now] - Time the session is saved.
+ * @returns {Object} The session.
+ */
+export function createSessionRecord(profileId, { settings, results, samples }, now = new Date()) {
+    return { id: randomId(), profileId, createdAt: now.toISOString(), settings, results, samples };
+}
+
+/**
+ * Validates a profile.
+ * @param {Object} profile - The profile.
+ * @param {string} [path] - Where the profile is, for the messages.
+ * @returns {Array<string>} A list of human-readable problems; empty when the profile is valid.
+ */
+export function validateProfile(profile, path = "profile") {
+    if (!isObject(profile)) {
+        return [`${path} must be an object.`];
+    }
+    const errors = [];
+    if (!isNonEmptyString(profile.id)) {
+        errors.push(`${path}.id must be a non-empty string.`);
+    }
+    if (!isNonEmptyString(profile.name) || profile.name.length > MAX_PROFILE_NAME_LENGTH) {
+        errors.push(`${path}.name must be a non-empty string of at most ${MAX_PROFILE_NAME_LENGTH} characters.`);
+    }
+    if (!isNonEmptyString(profile.createdAt) || Number.isNaN(Date.parse(profile.createdAt))) {
+        errors.push(`${path}.createdAt must be an ISO date.`);
+    }
+    return errors;
+}
+
+/**
+ * Validates a session.
+ * @param {Object} session - The session.
+ * @param {string} [path] - Where the session is, for the messages.
+ * @returns {Array<string>} A list of human-readable problems; empty when the session is valid.
+ */
+export function validateSession(session, path = "session") {
+    if (!isObject(session)) {
+        return [`${path} must be an object.`];
+    }
+    const errors = [];
+    for (const field of ["id", "profileId"]) {
+        if (!isNonEmptyString(session[field])) {
+            errors.push(`${path}.${field} must be a non-empty string.`);
+        }
+    }
+    if (!isNonEmptyString(session.createdAt) || Number.isNaN(Date.parse(session.createdAt))) {
+        errors.push(`${path}.createdAt must be an ISO date.`);
+    }
+    for (const field of ["settings", "results"]) {
+        if (!isObject(session[field])) {
+            errors.push(`${path}.${field} must be an object.`);
+        }
+    }
+    if (!Array.isArray(session.samples)) {
+        errors.push(`${path}.samples must be an array.`);
+    }
+    return errors;
+}
+
+/**
+ * Builds a bundle of profiles and their sessions.
+ * @param {Array<Object>} profiles - The profiles.
+ * @param {Array<Object>} sessions - Sessions of these profiles.
+ * @param {Date} [exportedAt] - Time of the export.
+ * @returns {Object} The bundle, ready for `JSON.stringify`.
+ */
+export function createBundle(profiles, sessions, exportedAt = new Date()) {
+    return {
+        format: BUNDLE_FORMAT,
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        exportedAt: exportedAt.toISOString(),
+        profiles,
+        sessions
+    };
+}
+
+/**
+ * Validates a bundle: its format, every profile and session, and that each session's profile is included.
+ * @param {Object} bundle - The parsed bundle JSON.
+ * @returns {Array<string>} A list of human-readable problems; empty when the bundle is valid.
+ */
+export function validateBundle(bundle) {
+    if (!isObject(bundle)) {
+        return ["The bundle must be a JSON object."];
+    }
+    if (bundle.format !== BUNDLE_FORMAT) {
+        return [`This is not a session bundle (format must be "${BUNDLE_FORMAT}").`];
+    }
+    const errors = [];
+    if (bundle.formatVersion !== BUNDLE_FORMAT_VERSION) {
+        errors.push(`formatVersion must be ${BUNDLE_FORMAT_VERSION}.`);
+    }
+    if (!Array.isArray(bundle.profiles)) {
+        errors.push("profiles must be an array.");
+    }
+    if (!Array.isArray(bundle.sessions)) {
+        errors.push("sessions must be an array.");
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    bundle.profiles.forEach((profile, i) => errors.push(...validateProfile(profile, `profiles[${i}]`)));
+    bundle.sessions.forEach((session, i) => errors.push(...validateSession(session, `sessions[${i}]`)));
+    const profileIds = new Set(bundle.profiles.map(profile => profile && profile.id));
+    bundle.sessions.forEach((session, i) => {
+        if (isObject(session) && isNonEmptyString(session.profileId) && !profileIds.has(session.profileId)) {
+            errors.push(`sessions[${i}] belongs to a profile that is not in the bundle.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validates a bundle and returns its contents.
+ * @param {Object} bundle - The parsed bundle JSON.
+ * @returns {Object} `{ profiles, sessions }`.
+ * @throws {Error} If the bundle is invalid; the message lists every problem.
+ */
+export function parseBundle(bundle) {
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+        throw new Error(`Invalid session bundle:\n- ${errors.join("\n- ")}`);
+    }
+    return { profiles: bundle.profiles, sessions: bundle.sessions };
+}
+
+/**
+ * Compares a profile's sessions for one hand: the median of every measurement key per session
+ * and its change since the earliest session.
+ * @param {Array<Object>} sessions - The sessions to compare, in any order.
+ * @param {string} hand - "Left" or "Right".
+ * @returns {Object} `{ keys, rows }`: the measurement keys measured in any of the sessions, and per
+ *   session (oldest first) `{ id, createdAt, size, values, changes }` where `values` and `changes` map
+ *   each key to millimeters (null when not measured). Sessions without that hand are left out.
+ */
+export function compareSessions(sessions, hand) {
+    const measured = [...sessions]
+        .filter(session => session.results && session.results[hand])
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    const rows = measured.map(session => {
+        const result = session.results[hand];
+        const values = {};
+        for (const key of MEASUREMENT_KEYS) {
+            const aggregate = result.measurements ? result.measurements[key] : null;
+            values[key] = aggregate && Number.isFinite(aggregate.mm) ? aggregate.mm : null;
+        }
+        return { id: session.id, createdAt: session.createdAt, size: result.size ? result.size.label : null, values };
+    });
+
+    const keys = MEASUREMENT_KEYS.filter(key => rows.some(row => row.values[key] !== null));
+    for (const row of rows) {
+        row.changes = {};
+        for (const key of keys) {
+            const first = rows.find(r => r.values[key] !== null);
+            row.changes[key] = row.values[key] !== null ? row.values[key] - first.values[key] : null;
+        }
+    }
+    return { keys, rows };
+}
@@ -0,0 +1,229 @@
+// app/js/sessionStore.js
+
+// Persistent storage of profiles and their measurement sessions in IndexedDB, so results
+// survive a reload. Everything stays in the browser; moving data to another device goes
+// through the JSON bundle (see sessionBundle.js for the records and the bundle format).
+//
+// Object stores:
+//   profiles  keyPath "id"
+//   sessions  keyPath "id", index "profileId"
+
+import { createBundle, parseBundle, validateProfile, validateSession } from "./sessionBundle.js";
+
+// Database name and schema version. Bump the version and extend `upgrade` when the stores change.
+export const DATABASE_NAME = "hand-measure";
+const DATABASE_VERSION = 1;
+const PROFILES = "profiles";
+const SESSIONS = "sessions";
+
+/**
+ * Resolves with the result of an IndexedDB request.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} The request's result.
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction has committed.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("The transaction was aborted."));
+  });
+}
+
+/**
+ * Creates the object stores of a new database.
+ * @param {IDBDatabase} db - The database being upgraded.
+ */
+function upgrade(db) {
+  if (!db.objectStoreNames.contains(PROFILES)) {
+    db.createObjectStore(PROFILES, { keyPath: "id" });
+  }
+  if (!db.objectStoreNames.contains(SESSIONS)) {
+    const sessions = db.createObjectStore(SESSIONS, { keyPath: "id" });
+    sessions.createIndex("profileId", "profileId");
+  }
+}
+
+/**
+ * Throws if a record does not match the schema.
+ * @param {Array<string>} errors - The result of a validator.
+ * @throws {Error} Listing every problem.
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new Error(errors.join(" "));
+  }
+}
+
+/**
+ * Asks the browser not to evict the stored sessions when space runs low. Best effort: browsers
+ * may decline or not support it, in which case the data is kept as long as the browser allows.
+ * @returns {Promise<boolean>} True if the storage is persistent.
+ */
+export async function requestPersistentStorage() {
+  if (!navigator.storage || !navigator.storage.persist) {
+    return false;
+  }
+  try {
+    return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+  } catch (error) {
+    console.warn("Could not request persistent storage:", error);
+    return false;
+  }
+}
+
+/**
+ * Opens the session store.
+ * @param {string} [name] - Database name (another name gives a separate store, e.g. for tests).
+ * @returns {Promise<Object>} The store (see the methods below).
+ * @throws {Error} If IndexedDB is unavailable (e.g. in some private browsing modes) or the database cannot be opened.
+ */
+export async function openSessionStore(name = DATABASE_NAME) {
+  if (typeof indexedDB === "undefined") {
+    throw new Error("This browser cannot store sessions (IndexedDB is not available).");
+  }
+  const request = indexedDB.open(name, DATABASE_VERSION);
+  request.onupgradeneeded = () => upgrade(request.result);
+  const db = await requestResult(request);
+  // Another tab upgrading the schema needs this connection closed.
+  db.onversionchange = () => db.close();
+
+  /**
+   * Reads all records of a store, or those matching an index key.
+   * @param {string} storeName - The object store.
+   * @param {string} [index] - Index to query.
+   * @param {*} [key] - Key to look up in the index.
+   * @returns {Promise<Array<Object>>} The records.
+   */
+  const getAll = (storeName, index, key) => {
+    const store = db.transaction(storeName, "readonly").objectStore(storeName);
+    return requestResult(index ? store.index(index).getAll(key) : store.getAll());
+  };
+
+  const newestFirst = (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt);
+
+  return {
+    /**
+     * Lists all profiles, by name.
+     * @returns {Promise<Array<Object>>} The profiles.
+     */
+    async listProfiles() {
+      const profiles = await getAll(PROFILES);
+      return profiles.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Adds or replaces a profile.
+     * @param {Object} profile - The profile (see `createProfile`).
+     * @returns {Promise<void>}
+     */
+    async saveProfile(profile) {
+      assertValid(validateProfile(profile));
+      const transaction = db.transaction(PROFILES, "readwrite");
+      transaction.objectStore(PROFILES).put(profile);
+      await transactionDone(transaction);
+    },
+
+    /**
+     * Deletes a profile together with all of its sessions.
+     * @param {string} profileId - The profile.
+     * @returns {Promise<void>}
+     */
+    async deleteProfile(profileId) {
+      const transaction = db.transaction([PROFILES, SESSIONS], "readwrite");
+      transaction.objectStore(PROFILES).delete(profileId);
+      const sessions = transaction.objectStore(SESSIONS);
+      const keys = await requestResult(sessions.index("profileId").getAllKeys(profileId));
+      for (const key of keys) {
+        sessions.delete(key);
+      }
+      await transactionDone(transaction);
+    },
+
+    /**
+     * Lists a profile's sessions, newest first.
+     * @param {string} profileId - The profile.
+     * @returns {Promise<Array<Object>>} The sessions.
+     */
+    async listSessions(profileId) {
+      const sessions = await getAll(SESSIONS, "profileId", profileId);
+      return sessions.sort(newestFirst);
+    },
+
+    /**
+     * Adds or replaces a session.
+     * @param {Object} session - The session (see `createSessionRecord`).
+     * @returns {Promise<void>}
+     */
+    async saveSession(session) {
+      assertValid(validateSession(session));
+      const transaction = db.transaction(SESSIONS, "readwrite");
+      transaction.objectStore(SESSIONS).put(session);
+      await transactionDone(transaction);
+    },
+
+    /**
+     * Deletes a session.
+     * @param {string} sessionId - The session.
+     * @returns {Promise<void>}
+     */
+    async deleteSession(sessionId) {
+      const transaction = db.transaction(SESSIONS, "readwrite");
+      transaction.objectStore(SESSIONS).delete(sessionId);
+      await transactionDone(transaction);
+    },
+
+    /**
+     * Builds a bundle of profiles and all their sessions.
+     * @param {Array<string>} [profileIds] - The profiles to include; all when omitted.
+     * @returns {Promise<Object>} The bundle (see sessionBundle.js).
+     */
+    async exportBundle(profileIds = null) {
+      const allProfiles = await getAll(PROFILES);
+      const profiles = profileIds ? allProfiles.filter(profile => profileIds.includes(profile.id)) : allProfiles;
+      const sessions = [];
+      for (const profile of profiles) {
+        sessions.push(...(await getAll(SESSIONS, "profileId", profile.id)).sort(newestFirst));
+      }
+      return createBundle(profiles, sessions);
+    },
+
+    /**
+     * Imports a bundle in one transaction. Profiles and sessions already stored with the same
+     * id (e.g. from an earlier import of the same bundle) are replaced rather than duplicated.
+     * @param {Object} bundle - The parsed bundle JSON.
+     * @returns {Promise<Object>} `{ profiles, sessions }`: the number of records imported.
+     * @throws {Error} If the bundle is invalid; nothing is imported then.
+     */
+    async importBundle(bundle) {
+      const { profiles, sessions } = parseBundle(bundle);
+      const transaction = db.transaction([PROFILES, SESSIONS], "readwrite");
+      for (const profile of profiles) {
+        transaction.objectStore(PROFILES).put(profile);
+      }
+      for (const session of sessions) {
+        transaction.objectStore(SESSIONS).put(session);
+      }
+      await transactionDone(transaction);
+      return { profiles: profiles.length, sessions: sessions.length };
+    },
+
+    /**
+     * Closes the database connection.
+     */
+    close() {
+      db.close();
+    }
+  };
+}
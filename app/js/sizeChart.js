@@ -0,0 +1,268 @@
+// app/js/sizeChart.js
+
+// Glove size charts: schema validation, loading and the shared size classifier.
+// A size chart describes one product as ordered size bands over a set of measurement keys,
+// so adding a product or a size means adding a JSON file rather than editing code.
+//
+// Example (see app/data/size-charts/madglove-assist.json):
+// {
+//   "schemaVersion": 1,
+//   "productId": "madglove-assist",
+//   "productName": "Madglove Assist",
+//   "units": "mm",
+//   "measurements": ["palmWidth", "palmLength"],
+//   "sizes": [
+//     { "id": "S", "label": "Small", "bands": { "palmWidth": { "max": 80 }, "palmLength": { "max": 80 } } },
+//     ...
+//   ]
+// }
+// Sizes are ordered smallest first. A band's `min` is inclusive and its `max` exclusive; the first
+// size may omit `min` and the last size may omit `max`. Bands of neighbouring sizes must touch.
+
+// Schema version understood by this module.
+export const SIZE_CHART_SCHEMA_VERSION = 1;
+
+// Measurement keys a size chart may refer to.
+export const MEASUREMENT_KEYS = [
+    "palmWidth",
+    "palmLength",
+    "handLength",
+    "palmCircumference",
+    "thumbLength",
+    "indexFingerLength",
+    "middleFingerLength",
+    "ringFingerLength",
+    "littleFingerLength"
+];
+
+// Human-readable names for the measurement keys.
+export const MEASUREMENT_LABELS = {
+    palmWidth: "Palm width",
+    palmLength: "Palm length",
+    handLength: "Hand length",
+    palmCircumference: "Palm circumference (estimated)",
+    thumbLength: "Thumb length",
+    indexFingerLength: "Index finger length",
+    middleFingerLength: "Middle finger length",
+    ringFingerLength: "Ring finger length",
+    littleFingerLength: "Little finger length"
+};
+
+// Conversion factors from the supported chart units to millimeters.
+const UNIT_TO_MM = {
+    mm: 1,
+    cm: 10,
+    in: 25.4
+};
+
+// Directory holding the bundled size charts, relative to index.html.
+const SIZE_CHART_DIRECTORY = "app/data/size-charts";
+
+// Product used when the page URL does not name one.
+export const DEFAULT_PRODUCT_ID = "madglove-assist";
+
+/**
+ * Checks whether a value is a finite number.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for finite numbers.
+ */
+function isFiniteNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Validates a size chart against the schema.
+ * @param {Object} chart - The parsed size chart JSON.
+ * @returns {Array<string>} A list of human-readable problems; empty when the chart is valid.
+ */
+export function validateSizeChart(chart) {
+    const errors = [];
+    if (!chart || typeof chart !== "object" || Array.isArray(chart)) {
+        return ["Size chart must be a JSON object."];
+    }
+
+    if (chart.schemaVersion !== SIZE_CHART_SCHEMA_VERSION) {
+        errors.push(`Unsupported schemaVersion ${chart.schemaVersion}; expected ${SIZE_CHART_SCHEMA_VERSION}.`);
+    }
+    if (typeof chart.productId !== "string" || chart.productId.trim() === "") {
+        errors.push("productId must be a non-empty string.");
+    }
+    if (!Object.prototype.hasOwnProperty.call(UNIT_TO_MM, chart.units)) {
+        errors.push(`units must be one of ${Object.keys(UNIT_TO_MM).join(", ")}.`);
+    }
+
+    const keys = chart.measurements;
+    if (!Array.isArray(keys) || keys.length === 0) {
+        errors.push("measurements must be a non-empty array of measurement keys.");
+    } else {
+        for (const key of keys) {
+            if (!MEASUREMENT_KEYS.includes(key)) {
+                errors.push(`Unknown measurement key "${key}".`);
+            }
+        }
+        if (new Set(keys).size !== keys.length) {
+            errors.push("measurements must not contain duplicates.");
+        }
+    }
+
+    const sizes = chart.sizes;
+    if (!Array.isArray(sizes) || sizes.length === 0) {
+        errors.push("sizes must be a non-empty array.");
+        return errors;
+    }
+
+    const ids = new Set();
+    const errorsBeforeSizes = errors.length;
+    sizes.forEach((size, index) => {
+        const where = `sizes[${index}]`;
+        if (!size || typeof size !== "object") {
+            errors.push(`${where} must be an object.`);
+            return;
+        }
+        if (typeof size.id !== "string" || size.id === "") {
+            errors.push(`${where}.id must be a non-empty string.`);
+        } else if (ids.has(size.id)) {
+            errors.push(`${where}.id "${size.id}" is duplicated.`);
+        } else {
+            ids.add(size.id);
+        }
+        if (typeof size.label !== "string" || size.label === "") {
+            errors.push(`${where}.label must be a non-empty string.`);
+        }
+        if (!size.bands || typeof size.bands !== "object") {
+            errors.push(`${where}.bands must be an object.`);
+        }
+    });
+    // Band checks need well-formed sizes and a list of keys.
+    if (errors.length > errorsBeforeSizes || !Array.isArray(keys)) {
+        return errors;
+    }
+
+    // Check every measurement key's bands: present, well-formed, ordered and contiguous.
+    for (const key of keys) {
+        sizes.forEach((size, index) => {
+            const where = `sizes[${index}].bands.${key}`;
+            const band = size.bands[key];
+            if (!band || typeof band !== "object") {
+                errors.push(`${where} is missing.`);
+                return;
+            }
+            const isFirst = index === 0;
+            const isLast = index === sizes.length - 1;
+            if (band.min !== undefined && !isFiniteNumber(band.min)) {
+                errors.push(`${where}.min must be a number.`);
+            }
+            if (band.max !== undefined && !isFiniteNumber(band.max)) {
+                errors.push(`${where}.max must be a number.`);
+            }
+            if (band.min === undefined && !isFirst) {
+                errors.push(`${where}.min is required for every size but the first.`);
+            }
+            if (band.max === undefined && !isLast) {
+                errors.push(`${where}.max is required for every size but the last.`);
+            }
+            if (isFiniteNumber(band.min) && isFiniteNumber(band.max) && band.min >= band.max) {
+                errors.push(`${where}.min must be smaller than max.`);
+            }
+            if (!isFirst) {
+                const previous = sizes[index - 1].bands[key];
+                if (previous && isFiniteNumber(previous.max) && isFiniteNumber(band.min) && previous.max !== band.min) {
+                    errors.push(`${where}.min (${band.min}) must equal the previous size's max (${previous.max}).`);
+                }
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a size chart and converts its bands to millimeters.
+ * @param {Object} chart - The parsed size chart JSON.
+ * @returns {Object} The chart with every band as `{ min, max }` in millimeters (open ends become ±Infinity).
+ * @throws {Error} If the chart does not match the schema; the message lists every problem.
+ */
+export function normalizeSizeChart(chart) {
+    const errors = validateSizeChart(chart);
+    if (errors.length > 0) {
+        throw new Error(`Invalid size chart:\n- ${errors.join("\n- ")}`);
+    }
+
+    const factor = UNIT_TO_MM[chart.units];
+    return {
+        ...chart,
+        units: "mm",
+        sourceUnits: chart.units,
+        sizes: chart.sizes.map(size => {
+            const bands = {};
+            for (const key of chart.measurements) {
+                const band = size.bands[key];
+                bands[key] = {
+                    min: band.min === undefined ? -Infinity : band.min * factor,
+                    max: band.max === undefined ? Infinity : band.max * factor
+                };
+            }
+            return { ...size, bands };
+        })
+    };
+}
+
+/**
+ * Finds the size whose band contains a measurement.
+ * This is the single classifier used for every display and history row.
+ * @param {Object} chart - A normalized size chart (see `normalizeSizeChart`).
+ * @param {string} key - The measurement key (e.g. "palmWidth").
+ * @param {number} valueMm - The measured value in millimeters.
+ * @returns {Object|null} The matching size entry (`{ id, label, bands }`), or null if the chart
+ *   does not cover the key or the value is not a number.
+ */
+export function classifyMeasurement(chart, key, valueMm) {
+    if (!chart || !chart.measurements.includes(key) || !isFiniteNumber(valueMm)) {
+        return null;
+    }
+    return chart.sizes.find(size => valueMm >= size.bands[key].min && valueMm < size.bands[key].max) || null;
+}
+
+/**
+ * Works out where the size chart should be loaded from, based on the page URL.
+ * `?sizeChart=<url>` loads an arbitrary chart; `?product=<id>` loads a bundled one.
+ * @param {string} search - The query string (e.g. `window.location.search`).
+ * @returns {string} The URL of the size chart JSON.
+ * @throws {Error} If the product id contains characters that are not allowed in a file name.
+ */
+export function resolveSizeChartUrl(search) {
+    const params = new URLSearchParams(search);
+    const explicitUrl = params.get("sizeChart");
+    if (explicitUrl) {
+        return explicitUrl;
+    }
+    return productSizeChartUrl(params.get("product") || DEFAULT_PRODUCT_ID);
+}
+
+/**
+ * URL of a bundled size chart.
+ * @param {string} productId - The product id, e.g. "madglove-assist".
+ * @param {string} [directory] - Directory holding the charts (defaults to the one next to index.html).
+ * @returns {string} The URL of the size chart JSON.
+ * @throws {Error} If the product id contains characters that are not allowed in a file name.
+ */
+export function productSizeChartUrl(productId, directory = SIZE_CHART_DIRECTORY) {
+    if (!/^[a-z0-9-]+$/.test(productId)) {
+        throw new Error(`Invalid product id "${productId}".`);
+    }
+    return `${directory}/${productId}.json`;
+}
+
+/**
+ * Fetches, validates and normalizes a size chart.
+ * @param {string} url - URL of the size chart JSON.
+ * @returns {Promise<Object>} The normalized size chart.
+ * @throws {Error} If the chart cannot be fetched or is invalid.
+ */
+export async function loadSizeChart(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load size chart from ${url} (HTTP ${response.status}).`);
+    }
+    return normalizeSizeChart(await response.json());
+}
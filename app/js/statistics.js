@@ -0,0 +1,142 @@
+// app/js/statistics.js
+
+// Robust statistics for the measurement history: a bounded rolling window, outlier
+// rejection (MAD or IQR based) and a median with a confidence interval.
+
+// Default statistics options.
+export const DEFAULT_STATISTICS_OPTIONS = {
+    windowSize: 60, // Number of most recent samples kept in the rolling window.
+    outlierMethod: "mad", // "mad" (median absolute deviation), "iqr" (interquartile range) or "none".
+    madThreshold: 3.5, // Samples whose modified z-score exceeds this are rejected.
+    iqrMultiplier: 1.5, // Samples outside [Q1 - k*IQR, Q3 + k*IQR] are rejected.
+    confidenceZ: 1.96 // z value of the reported confidence interval (1.96 = 95%).
+};
+
+// Scales the MAD to a consistent estimate of the standard deviation for normal data.
+const MAD_TO_SIGMA = 1.4826;
+// Asymptotic efficiency factor: the standard error of the median is about 1.2533 * sigma / sqrt(n).
+const MEDIAN_SE_FACTOR = 1.2533;
+
+/**
+ * Appends an entry to a history array, dropping the oldest entries beyond the window size.
+ * The array is modified in place.
+ * @param {Array} history - The history array.
+ * @param {*} entry - The entry to append.
+ * @param {number} windowSize - Maximum number of entries to keep.
+ * @returns {Array} The entries that were dropped (oldest first).
+ */
+export function pushToRollingWindow(history, entry, windowSize) {
+    history.push(entry);
+    const overflow = history.length - windowSize;
+    return overflow > 0 ? history.splice(0, overflow) : [];
+}
+
+/**
+ * Linear-interpolated quantile of sorted values.
+ * @param {Array<number>} sorted - Values sorted ascending.
+ * @param {number} q - Quantile between 0 and 1.
+ * @returns {number} The quantile.
+ */
+export function quantile(sorted, q) {
+    if (sorted.length === 0) {
+        return NaN;
+    }
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Median of a list of values.
+ * @param {Array<number>} values - The values.
+ * @returns {number} The median (NaN for an empty list).
+ */
+export function median(values) {
+    return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+/**
+ * Median absolute deviation from the median.
+ * @param {Array<number>} values - The values.
+ * @param {number} [center] - The median, if already known.
+ * @returns {number} The MAD (unscaled).
+ */
+export function medianAbsoluteDeviation(values, center = median(values)) {
+    return median(values.map(v => Math.abs(v - center)));
+}
+
+/**
+ * Splits values into kept and rejected outliers.
+ * @param {Array<number>} values - The values.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_STATISTICS_OPTIONS`.
+ * @returns {Object} `{ kept, rejected }` arrays, each preserving the input order.
+ */
+export function rejectOutliers(values, options = {}) {
+    const opts = { ...DEFAULT_STATISTICS_OPTIONS, ...options };
+    // Too few samples to tell an outlier from the spread.
+    if (values.length < 4 || opts.outlierMethod === "none") {
+        return { kept: [...values], rejected: [] };
+    }
+
+    let isOutlier;
+    if (opts.outlierMethod === "iqr") {
+        const sorted = [...values].sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        isOutlier = v => v < q1 - opts.iqrMultiplier * iqr || v > q3 + opts.iqrMultiplier * iqr;
+    } else if (opts.outlierMethod === "mad") {
+        const center = median(values);
+        const mad = medianAbsoluteDeviation(values, center);
+        // With a zero MAD (more than half the values identical) nothing can be judged an outlier.
+        isOutlier = v => mad > 0 && Math.abs(v - center) / (MAD_TO_SIGMA * mad) > opts.madThreshold;
+    } else {
+        throw new Error(`Unknown outlier method "${opts.outlierMethod}".`);
+    }
+
+    const kept = [];
+    const rejected = [];
+    for (const v of values) {
+        (isOutlier(v) ? rejected : kept).push(v);
+    }
+    return { kept, rejected };
+}
+
+/**
+ * Summarizes values after outlier rejection.
+ * @param {Array<number>} values - The values.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_STATISTICS_OPTIONS`.
+ * @returns {Object|null} `{ median, mean, std, mad, count, rejectedCount, ciLow, ciHigh, ciHalfWidth }`
+ *   computed over the kept values, or null for an empty list.
+ */
+export function summarize(values, options = {}) {
+    const opts = { ...DEFAULT_STATISTICS_OPTIONS, ...options };
+    if (values.length === 0) {
+        return null;
+    }
+
+    const { kept, rejected } = rejectOutliers(values, opts);
+    const count = kept.length;
+    const center = median(kept);
+    const mean = kept.reduce((sum, v) => sum + v, 0) / count;
+    const std = count > 1 ? Math.sqrt(kept.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (count - 1)) : 0;
+    const mad = medianAbsoluteDeviation(kept, center);
+
+    // Confidence interval of the median from a robust spread estimate (falling back to the
+    // standard deviation when the MAD collapses to zero).
+    const sigma = mad > 0 ? MAD_TO_SIGMA * mad : std;
+    const ciHalfWidth = count > 1 ? opts.confidenceZ * MEDIAN_SE_FACTOR * sigma / Math.sqrt(count) : Infinity;
+
+    return {
+        median: center,
+        mean,
+        std,
+        mad,
+        count,
+        rejectedCount: rejected.length,
+        ciLow: center - ciHalfWidth,
+        ciHigh: center + ciHalfWidth,
+        ciHalfWidth
+    };
+}
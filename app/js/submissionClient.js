@@ -0,0 +1,234 @@
+// app/js/submissionClient.js
+
+// Sends the final results of a session to a results endpoint (see submissionProtocol.js
+// for the payload and responses). Every submission is first written to a queue in
+// localStorage and only removed once the server accepted or rejected it, so submissions
+// made offline, or interrupted by a reload, are sent later. Failed sends are retried with
+// exponential backoff, and immediately when the browser comes back online.
+//
+// Each submission keeps its idempotency key across retries, so a retry after a lost
+// response (or two tabs sending the same queue) does not store the results twice. The
+// caller derives the key from its session, so submitting the same session again is not a
+// second submission either.
+//
+// The endpoint is set by the page with a meta tag; without it, submission is not offered:
+//   <meta name="hand-measure-submit-endpoint" content="https://results.example.com/submissions">
+// Like the asset base, it cannot be set from the URL, so a link cannot redirect the results.
+
+import {
+  IDEMPOTENCY_KEY_HEADER,
+  DEFAULT_RETRY_OPTIONS,
+  createSubmission,
+  isRetryableStatus,
+  retryDelayMs
+} from "./submissionProtocol.js";
+
+// localStorage key of the queue.
+export const SUBMISSION_QUEUE_KEY = "hand-measure-submission-queue";
+
+// Name of the meta tag that sets the endpoint.
+const ENDPOINT_META_NAME = "hand-measure-submit-endpoint";
+
+// Default client options.
+export const DEFAULT_SUBMISSION_OPTIONS = {
+  ...DEFAULT_RETRY_OPTIONS,
+  requestTimeoutMs: 15000 // A request without a response after this long counts as a network error.
+};
+
+/**
+ * Reads the submission endpoint from the page's meta tag.
+ * @param {Document} [doc] - The document to read the meta tag from.
+ * @returns {string|null} The absolute endpoint URL, or null if the page sets none.
+ */
+export function resolveSubmissionEndpoint(doc = globalThis.document) {
+  const meta = doc && doc.querySelector(`meta[name="${ENDPOINT_META_NAME}"]`);
+  const content = meta && meta.getAttribute("content");
+  return content ? new URL(content, doc.baseURI).href : null;
+}
+
+/**
+ * Creates a submission client.
+ * @param {string} endpoint - URL the submissions are POSTed to.
+ * @param {Object} [options] - Partial options overriding `DEFAULT_SUBMISSION_OPTIONS`, plus
+ *   `onChange(status)`, called with `{ pending, lastError }` whenever the queue changes, where
+ *   `lastError` describes the latest failure (null after a successful send).
+ * @returns {Object} `{ submit(session, key), flush(), pendingCount(), close() }`.
+ */
+export function createSubmissionClient(endpoint, options = {}) {
+  const { onChange = () => {}, ...rest } = options;
+  const opts = { ...DEFAULT_SUBMISSION_OPTIONS, ...rest };
+  let timer = null;
+  let flushing = null;
+  let lastError = null;
+  // Why the server refused submissions of this page load, by key, for `submit` to report.
+  const rejections = new Map();
+  // Keys of the submissions this page load has sent.
+  const sentKeys = new Set();
+
+  // The queue is read from storage every time, so changes by other tabs are seen.
+  const readQueue = () => {
+    try {
+      const queue = JSON.parse(localStorage.getItem(SUBMISSION_QUEUE_KEY) || "[]");
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      console.warn("Discarding an unreadable submission queue:", error);
+      return [];
+    }
+  };
+  const writeQueue = queue => {
+    localStorage.setItem(SUBMISSION_QUEUE_KEY, JSON.stringify(queue));
+    onChange({ pending: queue.length, lastError });
+  };
+  const updateItem = (key, update) => {
+    const queue = readQueue();
+    const index = queue.findIndex(item => item.key === key);
+    if (index !== -1) {
+      if (update === null) {
+        queue.splice(index, 1);
+      } else {
+        queue[index] = { ...queue[index], ...update };
+      }
+      writeQueue(queue);
+    }
+  };
+
+  /**
+   * Sends one queued submission.
+   * @param {Object} item - The queue item.
+   * @returns {Promise<Object>} `{ outcome, status, message }` with outcome "sent", "retry" or "rejected".
+   */
+  const send = async item => {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", [IDEMPOTENCY_KEY_HEADER]: item.key },
+        body: JSON.stringify(item.payload),
+        signal: AbortSignal.timeout(opts.requestTimeoutMs)
+      });
+    } catch (error) {
+      return { outcome: "retry", status: null, message: String(error.message || error) };
+    }
+    if (response.ok) {
+      return { outcome: "sent", status: response.status, message: null };
+    }
+    let message = `HTTP ${response.status}`;
+    try {
+      const body = await response.json();
+      if (body && body.error) {
+        message = `${message}: ${body.error}`;
+      }
+    } catch (error) {
+      // The error body is optional.
+    }
+    return { outcome: isRetryableStatus(response.status) ? "retry" : "rejected", status: response.status, message };
+  };
+
+  // Sets a timer for the earliest retry. Offline there is none; the "online" event flushes.
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (navigator.onLine === false) {
+      return;
+    }
+    const queue = readQueue();
+    if (queue.length > 0) {
+      const next = Math.min(...queue.map(item => item.nextAttemptAt));
+      timer = setTimeout(flush, Math.max(next - Date.now(), 0));
+    }
+  };
+
+  /**
+   * Sends every queued submission that is due. Only one flush runs at a time.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (!flushing) {
+      flushing = (async () => {
+        // Offline, nothing can be sent; the "online" event flushes again.
+        if (navigator.onLine === false) {
+          return;
+        }
+        for (const item of readQueue().filter(entry => entry.nextAttemptAt <= Date.now())) {
+          const result = await send(item);
+          if (result.outcome === "sent") {
+            lastError = null;
+            sentKeys.add(item.key);
+            updateItem(item.key, null);
+          } else if (result.outcome === "rejected") {
+            lastError = `A submission was rejected (${result.message}).`;
+            console.error(`Submission ${item.key} was rejected:`, result.message);
+            rejections.set(item.key, result.message);
+            updateItem(item.key, null);
+          } else {
+            const attempts = item.attempts + 1;
+            lastError = `Sending failed (${result.message}); it will be retried.`;
+            updateItem(item.key, { attempts, nextAttemptAt: Date.now() + retryDelayMs(attempts, opts), lastError: result.message });
+          }
+        }
+      })().finally(() => {
+        flushing = null;
+        schedule();
+      });
+    }
+    return flushing;
+  }
+
+  const onOnline = () => flush();
+  window.addEventListener("online", onOnline);
+  // Send what earlier page loads left in the queue.
+  flush();
+
+  return {
+    /**
+     * Queues the results of a session and tries to send them right away. A key that is already
+     * queued or was sent by this page load is not queued again.
+     * @param {Object} session - `{ settings, results, samples }` (see `currentSessionData` in measurement.js).
+     * @param {string} [key] - Idempotency key of the submission (see `isValidIdempotencyKey`); a new one by default.
+     * @returns {Promise<Object>} `{ key, status }` where status is "sent", "queued" (will be retried) or
+     *   "rejected" (the server refused it; `message` says why).
+     */
+    async submit(session, key = crypto.randomUUID()) {
+      if (sentKeys.has(key)) {
+        return { key, status: "sent" };
+      }
+      const queue = readQueue();
+      if (!queue.some(entry => entry.key === key)) {
+        const item = { key, payload: createSubmission(session), attempts: 0, nextAttemptAt: Date.now(), lastError: null };
+        writeQueue([...queue, item]);
+      }
+      // Wait for a flush already running, then send the new item too.
+      if (flushing) {
+        await flushing;
+      }
+      await flush();
+      if (readQueue().some(entry => entry.key === key)) {
+        return { key, status: "queued" };
+      }
+      if (rejections.has(key)) {
+        const message = rejections.get(key);
+        rejections.delete(key);
+        return { key, status: "rejected", message };
+      }
+      return { key, status: "sent" };
+    },
+
+    flush,
+
+    /**
+     * Number of submissions waiting to be sent.
+     * @returns {number} The queue length.
+     */
+    pendingCount() {
+      return readQueue().length;
+    },
+
+    /**
+     * Stops retrying. Queued submissions stay in storage for the next page load.
+     */
+    close() {
+      clearTimeout(timer);
+      window.removeEventListener("online", onOnline);
+    }
+  };
+}
@@ -0,0 +1,126 @@
+// app/js/submissionProtocol.js
+
+// Result submission contract shared by the browser client (submissionClient.js) and the
+// reference server (tools/submission-server.mjs).
+//
+// The client POSTs the final results of a session as JSON to the configured endpoint, with
+// an `Idempotency-Key` header that stays the same across retries of the same submission:
+// {
+//   "formatVersion": 1,
+//   "createdAt": "2026-01-01T00:00:00.000Z",
+//   "settings": { "productId": "madglove-assist", "referenceObjectId": "id1-card", ... },
+//   "sampleCount": 42,
+//   "results": { "Right": { "measurements": { ... }, "size": { "id": "m", "label": "M" }, ... } }
+// }
+// `settings` and `results` are those of a saved session (see sessionBundle.js); the raw
+// samples are not sent.
+//
+// Responses: 201 (stored) or 200 (already stored under this key) with `{ id, receivedAt }`.
+// 400, 409 (key already used for a different submission), 413, 415 and 422 reject the
+// submission for good, with `{ error }` saying why; 408, 429 and 5xx are retried.
+
+// Version of the submission payload, bumped when its structure changes.
+export const SUBMISSION_FORMAT_VERSION = 1;
+
+// Header carrying the idempotency key.
+export const IDEMPOTENCY_KEY_HEADER = "Idempotency-Key";
+
+// Largest accepted request body.
+export const MAX_SUBMISSION_BYTES = 256 * 1024;
+
+// Default retry schedule of the client.
+export const DEFAULT_RETRY_OPTIONS = {
+    retryDelayMs: 5000, // Wait before the first retry.
+    retryBackoffFactor: 2, // Each further retry waits this much longer.
+    maxRetryDelayMs: 15 * 60 * 1000, // Longest wait between retries; submissions are retried until they are accepted or rejected.
+    jitter: 0.2 // Random spread of each wait (as a fraction), so queued clients do not retry in step.
+};
+
+/**
+ * Checks whether an idempotency key is well formed (e.g. a UUID).
+ * @param {*} key - The key.
+ * @returns {boolean} True for 8 to 128 letters, digits, "-" and "_".
+ */
+export function isValidIdempotencyKey(key) {
+    return typeof key === "string" && /^[A-Za-z0-9_-]{8,128}$/.test(key);
+}
+
+/**
+ * Builds the submission payload of a session.
+ * @param {Object} session - `{ settings, results, samples }` (see `currentSessionData` in measurement.js).
+ * @param {Date} [now] - Time of the submission.
+ * @returns {Object} The payload.
+ */
+export function createSubmission({ settings, results, samples }, now = new Date()) {
+    return {
+        formatVersion: SUBMISSION_FORMAT_VERSION,
+        createdAt: now.toISOString(),
+        settings,
+        sampleCount: samples.length,
+        results
+    };
+}
+
+/**
+ * Validates a submission payload.
+ * @param {Object} submission - The parsed payload.
+ * @returns {Array<string>} A list of human-readable problems; empty when the payload is valid.
+ */
+export function validateSubmission(submission) {
+    const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+    if (!isObject(submission)) {
+        return ["The submission must be a JSON object."];
+    }
+    const errors = [];
+    if (submission.formatVersion !== SUBMISSION_FORMAT_VERSION) {
+        errors.push(`formatVersion must be ${SUBMISSION_FORMAT_VERSION}.`);
+    }
+    if (typeof submission.createdAt !== "string" || Number.isNaN(Date.parse(submission.createdAt))) {
+        errors.push("createdAt must be an ISO date.");
+    }
+    if (!isObject(submission.settings)) {
+        errors.push("settings must be an object.");
+    }
+    if (!Number.isInteger(submission.sampleCount) || submission.sampleCount < 0) {
+        errors.push("sampleCount must be a non-negative integer.");
+    }
+    if (!isObject(submission.results)) {
+        errors.push("results must be an object.");
+    } else {
+        const hands = Object.keys(submission.results);
+        if (hands.length === 0) {
+            errors.push("results must contain at least one hand.");
+        }
+        for (const hand of hands) {
+            if (hand !== "Left" && hand !== "Right") {
+                errors.push(`results.${hand} is not a hand ("Left" or "Right").`);
+            } else if (!isObject(submission.results[hand]) || !isObject(submission.results[hand].measurements)) {
+                errors.push(`results.${hand}.measurements must be an object.`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Whether a failed request should be retried: on network errors (no status), timeouts,
+ * rate limiting and server errors. Other client errors would fail the same way again.
+ * @param {number|null} status - The HTTP status, or null if no response arrived.
+ * @returns {boolean} True to retry.
+ */
+export function isRetryableStatus(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Wait before a retry, growing exponentially with the number of failed attempts.
+ * @param {number} attempts - Failed attempts so far (1 after the first failure).
+ * @param {Object} [options] - Partial options overriding `DEFAULT_RETRY_OPTIONS`.
+ * @param {Function} [random] - Random number generator in [0, 1).
+ * @returns {number} The wait in milliseconds.
+ */
+export function retryDelayMs(attempts, options = {}, random = Math.random) {
+    const opts = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    const base = Math.min(opts.retryDelayMs * opts.retryBackoffFactor ** Math.max(attempts - 1, 0), opts.maxRetryDelayMs);
+    return Math.round(base * (1 + opts.jitter * (2 * random() - 1)));
+}
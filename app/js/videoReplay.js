@@ -0,0 +1,281 @@
+// app/js/videoReplay.js
+
+// Replay mode: runs the live measurement pipeline on a recorded video file, for support
+// staff replaying a customer's recording and for reproducing sizing bugs offline.
+//
+// Frames are not taken from real-time playback (which drops frames depending on the
+// machine's speed). Instead the video is stepped by seeking in fixed increments, and the
+// timestamps given to `detectForVideo` and the capture session are derived from the media
+// time. Replaying the same file from the start therefore processes the same frames with the
+// same timestamps on every run.
+
+import { createHandLandmarker } from "./models.js";
+import { readFramePixels } from "./framePixels.js";
+import { drawDetections, drawMeasurementOverlay, overlayView } from "./overlay.js";
+import { displayMessageBox } from "./messageBox.js";
+import { stopCamera } from "./handDetection.js";
+import { CARD_DETECTION_WIDTH } from "./detector.js";
+import { DEFAULT_FRAME_SCHEDULER_OPTIONS } from "./frameScheduler.js";
+import { updateMeasurementDisplays, restartCaptureSession, currentReferenceObject } from "./measurement.js";
+import { detectReferenceObject } from "./referenceObjects.js";
+
+// Frame rate assumed for recordings when choosing the replay rate.
+const NOMINAL_CAMERA_FRAME_RATE = 30;
+
+// Processed frames per second of media time. The live loop's rate adapts to the machine
+// (see frameScheduler.js), but a replay must process the same frames on every machine, so
+// it uses the fixed rate the live loop starts with: the scheduler's initial skip interval
+// on a ~30 fps camera.
+const REPLAY_FRAME_RATE = NOMINAL_CAMERA_FRAME_RATE / DEFAULT_FRAME_SCHEDULER_OPTIONS.initialSkipInterval;
+const FRAME_STEP_SECONDS = 1 / REPLAY_FRAME_RATE;
+
+// HandLandmarker in VIDEO mode dedicated to replays, created for each loaded file.
+// It is separate from the live camera's model because timestamps must increase per model,
+// and a fresh model per file also starts without tracking state from an earlier replay.
+let replayLandmarkerPromise;
+
+// Elements of the replay view.
+let replayVideo; // Hidden video element holding the loaded file.
+let canvasElement;
+let canvasCtx;
+let controls; // Container of the replay controls, hidden until a file is loaded.
+let playPauseButton;
+let seekSlider;
+let timeDisplay;
+
+let videoUrl = null; // Object URL of the loaded file.
+let playing = false; // Whether frames are being stepped through automatically.
+let busy = false; // Whether a frame is being sought and processed.
+let looping = false; // Whether `playLoop` is running (pausing and resuming must not start a second one).
+
+// `detectForVideo` needs strictly increasing timestamps. Seeking backwards shifts all later
+// timestamps by an offset instead of reusing old ones.
+let timestampOffsetMs = 0;
+let lastTimestampMs = -1;
+
+/**
+ * Returns the replay HandLandmarker, creating it on first use after a file is loaded.
+ * @returns {Promise<Object>} The HandLandmarker.
+ */
+function getReplayLandmarker() {
+  if (!replayLandmarkerPromise) {
+    replayLandmarkerPromise = createHandLandmarker("VIDEO").catch(error => {
+      // Allow a later load to try again.
+      replayLandmarkerPromise = undefined;
+      throw error;
+    });
+  }
+  return replayLandmarkerPromise;
+}
+
+/**
+ * Turns a media time into a strictly increasing timestamp for `detectForVideo`.
+ * @param {number} mediaTimeSeconds - The current time of the video.
+ * @returns {number} The timestamp in milliseconds.
+ */
+function frameTimestamp(mediaTimeSeconds) {
+  let timestamp = Math.round(mediaTimeSeconds * 1000) + timestampOffsetMs;
+  if (timestamp <= lastTimestampMs) {
+    timestampOffsetMs += lastTimestampMs + 1 - timestamp;
+    timestamp = lastTimestampMs + 1;
+  }
+  lastTimestampMs = timestamp;
+  return timestamp;
+}
+
+/**
+ * Seeks the replay video and resolves once the frame at that time is available.
+ * @param {number} time - Target time in seconds (clamped to the video's duration).
+ * @returns {Promise<void>}
+ */
+function seekTo(time) {
+  return new Promise(resolve => {
+    replayVideo.addEventListener("seeked", () => resolve(), { once: true });
+    replayVideo.currentTime = Math.min(Math.max(time, 0), replayVideo.duration);
+  });
+}
+
+/**
+ * Formats seconds as m:ss.mmm.
+ * @param {number} seconds - The time.
+ * @returns {string} The formatted time.
+ */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(3).padStart(6, "0")}`;
+}
+
+/**
+ * Updates the slider and time display to the video's current time.
+ */
+function renderPosition() {
+  seekSlider.value = String(replayVideo.currentTime);
+  timeDisplay.innerText = `${formatTime(replayVideo.currentTime)} / ${formatTime(replayVideo.duration)}`;
+}
+
+/**
+ * Runs hand and card detection on the frame currently shown by the replay video,
+ * feeds the result to the measurement pipeline and draws it.
+ */
+async function processCurrentFrame() {
+  const handLandmarker = await getReplayLandmarker();
+  const timestamp = frameTimestamp(replayVideo.currentTime);
+  const width = replayVideo.videoWidth;
+  const height = replayVideo.videoHeight;
+
+  const handResults = handLandmarker.detectForVideo(replayVideo, timestamp);
+  const cardResult = detectReferenceObject(readFramePixels(replayVideo, width, height, CARD_DETECTION_WIDTH), currentReferenceObject());
+  const frame = updateMeasurementDisplays(handResults, cardResult, width, height, timestamp, replayVideo);
+
+  // Draw the frame itself with the detections and dimension lines on top.
+  canvasElement.width = width;
+  canvasElement.height = height;
+  canvasCtx.drawImage(replayVideo, 0, 0, width, height);
+  const view = overlayView(canvasElement);
+  drawDetections(canvasCtx, handResults, cardResult, view);
+  drawMeasurementOverlay(canvasCtx, frame, { guide: false, view });
+  renderPosition();
+}
+
+/**
+ * Seeks to a time and processes the frame there. Ignored while another frame is in progress.
+ * @param {number} time - Target time in seconds.
+ */
+async function showFrameAt(time) {
+  if (busy) {
+    return;
+  }
+  busy = true;
+  try {
+    await seekTo(time);
+    await processCurrentFrame();
+  } catch (error) {
+    console.error("Error processing replay frame:", error);
+    displayMessageBox("Could not process this frame of the video.");
+    setPlaying(false);
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * Starts or stops stepping through the frames automatically.
+ * @param {boolean} value - True to play.
+ */
+function setPlaying(value) {
+  playing = value;
+  playPauseButton.innerText = playing ? "Pause" : "Play";
+  if (playing) {
+    playLoop();
+  }
+}
+
+/**
+ * Steps forward one frame at a time until paused or the end of the video is reached.
+ */
+async function playLoop() {
+  if (looping) {
+    return;
+  }
+  looping = true;
+  while (playing) {
+    if (replayVideo.currentTime + FRAME_STEP_SECONDS > replayVideo.duration) {
+      setPlaying(false);
+      break;
+    }
+    await showFrameAt(replayVideo.currentTime + FRAME_STEP_SECONDS);
+    // Give the browser a chance to paint between frames.
+    await new Promise(resolve => window.requestAnimationFrame(resolve));
+  }
+  looping = false;
+}
+
+/**
+ * Loads a video file into the replay view and shows its first frame.
+ * @param {File} file - The recorded video.
+ */
+async function loadReplay(file) {
+  // The replay takes over the canvas, so the live camera is switched off first.
+  stopCamera();
+  setPlaying(false);
+
+  if (videoUrl) {
+    URL.revokeObjectURL(videoUrl);
+  }
+  videoUrl = URL.createObjectURL(file);
+
+  try {
+    await new Promise((resolve, reject) => {
+      replayVideo.addEventListener("loadeddata", resolve, { once: true });
+      replayVideo.addEventListener("error", () => reject(replayVideo.error), { once: true });
+      replayVideo.src = videoUrl;
+    });
+  } catch (error) {
+    console.error("Error loading video:", error);
+    displayMessageBox("Could not play this video file. Please use an MP4 or WebM recording.");
+    controls.classList.add("d-none");
+    return;
+  }
+
+  // Start from a clean slate so the replay is independent of anything measured before.
+  if (replayLandmarkerPromise) {
+    const previousLandmarker = replayLandmarkerPromise;
+    replayLandmarkerPromise = undefined;
+    previousLandmarker.then(landmarker => landmarker.close(), () => {});
+  }
+  timestampOffsetMs = 0;
+  lastTimestampMs = -1;
+  restartCaptureSession(0);
+
+  seekSlider.max = String(replayVideo.duration);
+  seekSlider.step = String(FRAME_STEP_SECONDS);
+  controls.classList.remove("d-none");
+
+  // Show the canvas as a standalone image rather than an overlay on the (hidden) webcam video.
+  canvasElement.classList.remove("position-absolute");
+  canvasElement.style.width = "100%";
+  canvasElement.style.height = "auto";
+  canvasElement.style.display = "block";
+
+  await showFrameAt(0);
+}
+
+// Wire up the replay controls when the DOM is fully loaded.
+document.addEventListener("DOMContentLoaded", () => {
+  const loadButton = document.getElementById("replayVideoButton");
+  const videoInput = document.getElementById("videoInput");
+  replayVideo = document.getElementById("replayVideo");
+  controls = document.getElementById("replayControls");
+  if (!loadButton || !videoInput || !replayVideo || !controls) {
+    return;
+  }
+  canvasElement = document.getElementById("output_canvas");
+  canvasCtx = canvasElement.getContext("2d");
+  playPauseButton = document.getElementById("replayPlayPause");
+  seekSlider = document.getElementById("replaySeek");
+  timeDisplay = document.getElementById("replayTime");
+
+  loadButton.addEventListener("click", () => videoInput.click());
+  videoInput.addEventListener("change", async () => {
+    const file = videoInput.files[0];
+    // Reset so that choosing the same file again reloads it.
+    videoInput.value = "";
+    if (file) {
+      await loadReplay(file);
+    }
+  });
+
+  playPauseButton.addEventListener("click", () => setPlaying(!playing));
+  document.getElementById("replayStepBack").addEventListener("click", () => {
+    setPlaying(false);
+    showFrameAt(replayVideo.currentTime - FRAME_STEP_SECONDS);
+  });
+  document.getElementById("replayStepForward").addEventListener("click", () => {
+    setPlaying(false);
+    showFrameAt(replayVideo.currentTime + FRAME_STEP_SECONDS);
+  });
+  seekSlider.addEventListener("change", () => {
+    setPlaying(false);
+    showFrameAt(Number(seekSlider.value));
+  });
+});
@@ -0,0 +1,176 @@
+// sw.js
+
+// Service worker: precaches the app shell and the vendored MediaPipe runtime and model so
+// the measurer loads offline and on networks that block the CDNs.
+//
+// - The app shell (pages, scripts, data, images) is listed below. Bump CACHE_VERSION when
+//   files are added or removed so that old caches are dropped.
+// - The vendored assets are listed in app/vendor/manifest.json, which tools/fetch-assets.mjs
+//   writes; their paths contain the pinned versions, so they never change once cached.
+
+const CACHE_VERSION = 9;
+const CACHE_NAME = `hand-measure-v${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "embed.html",
+  "manifest.webmanifest",
+  "favicon.ico",
+  "app/images/logo.png",
+  "app/data/size-charts/madglove-assist.json",
+  "app/data/embed-allowed-origins.json",
+  "app/data/calibration.json",
+  "app/data/calibration-marker.svg",
+  "app/js/assetConfig.js",
+  "app/js/calibration.js",
+  "app/js/cameraSettings.js",
+  "app/js/captureSession.js",
+  "app/js/cardDetector.js",
+  "app/js/circleDetector.js",
+  "app/js/detector.js",
+  "app/js/diagnostics.js",
+  "app/js/diagnosticsPanel.js",
+  "app/js/embedFrame.js",
+  "app/js/embedProtocol.js",
+  "app/js/exporters.js",
+  "app/js/framePixels.js",
+  "app/js/frameQuality.js",
+  "app/js/frameRecording.js",
+  "app/js/frameScheduler.js",
+  "app/js/handDetection.js",
+  "app/js/handMeasureElement.js",
+  "app/js/homography.js",
+  "app/js/inferenceClient.js",
+  "app/js/inferenceProtocol.js",
+  "app/js/inferenceWorker.js",
+  "app/js/locales.js",
+  "app/js/measurement.js",
+  "app/js/measurementEngine.js",
+  "app/js/messageBox.js",
+  "app/js/models.js",
+  "app/js/modelStatus.js",
+  "app/js/overlay.js",
+  "app/js/photoUpload.js",
+  "app/js/profilesPanel.js",
+  "app/js/pwa.js",
+  "app/js/recommendation.js",
+  "app/js/referenceObjects.js",
+  "app/js/sessionBundle.js",
+  "app/js/sessionStore.js",
+  "app/js/sizeChart.js",
+  "app/js/statistics.js",
+  "app/js/submissionClient.js",
+  "app/js/submissionProtocol.js",
+  "app/js/videoReplay.js"
+];
+
+// Lists the vendored files (relative to app/vendor/), written by tools/fetch-assets.mjs.
+const VENDOR_MANIFEST = "app/vendor/manifest.json";
+const VENDOR_PREFIX = new URL("app/vendor/", self.registration.scope).href;
+
+// Third-party files the pages load; cached on first use.
+const CDN_PREFIXES = ["https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/"];
+
+/**
+ * Adds URLs to the cache one by one, so a single missing file does not abort the install.
+ * @param {Cache} cache - The cache.
+ * @param {Array<string>} urls - URLs to add.
+ */
+async function addAll(cache, urls) {
+  const results = await Promise.allSettled(urls.map(url => cache.add(url)));
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.warn(`Service worker could not precache ${urls[index]}:`, result.reason);
+    }
+  });
+}
+
+/**
+ * Reads the list of vendored files.
+ * @returns {Promise<Array<string>>} Their URLs (empty if the assets have not been fetched).
+ */
+async function vendorUrls() {
+  try {
+    const response = await fetch(VENDOR_MANIFEST, { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const { files } = await response.json();
+    return files.map(file => `app/vendor/${file}`);
+  } catch (error) {
+    console.warn("Service worker could not read the vendored asset list; run `node tools/fetch-assets.mjs`.", error);
+    return [];
+  }
+}
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await addAll(cache, [...APP_SHELL, ...(await vendorUrls())]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith("hand-measure-") && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Serves from the cache and only goes to the network on a miss (for files that never change).
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Serves from the cache when possible and refreshes the cached copy in the background,
+ * so app updates arrive on the next load. Falls back to the network on a miss.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  });
+  if (cached) {
+    network.catch(() => {}); // Offline: the cached copy is all we have.
+    return cached;
+  }
+  return network;
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+  const url = request.url;
+  if (url.startsWith(VENDOR_PREFIX) || CDN_PREFIXES.some(prefix => url.startsWith(prefix))) {
+    event.respondWith(cacheFirst(request));
+  } else if (new URL(url).origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
@@ -0,0 +1,93 @@
+// test/calibration.test.js
+
+// Tests of the calibration schema, the least-squares fits and their error metrics on small
+// synthetic datasets whose true calibration is known.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateCalibration, normalizeCalibration, fitCalibration, errorMetrics, leaveOneOutMetrics } from "../app/js/calibration.js";
+import { readJson } from "./helpers.js";
+
+// Raw palm widths of five hands, and the tape measure when the engine reads 20% short.
+const RAW = [62, 65, 68, 70, 74];
+const SCALED = RAW.map(raw => ({ raw, actual: raw * 1.25 }));
+
+/**
+ * Asserts that two numbers agree to within rounding.
+ * @param {number} actual - The computed value.
+ * @param {number} expected - The expected value.
+ * @param {string} [message] - Message on failure.
+ */
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual}, expected ${expected}`);
+}
+
+test("the bundled calibration is valid", () => {
+    assert.deepEqual(validateCalibration(readJson("../app/data/calibration.json")), []);
+});
+
+test("validateCalibration reports what is wrong", () => {
+    assert.deepEqual(validateCalibration(null), ["The calibration must be a JSON object."]);
+    assert.deepEqual(validateCalibration({
+        schemaVersion: 1,
+        model: "cubic",
+        dimensions: { palmWidth: { scale: 0 }, palmCircumference: { scale: 1 }, palmLength: { scale: 1, offsetMm: "2" } }
+    }), [
+        "model must be one of scale, linear.",
+        "dimensions.palmWidth.scale must be a positive number.",
+        "dimensions.palmCircumference is not a calibrated measurement key.",
+        "dimensions.palmLength.offsetMm must be a number."
+    ]);
+    assert.throws(() => normalizeCalibration({ schemaVersion: 2, model: "scale", dimensions: {} }), /schemaVersion must be 1/);
+    const normalized = normalizeCalibration({ schemaVersion: 1, model: "scale", dimensions: { palmWidth: { scale: 1.3 } } });
+    assert.deepEqual(normalized.dimensions, { palmWidth: { scale: 1.3, offsetMm: 0 } });
+});
+
+test("fitCalibration recovers a scale through the origin", () => {
+    const fit = fitCalibration(SCALED, "scale");
+    assertClose(fit.scale, 1.25);
+    assert.equal(fit.offsetMm, 0);
+    // Least squares through the origin: sum(raw * actual) / sum(raw^2).
+    const noisy = [{ raw: 10, actual: 12 }, { raw: 20, actual: 26 }];
+    assertClose(fitCalibration(noisy, "scale").scale, (120 + 520) / (100 + 400));
+    assert.equal(fitCalibration([], "scale"), null);
+});
+
+test("fitCalibration recovers a scale and an offset", () => {
+    const pairs = RAW.map(raw => ({ raw, actual: raw * 1.1 + 3 }));
+    const fit = fitCalibration(pairs, "linear");
+    assertClose(fit.scale, 1.1);
+    assertClose(fit.offsetMm, 3);
+    assert.equal(fitCalibration(pairs.slice(0, 2), "linear"), null);
+    // Every hand measured the same: the slope is undetermined.
+    assert.equal(fitCalibration([1, 2, 3].map(actual => ({ raw: 70, actual })), "linear"), null);
+});
+
+test("errorMetrics reports bias, mean absolute, RMS and largest error", () => {
+    const metrics = errorMetrics([
+        { predicted: 81, actual: 80 },
+        { predicted: 88, actual: 90 },
+        { predicted: 101, actual: 100 }
+    ]);
+    assert.equal(metrics.count, 3);
+    assertClose(metrics.biasMm, 0);
+    assertClose(metrics.maeMm, 4 / 3);
+    assertClose(metrics.rmseMm, Math.sqrt(6 / 3));
+    assert.equal(metrics.maxErrorMm, 2);
+    assert.equal(errorMetrics([]), null);
+});
+
+test("leaveOneOutMetrics predicts each hand from the others", () => {
+    // An exact relation carries over to every left-out hand.
+    const exact = leaveOneOutMetrics(SCALED, "scale");
+    assert.equal(exact.count, RAW.length);
+    assertClose(exact.maxErrorMm, 0);
+
+    // One hand measured 4 mm too large shows up in its own prediction, not in the in-sample fit.
+    const outlier = SCALED.map((pair, i) => (i === 2 ? { ...pair, actual: pair.actual + 4 } : pair));
+    const fit = fitCalibration(outlier, "scale");
+    const inSample = errorMetrics(outlier.map(({ raw, actual }) => ({ predicted: raw * fit.scale, actual })));
+    const loo = leaveOneOutMetrics(outlier, "scale");
+    assert.ok(loo.rmseMm > inSample.rmseMm);
+    assert.equal(leaveOneOutMetrics(SCALED.slice(0, 1), "scale"), null);
+});
@@ -0,0 +1,99 @@
+// test/captureSession.test.js
+
+// Tests of the guided capture session's state machine.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PHASES, DEFAULT_SESSION_OPTIONS, createSession, resumeSession, advanceSession, timeRemaining } from "../app/js/captureSession.js";
+
+// Frame descriptions for `advanceSession`.
+const CARD_ONLY = { handDetected: false, cardDetected: true, poseAccepted: false, sampleAdded: false };
+const GOOD_POSE = { handDetected: true, cardDetected: true, poseAccepted: true, sampleAdded: false };
+
+/**
+ * Advances a session through the frames it is given, one every 100 ms from `start`.
+ * @param {Object} state - The session state.
+ * @param {Array<Object>} frames - Frame descriptions.
+ * @param {number} start - Time of the first frame in milliseconds.
+ * @returns {Object} The final state.
+ */
+function advanceThrough(state, frames, start) {
+    return frames.reduce((session, frame, i) => advanceSession(session, frame, start + i * 100), state);
+}
+
+test("resumeSession starts an unfinished session over with a fresh clock", () => {
+    // Stopped while placing the hand, and started again long after the phase would have timed out.
+    const placing = advanceSession(createSession(0), CARD_ONLY, 100);
+    assert.equal(placing.phase, PHASES.PLACE_HAND);
+    const resumed = resumeSession(placing, 600000);
+    assert.deepEqual(resumed, createSession(600000));
+    assert.equal(advanceSession(resumed, CARD_ONLY, 600100).phase, PHASES.PLACE_HAND);
+
+    const timedOut = advanceSession(placing, CARD_ONLY, 100 + DEFAULT_SESSION_OPTIONS.timeoutsMs[PHASES.PLACE_HAND]);
+    assert.equal(timedOut.phase, PHASES.TIMED_OUT);
+    assert.equal(resumeSession(timedOut, 900000).phase, PHASES.SHOW_CARD);
+});
+
+test("resumeSession keeps the samples of a collecting session", () => {
+    let session = advanceThrough(createSession(0), [CARD_ONLY, GOOD_POSE, GOOD_POSE], 0);
+    session = advanceSession(session, GOOD_POSE, 200 + DEFAULT_SESSION_OPTIONS.holdStillMs);
+    assert.equal(session.phase, PHASES.COLLECTING);
+    session = advanceSession(session, { ...GOOD_POSE, sampleAdded: true }, 1500);
+
+    const resumed = resumeSession(session, 300000);
+    assert.equal(resumed.phase, PHASES.COLLECTING);
+    assert.equal(resumed.samplesCollected, 1);
+    assert.equal(timeRemaining(resumed, 300000), DEFAULT_SESSION_OPTIONS.timeoutsMs[PHASES.COLLECTING]);
+    assert.equal(advanceSession(resumed, GOOD_POSE, 300100).phase, PHASES.COLLECTING);
+});
+
+test("resumeSession keeps a finished result", () => {
+    const done = { ...createSession(0), phase: PHASES.RESULT_READY, samplesCollected: 40 };
+    assert.equal(resumeSession(done, 5000), done);
+});
+
+test("a rejected pose restarts the hold timer", () => {
+    let session = advanceThrough(createSession(0), [CARD_ONLY, GOOD_POSE], 0);
+    assert.equal(session.phase, PHASES.HOLD_STILL);
+    session = advanceSession(session, { ...GOOD_POSE, poseAccepted: false }, 900);
+    session = advanceSession(session, GOOD_POSE, 1500);
+    assert.equal(session.phase, PHASES.HOLD_STILL);
+    session = advanceSession(session, GOOD_POSE, 900 + DEFAULT_SESSION_OPTIONS.holdStillMs);
+    assert.equal(session.phase, PHASES.COLLECTING);
+});
+
+test("the hold-still phase times out while the pose keeps being rejected", () => {
+    const rejected = { ...GOOD_POSE, poseAccepted: false };
+    let session = advanceThrough(createSession(0), [CARD_ONLY, GOOD_POSE], 0);
+    const timeout = DEFAULT_SESSION_OPTIONS.timeoutsMs[PHASES.HOLD_STILL];
+    for (let now = 200; now < 100 + timeout; now += 500) {
+        session = advanceSession(session, rejected, now);
+    }
+    assert.equal(session.phase, PHASES.HOLD_STILL);
+    assert.equal(timeRemaining(session, 100 + timeout - 100), 100);
+    session = advanceSession(session, rejected, 100 + timeout);
+    assert.equal(session.phase, PHASES.TIMED_OUT);
+    assert.equal(session.timedOutPhase, PHASES.HOLD_STILL);
+});
+
+test("the hold-still phase survives a short loss of the hand or card", () => {
+    let session = advanceThrough(createSession(0), [CARD_ONLY, GOOD_POSE], 0);
+    assert.equal(session.phase, PHASES.HOLD_STILL);
+    session = advanceSession(session, CARD_ONLY, 500);
+    assert.equal(session.phase, PHASES.HOLD_STILL);
+    // The hold timer starts over once the hand is back.
+    session = advanceSession(session, GOOD_POSE, 600);
+    session = advanceSession(session, GOOD_POSE, 1200);
+    assert.equal(session.phase, PHASES.HOLD_STILL);
+    session = advanceSession(session, GOOD_POSE, 500 + DEFAULT_SESSION_OPTIONS.holdStillMs);
+    assert.equal(session.phase, PHASES.COLLECTING);
+});
+
+test("the hold-still phase steps back once the hand stays lost", () => {
+    let session = advanceThrough(createSession(0), [CARD_ONLY, GOOD_POSE], 0);
+    session = advanceSession(session, CARD_ONLY, 500);
+    session = advanceSession(session, CARD_ONLY, 500 + DEFAULT_SESSION_OPTIONS.lostGraceMs);
+    assert.equal(session.phase, PHASES.HOLD_STILL);
+    session = advanceSession(session, CARD_ONLY, 600 + DEFAULT_SESSION_OPTIONS.lostGraceMs);
+    assert.equal(session.phase, PHASES.PLACE_HAND);
+});
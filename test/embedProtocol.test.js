@@ -0,0 +1,130 @@
+// test/embedProtocol.test.js
+
+// Tests of the postMessage protocol between a partner page and the embedded measurer.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    PROTOCOL_NAME,
+    PROTOCOL_VERSION,
+    validateMessage,
+    isProtocolMessage,
+    createMessage,
+    isOriginAllowed,
+    toEmbedResult
+} from "../app/js/embedProtocol.js";
+
+test("validateMessage accepts well-formed messages in both directions", () => {
+    assert.deepEqual(validateMessage(createMessage("start"), "toFrame"), []);
+    assert.deepEqual(validateMessage(createMessage("configure", {
+        sizeChart: "https://shop.example.com/chart.json",
+        product: "madglove-assist",
+        locale: "en-GB",
+        hand: "both",
+        theme: { mode: "dark", accentColor: "#12ab9F" }
+    }), "toFrame"), []);
+    assert.deepEqual(validateMessage(createMessage("ready", { version: PROTOCOL_VERSION, types: ["configure"] }), "toParent"), []);
+    assert.deepEqual(validateMessage(createMessage("progress", { hand: "Right", phase: "collecting", samplesCollected: 3, minSamples: 20 }), "toParent"), []);
+    assert.deepEqual(validateMessage(createMessage("result", { results: {} }), "toParent"), []);
+    assert.deepEqual(validateMessage(createMessage("error", { code: "camera", message: "Denied" }), "toParent"), []);
+});
+
+test("validateMessage rejects another protocol or version", () => {
+    assert.equal(validateMessage("start", "toFrame").length, 1);
+    assert.equal(validateMessage({ ...createMessage("start"), protocol: "other" }, "toFrame").length, 1);
+    assert.match(validateMessage({ ...createMessage("start"), version: PROTOCOL_VERSION + 1 }, "toFrame")[0], /Unsupported protocol version/);
+    assert.match(validateMessage({ ...createMessage("ready", { version: 2, types: [] }) }, "toParent")[0], /version must match/);
+});
+
+test("validateMessage checks the type against the direction", () => {
+    assert.match(validateMessage(createMessage("explode"), "toFrame")[0], /type must be one of/);
+    // A parent message sent to the parent, and the other way round.
+    assert.equal(validateMessage(createMessage("start"), "toParent").length, 1);
+    assert.equal(validateMessage(createMessage("result", { results: {} }), "toFrame").length, 1);
+    assert.match(validateMessage({ ...createMessage("start"), payload: [] }, "toFrame")[0], /payload must be an object/);
+});
+
+test("validateMessage rejects unknown or invalid configure fields", () => {
+    const errors = payload => validateMessage(createMessage("configure", payload), "toFrame");
+    assert.match(errors({ colour: "red" })[0], /unknown field "colour"/);
+    assert.match(errors({ theme: { mode: "light", font: "serif" } })[0], /unknown theme field "font"/);
+    assert.match(errors({ theme: { mode: "sepia" } })[0], /theme.mode/);
+    assert.match(errors({ theme: { accentColor: "red" } })[0], /accentColor/);
+    assert.match(errors({ theme: "dark" })[0], /theme must be an object/);
+    assert.match(errors({ hand: "both hands" })[0], /hand must be one of/);
+    assert.match(errors({ product: "../secret" })[0], /product must be a product id/);
+    assert.match(errors({ locale: "english please" })[0], /locale/);
+});
+
+test("validateMessage only loads size charts over https or from this site", () => {
+    const errors = sizeChart => validateMessage(createMessage("configure", { sizeChart }), "toFrame");
+    assert.deepEqual(errors("/app/data/size-charts/madglove-assist.json"), []);
+    for (const sizeChart of ["http://shop.example.com/chart.json", "//evil.example.com/chart.json", "javascript:alert(1)", "data:application/json,{}", 42]) {
+        assert.match(errors(sizeChart)[0], /sizeChart must be/, String(sizeChart));
+    }
+});
+
+test("isProtocolMessage tells our envelopes from other messages", () => {
+    assert.equal(isProtocolMessage({ protocol: PROTOCOL_NAME }), true);
+    assert.equal(isProtocolMessage({ protocol: "other" }), false);
+    assert.equal(isProtocolMessage(null), false);
+});
+
+test("isOriginAllowed matches exact origins", () => {
+    const allowList = ["https://shop.example.com"];
+    assert.equal(isOriginAllowed("https://shop.example.com", allowList), true);
+    assert.equal(isOriginAllowed("http://shop.example.com", allowList), false);
+    assert.equal(isOriginAllowed("https://shop.example.com:8443", allowList), false);
+    assert.equal(isOriginAllowed("https://shop.example.com.evil.com", allowList), false);
+});
+
+test("isOriginAllowed matches subdomains of a wildcard but not the domain itself", () => {
+    const allowList = ["https://*.example.com"];
+    assert.equal(isOriginAllowed("https://shop.example.com", allowList), true);
+    assert.equal(isOriginAllowed("https://eu.shop.example.com", allowList), true);
+    assert.equal(isOriginAllowed("https://example.com", allowList), false);
+    assert.equal(isOriginAllowed("http://shop.example.com", allowList), false);
+    assert.equal(isOriginAllowed("https://evilexample.com", allowList), false);
+    assert.equal(isOriginAllowed("https://.example.com", allowList), false);
+});
+
+test("isOriginAllowed rejects injected paths, ports and opaque origins", () => {
+    const allowList = ["https://*.example.com", "null"];
+    assert.equal(isOriginAllowed("https://evil.com/.example.com", allowList), false);
+    assert.equal(isOriginAllowed("https://evil.com:443.example.com", allowList), false);
+    assert.equal(isOriginAllowed("https://evil.com#.example.com", allowList), false);
+    // Sandboxed iframes and file:// pages post with the origin "null"; even a "null" entry does not allow them.
+    assert.equal(isOriginAllowed("null", allowList), false);
+    assert.equal(isOriginAllowed(undefined, allowList), false);
+    assert.equal(isOriginAllowed("https://shop.example.com", []), false);
+});
+
+test("toEmbedResult keeps plain, cloneable data", () => {
+    const medium = { id: "M", label: "Medium", bands: { palmWidth: { min: 80, max: 90 } } };
+    const large = { id: "L", label: "Large", bands: { palmWidth: { min: 90 } } };
+    const summary = toEmbedResult({
+        Right: {
+            aggregate: {
+                sampleCount: 24,
+                palmWidth: { mm: 89.5, std: 0.4, ciHalfWidth: 0.3, size: "Medium", sampleCount: 24 },
+                palmLength: { mm: 101, ciHalfWidth: NaN, size: "Large", sampleCount: 24 },
+                handLength: null
+            },
+            recommendation: { size: medium, confidence: 0.6, betweenSizes: [medium, large] }
+        },
+        Left: { aggregate: null, recommendation: null }
+    });
+    assert.deepEqual(summary, {
+        Right: {
+            size: { id: "M", label: "Medium" },
+            confidence: 0.6,
+            betweenSizes: [{ id: "M", label: "Medium" }, { id: "L", label: "Large" }],
+            measurements: {
+                palmWidth: { mm: 89.5, ciHalfWidth: 0.3, sampleCount: 24 },
+                palmLength: { mm: 101, ciHalfWidth: null, sampleCount: 24 }
+            }
+        },
+        Left: { size: null, confidence: null, betweenSizes: null, measurements: {} }
+    });
+    assert.deepEqual(structuredClone(summary), summary);
+});
@@ -0,0 +1,86 @@
+// test/frameQuality.test.js
+
+// Tests of the pose quality gates, on the hands of test/fixtures/ (both palm towards the camera).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { QUALITY_REASONS, isPalmFacing, evaluateFrameQuality } from "../app/js/frameQuality.js";
+import { computeFrameMeasurement } from "../app/js/measurementEngine.js";
+import { readFixture } from "./helpers.js";
+
+/**
+ * Mirrors landmarks horizontally, as a selfie view shows them.
+ * @param {Array<Object>} landmarks - Normalized landmarks.
+ * @returns {Array<Object>} The mirrored landmarks.
+ */
+function mirror(landmarks) {
+    return landmarks.map(({ x, y, z }) => ({ x: 1 - x, y, z }));
+}
+
+/**
+ * The same hand turned over: the back faces the camera, so thumb and little finger swap sides.
+ * Mirroring the landmarks about the wrist turns them over without moving the hand.
+ * @param {Array<Object>} landmarks - Normalized landmarks.
+ * @returns {Array<Object>} The landmarks of the turned hand.
+ */
+function turnOver(landmarks) {
+    const axis = landmarks[0].x;
+    return landmarks.map(({ x, y, z }) => ({ x: 2 * axis - x, y, z }));
+}
+
+const right = readFixture("right-hand-medium").frames[0].handResults.landmarks[0];
+const left = readFixture("left-hand-large-tilted").frames[0].handResults.landmarks[0];
+
+test("isPalmFacing tells the palm from the back of either hand", () => {
+    assert.equal(isPalmFacing(right, "Right"), true);
+    assert.equal(isPalmFacing(turnOver(right), "Right"), false);
+    assert.equal(isPalmFacing(left, "Left"), true);
+    assert.equal(isPalmFacing(turnOver(left), "Left"), false);
+});
+
+test("isPalmFacing accounts for a mirrored image", () => {
+    assert.equal(isPalmFacing(mirror(right), "Right", true), true);
+    assert.equal(isPalmFacing(mirror(right), "Right", false), false);
+});
+
+test("isPalmFacing is undecided for a hand seen edge-on", () => {
+    const edgeOn = right.map(({ y, z }) => ({ x: 0.5, y, z }));
+    assert.equal(isPalmFacing(edgeOn, "Right"), null);
+});
+
+test("evaluateFrameQuality rejects the back of the hand", () => {
+    const hand = { handedness: "Right", mirrored: false };
+    assert.deepEqual(evaluateFrameQuality(right, null, {}, hand).reasons, []);
+    const back = evaluateFrameQuality(turnOver(right), null, {}, hand);
+    assert.equal(back.accepted, false);
+    assert.deepEqual(back.reasons, [QUALITY_REASONS.BACK_OF_HAND]);
+    assert.equal(back.metrics.palmFacing, false);
+    // Without the handedness only the tilt is checked.
+    assert.deepEqual(evaluateFrameQuality(turnOver(right), null).reasons, []);
+});
+
+test("the engine rejects the back of the hand", () => {
+    const fixture = readFixture("right-hand-medium");
+    const { handResults, cardResult } = fixture.frames[0];
+    const turned = { ...handResults, landmarks: [turnOver(handResults.landmarks[0])] };
+    const result = computeFrameMeasurement(turned, cardResult, fixture.width, fixture.height, {});
+    assert.equal(result.measurement, null);
+    assert.deepEqual(result.quality.reasons, [QUALITY_REASONS.BACK_OF_HAND]);
+    // A selfie view mirrors the image, and MediaPipe then labels the hand correctly.
+    const selfie = {
+        landmarks: [mirror(handResults.landmarks[0])],
+        handedness: [[{ ...handResults.handedness[0][0], categoryName: "Right" }]]
+    };
+    const mirroredCard = { ...cardResult, corners: mirror(cardResult.corners) };
+    const mirrored = computeFrameMeasurement(selfie, mirroredCard, fixture.width, fixture.height, { mirroredInput: true });
+    assert.equal(mirrored.measurement.handedness, "Right");
+    assert.deepEqual(mirrored.quality.reasons, []);
+});
+
+test("evaluateFrameQuality reports a missing hand, a tilted palm and motion", () => {
+    assert.deepEqual(evaluateFrameQuality(null, null).reasons, [QUALITY_REASONS.NO_HAND]);
+    const tilted = right.map(({ x, y }) => ({ x, y, z: (x - right[0].x) * 3 }));
+    assert.deepEqual(evaluateFrameQuality(tilted, null, {}, { handedness: "Right", mirrored: false }).reasons, [QUALITY_REASONS.PALM_NOT_FACING]);
+    const moved = right.map(({ x, y, z }) => ({ x: x + 0.05, y, z }));
+    assert.deepEqual(evaluateFrameQuality(moved, right).reasons, [QUALITY_REASONS.HAND_MOVING]);
+});
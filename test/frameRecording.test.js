@@ -0,0 +1,87 @@
+// test/frameRecording.test.js
+
+// Replays the frame recording in test/fixtures/ (a session measuring the right hand, then the
+// left; made from the engine fixtures) and checks the frames and aggregates it reproduces.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRecording, recordFrame, validateRecording, replayRecording, MAX_RECORDED_FRAMES } from "../app/js/frameRecording.js";
+import { normalizeCalibration } from "../app/js/calibration.js";
+import { readFixture } from "./helpers.js";
+
+const recording = readFixture("recording-both-hands");
+
+/**
+ * Asserts that an aggregated measurement has the expected median and size.
+ * @param {Object} result - An entry of an aggregate (see `aggregateMeasurements`).
+ * @param {number} mm - The expected median in millimeters.
+ * @param {string} size - The expected size label.
+ */
+function assertMeasured(result, mm, size) {
+    assert.ok(Math.abs(result.mm - mm) <= 0.05, `${result.mm} mm, expected ${mm} mm`);
+    assert.equal(result.size, size);
+}
+
+test("the recorded fixture is valid", () => {
+    assert.deepEqual(validateRecording(recording), []);
+});
+
+test("replayRecording reproduces the session's frames", () => {
+    const { frames, samples } = replayRecording(recording);
+    assert.equal(frames.length, recording.frames.length);
+    assert.deepEqual(frames.map(frame => frame.measurement !== null), [true, true, true, true, true, false, false, true, true, true]);
+    // The card was out of view in frame 5; in frame 6 the app was waiting for the left hand.
+    assert.equal(frames[5].card, null);
+    assert.deepEqual(frames[6].quality.reasons, ["wrongHand"]);
+    assert.equal(samples.Right.length, 5);
+    assert.equal(samples.Left.length, 3);
+});
+
+test("replayRecording aggregates each hand with the recorded size chart", () => {
+    const { aggregates } = replayRecording(recording);
+    assert.equal(aggregates.Right.sampleCount, 5);
+    assertMeasured(aggregates.Right.palmWidth, 84.5, "Medium");
+    assertMeasured(aggregates.Right.palmLength, 90, "Medium");
+    assert.equal(aggregates.Left.sampleCount, 3);
+    // The largest size has no upper bound, which JSON recorded as null.
+    assertMeasured(aggregates.Left.palmWidth, 93.6, "Large");
+    assertMeasured(aggregates.Left.palmLength, 106, "Large");
+    assertMeasured(aggregates.Left.handLength, 194, "N/A");
+});
+
+test("replayRecording measures with another calibration", () => {
+    const calibration = normalizeCalibration({
+        schemaVersion: 1,
+        model: "scale",
+        dimensions: { palmWidth: { scale: 1.2, offsetMm: 0 } }
+    });
+    const { aggregates } = replayRecording(recording, { calibration });
+    assertMeasured(aggregates.Right.palmWidth, 78, "Small");
+    assertMeasured(aggregates.Right.palmLength, 90, "Medium");
+});
+
+test("recordFrame keeps plain detector output and stops when full", () => {
+    const fresh = createRecording({ targetHand: "Right", cardLongSideMm: 85.6 }, new Date(0));
+    assert.equal(fresh.recordedAt, "1970-01-01T00:00:00.000Z");
+    assert.deepEqual(fresh.engineConfig, { cardLongSideMm: 85.6 });
+
+    const { handResults, cardResult } = recording.frames[0];
+    const detected = { ...handResults, worldLandmarks: [[]], handedness: [[{ categoryName: "Left", score: 0.97, index: 1, displayName: "Left" }]] };
+    assert.equal(recordFrame(fresh, { t: 12.345, width: 1280, height: 720, targetHand: "Right", handResults: detected, cardResult }), true);
+    assert.equal(fresh.frames[0].t, 12.3);
+    assert.deepEqual(Object.keys(fresh.frames[0].handResults), ["landmarks", "handedness"]);
+    assert.deepEqual(fresh.frames[0].handResults.handedness, [[{ categoryName: "Left", score: 0.97 }]]);
+    assert.deepEqual(validateRecording(fresh), []);
+
+    while (fresh.frames.length < MAX_RECORDED_FRAMES) {
+        fresh.frames.push(fresh.frames[0]);
+    }
+    assert.equal(recordFrame(fresh, { t: 0, width: 1280, height: 720, handResults, cardResult }), false);
+    assert.equal(fresh.frames.length, MAX_RECORDED_FRAMES);
+});
+
+test("validateRecording reports what is wrong", () => {
+    assert.equal(validateRecording({ format: "other" }).length, 1);
+    const broken = { ...recording, formatVersion: 2, frames: [{ ...recording.frames[0], targetHand: "Both" }, { t: 0, width: 0, height: 1 }] };
+    assert.equal(validateRecording(broken).length, 3);
+});
@@ -0,0 +1,80 @@
+// test/frameScheduler.test.js
+
+// Tests of the adaptive frame skipping of the live camera loop.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_FRAME_SCHEDULER_OPTIONS,
+    createFrameScheduler,
+    advanceFrame,
+    shouldProcessFrame,
+    recordLatency
+} from "../app/js/frameScheduler.js";
+
+/**
+ * Runs a camera at a fixed frame rate with a fixed inference time.
+ * @param {number} frameIntervalMs - Time between video frames.
+ * @param {number} latencyMs - Inference time of every processed frame.
+ * @param {number} frames - Number of video frames.
+ * @returns {Object} `{ state, processed }`: the final state and how many frames were processed.
+ */
+function run(frameIntervalMs, latencyMs, frames) {
+    let state = createFrameScheduler();
+    let processed = 0;
+    for (let i = 1; i <= frames; i++) {
+        state = advanceFrame(state, i * frameIntervalMs);
+        if (shouldProcessFrame(state)) {
+            processed++;
+            state = recordLatency(state, latencyMs);
+        }
+    }
+    return { state, processed };
+}
+
+test("starts with the initial interval until a latency is measured", () => {
+    let state = createFrameScheduler();
+    assert.equal(state.skipInterval, DEFAULT_FRAME_SCHEDULER_OPTIONS.initialSkipInterval);
+    state = advanceFrame(state, 0);
+    assert.equal(state.frameIntervalMs, null);
+    assert.equal(shouldProcessFrame(state), false);
+    state = advanceFrame(state, 33);
+    assert.equal(state.frameIntervalMs, 33);
+    assert.equal(shouldProcessFrame(state), true);
+});
+
+test("processes every frame when inference is fast", () => {
+    const { state, processed } = run(33, 10, 60);
+    assert.equal(state.skipInterval, 1);
+    assert.ok(processed > 55);
+});
+
+test("skips frames so that slow inference keeps up with the camera", () => {
+    // 30 fps with 100 ms inference: at 80% load every fourth frame fits (100 / (33 * 0.8) = 3.8).
+    const { state } = run(33, 100, 120);
+    assert.equal(state.skipInterval, 4);
+    assert.ok(state.latencyMs * DEFAULT_FRAME_SCHEDULER_OPTIONS.targetLoad <= state.skipInterval * state.frameIntervalMs);
+});
+
+test("never skips more than the maximum interval", () => {
+    const { state } = run(33, 2000, 200);
+    assert.equal(state.skipInterval, DEFAULT_FRAME_SCHEDULER_OPTIONS.maxSkipInterval);
+});
+
+test("adapts when inference gets faster", () => {
+    let { state } = run(33, 100, 120);
+    for (let i = 0; i < 40; i++) {
+        state = recordLatency(state, 20);
+    }
+    assert.equal(state.skipInterval, 1);
+});
+
+test("honours custom limits", () => {
+    let state = createFrameScheduler({ initialSkipInterval: 3 });
+    assert.equal(state.skipInterval, 3);
+    state = advanceFrame(advanceFrame(state, 0), 50);
+    state = recordLatency(state, 10, { minSkipInterval: 2 });
+    assert.equal(state.skipInterval, 2);
+    state = recordLatency(state, 5000, { maxSkipInterval: 5 });
+    assert.equal(state.skipInterval, 5);
+});
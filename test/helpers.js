@@ -0,0 +1,23 @@
+// test/helpers.js
+
+// Helpers shared by the tests.
+
+import { readFileSync } from "node:fs";
+
+/**
+ * Reads a JSON file of test/fixtures/ or app/data/.
+ * @param {string} path - The path relative to the test directory.
+ * @returns {Object} The parsed JSON.
+ */
+export function readJson(path) {
+    return JSON.parse(readFileSync(new URL(path, import.meta.url), "utf8"));
+}
+
+/**
+ * Reads a fixture of test/fixtures/.
+ * @param {string} name - The fixture name.
+ * @returns {Object} The parsed fixture.
+ */
+export function readFixture(name) {
+    return readJson(`fixtures/${name}.json`);
+}
@@ -0,0 +1,104 @@
+// test/homography.test.js
+
+// Tests of the homography solver and of mapping the hand into the card plane: a metric card
+// and palm are projected into the image through a known homography, and the solver must
+// recover the metric lengths from the projected points.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solveHomography, applyHomography, cardPlaneHomography } from "../app/js/homography.js";
+import { rectifyHand, resolveEngineConfig, computeFrameMeasurement } from "../app/js/measurementEngine.js";
+
+// A camera looking at the table at an angle: maps the table plane (mm) to image pixels.
+const TABLE_TO_IMAGE = [2.9, 0.35, 140, -0.1, 2.4, 60, 0.0004, 0.0011, 1];
+
+// The corners of an ID-1 card on the table (mm), and points of a palm beside it.
+const CARD_MM = [{ x: 0, y: 0 }, { x: 85.6, y: 0 }, { x: 85.6, y: 53.98 }, { x: 0, y: 53.98 }];
+const PALM_MM = {
+    0: { x: 160, y: 200 }, // Wrist.
+    5: { x: 192, y: 117 }, // Index MCP.
+    9: { x: 160, y: 110 }, // Middle MCP.
+    17: { x: 127, y: 119 } // Pinky MCP.
+};
+
+/**
+ * Euclidean distance between two points.
+ * @param {Object} a - First point.
+ * @param {Object} b - Second point.
+ * @returns {number} The distance.
+ */
+function distance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Asserts that two points are within a tolerance of each other.
+ * @param {Object} actual - The computed point.
+ * @param {Object} expected - The expected point.
+ * @param {number} tolerance - Largest accepted distance.
+ */
+function assertNear(actual, expected, tolerance) {
+    assert.ok(distance(actual, expected) <= tolerance, `(${actual.x}, ${actual.y}) is not near (${expected.x}, ${expected.y})`);
+}
+
+const project = point => applyHomography(TABLE_TO_IMAGE, point);
+
+test("solveHomography recovers a known homography", () => {
+    const h = solveHomography(CARD_MM, CARD_MM.map(project));
+    assert.equal(h.length, 9);
+    h.forEach((value, i) => assert.ok(Math.abs(value - TABLE_TO_IMAGE[i]) < 1e-6 * Math.max(1, Math.abs(TABLE_TO_IMAGE[i])), `h[${i}] = ${value}`));
+});
+
+test("the inverse homography maps projected points back onto the table", () => {
+    const h = solveHomography(CARD_MM.map(project), CARD_MM);
+    for (const point of Object.values(PALM_MM)) {
+        assertNear(applyHomography(h, project(point)), point, 1e-6);
+    }
+});
+
+test("cardPlaneHomography measures in millimeters in landscape and portrait", () => {
+    const corners = CARD_MM.map(project);
+    const landscape = cardPlaneHomography(corners, 85.6, 53.98);
+    assertNear(applyHomography(landscape, project(PALM_MM[0])), PALM_MM[0], 1e-6);
+
+    // Starting the quad at another corner turns the card by 90 degrees; lengths are unchanged.
+    const portrait = cardPlaneHomography([...corners.slice(1), corners[0]], 85.6, 53.98);
+    const width = distance(applyHomography(portrait, project(PALM_MM[5])), applyHomography(portrait, project(PALM_MM[17])));
+    assert.ok(Math.abs(width - distance(PALM_MM[5], PALM_MM[17])) < 1e-6);
+});
+
+test("rectifyHand recovers the palm lengths within tolerance", () => {
+    const config = resolveEngineConfig();
+    const points = {};
+    for (let i = 0; i < 21; i++) {
+        points[i] = project(PALM_MM[i] || PALM_MM[0]);
+    }
+    const rectified = rectifyHand({ points }, { corners: CARD_MM.map(project) }, config);
+    assert.ok(Math.abs(distance(rectified[5], rectified[17]) - distance(PALM_MM[5], PALM_MM[17])) < 0.01);
+    assert.ok(Math.abs(distance(rectified[0], rectified[9]) - distance(PALM_MM[0], PALM_MM[9])) < 0.01);
+});
+
+test("solveHomography rejects degenerate correspondences", () => {
+    const collinear = [{ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 20, y: 20 }, { x: 0, y: 30 }];
+    assert.equal(solveHomography(collinear, CARD_MM), null);
+    const repeated = [{ x: 5, y: 5 }, { x: 5, y: 5 }, { x: 40, y: 5 }, { x: 40, y: 30 }];
+    assert.equal(solveHomography(repeated, CARD_MM), null);
+    assert.equal(solveHomography(CARD_MM, collinear), null);
+    assert.throws(() => solveHomography(CARD_MM.slice(0, 3), CARD_MM.slice(0, 3)), /four point/);
+});
+
+test("a collinear card quad falls back to the pixel scale", () => {
+    const config = resolveEngineConfig();
+    const collinear = [{ x: 100, y: 100 }, { x: 300, y: 100 }, { x: 500, y: 100 }, { x: 300, y: 250 }];
+    assert.equal(rectifyHand({ points: {} }, { corners: collinear }, config), null);
+
+    // Through the engine: no rectified landmarks and no NaN lengths.
+    const landmarks = Array.from({ length: 21 }, (_, i) => ({ x: 0.5 + (i % 5) * 0.01, y: 0.3 + Math.floor(i / 5) * 0.05, z: 0 }));
+    const handResults = { landmarks: [landmarks], handedness: [[{ categoryName: "Left", score: 0.9 }]] };
+    const cardResult = { corners: collinear.map(({ x, y }) => ({ x: x / 640, y: y / 480 })) };
+    const result = computeFrameMeasurement(handResults, cardResult, 640, 480, { qualityGates: false });
+    assert.equal(result.rectified, null);
+    for (const value of Object.values(result.dimensions)) {
+        assert.ok(Number.isFinite(value));
+    }
+});
@@ -0,0 +1,141 @@
+// test/inferenceProtocol.test.js
+
+// Drives the worker side of the inference contract with a fake detector and checks the replies.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createInferenceHandler, serializeProgress } from "../app/js/inferenceProtocol.js";
+
+/**
+ * Creates a fake detector factory that records its calls.
+ * @param {Object} [behaviour] - `{ failInit, failDetect }` to make init or detection throw.
+ * @returns {Object} `{ createDetector, calls }`.
+ */
+function fakeDetector({ failInit = false, failDetect = false } = {}) {
+    const calls = { options: null, detect: [], closed: 0 };
+    async function createDetector(options) {
+        calls.options = options;
+        options.onProgress({ stage: "model", loaded: 1, total: 2 });
+        options.onProgress({ stage: "gpu", error: new Error("WebGL unavailable") });
+        if (failInit) {
+            throw new Error("Model download failed");
+        }
+        return {
+            delegate: "CPU",
+            detect(frame, width, height, timestamp, referenceObjectId) {
+                calls.detect.push({ frame, width, height, timestamp, referenceObjectId });
+                if (failDetect) {
+                    throw new Error("Detection failed");
+                }
+                return {
+                    handResults: { landmarks: [], handedness: [] },
+                    cardResult: null,
+                    timings: { handMs: 12, referenceMs: 3 }
+                };
+            },
+            close() {
+                calls.closed++;
+            }
+        };
+    }
+    return { createDetector, calls };
+}
+
+/**
+ * A stand-in for a transferred ImageBitmap.
+ * @returns {Object} `{ closed, close() }`.
+ */
+function fakeFrame() {
+    return { closed: false, close() { this.closed = true; } };
+}
+
+/**
+ * A clock that advances by a fixed step on each reading.
+ * @param {number} step - Milliseconds per reading.
+ * @returns {Function} The clock.
+ */
+function steppingClock(step) {
+    let time = 0;
+    return () => (time += step);
+}
+
+test("init reports the loading stages and the delegate", async () => {
+    const { createDetector, calls } = fakeDetector();
+    const posted = [];
+    const handle = createInferenceHandler(createDetector, message => posted.push(message));
+    await handle({ type: "init", assetBase: "/app/vendor/" });
+    assert.equal(calls.options.assetBase, "/app/vendor/");
+    assert.deepEqual(posted, [
+        { type: "progress", progress: { stage: "model", loaded: 1, total: 2 } },
+        { type: "progress", progress: { stage: "gpu", error: "WebGL unavailable" } },
+        { type: "ready", delegate: "CPU" }
+    ]);
+});
+
+test("a failed init is reported without a frame id", async () => {
+    const { createDetector } = fakeDetector({ failInit: true });
+    const posted = [];
+    const handle = createInferenceHandler(createDetector, message => posted.push(message));
+    await handle({ type: "init", assetBase: "/" });
+    assert.deepEqual(posted[posted.length - 1], { type: "error", id: null, message: "Model download failed" });
+});
+
+test("frames are detected, timed and released", async () => {
+    const { createDetector, calls } = fakeDetector();
+    const posted = [];
+    const handle = createInferenceHandler(createDetector, message => posted.push(message), steppingClock(5));
+    await handle({ type: "init", assetBase: "/" });
+    posted.length = 0;
+
+    const frame = fakeFrame();
+    await handle({ type: "frame", id: 7, frame, width: 640, height: 480, timestamp: 1000, referenceObjectId: "id1-card" });
+    assert.deepEqual(calls.detect, [{ frame, width: 640, height: 480, timestamp: 1000, referenceObjectId: "id1-card" }]);
+    assert.deepEqual(posted, [{
+        type: "result",
+        id: 7,
+        handResults: { landmarks: [], handedness: [] },
+        cardResult: null,
+        inferenceMs: 5,
+        timings: { handMs: 12, referenceMs: 3 }
+    }]);
+    assert.equal(frame.closed, true);
+});
+
+test("detection errors carry the frame id and still release the frame", async () => {
+    const { createDetector } = fakeDetector({ failDetect: true });
+    const posted = [];
+    const handle = createInferenceHandler(createDetector, message => posted.push(message));
+    await handle({ type: "init", assetBase: "/" });
+    posted.length = 0;
+
+    const frame = fakeFrame();
+    await handle({ type: "frame", id: 3, frame, width: 640, height: 480, timestamp: 0, referenceObjectId: "id1-card" });
+    assert.deepEqual(posted, [{ type: "error", id: 3, message: "Detection failed" }]);
+    assert.equal(frame.closed, true);
+});
+
+test("frames before init, after close and unknown messages are errors", async () => {
+    const { createDetector, calls } = fakeDetector();
+    const posted = [];
+    const handle = createInferenceHandler(createDetector, message => posted.push(message));
+
+    await handle({ type: "frame", id: 1, frame: fakeFrame(), width: 1, height: 1, timestamp: 0 });
+    assert.deepEqual(posted.pop(), { type: "error", id: 1, message: "The detectors are not loaded." });
+
+    await handle({ type: "init", assetBase: "/" });
+    await handle({ type: "close" });
+    assert.equal(calls.closed, 1);
+    await handle({ type: "frame", id: 2, frame: fakeFrame(), width: 1, height: 1, timestamp: 0 });
+    assert.deepEqual(posted.pop(), { type: "error", id: 2, message: "The detectors are not loaded." });
+
+    await handle({ type: "explode" });
+    assert.deepEqual(posted.pop(), { type: "error", id: null, message: "Unknown message type: explode" });
+    await handle(null);
+    assert.deepEqual(posted.pop(), { type: "error", id: null, message: "Unknown message type: null" });
+});
+
+test("serializeProgress leaves stages without errors untouched", () => {
+    const stage = { stage: "model", loaded: 5, total: 10 };
+    assert.equal(serializeProgress(stage), stage);
+    assert.deepEqual(serializeProgress({ stage: "runtime", error: "offline" }), { stage: "runtime", error: "offline" });
+});
@@ -0,0 +1,115 @@
+// test/measurementEngine.test.js
+
+// Regression tests of the measurement engine against the detector output in test/fixtures/.
+// The fixtures are synthetic, so the true lengths are known: every frame lists the millimeter
+// values the engine must report, with the default compensation factors applied.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeFrameMeasurement, aggregateMeasurements, MEASUREMENT_COLUMNS } from "../app/js/measurementEngine.js";
+import { normalizeSizeChart } from "../app/js/sizeChart.js";
+import { readJson, readFixture } from "./helpers.js";
+
+// Largest accepted difference from the true length, in millimeters.
+const TOLERANCE_MM = 0.05;
+
+const sizeChart = normalizeSizeChart(readJson("../app/data/size-charts/madglove-assist.json"));
+
+/**
+ * Runs the frames of a fixture through the engine the way the live loop does, passing each
+ * frame the landmarks of the previous one for the stillness check.
+ * @param {Object} fixture - A fixture of test/fixtures/.
+ * @returns {Object} `{ results, history }`: the result of every frame and the accepted measurements.
+ */
+function measureFixture(fixture) {
+    const results = [];
+    const history = [];
+    let previousLandmarks = null;
+    for (const { handResults, cardResult } of fixture.frames) {
+        const result = computeFrameMeasurement(handResults, cardResult, fixture.width, fixture.height, { sizeChart }, previousLandmarks);
+        previousLandmarks = result.hand ? result.hand.landmarks : null;
+        results.push(result);
+        if (result.measurement) {
+            history.push(result.measurement);
+        }
+    }
+    return { results, history };
+}
+
+for (const name of ["right-hand-medium", "left-hand-large-tilted"]) {
+    const fixture = readFixture(name);
+
+    test(`${name}: measures every frame`, () => {
+        const { results } = measureFixture(fixture);
+        results.forEach((result, i) => {
+            const expected = fixture.expected[i];
+            assert.deepEqual(result.quality.reasons, expected.reasons, `frame ${i}`);
+            assert.equal(result.measurement !== null, expected.measured, `frame ${i}`);
+            for (const [column, mm] of Object.entries(expected.dimensions || {})) {
+                assert.ok(Math.abs(result.dimensions[column] - mm) <= TOLERANCE_MM, `frame ${i} ${column}: ${result.dimensions[column]} mm, expected ${mm} mm`);
+                assert.equal(result.measurement[column], result.dimensions[column]);
+            }
+        });
+    });
+
+    test(`${name}: aggregates the accepted frames`, () => {
+        const { history } = measureFixture(fixture);
+        const aggregate = aggregateMeasurements(history, { sizeChart });
+        const { sampleCount, ...keys } = fixture.aggregate;
+        assert.equal(aggregate.sampleCount, sampleCount);
+        for (const [key, { mm, size }] of Object.entries(keys)) {
+            assert.ok(Math.abs(aggregate[key].mm - mm) <= TOLERANCE_MM, `${key}: ${aggregate[key].mm} mm, expected ${mm} mm`);
+            assert.equal(aggregate[key].size, size, key);
+        }
+    });
+}
+
+test("labels the hand as seen by the user", () => {
+    const { history: right } = measureFixture(readFixture("right-hand-medium"));
+    const { history: left } = measureFixture(readFixture("left-hand-large-tilted"));
+    assert.ok(right.every(m => m.handedness === "Right"));
+    assert.ok(left.every(m => m.handedness === "Left"));
+});
+
+test("measures the target hand only", () => {
+    const fixture = readFixture("right-hand-medium");
+    const { handResults, cardResult } = fixture.frames[0];
+    const result = computeFrameMeasurement(handResults, cardResult, fixture.width, fixture.height, { targetHand: "Left" });
+    assert.equal(result.hand, null);
+    assert.equal(result.measurement, null);
+    assert.deepEqual(result.quality.reasons, ["wrongHand"]);
+});
+
+test("falls back to the card's pixel scale without perspective correction", () => {
+    const fixture = readFixture("right-hand-medium");
+    const { handResults, cardResult } = fixture.frames[0];
+    const result = computeFrameMeasurement(handResults, cardResult, fixture.width, fixture.height, { perspectiveCorrection: false });
+    assert.equal(result.rectified, null);
+    assert.ok(Math.abs(result.pixelPerMm - 3) < 1e-3);
+    for (const [column, mm] of Object.entries(fixture.expected[0].dimensions)) {
+        assert.ok(Math.abs(result.dimensions[column] - mm) <= TOLERANCE_MM, column);
+    }
+});
+
+test("aggregates an empty history to null values", () => {
+    const aggregate = aggregateMeasurements([], { sizeChart });
+    assert.equal(aggregate.sampleCount, 0);
+    for (const key of Object.keys(MEASUREMENT_COLUMNS)) {
+        assert.equal(aggregate[key], null);
+    }
+});
+
+test("does not measure a hand of unknown handedness", () => {
+    const fixture = readFixture("right-hand-medium");
+    const { handResults, cardResult } = fixture.frames[0];
+    for (const handedness of [undefined, [[]], [[{ categoryName: "None", score: 0.5 }]]]) {
+        for (const qualityGates of [true, false]) {
+            const result = computeFrameMeasurement({ ...handResults, handedness }, cardResult, fixture.width, fixture.height, { qualityGates });
+            assert.equal(result.hand.handedness, null);
+            assert.equal(result.measurement, null);
+            assert.deepEqual(result.quality.reasons, ["unknownHand"]);
+            // The lengths are still reported, e.g. for the overlay.
+            assert.ok(Math.abs(result.dimensions.dist5to17_mm - fixture.expected[0].dimensions.dist5to17_mm) <= TOLERANCE_MM);
+        }
+    }
+});
@@ -0,0 +1,69 @@
+// test/recommendation.test.js
+
+// Tests of the glove size recommendation against the bundled size chart
+// (palm width S < 80 <= M < 90 <= L, palm length S < 80 <= M < 100 <= L).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recommendSize } from "../app/js/recommendation.js";
+import { normalizeSizeChart } from "../app/js/sizeChart.js";
+import { readJson } from "./helpers.js";
+
+const chart = normalizeSizeChart(readJson("../app/data/size-charts/madglove-assist.json"));
+
+/**
+ * Aggregated measurements as `aggregateMeasurements` reports them.
+ * @param {number} palmWidth - The palm width in millimeters.
+ * @param {number} palmLength - The palm length in millimeters.
+ * @param {number} [sampleCount] - Number of samples behind each value.
+ * @returns {Object} The aggregate.
+ */
+function aggregate(palmWidth, palmLength, sampleCount = 20) {
+    return {
+        sampleCount,
+        palmWidth: { mm: palmWidth, std: 1, sampleCount },
+        palmLength: { mm: palmLength, std: 1, sampleCount }
+    };
+}
+
+test("recommends the size both measurements fall in", () => {
+    const result = recommendSize(aggregate(85, 90), chart);
+    assert.equal(result.size.id, "M");
+    assert.equal(result.betweenSizes, null);
+    assert.ok(result.confidence > 0.9);
+    assert.equal(result.reason, "Palm width (85.0 mm) and palm length (90.0 mm) both fall in Medium.");
+});
+
+test("recommends the larger size when the measurements disagree", () => {
+    const result = recommendSize(aggregate(95, 90), chart);
+    assert.equal(result.size.id, "L");
+    assert.deepEqual(result.betweenSizes.map(size => size.id), ["M", "L"]);
+    assert.equal(result.measurements.palmLength.size.id, "M");
+    assert.match(result.reason, /We recommend the larger size\.$/);
+});
+
+test("reports a measurement close to a band edge as between sizes", () => {
+    const upper = recommendSize(aggregate(89, 90), chart);
+    assert.equal(upper.size.id, "M");
+    assert.deepEqual(upper.betweenSizes.map(size => size.id), ["M", "L"]);
+    assert.equal(upper.reason, "Palm width (89.0 mm) is within 1.0 mm of the Medium/Large boundary.");
+    // Close to the edge, the value may well lie in the other band.
+    assert.ok(upper.confidence < 0.75);
+
+    const lower = recommendSize(aggregate(80.5, 90), chart);
+    assert.deepEqual(lower.betweenSizes.map(size => size.id), ["S", "M"]);
+    // The open ends of the chart have no neighbour to be between.
+    assert.equal(recommendSize(aggregate(120, 120), chart).betweenSizes, null);
+});
+
+test("scales the confidence down with too few samples", () => {
+    const full = recommendSize(aggregate(85, 90), chart);
+    const few = recommendSize(aggregate(85, 90, 5), chart);
+    assert.ok(Math.abs(few.confidence - full.confidence / 2) < 0.01);
+    assert.match(few.reason, /Only 5 of 10 recommended samples collected\.$/);
+});
+
+test("recommends nothing without a chart or measurements", () => {
+    assert.equal(recommendSize(aggregate(85, 90), null), null);
+    assert.equal(recommendSize({ sampleCount: 0, palmWidth: null, palmLength: null }, chart), null);
+});
@@ -0,0 +1,55 @@
+// test/referenceObjects.test.js
+
+// Tests of the reference object lookup and of the size limit of coins, on synthetic frames.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MIN_COIN_DIAMETER_PX, DEFAULT_REFERENCE_OBJECT_ID, getReferenceObject, detectReferenceObject } from "../app/js/referenceObjects.js";
+import { computeFrameMeasurement } from "../app/js/measurementEngine.js";
+import { QUALITY_REASONS } from "../app/js/frameQuality.js";
+import { readFixture } from "./helpers.js";
+
+/**
+ * A grey 320 x 240 frame (the detection size) with a dark coin in the middle.
+ * @param {number} diameter - The coin's diameter in pixels.
+ * @returns {Object} An ImageData-like object.
+ */
+function coinFrame(diameter) {
+    const width = 320;
+    const height = 240;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = (x - width / 2) ** 2 + (y - height / 2) ** 2 <= (diameter / 2) ** 2 ? 90 : 220;
+            data.set([value, value, value, 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+test("getReferenceObject falls back to the card", () => {
+    assert.equal(getReferenceObject("coin-eur-2").longSideMm, 25.75);
+    assert.equal(getReferenceObject("button").id, DEFAULT_REFERENCE_OBJECT_ID);
+    assert.equal(getReferenceObject(null).id, DEFAULT_REFERENCE_OBJECT_ID);
+});
+
+test("a coin is only used once it spans enough pixels for the scale error budget", () => {
+    const coin = getReferenceObject("coin-eur-1");
+    const small = detectReferenceObject(coinFrame(MIN_COIN_DIAMETER_PX * 0.6), coin);
+    assert.equal(small.referenceObjectId, "coin-eur-1");
+    assert.equal(small.tooSmall, true);
+    const large = detectReferenceObject(coinFrame(MIN_COIN_DIAMETER_PX * 1.2), coin);
+    assert.equal(large.tooSmall, undefined);
+});
+
+test("the engine asks the user to move closer instead of scaling by a small coin", () => {
+    const fixture = readFixture("right-hand-medium");
+    const { handResults, cardResult } = fixture.frames[0];
+    const result = computeFrameMeasurement(handResults, { ...cardResult, tooSmall: true }, fixture.width, fixture.height, {});
+    assert.equal(result.card, null);
+    assert.equal(result.measurement, null);
+    assert.deepEqual(result.quality.reasons, [QUALITY_REASONS.REFERENCE_TOO_SMALL]);
+    // Without a hand both problems are reported.
+    const empty = computeFrameMeasurement({ landmarks: [] }, { ...cardResult, tooSmall: true }, fixture.width, fixture.height, {});
+    assert.deepEqual(empty.quality.reasons, [QUALITY_REASONS.NO_HAND, QUALITY_REASONS.REFERENCE_TOO_SMALL]);
+});
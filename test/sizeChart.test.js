@@ -0,0 +1,92 @@
+// test/sizeChart.test.js
+
+// Tests of the size chart schema, the unit conversion and the shared classifier.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateSizeChart, normalizeSizeChart, classifyMeasurement, productSizeChartUrl } from "../app/js/sizeChart.js";
+import { readJson } from "./helpers.js";
+
+const chart = readJson("../app/data/size-charts/madglove-assist.json");
+
+test("the bundled chart is valid", () => {
+    assert.deepEqual(validateSizeChart(chart), []);
+});
+
+test("validateSizeChart reports what is wrong", () => {
+    assert.deepEqual(validateSizeChart([]), ["Size chart must be a JSON object."]);
+    const broken = {
+        ...chart,
+        schemaVersion: 2,
+        units: "ft",
+        measurements: ["palmWidth", "palmWidth"]
+    };
+    assert.deepEqual(validateSizeChart(broken), [
+        "Unsupported schemaVersion 2; expected 1.",
+        "units must be one of mm, cm, in.",
+        "measurements must not contain duplicates."
+    ]);
+    assert.deepEqual(validateSizeChart({ ...chart, measurements: ["shoeSize"] })[0], 'Unknown measurement key "shoeSize".');
+
+    const [small, medium, large] = chart.sizes;
+    const gap = { ...medium, bands: { ...medium.bands, palmWidth: { min: 81, max: 90 } } };
+    assert.deepEqual(validateSizeChart({ ...chart, sizes: [small, gap, large] }), [
+        "sizes[1].bands.palmWidth.min (81) must equal the previous size's max (80)."
+    ]);
+    const open = { ...medium, bands: { ...medium.bands, palmLength: { min: 80 } } };
+    assert.deepEqual(validateSizeChart({ ...chart, sizes: [small, open, large] }), [
+        "sizes[1].bands.palmLength.max is required for every size but the last."
+    ]);
+    assert.deepEqual(validateSizeChart({ ...chart, sizes: [small, { ...small }] }), ['sizes[1].id "S" is duplicated.']);
+});
+
+test("normalizeSizeChart throws on an invalid chart", () => {
+    assert.throws(() => normalizeSizeChart({ ...chart, sizes: [] }), /sizes must be a non-empty array/);
+});
+
+test("normalizeSizeChart converts the bands to millimeters and opens the outer ends", () => {
+    const normalized = normalizeSizeChart(chart);
+    assert.equal(normalized.units, "mm");
+    assert.equal(normalized.sourceUnits, "mm");
+    assert.deepEqual(normalized.sizes[0].bands.palmWidth, { min: -Infinity, max: 80 });
+    assert.deepEqual(normalized.sizes[2].bands.palmLength, { min: 100, max: Infinity });
+
+    /**
+     * A two-size palm width chart with the sizes split at `edge`.
+     * @param {string} units - The chart's units.
+     * @param {number} edge - The boundary in those units.
+     * @returns {Object} The normalized chart.
+     */
+    const split = (units, edge) => normalizeSizeChart({
+        ...chart,
+        units,
+        measurements: ["palmWidth"],
+        sizes: [
+            { id: "S", label: "Small", bands: { palmWidth: { max: edge } } },
+            { id: "L", label: "Large", bands: { palmWidth: { min: edge }, palmLength: { min: 1 } } }
+        ]
+    });
+    const centimeters = split("cm", 8.5);
+    assert.equal(centimeters.sourceUnits, "cm");
+    assert.deepEqual(centimeters.sizes[0].bands.palmWidth, { min: -Infinity, max: 85 });
+    assert.deepEqual(centimeters.sizes[1].bands, { palmWidth: { min: 85, max: Infinity } });
+    const inches = split("in", 3);
+    assert.ok(Math.abs(inches.sizes[1].bands.palmWidth.min - 76.2) < 1e-9);
+    assert.equal(classifyMeasurement(inches, "palmWidth", 76).id, "S");
+});
+
+test("classifyMeasurement includes a band's min and excludes its max", () => {
+    const normalized = normalizeSizeChart(chart);
+    assert.equal(classifyMeasurement(normalized, "palmWidth", 79.9).id, "S");
+    assert.equal(classifyMeasurement(normalized, "palmWidth", 80).id, "M");
+    assert.equal(classifyMeasurement(normalized, "palmWidth", 90).id, "L");
+    assert.equal(classifyMeasurement(normalized, "palmWidth", 500).id, "L");
+    assert.equal(classifyMeasurement(normalized, "handLength", 180), null);
+    assert.equal(classifyMeasurement(normalized, "palmWidth", NaN), null);
+    assert.equal(classifyMeasurement(null, "palmWidth", 85), null);
+});
+
+test("productSizeChartUrl rejects ids that are not file names", () => {
+    assert.equal(productSizeChartUrl("madglove-assist"), "app/data/size-charts/madglove-assist.json");
+    assert.throws(() => productSizeChartUrl("../secret"), /Invalid product id/);
+});
@@ -0,0 +1,68 @@
+// test/statistics.test.js
+
+// Tests of the rolling window, the outlier rejection and the median confidence interval.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pushToRollingWindow, quantile, median, medianAbsoluteDeviation, rejectOutliers, summarize } from "../app/js/statistics.js";
+
+// Steady samples around 10 mm with one misdetection.
+const SAMPLES = [10, 10.2, 9.8, 10.1, 9.9, 10, 30];
+
+test("pushToRollingWindow drops the oldest entries", () => {
+    const history = [1, 2, 3];
+    assert.deepEqual(pushToRollingWindow(history, 4, 4), []);
+    assert.deepEqual(pushToRollingWindow(history, 5, 3), [1, 2]);
+    assert.deepEqual(history, [3, 4, 5]);
+});
+
+test("quantile interpolates between the sorted values", () => {
+    assert.equal(quantile([1, 2, 3, 4], 0.5), 2.5);
+    assert.equal(quantile([1, 2, 3, 4], 0.25), 1.75);
+    assert.ok(Number.isNaN(quantile([], 0.5)));
+    assert.equal(median([5, 1, 3]), 3);
+    assert.equal(medianAbsoluteDeviation([1, 2, 3, 4, 5]), 1);
+});
+
+test("rejectOutliers rejects the misdetection by MAD and by IQR", () => {
+    for (const outlierMethod of ["mad", "iqr"]) {
+        const { kept, rejected } = rejectOutliers(SAMPLES, { outlierMethod });
+        assert.deepEqual(kept, SAMPLES.slice(0, -1), outlierMethod);
+        assert.deepEqual(rejected, [30], outlierMethod);
+    }
+    assert.deepEqual(rejectOutliers(SAMPLES, { outlierMethod: "none" }).rejected, []);
+    assert.throws(() => rejectOutliers(SAMPLES, { outlierMethod: "mean" }), /Unknown outlier method "mean"/);
+});
+
+test("rejectOutliers keeps everything it cannot judge", () => {
+    // Too few samples.
+    assert.deepEqual(rejectOutliers([10, 10, 30]).rejected, []);
+    // More than half the samples identical, so the MAD is zero.
+    assert.deepEqual(rejectOutliers([10, 10, 10, 10, 30]).rejected, []);
+});
+
+test("summarize reports the median with a confidence interval over the kept samples", () => {
+    const summary = summarize(SAMPLES);
+    assert.equal(summary.median, 10);
+    assert.equal(summary.count, 6);
+    assert.equal(summary.rejectedCount, 1);
+    // 1.96 * 1.2533 * 1.4826 * MAD / sqrt(n), with a MAD of 0.1.
+    const halfWidth = 1.96 * 1.2533 * 1.4826 * 0.1 / Math.sqrt(6);
+    assert.ok(Math.abs(summary.ciHalfWidth - halfWidth) < 1e-9);
+    assert.ok(Math.abs(summary.ciLow - (10 - halfWidth)) < 1e-9);
+    assert.ok(Math.abs(summary.ciHigh - (10 + halfWidth)) < 1e-9);
+});
+
+test("summarize falls back to the standard deviation when the MAD is zero", () => {
+    const summary = summarize([5, 5, 5, 6]);
+    assert.equal(summary.mad, 0);
+    assert.equal(summary.std, 0.5);
+    assert.ok(Math.abs(summary.ciHalfWidth - 1.96 * 1.2533 * 0.5 / 2) < 1e-9);
+});
+
+test("summarize has no interval for a single sample and nothing for none", () => {
+    const single = summarize([42]);
+    assert.equal(single.median, 42);
+    assert.equal(single.ciHalfWidth, Infinity);
+    assert.equal(summarize([]), null);
+});
@@ -0,0 +1,79 @@
+// test/submissionClient.test.js
+
+// Tests of the submission queue, with localStorage, the online state and fetch stubbed.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { SUBMISSION_QUEUE_KEY, createSubmissionClient } from "../app/js/submissionClient.js";
+
+const ENDPOINT = "https://results.example.com/submissions";
+const SESSION = { settings: { productId: "madglove-assist" }, results: { Right: { measurements: {} } }, samples: [{}, {}, {}] };
+
+// What the client did with the stubs.
+let storage;
+let queueReads;
+let requests;
+
+beforeEach(() => {
+    storage = new Map();
+    queueReads = 0;
+    requests = [];
+    globalThis.localStorage = {
+        getItem(key) {
+            queueReads++;
+            return storage.has(key) ? storage.get(key) : null;
+        },
+        setItem(key, value) {
+            storage.set(key, String(value));
+        }
+    };
+    globalThis.window = new EventTarget();
+    Object.defineProperty(globalThis, "navigator", { value: { onLine: true }, configurable: true, writable: true });
+    globalThis.fetch = async (url, init) => {
+        requests.push(init.headers["Idempotency-Key"]);
+        return new Response(JSON.stringify({ id: "stored" }), { status: 201 });
+    };
+});
+
+/**
+ * Waits for timers and pending promises to run.
+ * @param {number} ms - The wait in milliseconds.
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test("waits for the online event instead of polling while offline", async () => {
+    navigator.onLine = false;
+    storage.set(SUBMISSION_QUEUE_KEY, JSON.stringify([{ key: "queued-earlier", payload: {}, attempts: 0, nextAttemptAt: 0, lastError: null }]));
+    const client = createSubmissionClient(ENDPOINT);
+    await wait(200);
+    assert.ok(queueReads <= 2, `${queueReads} queue reads while offline`);
+    assert.deepEqual(requests, []);
+
+    navigator.onLine = true;
+    window.dispatchEvent(new Event("online"));
+    await client.flush();
+    assert.deepEqual(requests, ["queued-earlier"]);
+    assert.equal(client.pendingCount(), 0);
+    client.close();
+});
+
+test("submits a session once under the same key", async () => {
+    const client = createSubmissionClient(ENDPOINT);
+    assert.deepEqual(await client.submit(SESSION, "session-1-3"), { key: "session-1-3", status: "sent" });
+    assert.deepEqual(await client.submit(SESSION, "session-1-3"), { key: "session-1-3", status: "sent" });
+    assert.deepEqual(requests, ["session-1-3"]);
+    client.close();
+});
+
+test("queues a session once under the same key while offline", async () => {
+    navigator.onLine = false;
+    const client = createSubmissionClient(ENDPOINT);
+    assert.equal((await client.submit(SESSION, "session-1-3")).status, "queued");
+    assert.equal((await client.submit(SESSION, "session-1-3")).status, "queued");
+    assert.equal(client.pendingCount(), 1);
+    assert.deepEqual(requests, []);
+    client.close();
+});
@@ -0,0 +1,76 @@
+// test/submissionProtocol.test.js
+
+// Tests of the result submission contract: payload validation and the retry schedule.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    DEFAULT_RETRY_OPTIONS,
+    isValidIdempotencyKey,
+    createSubmission,
+    validateSubmission,
+    isRetryableStatus,
+    retryDelayMs
+} from "../app/js/submissionProtocol.js";
+
+const SESSION = {
+    settings: { productId: "madglove-assist", referenceObjectId: "id1-card" },
+    results: { Right: { measurements: { palmWidth: { mm: 84.5 } }, size: { id: "M", label: "Medium" } } },
+    samples: [{}, {}, {}]
+};
+
+test("createSubmission builds a valid payload without the samples", () => {
+    const submission = createSubmission(SESSION, new Date(0));
+    assert.equal(submission.createdAt, "1970-01-01T00:00:00.000Z");
+    assert.equal(submission.sampleCount, 3);
+    assert.equal("samples" in submission, false);
+    assert.deepEqual(validateSubmission(submission), []);
+});
+
+test("validateSubmission reports what is wrong", () => {
+    assert.deepEqual(validateSubmission([]), ["The submission must be a JSON object."]);
+    const valid = createSubmission(SESSION);
+    assert.deepEqual(validateSubmission({ ...valid, formatVersion: 2, createdAt: "yesterday", settings: null, sampleCount: -1 }), [
+        "formatVersion must be 1.",
+        "createdAt must be an ISO date.",
+        "settings must be an object.",
+        "sampleCount must be a non-negative integer."
+    ]);
+    assert.deepEqual(validateSubmission({ ...valid, results: {} }), ["results must contain at least one hand."]);
+    assert.deepEqual(validateSubmission({ ...valid, results: { Both: {}, Left: { measurements: [] } } }), [
+        'results.Both is not a hand ("Left" or "Right").',
+        "results.Left.measurements must be an object."
+    ]);
+});
+
+test("isValidIdempotencyKey accepts UUIDs and session keys only", () => {
+    assert.equal(isValidIdempotencyKey("6f1c2c1e-8d3b-4a51-9d6e-2b0f4c7a9e10"), true);
+    assert.equal(isValidIdempotencyKey("6f1c2c1e-8d3b-4a51-9d6e-2b0f4c7a9e10-42"), true);
+    assert.equal(isValidIdempotencyKey("short"), false);
+    assert.equal(isValidIdempotencyKey("../../etc/passwd"), false);
+    assert.equal(isValidIdempotencyKey(12345678), false);
+});
+
+test("isRetryableStatus retries network errors, timeouts, rate limits and server errors", () => {
+    for (const status of [null, 408, 429, 500, 503]) {
+        assert.equal(isRetryableStatus(status), true, String(status));
+    }
+    for (const status of [400, 409, 413, 415, 422]) {
+        assert.equal(isRetryableStatus(status), false, String(status));
+    }
+});
+
+test("retryDelayMs backs off exponentially up to the maximum", () => {
+    const middle = () => 0.5; // No jitter.
+    assert.equal(retryDelayMs(1, {}, middle), DEFAULT_RETRY_OPTIONS.retryDelayMs);
+    assert.equal(retryDelayMs(2, {}, middle), 2 * DEFAULT_RETRY_OPTIONS.retryDelayMs);
+    assert.equal(retryDelayMs(4, {}, middle), 8 * DEFAULT_RETRY_OPTIONS.retryDelayMs);
+    assert.equal(retryDelayMs(50, {}, middle), DEFAULT_RETRY_OPTIONS.maxRetryDelayMs);
+    assert.equal(retryDelayMs(3, { retryDelayMs: 100, retryBackoffFactor: 3 }, middle), 900);
+});
+
+test("retryDelayMs spreads each wait by the jitter", () => {
+    assert.equal(retryDelayMs(1, { retryDelayMs: 1000 }, () => 0), 800);
+    assert.equal(retryDelayMs(1, { retryDelayMs: 1000 }, () => 0.999999), 1200);
+    assert.equal(retryDelayMs(1, { retryDelayMs: 1000, jitter: 0 }, () => 0), 1000);
+});
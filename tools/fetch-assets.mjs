@@ -0,0 +1,105 @@
+// tools/fetch-assets.mjs
+
+// Downloads the pinned MediaPipe runtime and hand landmark model into app/vendor/, the
+// default asset base of the app (see app/js/assetConfig.js), checks every file against the
+// sha256 digest pinned there, and writes the list of files that the service worker precaches.
+//
+// Usage (Node 18 or later):
+//   node tools/fetch-assets.mjs          Download missing files.
+//   node tools/fetch-assets.mjs --force  Download every file again.
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile, access } from "node:fs/promises";
+import { dirname, join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+    TASKS_VISION_VERSION,
+    HAND_LANDMARKER_MODEL_VERSION,
+    HAND_LANDMARKER_MODEL_SHA256,
+    UPSTREAM_TASKS_VISION_URL,
+    UPSTREAM_MODEL_URL,
+    TASKS_VISION_FILES,
+    TASKS_VISION_SHA256
+} from "../app/js/assetConfig.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const VENDOR_DIRECTORY = join(ROOT, "app", "vendor");
+
+// Files to download: upstream URL -> path below app/vendor/ (the layout `assetUrls` expects),
+// with the pinned digest.
+const DOWNLOADS = [
+    ...TASKS_VISION_FILES.map(file => ({
+        url: `${UPSTREAM_TASKS_VISION_URL}/${file}`,
+        path: `tasks-vision/${TASKS_VISION_VERSION}/${file}`,
+        sha256: TASKS_VISION_SHA256[file]
+    })),
+    {
+        url: UPSTREAM_MODEL_URL,
+        path: `models/hand_landmarker/${HAND_LANDMARKER_MODEL_VERSION}/hand_landmarker.task`,
+        sha256: HAND_LANDMARKER_MODEL_SHA256
+    }
+];
+
+/**
+ * Whether a file exists.
+ * @param {string} path - The file path.
+ * @returns {Promise<boolean>} True if it exists.
+ */
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks data against its pinned digest, exiting with a message on a mismatch.
+ * @param {Buffer} data - The file contents.
+ * @param {string} path - The path below app/vendor/, for the message.
+ * @param {string|null} expected - The pinned sha256 digest, or null if none is pinned yet.
+ */
+function verifyDigest(data, path, expected) {
+    const sha256 = createHash("sha256").update(data).digest("hex");
+    if (expected === null) {
+        console.error(`No sha256 is pinned for ${path}. After checking the file, pin ${sha256} in app/js/assetConfig.js.`);
+        process.exit(1);
+    }
+    if (sha256 !== expected) {
+        console.error(`sha256 mismatch for ${path}: expected ${expected}, got ${sha256}.`);
+        process.exit(1);
+    }
+}
+
+const force = process.argv.includes("--force");
+for (const { url, path, sha256 } of DOWNLOADS) {
+    const target = join(VENDOR_DIRECTORY, path);
+    if (!force && await exists(target)) {
+        verifyDigest(await readFile(target), path, sha256);
+        console.log(`exists      ${path}`);
+        continue;
+    }
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        console.error(`Could not download ${url}: ${error.cause ? error.cause.message : error.message}`);
+        process.exit(1);
+    }
+    if (!response.ok) {
+        console.error(`Could not download ${url} (HTTP ${response.status}).`);
+        process.exit(1);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    // Nothing is written unless it is the pinned file.
+    verifyDigest(data, path, sha256);
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, data);
+    console.log(`downloaded  ${path} (${(data.length / 1e6).toFixed(1)} MB, sha256 verified)`);
+}
+
+// The service worker precaches exactly these files.
+const manifest = { tasksVision: TASKS_VISION_VERSION, model: HAND_LANDMARKER_MODEL_VERSION, files: DOWNLOADS.map(({ path }) => path) };
+await writeFile(join(VENDOR_DIRECTORY, "manifest.json"), `${JSON.stringify(manifest, null, 2)}\n`);
+console.log(`wrote       ${relative(ROOT, join(VENDOR_DIRECTORY, "manifest.json"))}`);
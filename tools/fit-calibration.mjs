@@ -0,0 +1,162 @@
+// tools/fit-calibration.mjs
+
+// Fits the measurement calibration (app/js/calibration.js) from ground truth: sessions
+// exported with "Export JSON", each paired with tape-measured values of the same hand.
+// Prints the error before and after the fit and writes the calibration file the app loads.
+//
+// Usage (Node 18 or later):
+//   node tools/fit-calibration.mjs <dataset.json> [--model scale|linear] [--out <file>]
+//
+// The dataset lists one entry per measured hand; export paths are relative to the dataset:
+// {
+//   "subjects": [
+//     { "id": "p01", "export": "exports/p01.json", "hand": "Right",
+//       "measured": { "palmWidth": 84.5, "palmLength": 102.0 } }
+//   ]
+// }
+// `measured` may hold any key of CALIBRATED_KEYS; keys without ground truth are not fitted.
+
+import { readFile, writeFile } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+    CALIBRATION_SCHEMA_VERSION,
+    CALIBRATION_MODELS,
+    CALIBRATED_KEYS,
+    fitCalibration,
+    errorMetrics,
+    leaveOneOutMetrics
+} from "../app/js/calibration.js";
+import { MEASUREMENT_COLUMNS, effectiveCalibration } from "../app/js/measurementEngine.js";
+import { summarize } from "../app/js/statistics.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_OUTPUT = join(ROOT, "app", "data", "calibration.json");
+
+/**
+ * Reads the value following a command line flag.
+ * @param {string} name - The flag, e.g. "--model".
+ * @param {string} fallback - Value used when the flag is absent.
+ * @returns {string} The value.
+ */
+function option(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Reads and parses a JSON file, exiting with a message on failure.
+ * @param {string} path - The file path.
+ * @returns {Promise<Object>} The parsed JSON.
+ */
+async function readJson(path) {
+    try {
+        return JSON.parse(await readFile(path, "utf8"));
+    } catch (error) {
+        console.error(`Could not read ${path}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Formats a number of millimeters for the report.
+ * @param {number} mm - The value.
+ * @returns {string} The formatted value.
+ */
+function mm(mm) {
+    return mm.toFixed(2).padStart(7);
+}
+
+const datasetPath = process.argv[2];
+const model = option("--model", "scale");
+const outputPath = resolve(option("--out", DEFAULT_OUTPUT));
+if (!datasetPath || datasetPath.startsWith("--")) {
+    console.error("Usage: node tools/fit-calibration.mjs <dataset.json> [--model scale|linear] [--out <file>]");
+    process.exit(1);
+}
+if (!CALIBRATION_MODELS.includes(model)) {
+    console.error(`Unknown model "${model}"; use one of ${CALIBRATION_MODELS.join(", ")}.`);
+    process.exit(1);
+}
+
+const dataset = await readJson(datasetPath);
+if (!Array.isArray(dataset.subjects) || dataset.subjects.length === 0) {
+    console.error(`${datasetPath} must list at least one subject.`);
+    process.exit(1);
+}
+
+// Per key: { raw, exported, actual } per subject, where `raw` is the median length before any
+// correction and `exported` the median the app reported with the correction in use at the time.
+const pairs = Object.fromEntries(CALIBRATED_KEYS.map(key => [key, []]));
+for (const subject of dataset.subjects) {
+    const label = subject.id || subject.export;
+    const exported = await readJson(resolve(dirname(datasetPath), subject.export));
+    if (!exported.calibration) {
+        console.warn(`${label}: the export does not record its calibration; assuming the default compensation factors.`);
+    }
+    const corrections = exported.calibration || effectiveCalibration();
+    const samples = (exported.samples || []).filter(sample => sample.handedness === subject.hand);
+    if (samples.length === 0) {
+        console.warn(`${label}: no samples of the ${subject.hand} hand, skipped.`);
+        continue;
+    }
+
+    for (const [key, actual] of Object.entries(subject.measured || {})) {
+        if (!CALIBRATED_KEYS.includes(key)) {
+            console.warn(`${label}: "${key}" cannot be calibrated, ignored.`);
+            continue;
+        }
+        const column = MEASUREMENT_COLUMNS[key];
+        const { scale, offsetMm } = corrections[key];
+        const values = samples.map(sample => sample[column]).filter(Number.isFinite);
+        const summary = summarize(values);
+        if (!summary) {
+            console.warn(`${label}: no ${key} values, skipped.`);
+            continue;
+        }
+        // The outlier rejection is the same as in the app, so the medians match its results.
+        pairs[key].push({ raw: (summary.median - offsetMm) / scale, exported: summary.median, actual });
+    }
+}
+
+const dimensions = {};
+const metrics = {};
+console.log(`Model: ${model}\n`);
+console.log("key                   subjects  scale    offset   | before: bias     MAE    RMSE | after: bias     MAE    RMSE | leave-one-out MAE");
+for (const key of CALIBRATED_KEYS) {
+    const keyPairs = pairs[key];
+    if (keyPairs.length === 0) {
+        continue;
+    }
+    const fit = fitCalibration(keyPairs, model);
+    if (!fit) {
+        console.warn(`${key}: not enough subjects for a ${model} fit (${keyPairs.length}).`);
+        continue;
+    }
+    const before = errorMetrics(keyPairs.map(p => ({ predicted: p.exported, actual: p.actual })));
+    const after = errorMetrics(keyPairs.map(p => ({ predicted: p.raw * fit.scale + fit.offsetMm, actual: p.actual })));
+    const crossValidated = leaveOneOutMetrics(keyPairs, model);
+    dimensions[key] = { scale: Number(fit.scale.toFixed(4)), offsetMm: Number(fit.offsetMm.toFixed(2)) };
+    metrics[key] = { before, after, leaveOneOut: crossValidated };
+
+    console.log(`${key.padEnd(22)}${String(keyPairs.length).padStart(8)}  ${fit.scale.toFixed(4)} ${mm(fit.offsetMm)}   |`
+        + `       ${mm(before.biasMm)} ${mm(before.maeMm)} ${mm(before.rmseMm)} |`
+        + `      ${mm(after.biasMm)} ${mm(after.maeMm)} ${mm(after.rmseMm)} |`
+        + ` ${crossValidated ? mm(crossValidated.maeMm) : "    n/a"}`);
+}
+
+if (Object.keys(dimensions).length === 0) {
+    console.error("\nNothing could be fitted; the calibration file was not written.");
+    process.exit(1);
+}
+
+const calibration = {
+    schemaVersion: CALIBRATION_SCHEMA_VERSION,
+    model,
+    createdAt: new Date().toISOString(),
+    subjects: dataset.subjects.length,
+    dimensions,
+    metrics
+};
+await writeFile(outputPath, `${JSON.stringify(calibration, null, 2)}\n`);
+console.log(`\nwrote ${outputPath}`);
@@ -0,0 +1,100 @@
+// tools/replay-recording.mjs
+
+// Runs a frame recording, saved with "Record frames" in the diagnostics panel, through the
+// measurement engine (see app/js/frameRecording.js) and prints what it found: how many frames
+// had a hand and the reference object, why frames were rejected, and the resulting
+// measurements per hand. With --calibration the frames are measured with another calibration,
+// e.g. to check a new fit against a customer's session.
+//
+// Usage (Node 18 or later):
+//   node tools/replay-recording.mjs <recording.json> [--calibration <file>]
+
+import { readFile } from "node:fs/promises";
+import { validateRecording, replayRecording } from "../app/js/frameRecording.js";
+import { normalizeCalibration } from "../app/js/calibration.js";
+import { MEASUREMENT_COLUMNS, HANDS } from "../app/js/measurementEngine.js";
+
+/**
+ * Reads the value following a command line flag.
+ * @param {string} name - The flag, e.g. "--calibration".
+ * @param {string|null} fallback - Value used when the flag is absent.
+ * @returns {string|null} The value.
+ */
+function option(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Reads and parses a JSON file, exiting with a message on failure.
+ * @param {string} path - The file path.
+ * @returns {Promise<Object>} The parsed JSON.
+ */
+async function readJson(path) {
+    try {
+        return JSON.parse(await readFile(path, "utf8"));
+    } catch (error) {
+        console.error(`Could not read ${path}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const recordingPath = process.argv[2];
+const calibrationPath = option("--calibration", null);
+if (!recordingPath || recordingPath.startsWith("--")) {
+    console.error("Usage: node tools/replay-recording.mjs <recording.json> [--calibration <file>]");
+    process.exit(1);
+}
+
+const recording = await readJson(recordingPath);
+const errors = validateRecording(recording);
+if (errors.length > 0) {
+    console.error(`${recordingPath} is not a valid recording:\n- ${errors.join("\n- ")}`);
+    process.exit(1);
+}
+const config = {};
+if (calibrationPath) {
+    try {
+        config.calibration = normalizeCalibration(await readJson(calibrationPath));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+const { frames, aggregates } = replayRecording(recording, config);
+const count = predicate => frames.filter(predicate).length;
+const duration = recording.frames.length > 0 ? recording.frames[recording.frames.length - 1].t / 1000 : 0;
+console.log(`Recorded ${recording.recordedAt}: ${frames.length} frames over ${duration.toFixed(1)} s`);
+console.log(`  hand found:              ${count(frame => frame.hand !== null)}`);
+console.log(`  reference object found:  ${count(frame => frame.card !== null)}`);
+console.log(`  accepted:                ${count(frame => frame.measurement !== null)}`);
+
+const reasons = {};
+for (const frame of frames) {
+    for (const reason of frame.quality.reasons) {
+        reasons[reason] = (reasons[reason] || 0) + 1;
+    }
+}
+if (Object.keys(reasons).length > 0) {
+    console.log("Rejected poses:");
+    for (const [reason, total] of Object.entries(reasons).sort((a, b) => b[1] - a[1])) {
+        console.log(`  ${reason.padEnd(24)} ${total}`);
+    }
+}
+
+for (const hand of HANDS) {
+    const aggregate = aggregates[hand];
+    if (!aggregate) {
+        continue;
+    }
+    console.log(`\n${hand} hand (${aggregate.sampleCount} samples)`);
+    console.log("key                      median mm   95% CI          size");
+    for (const key of Object.keys(MEASUREMENT_COLUMNS)) {
+        const result = aggregate[key];
+        if (result) {
+            const interval = `${result.ciLow.toFixed(1)} - ${result.ciHigh.toFixed(1)}`;
+            console.log(`${key.padEnd(24)} ${result.mm.toFixed(1).padStart(9)}   ${interval.padEnd(15)} ${result.size}`);
+        }
+    }
+}
@@ -0,0 +1,206 @@
+// tools/submission-server.mjs
+
+// Minimal reference server for result submissions (see app/js/submissionProtocol.js), for
+// testing the submit flow end to end locally. It validates each submission and stores it as
+// one JSON file per idempotency key, so a retried submission is stored once.
+//
+// Usage (Node 18 or later):
+//   node tools/submission-server.mjs [--port 8787] [--data <dir>] [--allow-origin <origin>]
+//
+// Routes:
+//   POST /submissions        Store a submission (Idempotency-Key header required).
+//   GET  /submissions        List the stored submissions: [{ id, receivedAt }].
+//   GET  /submissions/<id>   Return one stored record: { id, receivedAt, sha256, submission }.
+//
+// Then point the app at it, e.g. with the page served on port 8000:
+//   node tools/submission-server.mjs --allow-origin http://localhost:8000
+//   <meta name="hand-measure-submit-endpoint" content="http://localhost:8787/submissions">
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+    IDEMPOTENCY_KEY_HEADER,
+    MAX_SUBMISSION_BYTES,
+    isValidIdempotencyKey,
+    validateSubmission
+} from "../app/js/submissionProtocol.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_DATA_DIRECTORY = join(ROOT, "submissions");
+
+/**
+ * Reads the value following a command line flag.
+ * @param {string} name - The flag, e.g. "--port".
+ * @param {string} fallback - Value used when the flag is absent.
+ * @returns {string} The value.
+ */
+function option(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(option("--port", "8787"));
+const dataDirectory = resolve(option("--data", DEFAULT_DATA_DIRECTORY));
+const allowOrigin = option("--allow-origin", "*");
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error("Usage: node tools/submission-server.mjs [--port 8787] [--data <dir>] [--allow-origin <origin>]");
+    process.exit(1);
+}
+
+/**
+ * Sends a JSON response with the CORS headers the app needs.
+ * @param {http.ServerResponse} response - The response.
+ * @param {number} status - The HTTP status.
+ * @param {*} body - The body, serialized as JSON.
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": allowOrigin,
+        "Vary": "Origin"
+    });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body, stopping at the size limit.
+ * @param {http.IncomingMessage} request - The request.
+ * @returns {Promise<string|null>} The body, or null if it is larger than `MAX_SUBMISSION_BYTES`.
+ */
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_SUBMISSION_BYTES) {
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Reads a stored record.
+ * @param {string} id - The idempotency key.
+ * @returns {Promise<Object|null>} The record, or null if there is none.
+ */
+async function readRecord(id) {
+    try {
+        return JSON.parse(await readFile(join(dataDirectory, `${id}.json`), "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Handles `POST /submissions`.
+ * @param {http.IncomingMessage} request - The request.
+ * @param {http.ServerResponse} response - The response.
+ */
+async function storeSubmission(request, response) {
+    const id = request.headers[IDEMPOTENCY_KEY_HEADER.toLowerCase()];
+    if (!isValidIdempotencyKey(id)) {
+        sendJson(response, 400, { error: `A valid ${IDEMPOTENCY_KEY_HEADER} header is required.` });
+        return;
+    }
+    if (!(request.headers["content-type"] || "").startsWith("application/json")) {
+        sendJson(response, 415, { error: "The body must be application/json." });
+        return;
+    }
+    const body = await readBody(request);
+    if (body === null) {
+        sendJson(response, 413, { error: `The body is larger than ${MAX_SUBMISSION_BYTES} bytes.` });
+        return;
+    }
+    let submission;
+    try {
+        submission = JSON.parse(body);
+    } catch (error) {
+        sendJson(response, 400, { error: `The body is not valid JSON: ${error.message}` });
+        return;
+    }
+    const errors = validateSubmission(submission);
+    if (errors.length > 0) {
+        sendJson(response, 422, { error: errors.join(" ") });
+        return;
+    }
+
+    // The hash identifies the content, so a retry can be told apart from a reused key.
+    const sha256 = createHash("sha256").update(JSON.stringify(submission)).digest("hex");
+    const record = { id, receivedAt: new Date().toISOString(), sha256, submission };
+    try {
+        // "wx" fails if the file exists, so concurrent retries store the submission once.
+        await writeFile(join(dataDirectory, `${id}.json`), JSON.stringify(record, null, 2), { flag: "wx" });
+        console.log(`stored      ${id}`);
+        sendJson(response, 201, { id, receivedAt: record.receivedAt });
+    } catch (error) {
+        if (error.code !== "EEXIST") {
+            throw error;
+        }
+        const existing = await readRecord(id);
+        if (existing.sha256 !== sha256) {
+            sendJson(response, 409, { error: "This idempotency key was already used for a different submission." });
+            return;
+        }
+        console.log(`duplicate   ${id}`);
+        sendJson(response, 200, { id, receivedAt: existing.receivedAt });
+    }
+}
+
+/**
+ * Routes a request.
+ * @param {http.IncomingMessage} request - The request.
+ * @param {http.ServerResponse} response - The response.
+ */
+async function handleRequest(request, response) {
+    const { pathname } = new URL(request.url, "http://localhost");
+    if (request.method === "OPTIONS") {
+        response.writeHead(204, {
+            "Access-Control-Allow-Origin": allowOrigin,
+            "Access-Control-Allow-Methods": "GET, POST",
+            "Access-Control-Allow-Headers": `Content-Type, ${IDEMPOTENCY_KEY_HEADER}`,
+            "Access-Control-Max-Age": "86400",
+            "Vary": "Origin"
+        });
+        response.end();
+    } else if (pathname === "/submissions" && request.method === "POST") {
+        await storeSubmission(request, response);
+    } else if (pathname === "/submissions" && request.method === "GET") {
+        const files = (await readdir(dataDirectory)).filter(file => file.endsWith(".json"));
+        const records = await Promise.all(files.map(file => readRecord(file.slice(0, -".json".length))));
+        sendJson(response, 200, records
+            .map(({ id, receivedAt }) => ({ id, receivedAt }))
+            .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt)));
+    } else if (pathname.startsWith("/submissions/") && request.method === "GET") {
+        const id = decodeURIComponent(pathname.slice("/submissions/".length));
+        const record = isValidIdempotencyKey(id) ? await readRecord(id) : null;
+        if (record) {
+            sendJson(response, 200, record);
+        } else {
+            sendJson(response, 404, { error: "No such submission." });
+        }
+    } else {
+        sendJson(response, 404, { error: "Not found." });
+    }
+}
+
+await mkdir(dataDirectory, { recursive: true });
+createServer((request, response) => {
+    handleRequest(request, response).catch(error => {
+        console.error(`${request.method} ${request.url} failed:`, error);
+        if (!response.headersSent) {
+            sendJson(response, 500, { error: "Internal server error." });
+        } else {
+            response.end();
+        }
+    });
+}).listen(port, () => {
+    console.log(`Accepting submissions on http://localhost:${port}/submissions, storing them in ${dataDirectory}`);
+});